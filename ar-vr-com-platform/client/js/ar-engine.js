@@ -1,4 +1,5 @@
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js';
+import { PoseBuffer } from './pose-buffer.js';
 
 class AREngine {
   constructor() {
@@ -22,6 +23,22 @@ class AREngine {
     this.sharedObjects = new Map();
     this.environmentMesh = null;
     
+    // Object locks held by other users (objectId -> { userId, helper })
+    this.lockHighlights = new Map();
+    this.controllerGrabs = new Map(); // controllerIndex -> objectId
+    
+    // Remote avatar poses are rendered slightly in the past so there are always two samples to blend
+    this.poseBuffers = new Map(); // userId -> PoseBuffer
+    this.interpolation = {
+      delay: 100, // ms behind the newest snapshot
+      maxExtrapolation: 250, // ms to keep moving after snapshots stop
+      settleTime: 250, // ms to ease back onto the last snapshot afterwards
+      size: 10
+    };
+    
+    // 2D canvases shown as planes in front of the user, for UI without a DOM overlay
+    this.floatingPanels = new Map(); // panelId -> { mesh, texture, distance, drop }
+    
     // Event system
     this.eventHandlers = new Map();
     
@@ -97,6 +114,10 @@ class AREngine {
       this.handleClick(event);
     });
     
+    this.renderer.domElement.addEventListener('dblclick', (event) => {
+      this.handleDoubleClick(event);
+    });
+    
     // Gesture recognition
     this.setupGestureRecognition();
   }
@@ -188,6 +209,8 @@ class AREngine {
     
     controller1.addEventListener('selectstart', (event) => this.handleControllerSelect(event, 0));
     controller2.addEventListener('selectstart', (event) => this.handleControllerSelect(event, 1));
+    controller1.addEventListener('selectend', (event) => this.handleControllerRelease(event, 0));
+    controller2.addEventListener('selectend', (event) => this.handleControllerRelease(event, 1));
     
     // Add controller models
     const controllerModelFactory = new THREE.XRControllerModelFactory();
@@ -274,7 +297,7 @@ class AREngine {
     const raycaster = new THREE.Raycaster();
     raycaster.setFromCamera(mouse, this.camera);
     
-    const intersects = raycaster.intersectObjects(this.scene.children, true);
+    const intersects = raycaster.intersectObjects(this.getInteractiveObjects(), true);
     
     if (intersects.length > 0) {
       const intersect = intersects[0];
@@ -282,6 +305,25 @@ class AREngine {
     }
   }
 
+  // Double-clicking a sticky note asks to edit its text
+  handleDoubleClick(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(mouse, this.camera);
+    
+    const intersect = raycaster.intersectObjects(this.getInteractiveObjects(), true)[0];
+    const objectId = intersect?.object.userData?.id;
+    
+    if (intersect?.object.userData.type === 'note' && this.sharedObjects.has(objectId)) {
+      this.emit('note-edit-requested', { objectId, properties: intersect.object.userData.properties });
+    }
+  }
+
   handleControllerSelect(event, controllerIndex) {
     const controller = this.controllers[controllerIndex];
     
@@ -293,7 +335,7 @@ class AREngine {
     raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
     raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
     
-    const intersects = raycaster.intersectObjects(this.scene.children, true);
+    const intersects = raycaster.intersectObjects(this.getInteractiveObjects(), true);
     
     if (intersects.length > 0) {
       const intersect = intersects[0];
@@ -301,12 +343,24 @@ class AREngine {
     }
   }
 
+  handleControllerRelease(event, controllerIndex) {
+    const objectId = this.controllerGrabs.get(controllerIndex);
+    if (objectId) {
+      this.controllerGrabs.delete(controllerIndex);
+      this.emit('object-release', { objectId, controllerIndex });
+    }
+  }
+
   handleObjectInteraction(object, point, controllerIndex = null) {
     console.log('Object interaction:', object, point);
     
     // Check if it's a shared object
     const objectId = object.userData?.id;
     if (objectId && this.sharedObjects.has(objectId)) {
+      if (controllerIndex !== null) {
+        this.controllerGrabs.set(controllerIndex, objectId);
+      }
+      
       this.emit('object-interaction', {
         objectId,
         point,
@@ -370,17 +424,61 @@ class AREngine {
     return avatar;
   }
 
-  updateUserPosition(userId, position, rotation) {
-    const userObject = this.userObjects.get(userId);
-    if (userObject) {
-      userObject.position.set(...position);
-      userObject.rotation.set(...rotation);
+  updateUserPosition(userId, position, rotation, time = performance.now()) {
+    if (!this.userObjects.has(userId)) return;
+    
+    if (!this.poseBuffers.has(userId)) {
+      this.poseBuffers.set(userId, new PoseBuffer(this.interpolation));
+    }
+    
+    this.poseBuffers.get(userId).push({
+      time,
+      position: new THREE.Vector3(...position),
+      quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation))
+    });
+  }
+
+  removeUserAvatar(userId) {
+    const avatar = this.userObjects.get(userId);
+    if (avatar) {
+      this.scene.remove(avatar);
+      this.userObjects.delete(userId);
     }
+    
+    this.poseBuffers.delete(userId);
+  }
+
+  updateAvatarPoses(now) {
+    for (const [userId, buffer] of this.poseBuffers) {
+      const avatar = this.userObjects.get(userId);
+      const blend = avatar && buffer.sample(now);
+      if (!blend) continue;
+      
+      const { from, to, alpha } = blend;
+      avatar.position.lerpVectors(from.position, to.position, alpha);
+      avatar.quaternion.slerpQuaternions(from.quaternion, to.quaternion, Math.min(alpha, 1));
+    }
+  }
+
+  getCameraPose() {
+    const camera = this.renderer.xr.isPresenting
+      ? this.renderer.xr.getCamera(this.camera)
+      : this.camera;
+    
+    return {
+      position: camera.position.toArray(),
+      rotation: [camera.rotation.x, camera.rotation.y, camera.rotation.z]
+    };
   }
 
   spawnObject(objectData) {
     const { id, type, position, rotation, scale, properties } = objectData;
     
+    // The server echoes spawns back to their creator; treat that as a state update
+    if (this.sharedObjects.has(id)) {
+      return this.updateObject(id, objectData);
+    }
+    
     let geometry, material, mesh;
     
     switch (type) {
@@ -396,6 +494,13 @@ class AREngine {
         geometry = new THREE.PlaneGeometry(2, 2);
         material = new THREE.MeshLambertMaterial({ color: 0x0000ff });
         break;
+      case 'note':
+        geometry = new THREE.PlaneGeometry(0.3, 0.3); // a 30cm square of paper
+        material = new THREE.MeshBasicMaterial({
+          map: new THREE.CanvasTexture(this.drawNote(document.createElement('canvas'), properties)),
+          side: THREE.DoubleSide
+        });
+        break;
       default:
         geometry = new THREE.BoxGeometry(1, 1, 1);
         material = new THREE.MeshLambertMaterial({ color: 0xcccccc });
@@ -407,7 +512,7 @@ class AREngine {
     mesh.scale.set(...scale);
     mesh.castShadow = true;
     mesh.receiveShadow = true;
-    mesh.userData = { id, type, properties };
+    mesh.userData = { id, type, properties, version: objectData.version };
     
     this.scene.add(mesh);
     this.sharedObjects.set(id, mesh);
@@ -415,7 +520,60 @@ class AREngine {
     return mesh;
   }
 
+  updateObject(objectId, changes) {
+    const object = this.sharedObjects.get(objectId);
+    if (!object) return null;
+    
+    if (changes.position) object.position.set(...changes.position);
+    if (changes.rotation) object.rotation.set(...changes.rotation);
+    if (changes.scale) object.scale.set(...changes.scale);
+    
+    if (changes.properties) {
+      object.userData.properties = { ...object.userData.properties, ...changes.properties };
+      
+      if (object.userData.type === 'note') {
+        this.drawNote(object.material.map.image, object.userData.properties);
+        object.material.map.needsUpdate = true;
+      }
+    }
+    
+    if (changes.version !== undefined) {
+      object.userData.version = changes.version;
+    }
+    
+    return object;
+  }
+
+  // Outline objects another user is holding, in that user's color
+  setObjectLock(objectId, userId) {
+    this.clearObjectLock(objectId);
+    
+    const object = this.sharedObjects.get(objectId);
+    if (!object || !userId || userId === this.getCurrentUserId()) return;
+    
+    const helper = new THREE.BoxHelper(object, this.getUserColor(userId));
+    helper.userData = { type: 'lock-highlight', objectId };
+    
+    this.scene.add(helper);
+    this.lockHighlights.set(objectId, { userId, helper });
+  }
+
+  clearObjectLock(objectId) {
+    const highlight = this.lockHighlights.get(objectId);
+    if (highlight) {
+      this.scene.remove(highlight.helper);
+      highlight.helper.geometry.dispose();
+      this.lockHighlights.delete(objectId);
+    }
+  }
+
+  isLockedByOther(objectId) {
+    return this.lockHighlights.has(objectId);
+  }
+
   removeObject(objectId) {
+    this.clearObjectLock(objectId);
+    
     const object = this.sharedObjects.get(objectId);
     if (object) {
       this.scene.remove(object);
@@ -440,6 +598,186 @@ class AREngine {
     return Math.abs(hash);
   }
 
+  // Distance from the camera to a remote avatar and whether it is in view; null if unknown
+  getAvatarView(userId) {
+    const avatar = this.userObjects.get(userId);
+    if (!avatar) return null;
+    
+    const camera = this.renderer.xr.isPresenting
+      ? this.renderer.xr.getCamera(this.camera)
+      : this.camera;
+    
+    camera.updateMatrixWorld();
+    const frustum = new THREE.Frustum().setFromProjectionMatrix(
+      new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    );
+    
+    return {
+      distance: camera.getWorldPosition(new THREE.Vector3()).distanceTo(avatar.position),
+      inView: frustum.intersectsObject(avatar)
+    };
+  }
+
+  // Sticky notes
+  // Paper with a stripe in the author's color and the text wrapped to fit; returns the canvas
+  drawNote(canvas, properties = {}) {
+    const size = 512;
+    const padding = 36;
+    const stripe = 40;
+    const lineHeight = 44;
+    
+    canvas.width = size;
+    canvas.height = size;
+    
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff6a8';
+    context.fillRect(0, 0, size, size);
+    
+    context.fillStyle = properties.authorId
+      ? this.getUserColor(properties.authorId).getStyle()
+      : '#cccccc';
+    context.fillRect(0, 0, size, stripe);
+    
+    context.fillStyle = '#222222';
+    context.font = '34px sans-serif';
+    context.textBaseline = 'top';
+    
+    const maxLines = Math.floor((size - stripe - padding * 2) / lineHeight);
+    const lines = this.wrapText(context, properties.text || '', size - padding * 2);
+    
+    lines.slice(0, maxLines).forEach((line, index) => {
+      const text = index === maxLines - 1 && lines.length > maxLines ? `${line.replace(/.$/, '')}…` : line;
+      context.fillText(text, padding, stripe + padding + index * lineHeight);
+    });
+    
+    return canvas;
+  }
+
+  // Breaks text into lines no wider than maxWidth, at spaces where possible
+  wrapText(context, text, maxWidth) {
+    const lines = [];
+    
+    text.split('\n').forEach(paragraph => {
+      let line = '';
+      
+      paragraph.split(/(\s+)/).forEach(word => {
+        const candidate = line + word;
+        if (context.measureText(candidate).width <= maxWidth) {
+          line = candidate;
+          return;
+        }
+        
+        if (line.trim()) lines.push(line.trimEnd());
+        line = word.trimStart();
+        
+        // A single word wider than the note is split wherever it overflows
+        while (context.measureText(line).width > maxWidth && line.length > 1) {
+          let end = line.length - 1;
+          while (end > 1 && context.measureText(line.slice(0, end)).width > maxWidth) end--;
+          lines.push(line.slice(0, end));
+          line = line.slice(end);
+        }
+      });
+      
+      lines.push(line.trimEnd());
+    });
+    
+    return lines;
+  }
+
+  // Floating panels
+  // Shows `canvas` on a plane in front of the user; call again after redrawing the canvas
+  showFloatingPanel(panelId, canvas, options = {}) {
+    let panel = this.floatingPanels.get(panelId);
+    
+    if (!panel) {
+      const width = options.width || 0.6; // meters
+      const texture = new THREE.CanvasTexture(canvas);
+      const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(width, width * canvas.height / canvas.width),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthTest: false })
+      );
+      
+      // Drawn over the scene so it can't end up inside a wall or an avatar
+      mesh.renderOrder = 1000;
+      mesh.userData = { type: 'floating-panel', panelId };
+      
+      panel = {
+        mesh,
+        texture,
+        distance: options.distance || 1, // meters in front of the user
+        drop: options.drop ?? 0.25 // meters below eye level, so it doesn't cover the room
+      };
+      this.floatingPanels.set(panelId, panel);
+    }
+    
+    // Clearing the room's scene takes the panel with it
+    if (!panel.mesh.parent) {
+      this.scene.add(panel.mesh);
+      this.placeFloatingPanel(panel);
+    }
+    
+    panel.texture.needsUpdate = true;
+    
+    return panel.mesh;
+  }
+
+  hideFloatingPanel(panelId) {
+    const panel = this.floatingPanels.get(panelId);
+    if (!panel) return;
+    
+    this.scene.remove(panel.mesh);
+    panel.mesh.geometry.dispose();
+    panel.mesh.material.dispose();
+    panel.texture.dispose();
+    
+    this.floatingPanels.delete(panelId);
+  }
+
+  placeFloatingPanel(panel) {
+    const camera = this.renderer.xr.isPresenting
+      ? this.renderer.xr.getCamera(this.camera)
+      : this.camera;
+    
+    const eye = camera.getWorldPosition(new THREE.Vector3());
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    
+    // Level with the floor, so looking down at the panel doesn't push it into the ground
+    forward.y = 0;
+    if (forward.lengthSq() === 0) forward.set(0, 0, -1);
+    forward.normalize();
+    
+    panel.mesh.position.copy(eye).addScaledVector(forward, panel.distance);
+    panel.mesh.position.y -= panel.drop;
+    panel.mesh.lookAt(eye.x, panel.mesh.position.y, eye.z);
+  }
+
+  // Panels stay where they are while in view and drift back in front once the user turns away
+  updateFloatingPanels() {
+    if (this.floatingPanels.size === 0) return;
+    
+    const camera = this.renderer.xr.isPresenting
+      ? this.renderer.xr.getCamera(this.camera)
+      : this.camera;
+    
+    const eye = camera.getWorldPosition(new THREE.Vector3());
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    
+    for (const panel of this.floatingPanels.values()) {
+      if (!panel.mesh.parent) continue;
+      
+      const toPanel = panel.mesh.position.clone().sub(eye).normalize();
+      if (forward.angleTo(toPanel) > Math.PI / 3) {
+        this.placeFloatingPanel(panel);
+      }
+    }
+  }
+
+  // Everything in the scene except UI panels
+  getInteractiveObjects() {
+    return this.scene.children.filter(child => child.userData?.type !== 'floating-panel');
+  }
+
   getCurrentUserId() {
     // This would be set by the main application
     return window.currentUserId || 'anonymous';
@@ -451,6 +789,8 @@ class AREngine {
       
       // Update tracked objects
       this.updateTrackedObjects();
+      this.updateAvatarPoses(performance.now());
+      this.updateFloatingPanels();
       
       // Render scene
       this.renderer.render(this.scene, this.camera);
@@ -470,6 +810,11 @@ class AREngine {
         object.userData.trackingCallback(object);
       }
     }
+    
+    // Keep lock outlines on objects that are being moved
+    for (const { helper } of this.lockHighlights.values()) {
+      helper.update();
+    }
   }
 
   handleSessionEnd() {
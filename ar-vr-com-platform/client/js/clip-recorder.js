@@ -0,0 +1,211 @@
+/**
+ * Clip Recorder for AR/VR Communication Platform
+ * Records what this user sees and hears into a WebM file: the AREngine
+ * canvas (kept readable by `preserveDrawingBuffer`) combined with the
+ * SpatialAudio mix tapped after `masterGain`, plus the user's own microphone.
+ * Whether a room may be recorded at all is decided by the platform; this
+ * class only captures.
+ */
+export class ClipRecorder {
+  constructor(arEngine, options = {}) {
+    this.arEngine = arEngine;
+    // SpatialAudio may be set up after us, so it is looked up when recording starts
+    this.getSpatialAudio = options.getSpatialAudio || (() => null);
+
+    // Configuration
+    this.config = {
+      frameRate: options.frameRate || 30,
+      mimeTypes: [
+        'video/webm;codecs=vp9,opus',
+        'video/webm;codecs=vp8,opus',
+        'video/webm'
+      ],
+      videoBitsPerSecond: options.videoBitsPerSecond || 5000000,
+      audioBitsPerSecond: 128000,
+      timeslice: 1000, // ms of media per chunk, so a crash mid-clip loses at most a second
+      maxDuration: options.maxDuration || 30 * 60 * 1000, // clips stop themselves after this long
+      includeMicrophone: options.includeMicrophone ?? true
+    };
+
+    this.recorder = null;
+    this.stream = null;
+    this.audioTap = null; // { destination, sources } while the audio graph is tapped
+    this.chunks = [];
+    this.mimeType = null;
+    this.startedAt = 0;
+    this.stopReason = null;
+    this.maxDurationTimer = null;
+
+    // Event handlers
+    this.eventHandlers = new Map();
+  }
+
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  isRecording() {
+    return this.recorder !== null;
+  }
+
+  getDuration() {
+    return this.recorder ? Date.now() - this.startedAt : 0;
+  }
+
+  start() {
+    if (this.recorder) {
+      throw new Error('Already recording');
+    }
+
+    if (!ClipRecorder.isSupported()) {
+      throw new Error('This browser cannot record the view');
+    }
+
+    const canvas = this.arEngine?.renderer?.domElement;
+    if (!canvas) {
+      throw new Error('Nothing to record yet');
+    }
+
+    const videoTracks = canvas.captureStream(this.config.frameRate).getVideoTracks();
+    const audioTracks = this.tapAudio();
+
+    this.stream = new MediaStream([...videoTracks, ...audioTracks]);
+    this.mimeType = this.config.mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    this.chunks = [];
+    this.stopReason = null;
+
+    this.recorder = new MediaRecorder(this.stream, {
+      ...(this.mimeType && { mimeType: this.mimeType }),
+      videoBitsPerSecond: this.config.videoBitsPerSecond,
+      audioBitsPerSecond: this.config.audioBitsPerSecond
+    });
+
+    this.recorder.addEventListener('dataavailable', (event) => {
+      if (event.data?.size > 0) {
+        this.chunks.push(event.data);
+      }
+    });
+
+    this.recorder.addEventListener('stop', () => this.finish());
+
+    this.recorder.addEventListener('error', (event) => {
+      console.error('Clip recording failed:', event.error);
+      this.stop('error');
+    });
+
+    this.recorder.start(this.config.timeslice);
+    this.startedAt = Date.now();
+
+    this.maxDurationTimer = setTimeout(() => this.stop('max-duration'), this.config.maxDuration);
+
+    console.log(`⏺️ Clip recording started (${this.mimeType || 'browser default'}${audioTracks.length ? '' : ', no audio'})`);
+
+    this.emit('clip-recording-started', { mimeType: this.mimeType, hasAudio: audioTracks.length > 0 });
+  }
+
+  stop(reason = 'stopped') {
+    if (!this.recorder || this.recorder.state === 'inactive') return;
+
+    this.stopReason = reason;
+    this.recorder.stop();
+  }
+
+  // Connects the spatial mix and microphone to a recording destination; returns its audio tracks
+  tapAudio() {
+    const spatialAudio = this.getSpatialAudio();
+    const { audioContext, masterGain } = spatialAudio || {};
+
+    if (!audioContext || !masterGain) {
+      console.warn('⚠️ Spatial audio is not running; recording video only');
+      return [];
+    }
+
+    const destination = audioContext.createMediaStreamDestination();
+    const sources = [masterGain];
+
+    // The microphone isn't part of the mix we hear, but a clip without our own voice is odd
+    const microphone = spatialAudio.processingNodes?.get('microphoneGain');
+    if (this.config.includeMicrophone && microphone) {
+      sources.push(microphone);
+    }
+
+    sources.forEach(source => source.connect(destination));
+    this.audioTap = { destination, sources };
+
+    return destination.stream.getAudioTracks();
+  }
+
+  untapAudio() {
+    if (!this.audioTap) return;
+
+    const { destination, sources } = this.audioTap;
+    sources.forEach(source => {
+      try {
+        source.disconnect(destination);
+      } catch (error) {
+        // Already disconnected when the audio graph was torn down
+      }
+    });
+
+    this.audioTap = null;
+  }
+
+  finish() {
+    clearTimeout(this.maxDurationTimer);
+    this.maxDurationTimer = null;
+
+    const duration = Date.now() - this.startedAt;
+    const type = this.mimeType.split(';')[0] || 'video/webm';
+    const blob = new Blob(this.chunks, { type });
+
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.untapAudio();
+
+    this.recorder = null;
+    this.stream = null;
+    this.chunks = [];
+
+    const reason = this.stopReason || 'stopped';
+    console.log(`⏹️ Clip recording stopped (${reason}, ${Math.round(duration / 1000)}s, ${blob.size} bytes)`);
+
+    this.emit('clip-recording-stopped', { reason, duration });
+
+    if (blob.size > 0) {
+      const name = `session-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}.webm`;
+      this.emit('clip-ready', { blob, name, duration, mimeType: type });
+    }
+  }
+
+  // Event system
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      const index = handlers.indexOf(handler);
+      if (index > -1) {
+        handlers.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      handlers.forEach(handler => {
+        try {
+          handler(data);
+        } catch (error) {
+          console.error(`Clip recorder event handler error for ${event}:`, error);
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,595 @@
+/**
+ * File Transfer for AR/VR Communication Platform
+ * Sends files (glTF models, images, PDFs) peer to peer over the `file` data
+ * channel, in chunks small enough for every browser. Sending waits whenever
+ * the channel's buffer fills up, interrupted transfers resume where they
+ * stopped once the channel reopens, and the receiver checks the assembled
+ * file against the sender's SHA-256 before handing it out.
+ */
+export const FILE_CHANNEL = 'file';
+
+// Binary frames on the file channel reach the message router with this type
+export const FILE_CHUNK_MESSAGE = 'file-chunk';
+
+// Every chunk starts with the sender's stream number and the chunk index, as big-endian uint32s
+const CHUNK_HEADER_BYTES = 8;
+
+export class FileTransfer {
+  constructor(webrtcClient, options = {}) {
+    this.webrtcClient = webrtcClient;
+
+    this.outgoing = new Map(); // transferId -> { userId, file, hash, stream, offset, status, ... }
+    this.incoming = new Map(); // transferId -> { userId, name, size, hash, chunks, received, status, ... }
+    this.incomingStreams = new Map(); // `${userId}:${stream}` -> transferId
+    this.nextStream = 1;
+
+    // Configuration
+    this.config = {
+      chunkSize: 16384 - CHUNK_HEADER_BYTES, // whole messages stay within 16KB, the most every browser accepts
+      maxFileSize: options.maxFileSize || 200 * 1024 * 1024, // both ends hold the whole file in memory
+      readChunks: 64, // read the file from disk this many chunks (about 1MB) at a time
+      highWaterMark: 1024 * 1024, // stop sending while this much is buffered on the channel
+      lowWaterMark: 256 * 1024, // and carry on once it drains to this
+      autoAccept: options.autoAccept ?? true,
+      resumeTimeout: 5 * 60 * 1000, // keep partial downloads this long for the sender to reconnect
+      integrityRetries: 1, // restarts from scratch after a hash mismatch
+      progressInterval: 250 // ms between progress events per transfer
+    };
+
+    // Event handlers
+    this.eventHandlers = new Map();
+
+    this.setupMessageHandlers();
+    this.setupConnectionHandlers();
+  }
+
+  setupMessageHandlers() {
+    const handlers = {
+      'file-offer': (message, { userId }) => this.handleOffer(userId, message),
+      'file-accept': (message, { userId }) => this.handleAccept(userId, message),
+      'file-reject': (message, { userId }) => this.handleReject(userId, message),
+      'file-complete': (message, { userId }) => this.handleComplete(userId, message),
+      'file-cancel': (message, { userId }) => this.handleCancel(userId, message),
+      [FILE_CHUNK_MESSAGE]: (message, { userId }) => this.handleChunk(userId, message.data)
+    };
+
+    Object.entries(handlers).forEach(([type, handler]) => {
+      this.webrtcClient.onMessage(type, handler);
+    });
+  }
+
+  setupConnectionHandlers() {
+    this.webrtcClient.on('data-channel-opened', ({ userId, channel }) => {
+      if (channel === FILE_CHANNEL) {
+        this.resumeOutgoing(userId);
+      }
+    });
+
+    this.webrtcClient.on('data-channel-closed', ({ userId, channel }) => {
+      if (channel === FILE_CHANNEL) {
+        this.pauseTransfers(userId);
+      }
+    });
+
+    this.webrtcClient.on('user-left', ({ userId }) => {
+      // Partial downloads from them are kept in case they come back
+      this.getOutgoingTo(userId).forEach(transfer => this.failOutgoing(transfer, 'peer-left'));
+    });
+
+    this.webrtcClient.on('room-left', () => {
+      // The channels are already gone, so peers find out when their partial downloads expire
+      this.cancelAll('room-left', false);
+    });
+  }
+
+  // Sending
+  async sendFile(userId, file) {
+    const [transferId] = await this.sendFileToUsers([userId], file);
+    return transferId;
+  }
+
+  // Offers the file to everyone with an open file channel; returns the transfer IDs
+  async sendFileToRoom(file) {
+    const userIds = Array.from(this.webrtcClient.roomUsers.keys())
+      .filter(userId => this.isChannelOpen(userId));
+
+    return this.sendFileToUsers(userIds, file);
+  }
+
+  async sendFileToUsers(userIds, file) {
+    if (file.size > this.config.maxFileSize) {
+      throw new Error(`${file.name} is larger than ${Math.round(this.config.maxFileSize / 1024 / 1024)}MB`);
+    }
+
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const hash = await hashBuffer(await file.arrayBuffer());
+
+    return userIds.map(userId => {
+      const transfer = {
+        transferId: this.generateTransferId(),
+        userId,
+        file,
+        hash,
+        stream: this.nextStream++ % 0xffffffff,
+        offset: 0,
+        status: 'offered',
+        integrityRetries: this.config.integrityRetries,
+        readWindow: null,
+        pumping: false,
+        lastProgressAt: 0,
+        startedAt: Date.now()
+      };
+
+      this.outgoing.set(transfer.transferId, transfer);
+      this.sendOffer(transfer);
+
+      console.log(`📦 Offering ${file.name} (${file.size} bytes) to ${userId}`);
+
+      return transfer.transferId;
+    });
+  }
+
+  sendOffer(transfer) {
+    const { transferId, userId, file, hash, stream } = transfer;
+
+    return this.webrtcClient.sendDataToUser(userId, {
+      type: 'file-offer',
+      transferId,
+      stream,
+      name: file.name,
+      mimeType: file.type || 'application/octet-stream',
+      size: file.size,
+      chunkSize: this.config.chunkSize,
+      hash
+    }, FILE_CHANNEL);
+  }
+
+  handleAccept(userId, { transferId, offset = 0 }) {
+    const transfer = this.outgoing.get(transferId);
+    if (!transfer || transfer.userId !== userId) return;
+
+    // Anything but a chunk boundary we sent would misalign the receiver
+    if (offset < 0 || offset > transfer.file.size || offset % this.config.chunkSize !== 0) {
+      this.failOutgoing(transfer, 'invalid-offset', true);
+      return;
+    }
+
+    const resumed = transfer.status === 'paused' || transfer.offset > 0;
+    transfer.offset = offset;
+    transfer.status = 'sending';
+
+    this.emit(resumed ? 'file-transfer-resumed' : 'file-transfer-started', this.describe(transfer, 'send'));
+    this.pump(transfer);
+  }
+
+  async pump(transfer) {
+    if (transfer.pumping) return;
+    transfer.pumping = true;
+
+    try {
+      while (transfer.status === 'sending' && transfer.offset < transfer.file.size) {
+        const dataChannel = this.webrtcClient.getDataChannel(transfer.userId, FILE_CHANNEL);
+        if (!dataChannel || dataChannel.readyState !== 'open') {
+          this.pauseTransfer(transfer, 'send');
+          break;
+        }
+
+        // Backpressure: send() never blocks, it just queues, so wait for the queue to drain
+        if (dataChannel.bufferedAmount > this.config.highWaterMark) {
+          await this.waitForDrain(dataChannel);
+          continue;
+        }
+
+        const frame = await this.readChunk(transfer, transfer.offset);
+        dataChannel.send(frame);
+
+        transfer.offset += frame.byteLength - CHUNK_HEADER_BYTES;
+        this.emitProgress(transfer, 'send', transfer.offset);
+      }
+
+      if (transfer.status === 'sending' && transfer.offset >= transfer.file.size) {
+        // Done once the receiver confirms the hash
+        transfer.status = 'verifying';
+        this.emitProgress(transfer, 'send', transfer.offset, true);
+      }
+    } catch (error) {
+      console.error(`Failed to send ${transfer.file.name} to ${transfer.userId}:`, error);
+      this.failOutgoing(transfer, 'send-error', true);
+    } finally {
+      transfer.pumping = false;
+    }
+  }
+
+  async readChunk(transfer, offset) {
+    const { file, stream } = transfer;
+    let window = transfer.readWindow;
+
+    if (!window || offset < window.start || offset >= window.start + window.buffer.byteLength) {
+      // Whole chunks only, so every chunk but the last is full size
+      const end = Math.min(offset + this.config.chunkSize * this.config.readChunks, file.size);
+      window = { start: offset, buffer: await file.slice(offset, end).arrayBuffer() };
+      transfer.readWindow = window;
+    }
+
+    const start = offset - window.start;
+    const payload = new Uint8Array(window.buffer, start, Math.min(this.config.chunkSize, window.buffer.byteLength - start));
+
+    const frame = new Uint8Array(CHUNK_HEADER_BYTES + payload.byteLength);
+    const view = new DataView(frame.buffer);
+    view.setUint32(0, stream);
+    view.setUint32(4, offset / this.config.chunkSize);
+    frame.set(payload, CHUNK_HEADER_BYTES);
+
+    return frame.buffer;
+  }
+
+  waitForDrain(dataChannel) {
+    dataChannel.bufferedAmountLowThreshold = this.config.lowWaterMark;
+
+    return new Promise(resolve => {
+      const done = () => {
+        dataChannel.removeEventListener('bufferedamountlow', done);
+        dataChannel.removeEventListener('close', done);
+        resolve();
+      };
+
+      dataChannel.addEventListener('bufferedamountlow', done);
+      dataChannel.addEventListener('close', done);
+    });
+  }
+
+  handleComplete(userId, { transferId, verified }) {
+    const transfer = this.outgoing.get(transferId);
+    if (!transfer || transfer.userId !== userId) return;
+
+    this.outgoing.delete(transferId);
+
+    if (verified) {
+      console.log(`📦 ${transfer.file.name} delivered to ${userId}`);
+      this.emit('file-sent', this.describe(transfer, 'send'));
+    } else {
+      this.emit('file-transfer-failed', { ...this.describe(transfer, 'send'), reason: 'hash-mismatch' });
+    }
+  }
+
+  handleReject(userId, { transferId, reason }) {
+    const transfer = this.outgoing.get(transferId);
+    if (!transfer || transfer.userId !== userId) return;
+
+    this.failOutgoing(transfer, reason || 'rejected');
+  }
+
+  // Receiving
+  handleOffer(userId, offer) {
+    const { transferId, stream, name, size, chunkSize, hash } = offer;
+
+    if (typeof transferId !== 'string' || !Number.isInteger(size) || size < 0 || !Number.isInteger(stream) ||
+        typeof hash !== 'string' || chunkSize !== this.config.chunkSize) {
+      this.webrtcClient.sendDataToUser(userId, { type: 'file-reject', transferId, reason: 'invalid-offer' }, FILE_CHANNEL);
+      return;
+    }
+
+    // The sender offers again after a reconnect; pick up where we stopped
+    const existing = this.incoming.get(transferId);
+    if (existing && existing.userId === userId && existing.hash === hash) {
+      clearTimeout(existing.expiryTimer);
+      this.incomingStreams.delete(`${userId}:${existing.stream}`);
+      existing.stream = stream;
+      this.incomingStreams.set(`${userId}:${stream}`, transferId);
+
+      if (existing.status === 'paused') {
+        this.acceptFile(transferId);
+      }
+      return;
+    }
+
+    if (size > this.config.maxFileSize) {
+      this.webrtcClient.sendDataToUser(userId, { type: 'file-reject', transferId, reason: 'too-large' }, FILE_CHANNEL);
+      return;
+    }
+
+    const transfer = {
+      transferId,
+      userId,
+      stream,
+      name: String(name || 'file').slice(0, 255),
+      mimeType: offer.mimeType || 'application/octet-stream',
+      size,
+      hash,
+      chunks: [],
+      received: 0,
+      status: 'offered',
+      integrityRetries: this.config.integrityRetries,
+      expiryTimer: null,
+      lastProgressAt: 0,
+      startedAt: Date.now()
+    };
+
+    this.incoming.set(transferId, transfer);
+    this.incomingStreams.set(`${userId}:${stream}`, transferId);
+
+    this.emit('file-offer', this.describe(transfer, 'receive'));
+
+    if (this.config.autoAccept) {
+      this.acceptFile(transferId);
+    }
+  }
+
+  acceptFile(transferId) {
+    const transfer = this.incoming.get(transferId);
+    if (!transfer) return false;
+
+    const resumed = transfer.status === 'paused';
+    const sent = this.webrtcClient.sendDataToUser(transfer.userId, {
+      type: 'file-accept',
+      transferId,
+      offset: transfer.received
+    }, FILE_CHANNEL);
+
+    if (!sent) return false;
+
+    transfer.status = 'receiving';
+    this.emit(resumed ? 'file-transfer-resumed' : 'file-transfer-started', this.describe(transfer, 'receive'));
+
+    if (transfer.received === transfer.size) {
+      this.finishIncoming(transfer);
+    }
+
+    return true;
+  }
+
+  rejectFile(transferId) {
+    const transfer = this.incoming.get(transferId);
+    if (!transfer) return;
+
+    this.webrtcClient.sendDataToUser(transfer.userId, { type: 'file-reject', transferId, reason: 'rejected' }, FILE_CHANNEL);
+    this.discardIncoming(transfer);
+  }
+
+  handleChunk(userId, data) {
+    if (!(data instanceof ArrayBuffer) || data.byteLength < CHUNK_HEADER_BYTES) return;
+
+    const view = new DataView(data);
+    const transfer = this.incoming.get(this.incomingStreams.get(`${userId}:${view.getUint32(0)}`));
+    if (!transfer || transfer.status !== 'receiving') return;
+
+    // The channel is ordered, so anything but the next chunk is left over from before a resume
+    const index = view.getUint32(4);
+    if (index !== transfer.chunks.length) return;
+
+    const payload = data.slice(CHUNK_HEADER_BYTES);
+    if (transfer.received + payload.byteLength > transfer.size) {
+      this.failIncoming(transfer, 'oversized', true);
+      return;
+    }
+
+    transfer.chunks.push(payload);
+    transfer.received += payload.byteLength;
+    this.emitProgress(transfer, 'receive', transfer.received);
+
+    if (transfer.received === transfer.size) {
+      this.finishIncoming(transfer);
+    }
+  }
+
+  async finishIncoming(transfer) {
+    transfer.status = 'verifying';
+    this.emitProgress(transfer, 'receive', transfer.received, true);
+
+    try {
+      const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+      const verified = await hashBuffer(await blob.arrayBuffer()) === transfer.hash;
+
+      if (!verified && transfer.integrityRetries > 0) {
+        console.warn(`📦 ${transfer.name} from ${transfer.userId} failed its hash check, starting over`);
+        transfer.integrityRetries--;
+        transfer.chunks = [];
+        transfer.received = 0;
+        transfer.status = 'paused';
+        this.acceptFile(transfer.transferId);
+        return;
+      }
+
+      this.webrtcClient.sendDataToUser(transfer.userId, {
+        type: 'file-complete',
+        transferId: transfer.transferId,
+        verified
+      }, FILE_CHANNEL);
+
+      if (!verified) {
+        this.failIncoming(transfer, 'hash-mismatch');
+        return;
+      }
+
+      this.forgetIncoming(transfer);
+
+      console.log(`📦 Received ${transfer.name} (${transfer.size} bytes) from ${transfer.userId}`);
+      this.emit('file-received', {
+        ...this.describe(transfer, 'receive'),
+        file: typeof File === 'function' ? new File([blob], transfer.name, { type: transfer.mimeType }) : blob
+      });
+    } catch (error) {
+      console.error(`Failed to verify ${transfer.name}:`, error);
+      this.failIncoming(transfer, 'verify-error', true);
+    }
+  }
+
+  // Interruptions
+  pauseTransfers(userId) {
+    this.getOutgoingTo(userId)
+      .filter(transfer => transfer.status === 'sending' || transfer.status === 'offered')
+      .forEach(transfer => this.pauseTransfer(transfer, 'send'));
+
+    Array.from(this.incoming.values())
+      .filter(transfer => transfer.userId === userId && transfer.status === 'receiving')
+      .forEach(transfer => this.pauseTransfer(transfer, 'receive'));
+  }
+
+  pauseTransfer(transfer, direction) {
+    if (transfer.status === 'paused') return;
+    transfer.status = 'paused';
+
+    if (direction === 'receive') {
+      clearTimeout(transfer.expiryTimer);
+      transfer.expiryTimer = setTimeout(() => {
+        this.failIncoming(transfer, 'timeout');
+      }, this.config.resumeTimeout);
+    }
+
+    console.log(`📦 Transfer of ${transfer.name || transfer.file.name} paused`);
+    this.emit('file-transfer-paused', this.describe(transfer, direction));
+  }
+
+  // The receiver answers a repeated offer with how much it already has
+  resumeOutgoing(userId) {
+    this.getOutgoingTo(userId)
+      .filter(transfer => transfer.status === 'paused')
+      .forEach(transfer => this.sendOffer(transfer));
+  }
+
+  cancelTransfer(transferId) {
+    const outgoing = this.outgoing.get(transferId);
+    if (outgoing) {
+      this.failOutgoing(outgoing, 'cancelled', true);
+      return;
+    }
+
+    const incoming = this.incoming.get(transferId);
+    if (incoming) {
+      this.failIncoming(incoming, 'cancelled', true);
+    }
+  }
+
+  handleCancel(userId, { transferId, reason }) {
+    const outgoing = this.outgoing.get(transferId);
+    if (outgoing?.userId === userId) {
+      this.failOutgoing(outgoing, reason || 'cancelled');
+    }
+
+    const incoming = this.incoming.get(transferId);
+    if (incoming?.userId === userId) {
+      this.failIncoming(incoming, reason || 'cancelled');
+    }
+  }
+
+  cancelAll(reason = 'cancelled', notifyPeers = true) {
+    Array.from(this.outgoing.values()).forEach(transfer => this.failOutgoing(transfer, reason, notifyPeers));
+    Array.from(this.incoming.values()).forEach(transfer => this.failIncoming(transfer, reason, notifyPeers));
+  }
+
+  failOutgoing(transfer, reason, notifyPeer = false) {
+    transfer.status = 'failed';
+    this.outgoing.delete(transfer.transferId);
+
+    if (notifyPeer) {
+      this.webrtcClient.sendDataToUser(transfer.userId, { type: 'file-cancel', transferId: transfer.transferId, reason }, FILE_CHANNEL);
+    }
+
+    this.emit('file-transfer-failed', { ...this.describe(transfer, 'send'), reason });
+  }
+
+  failIncoming(transfer, reason, notifyPeer = false) {
+    if (notifyPeer) {
+      this.webrtcClient.sendDataToUser(transfer.userId, { type: 'file-cancel', transferId: transfer.transferId, reason }, FILE_CHANNEL);
+    }
+
+    this.discardIncoming(transfer);
+    this.emit('file-transfer-failed', { ...this.describe(transfer, 'receive'), reason });
+  }
+
+  discardIncoming(transfer) {
+    transfer.status = 'failed';
+    transfer.chunks = [];
+    this.forgetIncoming(transfer);
+  }
+
+  forgetIncoming(transfer) {
+    clearTimeout(transfer.expiryTimer);
+    this.incoming.delete(transfer.transferId);
+    this.incomingStreams.delete(`${transfer.userId}:${transfer.stream}`);
+  }
+
+  // Helpers
+  isChannelOpen(userId) {
+    return this.webrtcClient.getDataChannel(userId, FILE_CHANNEL)?.readyState === 'open';
+  }
+
+  getOutgoingTo(userId) {
+    return Array.from(this.outgoing.values()).filter(transfer => transfer.userId === userId);
+  }
+
+  generateTransferId() {
+    return `file_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  emitProgress(transfer, direction, bytes, force = false) {
+    const now = Date.now();
+    if (!force && now - transfer.lastProgressAt < this.config.progressInterval) return;
+    transfer.lastProgressAt = now;
+
+    const size = transfer.size ?? transfer.file.size;
+    this.emit('file-transfer-progress', {
+      ...this.describe(transfer, direction),
+      bytes,
+      progress: size ? bytes / size : 1
+    });
+  }
+
+  describe(transfer, direction) {
+    return {
+      transferId: transfer.transferId,
+      userId: transfer.userId,
+      direction,
+      name: transfer.name ?? transfer.file.name,
+      mimeType: transfer.mimeType ?? (transfer.file.type || 'application/octet-stream'),
+      size: transfer.size ?? transfer.file.size,
+      status: transfer.status
+    };
+  }
+
+  getTransfers() {
+    return [
+      ...Array.from(this.outgoing.values()).map(transfer => ({ ...this.describe(transfer, 'send'), bytes: transfer.offset })),
+      ...Array.from(this.incoming.values()).map(transfer => ({ ...this.describe(transfer, 'receive'), bytes: transfer.received }))
+    ];
+  }
+
+  // Event System
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      const index = handlers.indexOf(handler);
+      if (index > -1) {
+        handlers.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      handlers.forEach(handler => {
+        try {
+          handler(data);
+        } catch (error) {
+          console.error(`File transfer event handler error for ${event}:`, error);
+        }
+      });
+    }
+  }
+}
+
+async function hashBuffer(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
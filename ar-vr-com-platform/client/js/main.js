@@ -3,6 +3,9 @@ import { DeviceConnector } from './device-connector.js';
 import { WebRTCClient } from './webrtc-client.js';
 import { SpatialAudio } from './spatial-audio.js';
 import { UIManager } from './ui-manager.js';
+import { SessionPlayer } from './session-player.js';
+import { ClipRecorder } from './clip-recorder.js';
+import { WIRE_FORMATS, BINARY_EVENT, NetIdRegistry, encodeMessage, decodeMessage } from './wire-format.js';
 
 /**
  * AR/VR Communication Platform
@@ -22,14 +25,49 @@ class ARVRComPlatform {
     // Connection state
     this.socket = null;
     this.isConnected = false;
+    this.wireFormat = WIRE_FORMATS.JSON; // until the server agrees to binary
+    this.netIds = new NetIdRegistry();
     this.currentRoom = null;
     this.currentUser = null;
+    this.authToken = null; // signed session token; the server assigns our user ID
+    
+    // Session resume: the token survives a dropped socket, the sequence says how far we got
+    this.resumeToken = null;
+    this.roomSequence = 0;
+    this.lastJoinCredentials = {};
+    
+    // Session recording of the current room, and the player while watching a recording
+    this.activeRecording = null;
+    this.sessionPlayer = null;
+    
+    // Clips of our own view, and everyone in the room currently recording one (userId -> startedAt)
+    this.clipRecorder = null;
+    this.clipRecordings = new Map();
+    this.clipRequestPending = false; // asked the server, waiting for the room to be told
     
     // Application state
     this.isInitialized = false;
     this.connectedDevices = new Map();
     this.roomUsers = new Map();
     this.sharedObjects = new Map();
+    this.heldObjects = new Map(); // objectId -> lock renewal timer
+    
+    // Own pose publishing; the server re-batches poses into snapshots at its own tick rate
+    this.poseConfig = {
+      sendRate: 20, // Hz
+      positionThreshold: 0.005, // meters
+      rotationThreshold: 0.005 // radians
+    };
+    this.lastSentPose = null;
+    this.lastPoseSentAt = 0;
+    
+    // Remote video quality by how prominent each avatar is on screen
+    this.videoLayerConfig = {
+      updateInterval: 1000, // ms
+      mediumDistance: 4, // meters; beyond this ask for the medium layer
+      lowDistance: 10 // and beyond this, or off-screen, for the low layer
+    };
+    this.lastVideoLayerUpdate = 0;
     
     // Performance monitoring
     this.performanceStats = {
@@ -131,14 +169,17 @@ class ARVRComPlatform {
   }
 
   async initializeCoreSystem() {
-    // Generate user ID
+    // The server assigns the user ID inside the session token
+    const session = await this.authenticate();
+    
     this.currentUser = {
-      id: this.generateUserId(),
+      id: session.user.id,
       name: this.getUserName(),
       avatar: this.getDefaultAvatar(),
       position: [0, 0, 0],
       rotation: [0, 0, 0],
-      isActive: true
+      isActive: true,
+      canForward: this.canForwardMedia()
     };
     
     // Set global user reference
@@ -147,6 +188,54 @@ class ARVRComPlatform {
     console.log('👤 User initialized:', this.currentUser);
   }
 
+  async authenticate() {
+    // A stored, still-valid token is renewed under the same user ID
+    const storedToken = this.authToken || localStorage.getItem('ar-vr-auth-token');
+    const headers = { 'Content-Type': 'application/json' };
+    if (storedToken) {
+      headers.Authorization = `Bearer ${storedToken}`;
+    }
+    
+    const response = await fetch('/api/auth/token', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ name: this.getUserName() })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Authentication failed (${response.status})`);
+    }
+    
+    const session = await response.json();
+    this.authToken = session.token;
+    localStorage.setItem('ar-vr-auth-token', session.token);
+    
+    console.log(`🔑 Authenticated as ${session.user.id} until ${session.expiresAt}`);
+    return session;
+  }
+
+  async handleAuthError(error) {
+    console.warn('🔑 Session token rejected:', error.data?.code || error.message);
+    
+    try {
+      this.authToken = null;
+      localStorage.removeItem('ar-vr-auth-token');
+      
+      const session = await this.authenticate();
+      
+      // An expired token can't be renewed, so we may come back as a new user
+      if (this.currentUser && this.currentUser.id !== session.user.id) {
+        this.currentUser.id = session.user.id;
+        window.currentUserId = session.user.id;
+      }
+      
+      this.socket.connect();
+    } catch (authError) {
+      console.error('Re-authentication failed:', authError);
+      this.showNotification('Could not sign in to the server', 'error');
+    }
+  }
+
   async initializeAREngine() {
     try {
       this.arEngine = new AREngine();
@@ -171,9 +260,24 @@ class ARVRComPlatform {
         this.handleObjectInteraction(data);
       });
       
+      this.arEngine.on('object-release', (data) => {
+        this.releaseObject(data.objectId);
+      });
+      
+      this.arEngine.on('note-edit-requested', (data) => {
+        this.uiManager?.openNoteEditor(data.objectId, data.properties);
+      });
+      
       this.arEngine.on('render', (data) => {
         this.updatePerformanceStats(data.timestamp);
+        this.publishPose(data.timestamp);
+        this.updateVideoLayers(data.timestamp);
+      });
+      
+      this.clipRecorder = new ClipRecorder(this.arEngine, {
+        getSpatialAudio: () => this.spatialAudio
       });
+      this.setupClipRecorderHandlers();
       
       console.log('🥽 AR/VR Engine initialized');
     } catch (error) {
@@ -189,6 +293,8 @@ class ARVRComPlatform {
         : `ws://${window.location.host}`;
       
       this.socket = io(serverUrl, {
+        // Read on every (re)connect so a renewed token is picked up
+        auth: (callback) => callback({ token: this.authToken }),
         transports: ['websocket', 'polling'],
         timeout: 10000,
         forceNew: true
@@ -200,6 +306,20 @@ class ARVRComPlatform {
         this.isConnected = true;
         this.uiManager?.updateConnectionStatus('server', 'connected');
         this.emit('server-connected');
+        
+        this.wireFormat = WIRE_FORMATS.JSON;
+        this.socket.emit('negotiate-wire-format', {
+          formats: [WIRE_FORMATS.BINARY, WIRE_FORMATS.JSON]
+        });
+        
+        if (this.currentRoom && this.resumeToken) {
+          this.socket.emit('resume-session', {
+            resumeToken: this.resumeToken,
+            lastSequence: this.roomSequence
+          });
+        } else if (!this.currentRoom) {
+          this.joinFromInviteLink();
+        }
       });
       
       this.socket.on('disconnect', (reason) => {
@@ -207,9 +327,18 @@ class ARVRComPlatform {
         this.isConnected = false;
         this.uiManager?.updateConnectionStatus('server', 'disconnected');
         this.emit('server-disconnected', reason);
+        
+        // The server released our locks; stop renewing them until we're back
+        this.clearHeldObjects();
       });
       
       this.socket.on('connect_error', (error) => {
+        // Handshakes refused by the auth middleware aren't retried automatically
+        if (error.data?.code && ['AUTH_REQUIRED', 'TOKEN_EXPIRED', 'TOKEN_INVALID'].includes(error.data.code)) {
+          this.handleAuthError(error);
+          return;
+        }
+        
         console.error('Connection error:', error);
         this.showNotification('Connection failed', 'error');
       });
@@ -223,6 +352,106 @@ class ARVRComPlatform {
         this.handleRoomLeft(data);
       });
       
+      this.socket.on('session-resumed', (data) => {
+        this.handleSessionResumed(data);
+      });
+      
+      this.socket.on('resume-failed', (data) => {
+        this.handleResumeFailed(data);
+      });
+      
+      this.socket.on('join-room-error', (data) => {
+        this.handleJoinRoomError(data);
+      });
+      
+      this.socket.on('invite-created', (data) => {
+        this.handleInviteCreated(data);
+      });
+      
+      this.socket.on('user-role-updated', (data) => {
+        this.handleUserRoleUpdated(data);
+      });
+      
+      this.socket.on('permission-denied', (data) => {
+        this.handlePermissionDenied(data);
+      });
+      
+      this.socket.on('rate-limited', (data) => {
+        this.handleRateLimited(data);
+      });
+      
+      this.socket.on('validation-error', (data) => {
+        this.handleValidationError(data);
+      });
+      
+      // Moderation events
+      this.socket.on('kicked', (data) => {
+        this.handleKicked(data);
+      });
+      
+      this.socket.on('user-kicked', (data) => {
+        this.handleUserRemovedByModerator(data, 'removed');
+      });
+      
+      this.socket.on('user-banned', (data) => {
+        this.handleUserRemovedByModerator(data, 'banned');
+      });
+      
+      this.socket.on('user-muted', (data) => {
+        this.handleUserMuted(data);
+      });
+      
+      this.socket.on('force-muted', (data) => {
+        this.handleForceMuted(data);
+      });
+      
+      this.socket.on('room-lock-updated', (data) => {
+        this.handleRoomLockUpdated(data);
+      });
+      
+      this.socket.on('moderation-error', (data) => {
+        this.showNotification(data.error || 'Moderation action failed', 'error');
+      });
+      
+      this.socket.on('recording-started', (data) => {
+        this.handleRecordingStarted(data);
+      });
+      
+      this.socket.on('recording-stopped', (data) => {
+        this.handleRecordingStopped(data);
+      });
+      
+      this.socket.on('recording-error', (data) => {
+        if (data.code === 'RECORDING_NOT_ALLOWED') {
+          this.clipRequestPending = false;
+        }
+        this.showNotification(data.error || 'Recording failed', 'error');
+      });
+      
+      this.socket.on('clip-recording-updated', (data) => {
+        this.handleClipRecordingUpdated(data);
+      });
+      
+      this.socket.on('room-settings-updated', (data) => {
+        this.handleRoomSettingsUpdated(data);
+      });
+      
+      this.socket.on('chat-message', (data) => {
+        this.handleChatMessage(data);
+      });
+      
+      this.socket.on('chat-message-updated', (data) => {
+        this.uiManager?.updateChatMessage(data.message);
+      });
+      
+      this.socket.on('chat-history', (data) => {
+        this.uiManager?.addChatHistory(data);
+      });
+      
+      this.socket.on('chat-error', (data) => {
+        this.handleChatError(data);
+      });
+      
       this.socket.on('user-joined', (data) => {
         this.handleUserJoined(data);
       });
@@ -231,8 +460,30 @@ class ARVRComPlatform {
         this.handleUserLeft(data);
       });
       
-      this.socket.on('user-position-update', (data) => {
-        this.handleUserPositionUpdate(data);
+      this.socket.on('user-disconnected', (data) => {
+        this.handleUserDisconnected(data);
+      });
+      
+      this.socket.on('user-reconnected', (data) => {
+        this.handleUserReconnected(data);
+      });
+      
+      this.socket.on('pose-snapshot', (data) => {
+        this.handlePoseSnapshot(data);
+      });
+      
+      this.socket.on('spatial-audio-update', (data) => {
+        this.handleSpatialAudioUpdate(data);
+      });
+      
+      // Binary wire format
+      this.socket.on('wire-format', (data) => {
+        this.wireFormat = data.format;
+        console.log('📦 Wire format:', data.format);
+      });
+      
+      this.socket.on(BINARY_EVENT, (payload) => {
+        this.handleBinaryMessage(payload);
       });
       
       // Object events
@@ -248,6 +499,31 @@ class ARVRComPlatform {
         this.handleObjectRemoved(data);
       });
       
+      this.socket.on('object-update-rejected', (data) => {
+        this.handleObjectUpdateRejected(data);
+      });
+      
+      this.socket.on('object-error', (data) => {
+        this.handleObjectError(data);
+      });
+      
+      // Object lock events
+      this.socket.on('lock-granted', (data) => {
+        this.handleLockGranted(data);
+      });
+      
+      this.socket.on('lock-denied', (data) => {
+        this.handleLockDenied(data);
+      });
+      
+      this.socket.on('object-locked', (data) => {
+        this.arEngine.setObjectLock(data.objectId, data.userId);
+      });
+      
+      this.socket.on('lock-released', (data) => {
+        this.handleLockReleased(data);
+      });
+      
       // Device events
       this.socket.on('device-discovered', (data) => {
         this.handleDeviceDiscovered(data);
@@ -261,18 +537,8 @@ class ARVRComPlatform {
         this.handleDeviceDisconnected(data);
       });
       
-      // WebRTC signaling
-      this.socket.on('webrtc-offer', (data) => {
-        this.webrtcClient?.handleOffer(data);
-      });
-      
-      this.socket.on('webrtc-answer', (data) => {
-        this.webrtcClient?.handleAnswer(data);
-      });
-      
-      this.socket.on('webrtc-ice-candidate', (data) => {
-        this.webrtcClient?.handleIceCandidate(data);
-      });
+      // Created after our handlers, so handleRoomJoined has told it who we are before it sees room-joined
+      this.initializeWebRTC();
       
       console.log('🌐 WebSocket client initialized');
     } catch (error) {
@@ -281,6 +547,18 @@ class ARVRComPlatform {
     }
   }
 
+  initializeWebRTC() {
+    // Registers its own socket handlers for signaling and room membership
+    this.webrtcClient = new WebRTCClient(this.socket, {
+      getAuthToken: () => this.authToken
+    });
+    this.webrtcClient.setNetIdRegistry(this.netIds);
+    
+    this.webrtcClient.on('media-error', (error) => {
+      this.showNotification(`Camera or microphone unavailable: ${error.message}`, 'warning');
+    });
+  }
+
   async initializeDeviceConnector() {
     try {
       this.deviceConnector = new DeviceConnector();
@@ -320,8 +598,8 @@ class ARVRComPlatform {
       this.createRoom(roomData);
     });
     
-    this.uiManager.on('join-room-requested', (roomId) => {
-      this.joinRoom(roomId);
+    this.uiManager.on('join-room-requested', (roomId, credentials) => {
+      this.joinRoom(roomId, credentials);
     });
     
     this.uiManager.on('leave-room-requested', () => {
@@ -348,6 +626,52 @@ class ARVRComPlatform {
       this.spawnObject(objectType);
     });
     
+    this.uiManager.on('note-save-requested', ({ objectId, text }) => {
+      this.updateObject(objectId, { properties: { text } });
+    });
+    
+    // Moderation
+    this.uiManager.on('kick-user-requested', ({ userId }) => {
+      this.socket.emit('kick-user', { userId });
+    });
+    
+    this.uiManager.on('ban-user-requested', ({ userId }) => {
+      this.socket.emit('ban-user', { userId });
+    });
+    
+    this.uiManager.on('mute-user-requested', ({ userId, muted }) => {
+      this.socket.emit('mute-user', { userId, muted });
+    });
+    
+    this.uiManager.on('mute-all-requested', ({ muted }) => {
+      this.socket.emit('mute-all', { muted });
+    });
+    
+    this.uiManager.on('clip-recording-toggled', () => {
+      this.toggleClipRecording();
+    });
+    
+    this.uiManager.on('lock-room-requested', ({ locked }) => {
+      this.socket.emit('lock-room', { locked });
+    });
+    
+    // Chat
+    this.uiManager.on('chat-send-requested', (message) => {
+      this.sendChatMessage(message);
+    });
+    
+    this.uiManager.on('chat-edit-requested', ({ messageId, text }) => {
+      this.socket.emit('edit-chat-message', { messageId, text });
+    });
+    
+    this.uiManager.on('chat-delete-requested', ({ messageId }) => {
+      this.socket.emit('delete-chat-message', { messageId });
+    });
+    
+    this.uiManager.on('chat-history-requested', ({ before, threadId }) => {
+      this.socket.emit('load-chat-history', { before, threadId });
+    });
+    
     console.log('🎨 UI Manager initialized');
   }
 
@@ -380,126 +704,638 @@ class ARVRComPlatform {
       });
     }
     
+    // Files dropped anywhere on the page are shared with the room
+    document.addEventListener('dragover', (event) => {
+      event.preventDefault();
+    });
+    document.addEventListener('drop', (event) => {
+      event.preventDefault();
+      this.shareFiles(event.dataTransfer?.files);
+    });
+    
+    if (this.webrtcClient) {
+      this.setupFileTransferHandlers();
+    }
+    
     console.log('📋 Event handlers setup complete');
   }
 
-  // Room Management
-  async createRoom(roomData) {
-    try {
-      this.socket.emit('create-room', {
-        ...roomData,
-        creator: this.currentUser
-      });
-    } catch (error) {
-      console.error('Failed to create room:', error);
-      this.showNotification('Failed to create room', 'error');
-    }
+  setupFileTransferHandlers() {
+    const fileTransfer = this.webrtcClient.fileTransfer;
+    
+    fileTransfer.on('file-received', (data) => {
+      const user = this.roomUsers.get(data.userId);
+      this.showNotification(`${user?.name || data.userId} shared ${data.name}`, 'success');
+      this.emit('file-received', data);
+    });
+    
+    fileTransfer.on('file-transfer-progress', (data) => {
+      this.emit('file-transfer-progress', data);
+    });
+    
+    fileTransfer.on('file-transfer-failed', (data) => {
+      if (data.reason !== 'room-left') {
+        this.showNotification(`Transfer of ${data.name} failed (${data.reason})`, 'error');
+      }
+      this.emit('file-transfer-failed', data);
+    });
   }
 
-  async joinRoom(roomId) {
-    try {
-      this.socket.emit('join-room', {
-        roomId,
-        user: this.currentUser
-      });
-    } catch (error) {
-      console.error('Failed to join room:', error);
-      this.showNotification('Failed to join room', 'error');
+  // File Sharing
+  async shareFiles(files) {
+    if (!files?.length) return;
+    
+    if (!this.currentRoom) {
+      this.showNotification('Join a room first', 'warning');
+      return;
     }
-  }
-
-  async leaveRoom() {
-    if (this.currentRoom) {
+    
+    if (!this.webrtcClient) {
+      this.showNotification('File sharing needs a peer connection', 'warning');
+      return;
+    }
+    
+    for (const file of files) {
       try {
-        this.socket.emit('leave-room', {
-          roomId: this.currentRoom.id,
-          userId: this.currentUser.id
-        });
-        
-        this.currentRoom = null;
-        this.roomUsers.clear();
-        this.arEngine?.scene.clear();
+        const transferIds = await this.webrtcClient.fileTransfer.sendFileToRoom(file);
         
+        if (transferIds.length === 0) {
+          this.showNotification(`No one to send ${file.name} to yet`, 'warning');
+        } else {
+          this.showNotification(`Sharing ${file.name} with ${transferIds.length} ${transferIds.length === 1 ? 'person' : 'people'}`, 'info');
+        }
       } catch (error) {
-        console.error('Failed to leave room:', error);
+        console.error(`Failed to share ${file.name}:`, error);
+        this.showNotification(error.message, 'error');
       }
     }
   }
 
-  // AR/VR Session Management
-  async startAR() {
-    try {
-      await this.arEngine.startSession('immersive-ar');
-      this.showNotification('AR session started', 'success');
-    } catch (error) {
-      console.error('Failed to start AR session:', error);
-      this.showNotification('Failed to start AR session', 'error');
-    }
-  }
-
-  async startVR() {
-    try {
-      await this.arEngine.startSession('immersive-vr');
-      this.showNotification('VR session started', 'success');
-    } catch (error) {
-      console.error('Failed to start VR session:', error);
-      this.showNotification('Failed to start VR session', 'error');
-    }
-  }
-
-  async stopXR() {
-    try {
-      if (this.arEngine.xrSession) {
-        await this.arEngine.xrSession.end();
-        this.showNotification('XR session ended', 'info');
+  // Clip Recording
+  setupClipRecorderHandlers() {
+    this.clipRecorder.on('clip-recording-started', ({ hasAudio }) => {
+      this.uiManager?.updateClipRecordingState(true);
+      if (!hasAudio) {
+        this.showNotification('Recording without audio', 'warning');
       }
-    } catch (error) {
-      console.error('Failed to stop XR session:', error);
-    }
+    });
+    
+    this.clipRecorder.on('clip-recording-stopped', (data) => {
+      this.uiManager?.updateClipRecordingState(false);
+      
+      // Tell the room we stopped, whatever stopped us
+      if (this.currentRoom && this.clipRecordings.has(this.currentUser.id)) {
+        this.socket.emit('update-clip-recording', { recording: false });
+      }
+      
+      this.emit('clip-recording-stopped', data);
+    });
+    
+    this.clipRecorder.on('clip-ready', (clip) => {
+      this.saveClip(clip);
+      this.emit('clip-ready', clip);
+    });
   }
 
-  // Device Management
-  async scanDevices() {
-    try {
-      this.showNotification('Scanning for devices...', 'info');
-      await this.deviceConnector.scanAll();
-    } catch (error) {
-      console.error('Device scan failed:', error);
-      this.showNotification('Device scan failed', 'error');
+  toggleClipRecording() {
+    if (this.clipRecorder?.isRecording()) {
+      this.stopClipRecording();
+    } else {
+      this.startClipRecording();
     }
   }
 
-  // Object Management
-  spawnObject(type) {
+  // Capture only starts once the server has told everyone in the room
+  startClipRecording() {
     if (!this.currentRoom) {
       this.showNotification('Join a room first', 'warning');
       return;
     }
     
-    const objectData = {
-      id: this.generateObjectId(),
-      type,
-      position: [0, 1.5, -2], // In front of user
-      rotation: [0, 0, 0],
-      scale: [1, 1, 1],
-      owner: this.currentUser.id,
-      timestamp: Date.now()
-    };
+    if (!ClipRecorder.isSupported()) {
+      this.showNotification('This browser cannot record the view', 'error');
+      return;
+    }
     
-    // Add to local scene
-    this.arEngine.spawnObject(objectData);
+    if (!this.currentRoom.settings?.recordingSessions) {
+      this.showNotification('Recording is turned off in this room', 'warning');
+      return;
+    }
     
-    // Broadcast to room
-    this.socket.emit('spawn-object', {
-      roomId: this.currentRoom.id,
+    if (!this.hasPermission('canRecordSessions')) {
+      this.showNotification('Your role cannot record this room', 'warning');
+      return;
+    }
+    
+    if (this.clipRecorder.isRecording() || this.clipRequestPending) return;
+    
+    this.clipRequestPending = true;
+    this.socket.emit('update-clip-recording', { recording: true });
+  }
+
+  stopClipRecording() {
+    this.clipRecorder?.stop('stopped');
+  }
+
+  handleClipRecordingUpdated(data) {
+    const { userId, recording } = data;
+    
+    if (recording) {
+      this.clipRecordings.set(userId, data.startedAt);
+    } else {
+      this.clipRecordings.delete(userId);
+    }
+    
+    if (userId === this.currentUser.id) {
+      if (recording && this.clipRequestPending) {
+        this.clipRequestPending = false;
+        
+        try {
+          this.clipRecorder.start();
+        } catch (error) {
+          console.error('Failed to start clip recording:', error);
+          this.showNotification(error.message, 'error');
+          this.socket.emit('update-clip-recording', { recording: false });
+        }
+      } else if (!recording) {
+        this.clipRequestPending = false;
+        
+        if (this.clipRecorder.isRecording()) {
+          this.clipRecorder.stop(data.reason);
+          if (data.reason === 'recording-disabled') {
+            this.showNotification('Recording was turned off in this room; your clip was saved', 'warning');
+          } else if (data.reason === 'permission-revoked') {
+            this.showNotification('Your new role cannot record this room; your clip was saved', 'warning');
+          }
+        }
+      }
+    } else if (recording) {
+      const user = this.roomUsers.get(userId);
+      this.showNotification(`${user?.name || userId} started recording`, 'warning');
+    }
+    
+    this.refreshRecordingIndicator();
+    this.refreshUserList();
+    this.emit('clip-recording-updated', data);
+  }
+
+  setClipRecordings(clipRecordings = []) {
+    this.clipRecordings = new Map(clipRecordings.map(({ userId, startedAt }) => [userId, startedAt]));
+    
+    // The room stopped listing us while we were away (e.g. recording was turned off)
+    if (this.clipRecorder?.isRecording() && !this.clipRecordings.has(this.currentUser.id)) {
+      this.clipRecorder.stop('recording-disabled');
+    }
+    
+    this.refreshRecordingIndicator();
+  }
+
+  refreshRecordingIndicator() {
+    const clipRecorders = [...this.clipRecordings.keys()].map(userId => {
+      if (userId === this.currentUser.id) return 'You';
+      return this.roomUsers.get(userId)?.name || userId;
+    });
+    
+    this.uiManager?.updateRecordingIndicator({
+      sessionRecording: Boolean(this.activeRecording),
+      clipRecorders
+    });
+  }
+
+  saveClip({ blob, name }) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the download a moment to pick the blob up
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    
+    this.showNotification(`Saved ${name}`, 'success');
+  }
+
+  // Text Chat
+  sendChatMessage({ text, to, threadId, clientId }) {
+    if (!this.currentRoom || !this.socket?.connected) {
+      this.uiManager?.markChatMessageFailed(clientId);
+      return;
+    }
+    
+    this.socket.emit('send-chat-message', { text, to, threadId, clientId });
+  }
+
+  handleChatMessage(data) {
+    const { message, clientId } = data;
+    const isOwn = message.from === this.currentUser.id;
+    
+    this.uiManager?.addChatMessage(message, isOwn ? clientId : null);
+    
+    if (isOwn) return;
+    
+    const sender = message.fromName || message.from;
+    if (message.mentions?.includes(this.currentUser.id)) {
+      this.showNotification(`${sender} mentioned you: ${message.text}`, 'info');
+    } else if (message.to === this.currentUser.id && !this.uiManager?.isChatPanelOpen()) {
+      this.showNotification(`Message from ${sender}: ${message.text}`, 'info');
+    }
+    
+    this.emit('chat-message', message);
+  }
+
+  handleChatError(data) {
+    if (data.clientId) {
+      this.uiManager?.markChatMessageFailed(data.clientId);
+    }
+    
+    this.showNotification(data.error || 'Chat message failed', 'error');
+  }
+
+  // Session Playback
+  // A recording replaces the live room in the scene; joining a room ends playback
+  async startPlayback(recordingId) {
+    try {
+      if (this.currentRoom) {
+        await this.leaveRoom();
+      }
+      
+      this.stopPlayback();
+      
+      const player = new SessionPlayer({ getAuthToken: () => this.authToken });
+      player.on('reset', ({ snapshot }) => this.applyPlaybackSnapshot(snapshot));
+      player.on('event', (entry) => this.applyPlaybackEvent(entry));
+      player.on('state', (state) => this.emit('playback-state', state));
+      player.on('ended', () => this.emit('playback-ended', { recording: player.recording }));
+      this.sessionPlayer = player;
+      
+      const recording = await player.load(recordingId);
+      if (this.sessionPlayer !== player) return;
+      
+      this.uiManager?.updateRoomInfo(`▶ ${recording.roomName || recording.roomId}`, player.snapshot.users.length);
+      this.emit('playback-started', { recording, duration: player.duration });
+      
+      player.play();
+      
+    } catch (error) {
+      console.error('Failed to start playback:', error);
+      this.showNotification(error.message || 'Failed to load recording', 'error');
+      this.stopPlayback();
+    }
+  }
+
+  stopPlayback() {
+    if (!this.sessionPlayer) return;
+    
+    this.sessionPlayer.unload();
+    this.sessionPlayer = null;
+    
+    this.resetRoomView();
+    this.uiManager?.updateRoomInfo('No Room', 0);
+    this.emit('playback-stopped');
+  }
+
+  playPlayback() {
+    this.sessionPlayer?.play();
+  }
+
+  pausePlayback() {
+    this.sessionPlayer?.pause();
+  }
+
+  seekPlayback(position) {
+    this.sessionPlayer?.seek(position);
+  }
+
+  setPlaybackSpeed(speed) {
+    this.sessionPlayer?.setSpeed(speed);
+  }
+
+  applyPlaybackSnapshot(snapshot) {
+    this.resetRoomView();
+    
+    // Nobody in a recording is us, so every user gets an avatar
+    snapshot.users.forEach(user => this.addUserToRoom(user));
+    snapshot.objects.forEach(object => this.handleObjectSpawned({ object }));
+    (snapshot.locks || []).forEach(lock => {
+      this.arEngine.setObjectLock(lock.objectId, lock.userId);
+    });
+    
+    this.arEngine.setupRoom(snapshot.id, snapshot);
+  }
+
+  applyPlaybackEvent({ event, data }) {
+    switch (event) {
+      case 'user-joined':
+        this.addUserToRoom(data.user);
+        break;
+      case 'user-left':
+        this.removeUserFromRoom(data.user.id);
+        break;
+      case 'user-disconnected':
+        if (!data.reconnecting) {
+          this.removeUserFromRoom(data.userId);
+        }
+        break;
+      case 'pose-snapshot':
+        this.handlePoseSnapshot(data);
+        break;
+      case 'object-spawned':
+        this.handleObjectSpawned(data);
+        break;
+      case 'object-updated': {
+        // Applied as recorded; the live handler would skip our own past writes
+        const object = this.sharedObjects.get(data.objectId);
+        if (!object) break;
+        Object.assign(object, data.changes, { version: data.version });
+        this.arEngine.updateObject(data.objectId, { ...data.changes, version: data.version });
+        break;
+      }
+      case 'object-removed':
+        this.handleObjectRemoved(data);
+        break;
+      case 'object-locked':
+        this.arEngine.setObjectLock(data.objectId, data.userId);
+        break;
+      case 'lock-released':
+        this.arEngine.clearObjectLock(data.objectId);
+        break;
+    }
+    
+    // Chat, device commands and the rest are left to the UI
+    this.emit('playback-event', { event, data });
+  }
+
+  // Room Management
+  async createRoom(roomData) {
+    try {
+      // The server records the authenticated user as the creator
+      this.socket.emit('create-room', roomData);
+    } catch (error) {
+      console.error('Failed to create room:', error);
+      this.showNotification('Failed to create room', 'error');
+    }
+  }
+
+  async joinRoom(roomId, credentials = {}) {
+    try {
+      this.stopPlayback();
+      this.lastJoinCredentials = credentials;
+      this.socket.emit('join-room', {
+        roomId,
+        user: this.currentUser,
+        password: credentials.password,
+        inviteToken: credentials.inviteToken
+      });
+    } catch (error) {
+      console.error('Failed to join room:', error);
+      this.showNotification('Failed to join room', 'error');
+    }
+  }
+
+  createInvite(expiresIn) {
+    if (!this.currentRoom) return;
+    
+    this.socket.emit('create-invite', {
+      roomId: this.currentRoom.id,
+      expiresIn
+    });
+  }
+
+  assignRole(userId, role) {
+    if (!this.currentRoom) return;
+    
+    this.socket.emit('assign-role', { userId, role });
+  }
+
+  startRecording() {
+    if (!this.currentRoom) return;
+    
+    this.socket.emit('start-recording', {});
+  }
+
+  stopRecording() {
+    if (!this.currentRoom) return;
+    
+    this.socket.emit('stop-recording', {});
+  }
+
+  hasPermission(permission) {
+    return !!this.currentUser.permissions?.[permission];
+  }
+
+  // Clips need the room's consent and a role that may record it
+  updateClipRecordingAvailability() {
+    if (!this.currentRoom?.settings?.recordingSessions) {
+      this.uiManager?.updateClipRecordingAvailability(false, 'Recording is turned off in this room');
+    } else if (!this.hasPermission('canRecordSessions')) {
+      this.uiManager?.updateClipRecordingAvailability(false, 'Your role cannot record this room');
+    } else {
+      this.uiManager?.updateClipRecordingAvailability(true);
+    }
+  }
+
+  joinFromInviteLink() {
+    const params = new URLSearchParams(window.location.search);
+    const roomId = params.get('room');
+    const inviteToken = params.get('invite');
+    
+    if (roomId && inviteToken) {
+      this.joinRoom(roomId, { inviteToken });
+    }
+  }
+
+  async leaveRoom() {
+    if (this.currentRoom) {
+      try {
+        this.socket.emit('leave-room', {
+          roomId: this.currentRoom.id,
+          userId: this.currentUser.id
+        });
+        
+        this.currentRoom = null;
+        this.roomUsers.clear();
+        this.arEngine?.scene.clear();
+        
+      } catch (error) {
+        console.error('Failed to leave room:', error);
+      }
+    }
+  }
+
+  // AR/VR Session Management
+  async startAR() {
+    try {
+      await this.arEngine.startSession('immersive-ar');
+      this.showNotification('AR session started', 'success');
+    } catch (error) {
+      console.error('Failed to start AR session:', error);
+      this.showNotification('Failed to start AR session', 'error');
+    }
+  }
+
+  async startVR() {
+    try {
+      await this.arEngine.startSession('immersive-vr');
+      this.showNotification('VR session started', 'success');
+    } catch (error) {
+      console.error('Failed to start VR session:', error);
+      this.showNotification('Failed to start VR session', 'error');
+    }
+  }
+
+  async stopXR() {
+    try {
+      if (this.arEngine.xrSession) {
+        await this.arEngine.xrSession.end();
+        this.showNotification('XR session ended', 'info');
+      }
+    } catch (error) {
+      console.error('Failed to stop XR session:', error);
+    }
+  }
+
+  // Device Management
+  async scanDevices() {
+    try {
+      this.showNotification('Scanning for devices...', 'info');
+      await this.deviceConnector.scanAll();
+    } catch (error) {
+      console.error('Device scan failed:', error);
+      this.showNotification('Device scan failed', 'error');
+    }
+  }
+
+  // Object Management
+  spawnObject(type) {
+    if (!this.currentRoom) {
+      this.showNotification('Join a room first', 'warning');
+      return;
+    }
+    
+    const objectData = {
+      id: this.generateObjectId(),
+      type,
+      position: [0, 1.5, -2], // In front of user
+      rotation: [0, 0, 0],
+      scale: [1, 1, 1],
+      owner: this.currentUser.id,
+      timestamp: Date.now()
+    };
+    
+    if (type === 'note') {
+      Object.assign(objectData, this.getNotePlacement());
+      objectData.properties = { ...objectData.properties, text: '', authorId: this.currentUser.id };
+    }
+    
+    // Add to local scene
+    this.arEngine.spawnObject(objectData);
+    
+    // Broadcast to room
+    this.socket.emit('spawn-object', {
+      roomId: this.currentRoom.id,
       object: objectData
     });
+    
+    // A blank note is only useful once something is written on it
+    if (type === 'note') {
+      this.uiManager?.openNoteEditor(objectData.id, objectData.properties);
+    }
+  }
+
+  // Notes go on the room's easel when it has one, filling a 3x3 grid across its face; otherwise in front of the user
+  getNotePlacement() {
+    const objects = Array.from(this.sharedObjects.values());
+    const easel = objects.find(object => object.type === 'easel');
+    if (!easel) return {};
+    
+    const slot = objects.filter(object => object.type === 'note' && object.properties?.easelId === easel.id).length % 9;
+    const yaw = easel.rotation?.[1] || 0;
+    const across = (slot % 3 - 1) * 0.35; // meters along the easel's face
+    const up = 1.7 - Math.floor(slot / 3) * 0.35; // meters above the easel's base
+    const out = 0.05; // just in front of the board
+    const [x, y, z] = easel.position;
+    
+    return {
+      position: [
+        x + across * Math.cos(yaw) + out * Math.sin(yaw),
+        y + up,
+        z - across * Math.sin(yaw) + out * Math.cos(yaw)
+      ],
+      rotation: [0, yaw, 0],
+      properties: { easelId: easel.id }
+    };
+  }
+
+  updateObject(objectId, changes) {
+    const object = this.sharedObjects.get(objectId);
+    if (!object || !this.currentRoom) return;
+    
+    // Someone else is holding it; the server would reject the write anyway
+    if (this.arEngine.isLockedByOther(objectId)) return;
+    
+    const baseVersion = object.version;
+    
+    // Apply optimistically and assume our write lands; the server corrects us if it doesn't
+    Object.assign(object, changes, { version: baseVersion + 1 });
+    this.arEngine.updateObject(objectId, { ...changes, version: object.version });
+    
+    this.sendToServer('update-object', {
+      roomId: this.currentRoom.id,
+      objectId,
+      changes,
+      baseVersion
+    });
+  }
+
+  grabObject(objectId) {
+    if (!this.currentRoom) return;
+    
+    if (this.arEngine.isLockedByOther(objectId)) {
+      this.showNotification('Someone else is holding this object', 'warning');
+      return;
+    }
+    
+    this.socket.emit('request-lock', { objectId });
+  }
+
+  releaseObject(objectId) {
+    if (!this.heldObjects.has(objectId)) return;
+    
+    clearTimeout(this.heldObjects.get(objectId));
+    this.heldObjects.delete(objectId);
+    
+    this.socket.emit('release-lock', { objectId });
+  }
+
+  clearHeldObjects() {
+    this.heldObjects.forEach(timer => clearTimeout(timer));
+    this.heldObjects.clear();
+  }
+
+  removeObject(objectId) {
+    if (!this.currentRoom) return;
+    
+    this.socket.emit('remove-object', {
+      roomId: this.currentRoom.id,
+      objectId
+    });
   }
 
   // Event Handlers
   handleRoomJoined(data) {
     console.log('📍 Joined room:', data);
     this.currentRoom = data.room;
+    this.webrtcClient?.joinRoom(data.room.id, this.currentUser.id);
+    this.resumeToken = data.resumeToken || null;
+    this.roomSequence = data.room.sequence || 0;
+    
+    const self = data.room.users.find(user => user.id === this.currentUser.id);
+    if (self) {
+      this.currentUser.role = self.role;
+      this.currentUser.permissions = self.permissions;
+    }
     this.uiManager?.updateRoomInfo(data.room.name, data.room.users.length);
     
     // Load existing users and objects
@@ -509,48 +1345,553 @@ class ARVRComPlatform {
       }
     });
     
+    this.netIds = NetIdRegistry.fromRoom(data.room);
+    this.webrtcClient?.setNetIdRegistry(this.netIds);
+    
+    this.sharedObjects.clear();
+    this.clearHeldObjects();
+    this.lastSentPose = null;
+    data.room.objects.forEach(object => {
+      this.handleObjectSpawned({ object });
+    });
+    
+    (data.room.locks || []).forEach(lock => {
+      this.arEngine.setObjectLock(lock.objectId, lock.userId);
+    });
+    
+    this.uiManager?.updateRoomLockState(!!data.room.isLocked);
+    // Before the user list, which offers direct messages only while chat is on
+    this.uiManager?.setChatAvailability(data.room.settings?.textChat !== false);
+    this.refreshUserList();
+    
     // Setup room in AR engine
     this.arEngine.setupRoom(data.room.id, data.room);
     
     this.showNotification(`Joined room: ${data.room.name}`, 'success');
+    
+    this.activeRecording = data.recording || null;
+    if (this.activeRecording) {
+      this.showNotification('This session is being recorded', 'warning');
+    }
+    
+    this.updateClipRecordingAvailability();
+    this.setClipRecordings(data.clipRecordings);
+    
+    this.uiManager?.setChatHistory(data.chat);
+  }
+
+  handleRecordingStarted(data) {
+    this.activeRecording = data.recording;
+    this.showNotification('This session is being recorded', 'warning');
+    this.refreshRecordingIndicator();
+    this.emit('recording-started', data);
+  }
+
+  handleRecordingStopped(data) {
+    this.activeRecording = null;
+    this.showNotification('Recording stopped', 'info');
+    this.refreshRecordingIndicator();
+    this.emit('recording-stopped', data);
+  }
+
+  handleRoomSettingsUpdated(data) {
+    if (!this.currentRoom) return;
+    
+    this.currentRoom.settings = data.settings;
+    this.updateClipRecordingAvailability();
+    this.uiManager?.setChatAvailability(data.settings?.textChat !== false);
+    this.refreshUserList();
+    this.emit('room-settings-updated', data);
+  }
+
+  handleJoinRoomError(data) {
+    console.warn('Join room failed:', data);
+    
+    const messages = {
+      ROOM_NOT_FOUND: 'Room not found',
+      ROOM_FULL: 'Room is full',
+      PASSWORD_REQUIRED: 'This room requires a password',
+      INVALID_PASSWORD: 'Incorrect room password',
+      INVITE_REQUIRED: 'This room is invite-only',
+      INVITE_INVALID: 'Invite link is not valid',
+      INVITE_EXPIRED: 'Invite link has expired'
+    };
+    
+    this.showNotification(messages[data.code] || data.error || 'Failed to join room', 'error');
+    this.emit('join-room-failed', data);
+  }
+
+  handleInviteCreated(data) {
+    const inviteUrl = new URL(window.location.href);
+    inviteUrl.search = new URLSearchParams({ room: data.roomId, invite: data.token }).toString();
+    
+    console.log('✉️ Invite created:', inviteUrl.toString());
+    
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(inviteUrl.toString()).catch(() => {});
+    }
+    
+    this.showNotification('Invite link copied to clipboard', 'success');
+    this.emit('invite-created', { ...data, url: inviteUrl.toString() });
+  }
+
+  handleUserRoleUpdated(data) {
+    const { userId, role, permissions } = data;
+    
+    if (userId === this.currentUser.id) {
+      this.currentUser.role = role;
+      this.currentUser.permissions = permissions;
+      this.updateClipRecordingAvailability();
+      this.showNotification(`Your role is now ${role}`, 'info');
+    } else {
+      const user = this.roomUsers.get(userId);
+      if (user) {
+        user.role = role;
+        user.permissions = permissions;
+      }
+    }
+    
+    this.refreshUserList();
+    this.emit('user-role-updated', data);
+  }
+
+  handleRoomLeft(data) {
+    console.log('🚪 Left room:', data.roomId);
+    
+    // The server may end our membership (e.g. kick), so clear local state here too
+    this.currentRoom = null;
+    this.resumeToken = null;
+    this.roomSequence = 0;
+    this.activeRecording = null;
+    this.clipRequestPending = false;
+    this.clipRecorder?.stop('left');
+    this.setClipRecordings([]);
+    this.uiManager?.updateClipRecordingAvailability(false);
+    this.uiManager?.setChatAvailability(false);
+    this.uiManager?.clearChat();
+    this.resetRoomView();
+    this.webrtcClient?.setNetIdRegistry(this.netIds);
+    this.webrtcClient?.leaveRoom();
+    this.clearHeldObjects();
+    this.uiManager?.updateRoomInfo('No Room', 0);
+  }
+
+  // Empties the scene and the user list, for leaving a room and for playback
+  resetRoomView() {
+    this.roomUsers.clear();
+    this.sharedObjects.clear();
+    this.netIds = new NetIdRegistry();
+    this.arEngine?.lockHighlights.forEach((_, objectId) => this.arEngine.clearObjectLock(objectId));
+    this.arEngine?.scene.clear();
+    this.refreshUserList();
+  }
+
+  handleKicked(data) {
+    const message = data.banned
+      ? 'You were banned from the room'
+      : 'You were removed from the room';
+    
+    this.showNotification(data.reason ? `${message}: ${data.reason}` : message, 'warning');
+  }
+
+  handleUserRemovedByModerator(data, action) {
+    const user = this.roomUsers.get(data.userId);
+    if (user) {
+      this.showNotification(`${user.name || data.userId} was ${action}`, 'info');
+    }
+  }
+
+  handleUserMuted(data) {
+    const { userId, muted } = data;
+    
+    if (userId === this.currentUser.id) {
+      this.currentUser.isMuted = muted;
+    } else {
+      const user = this.roomUsers.get(userId);
+      if (user) {
+        user.isMuted = muted;
+      }
+      
+      // Peers enforce the mute locally as well, since audio flows peer-to-peer
+      if (muted) {
+        this.spatialAudio?.muteSource(`user_${userId}`);
+      } else {
+        this.spatialAudio?.unmuteSource(`user_${userId}`);
+      }
+    }
+    
+    this.refreshUserList();
+  }
+
+  handleForceMuted(data) {
+    if (data.muted) {
+      this.webrtcClient?.disableAudio();
+      this.uiManager?.setControlActive('mic-toggle', false);
+      this.showNotification('A moderator muted your microphone', 'warning');
+    } else {
+      this.showNotification('A moderator allowed you to unmute', 'info');
+    }
+  }
+
+  handleRoomLockUpdated(data) {
+    if (this.currentRoom) {
+      this.currentRoom.isLocked = data.isLocked;
+    }
+    
+    this.uiManager?.updateRoomLockState(data.isLocked);
+    this.showNotification(data.isLocked ? 'Room locked' : 'Room unlocked', 'info');
+  }
+
+  refreshUserList() {
+    if (!this.uiManager) return;
+    
+    const users = this.currentRoom
+      ? [this.currentUser, ...this.roomUsers.values()]
+      : [];
+    
+    // Mirrors the server's role ranking: owners moderate everyone, moderators moderate presenters and guests
+    const roleRank = ['owner', 'moderator', 'presenter', 'guest'];
+    const ownRank = roleRank.indexOf(this.currentUser.role || 'guest');
+    
+    this.uiManager.renderUserList(users.map(user => ({
+      ...user,
+      isRecordingClip: this.clipRecordings.has(user.id)
+    })), {
+      currentUserId: this.currentUser.id,
+      permissions: this.currentUser.permissions || {},
+      canModerate: (user) => ownRank < roleRank.indexOf(user.role || 'guest')
+    });
+  }
+
+  handlePermissionDenied(data) {
+    console.warn('Permission denied:', data);
+    if (data.event === 'update-clip-recording') {
+      this.clipRequestPending = false;
+    }
+    this.showNotification(`You don't have permission to do that (${data.event})`, 'warning');
+  }
+
+  handleRateLimited(data) {
+    console.warn('⏳ Rate limited:', data);
+    
+    // Dropped pose and transform updates are superseded by the next one anyway
+    const continuous = ['update-position', 'update-object', 'spatial-audio-update'];
+    if (continuous.includes(data.event) && data.code === 'RATE_LIMITED') return;
+    
+    if (data.code === 'TOO_MANY_VIOLATIONS') {
+      this.showNotification('Disconnected for sending too many messages', 'error');
+    } else if (data.code === 'PAYLOAD_TOO_LARGE') {
+      this.showNotification(`Message too large (${data.event})`, 'warning');
+    } else {
+      this.showNotification(`Slow down - try again in ${Math.ceil(data.retryAfter / 1000)}s`, 'warning');
+    }
+  }
+
+  handleValidationError(data) {
+    // Field paths point at the client bug; users only need to know the action failed
+    console.warn('🚫 Message rejected:', data.event, data.errors);
+    
+    const continuous = ['update-position', 'update-object', 'spatial-audio-update'];
+    if (continuous.includes(data.event)) return;
+    
+    this.showNotification(`Request rejected (${data.event}): ${data.error}`, 'error');
   }
 
   handleUserJoined(data) {
     console.log('👋 User joined:', data.user);
+    this.trackSequence(data.sequence);
     this.addUserToRoom(data.user);
     this.showNotification(`${data.user.name} joined`, 'info');
   }
 
   handleUserLeft(data) {
     console.log('👋 User left:', data.user);
+    this.trackSequence(data.sequence);
     this.removeUserFromRoom(data.user.id);
-    this.showNotification(`${data.user.name} left`, 'info');
+    this.showNotification(`${data.user.name || data.user.id} left`, 'info');
+  }
+
+  handleUserDisconnected(data) {
+    this.trackSequence(data.sequence);
+    
+    if (!data.reconnecting) {
+      this.removeUserFromRoom(data.userId);
+      return;
+    }
+    
+    // Their slot is held for the grace period; a user-left follows if they don't come back
+    const user = this.roomUsers.get(data.userId);
+    if (user) {
+      user.connectionState = 'reconnecting';
+      this.refreshUserList();
+    }
+  }
+
+  handleUserReconnected(data) {
+    this.trackSequence(data.sequence);
+    
+    const user = this.roomUsers.get(data.userId);
+    if (user) {
+      Object.assign(user, data.user);
+      this.refreshUserList();
+    } else {
+      this.addUserToRoom(data.user);
+    }
+  }
+
+  handleSessionResumed(data) {
+    console.log(`🔁 Session resumed (${data.full ? 'full' : 'delta'} resync)`);
+    this.resumeToken = data.resumeToken;
+    
+    let { removedUsers, removedObjects } = data;
+    if (data.full) {
+      // Anything we hold that the server no longer has was removed while we were away
+      const userIds = new Set(data.users.map(user => user.id));
+      const objectIds = new Set(data.objects.map(object => object.id));
+      removedUsers = [...this.roomUsers.keys()].filter(userId => !userIds.has(userId));
+      removedObjects = [...this.sharedObjects.keys()].filter(objectId => !objectIds.has(objectId));
+    }
+    
+    removedUsers.forEach(userId => this.removeUserFromRoom(userId));
+    removedObjects.forEach(objectId => this.handleObjectRemoved({ objectId }));
+    
+    data.users.forEach(user => {
+      if (user.id === this.currentUser.id) {
+        this.currentUser.role = user.role;
+        this.currentUser.permissions = user.permissions;
+      } else if (this.roomUsers.has(user.id)) {
+        Object.assign(this.roomUsers.get(user.id), user);
+      } else {
+        this.addUserToRoom(user);
+      }
+    });
+    
+    data.objects.forEach(object => {
+      this.handleObjectSpawned({ object });
+    });
+    
+    // Locks are cheap to resend in full
+    this.clearHeldObjects();
+    this.arEngine.lockHighlights.forEach((_, objectId) => this.arEngine.clearObjectLock(objectId));
+    data.locks.forEach(lock => {
+      this.arEngine.setObjectLock(lock.objectId, lock.userId);
+    });
+    
+    this.roomSequence = data.sequence;
+    this.lastSentPose = null;
+    this.activeRecording = data.recording || null;
+    this.setClipRecordings(data.clipRecordings);
+    // Messages sent while we were away are in the latest page
+    this.uiManager?.addChatHistory(data.chat);
+    this.refreshUserList();
+    this.showNotification('Reconnected', 'success');
+  }
+
+  handleResumeFailed(data) {
+    console.warn('Session resume failed:', data.code);
+    
+    const roomId = this.currentRoom?.id;
+    this.handleRoomLeft({ roomId });
+    
+    // Our slot is gone, so join again from scratch
+    if (roomId) {
+      this.joinRoom(roomId, this.lastJoinCredentials);
+    }
+  }
+
+  trackSequence(sequence) {
+    if (typeof sequence === 'number' && sequence > this.roomSequence) {
+      this.roomSequence = sequence;
+    }
   }
 
   addUserToRoom(user) {
     this.roomUsers.set(user.id, user);
+    this.netIds.addUser(user.id, user.netId);
     this.arEngine.addUserAvatar(user.id, user.position, user.rotation);
     this.uiManager?.updateUserCount(this.roomUsers.size + 1);
+    this.refreshUserList();
   }
 
   removeUserFromRoom(userId) {
     this.roomUsers.delete(userId);
-    this.arEngine.removeObject(`avatar-${userId}`);
+    this.netIds.removeUser(userId);
+    this.arEngine.removeUserAvatar(userId);
     this.uiManager?.updateUserCount(this.roomUsers.size + 1);
+    this.refreshUserList();
   }
 
-  handleUserPositionUpdate(data) {
-    const user = this.roomUsers.get(data.userId);
-    if (user) {
-      user.position = data.position;
-      user.rotation = data.rotation;
-      this.arEngine.updateUserPosition(data.userId, data.position, data.rotation);
+  // High-frequency messages go out binary when negotiated, JSON otherwise
+  sendToServer(event, data) {
+    if (this.wireFormat === WIRE_FORMATS.BINARY) {
+      const payload = encodeMessage(event, data, this.netIds);
+      if (payload) {
+        this.socket.emit(BINARY_EVENT, payload);
+        return;
+      }
+    }
+    
+    this.socket.emit(event, data);
+  }
+
+  handleBinaryMessage(payload) {
+    try {
+      const { event, data } = decodeMessage(payload, this.netIds);
+      const handlers = {
+        'pose-snapshot': () => this.handlePoseSnapshot(data),
+        'object-updated': () => this.handleObjectUpdated(data),
+        'spatial-audio-update': () => this.handleSpatialAudioUpdate(data)
+      };
+      
+      handlers[event]?.();
+    } catch (error) {
+      console.error('Failed to decode binary message:', error);
+    }
+  }
+
+  handleSpatialAudioUpdate(data) {
+    const { userId, audioSettings = {} } = data;
+    if (!userId || !this.spatialAudio) return;
+    
+    const toVector = ([x, y, z]) => ({ x, y, z });
+    
+    if (audioSettings.position) {
+      this.spatialAudio.updateUserPosition(
+        userId,
+        toVector(audioSettings.position),
+        audioSettings.orientation ? toVector(audioSettings.orientation) : null
+      );
+    }
+    
+    if (typeof audioSettings.volume === 'number') {
+      this.spatialAudio.setSourceVolume(`user_${userId}`, audioSettings.volume);
+    }
+  }
+
+  handlePoseSnapshot(data) {
+    const receivedAt = performance.now();
+    
+    // Entries only carry the parts of a pose that changed since the last snapshot
+    data.poses.forEach(({ u: userId, p: position, r: rotation }) => {
+      const user = this.roomUsers.get(userId);
+      if (!user) return;
+      
+      if (position) user.position = position;
+      if (rotation) user.rotation = rotation;
+      
+      this.arEngine.updateUserPosition(userId, user.position || [0, 0, 0], user.rotation || [0, 0, 0], receivedAt);
+    });
+  }
+
+  publishPose(timestamp) {
+    if (!this.currentRoom || !this.isConnected) return;
+    if (timestamp - this.lastPoseSentAt < 1000 / this.poseConfig.sendRate) return;
+    
+    const pose = this.arEngine.getCameraPose();
+    const last = this.lastSentPose;
+    const moved = (current, previous, threshold) =>
+      current.some((value, index) => Math.abs(value - previous[index]) >= threshold);
+    
+    if (last &&
+        !moved(pose.position, last.position, this.poseConfig.positionThreshold) &&
+        !moved(pose.rotation, last.rotation, this.poseConfig.rotationThreshold)) {
+      return;
+    }
+    
+    this.sendToServer('update-position', {
+      roomId: this.currentRoom.id,
+      position: pose.position,
+      rotation: pose.rotation
+    });
+    
+    this.lastSentPose = pose;
+    this.lastPoseSentAt = timestamp;
+  }
+
+  updateVideoLayers(timestamp) {
+    if (!this.webrtcClient || !this.currentRoom) return;
+    if (timestamp - this.lastVideoLayerUpdate < this.videoLayerConfig.updateInterval) return;
+    this.lastVideoLayerUpdate = timestamp;
+    
+    const { mediumDistance, lowDistance } = this.videoLayerConfig;
+    
+    for (const [userId] of this.webrtcClient.getRemoteStreams()) {
+      const view = this.arEngine.getAvatarView(userId);
+      if (!view) continue;
+      
+      let layer = 'high';
+      if (!view.inView || view.distance > lowDistance) {
+        layer = 'low';
+      } else if (view.distance > mediumDistance) {
+        layer = 'medium';
+      }
+      
+      // Only sent when the layer changes
+      this.webrtcClient.requestVideoLayer(userId, layer);
     }
   }
 
   handleObjectSpawned(data) {
+    this.trackSequence(data.sequence);
     this.arEngine.spawnObject(data.object);
     this.sharedObjects.set(data.object.id, data.object);
+    this.netIds.addObject(data.object.id, data.object.netId);
+  }
+
+  handleObjectUpdated(data) {
+    const { objectId, changes, version, updatedBy } = data;
+    this.trackSequence(data.sequence);
+    const object = this.sharedObjects.get(objectId);
+    if (!object) return;
+    
+    // Our own writes were applied optimistically; only adopt the confirmed version
+    if (updatedBy === this.currentUser.id) {
+      object.version = Math.max(object.version, version);
+      
+      // Except for a note's author and edit history, which only the server keeps
+      if (object.type === 'note' && changes.properties) {
+        object.properties = changes.properties;
+        this.arEngine.updateObject(objectId, { properties: changes.properties });
+      }
+      return;
+    }
+    
+    if (version <= object.version) return;
+    
+    Object.assign(object, changes, { version });
+    this.arEngine.updateObject(objectId, { ...changes, version });
+  }
+
+  handleObjectRemoved(data) {
+    this.trackSequence(data.sequence);
+    this.arEngine.removeObject(data.objectId);
+    this.sharedObjects.delete(data.objectId);
+    this.netIds.removeObject(data.objectId);
+  }
+
+  handleObjectUpdateRejected(data) {
+    console.warn('Object update rejected:', data.code, data.objectId);
+    
+    if (!data.object) {
+      this.handleObjectRemoved({ objectId: data.objectId });
+      return;
+    }
+    
+    // Roll back to the authoritative copy
+    this.sharedObjects.set(data.objectId, data.object);
+    this.arEngine.updateObject(data.objectId, data.object);
+  }
+
+  handleObjectError(data) {
+    console.warn('Object error:', data);
+    
+    // A spawn the server refused only ever existed locally
+    if (data.event === 'spawn-object' && data.objectId) {
+      this.arEngine.removeObject(data.objectId);
+      this.sharedObjects.delete(data.objectId);
+    }
+    
+    this.showNotification(data.error || 'Object action failed', 'error');
   }
 
   handleObjectInteraction(data) {
@@ -563,13 +1904,55 @@ class ARVRComPlatform {
         ...data
       });
     }
+    
+    // Controllers hold until select ends; clicks toggle the grab
+    if (data.controllerIndex === null && this.heldObjects.has(data.objectId)) {
+      this.releaseObject(data.objectId);
+    } else {
+      this.grabObject(data.objectId);
+    }
   }
 
-  // Utility Methods
-  generateUserId() {
-    return 'user_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
+  handleLockGranted(data) {
+    const { objectId, expiresAt } = data;
+    
+    clearTimeout(this.heldObjects.get(objectId));
+    
+    // Renew halfway to expiry for as long as we keep holding the object
+    const renewIn = Math.max((new Date(expiresAt).getTime() - Date.now()) / 2, 1000);
+    const timer = setTimeout(() => {
+      if (this.heldObjects.has(objectId)) {
+        this.socket.emit('request-lock', { objectId });
+      }
+    }, renewIn);
+    
+    this.heldObjects.set(objectId, timer);
+  }
+
+  handleLockDenied(data) {
+    if (data.lockedBy) {
+      this.arEngine.setObjectLock(data.objectId, data.lockedBy);
+      this.showNotification('Someone else is holding this object', 'warning');
+    }
+  }
+
+  handleLockReleased(data) {
+    const { objectId, userId, reason } = data;
+    
+    if (userId === this.currentUser.id) {
+      // Our lock lapsed server-side (e.g. timeout); stop renewing it
+      clearTimeout(this.heldObjects.get(objectId));
+      this.heldObjects.delete(objectId);
+      
+      if (reason === 'timeout') {
+        this.showNotification('Your hold on an object expired', 'info');
+      }
+    } else {
+      this.arEngine.clearObjectLock(objectId);
+    }
   }
 
+  // Utility Methods
   generateObjectId() {
     return 'obj_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
   }
@@ -585,6 +1968,12 @@ class ARVRComPlatform {
     };
   }
 
+  // A forwarder uploads everyone's media to everyone; leave that to desktops with headroom
+  canForwardMedia() {
+    const mobile = /Android|iPhone|iPad|Quest|Pico/i.test(navigator.userAgent);
+    return !mobile && (navigator.hardwareConcurrency || 0) >= 4;
+  }
+
   updateLoadingProgress(percentage, message) {
     const progressBar = document.getElementById('loading-progress');
     const progressText = document.getElementById('loading-percentage');
@@ -710,6 +2099,10 @@ class ARVRComPlatform {
   cleanup() {
     console.log('🧹 Cleaning up AR/VR Platform...');
     
+    this.sessionPlayer?.unload();
+    this.clipRecorder?.stop('left');
+    this.webrtcClient?.cleanup();
+    
     if (this.socket) {
       this.socket.disconnect();
     }
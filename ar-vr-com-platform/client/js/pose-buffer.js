@@ -0,0 +1,65 @@
+/**
+ * Pose Buffer for AR/VR Communication Platform
+ * Holds the latest pose snapshots of one remote avatar and works out where
+ * to draw it. Avatars are drawn slightly in the past so there are usually two
+ * samples to blend. Senders stop sending once a user stands still, so running
+ * out of samples usually means the user stopped.
+ */
+export class PoseBuffer {
+  constructor(options = {}) {
+    this.samples = []; // [{ time, position, quaternion }], oldest first
+
+    this.config = {
+      delay: options.delay ?? 100, // ms behind the newest snapshot
+      maxExtrapolation: options.maxExtrapolation ?? 250, // ms to keep moving after snapshots stop
+      settleTime: options.settleTime ?? 250, // ms to ease back onto the last sample afterwards
+      size: options.size || 10
+    };
+  }
+
+  push(sample) {
+    this.samples.push(sample);
+
+    if (this.samples.length > this.config.size) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * The blend to draw at `now`, or null while empty: the position is
+   * `from` → `to` at `alpha` and the rotation at `Math.min(alpha, 1)`.
+   * An alpha above 1 extrapolates along the last velocity.
+   */
+  sample(now) {
+    const { samples } = this;
+    if (samples.length === 0) return null;
+
+    const renderTime = now - this.config.delay;
+
+    // Drop samples we have fully moved past, keeping one before renderTime
+    while (samples.length > 2 && samples[1].time <= renderTime) {
+      samples.shift();
+    }
+
+    const [from, to] = samples;
+
+    if (!to) {
+      return { from, to: from, alpha: 1 };
+    }
+
+    const span = to.time - from.time || 1;
+
+    if (renderTime <= to.time) {
+      return { from, to, alpha: Math.max(0, (renderTime - from.time) / span) };
+    }
+
+    // Snapshots are late: keep moving for a short while, then ease back onto
+    // the last sample, where the user most likely stopped
+    const { maxExtrapolation, settleTime } = this.config;
+    const late = renderTime - to.time;
+    const settled = Math.min(Math.max(0, late - maxExtrapolation) / (settleTime || 1), 1);
+    const overshoot = Math.min(late, maxExtrapolation) * (1 - settled);
+
+    return { from, to, alpha: 1 + overshoot / span };
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Session Player for AR/VR Communication Platform
+ * Loads a recorded room session from the server and plays its events back
+ * on the recording's own clock, with pause, seek and playback speed.
+ * Whoever drives the scene listens for `reset` (start from this room
+ * snapshot) and `event` (apply this room event), the same payloads a live
+ * client receives.
+ */
+export class SessionPlayer {
+  constructor(options = {}) {
+    this.getAuthToken = options.getAuthToken || (() => null);
+
+    // Configuration
+    this.config = {
+      recordingsUrl: options.recordingsUrl || '/api/recordings',
+      roomsUrl: options.roomsUrl || '/api/rooms',
+      tickInterval: 1000 / 60, // ms between playback steps
+      minSpeed: 0.25,
+      maxSpeed: 8
+    };
+
+    this.recording = null; // metadata from the log's start line
+    this.snapshot = null; // room state when recording began
+    this.events = []; // [{ t, event, data }] in recorded order
+    this.duration = 0; // ms
+
+    this.position = 0; // ms into the recording
+    this.cursor = 0; // index of the next event to play
+    this.speed = 1;
+    this.playing = false;
+    this.timer = null;
+    this.lastTickAt = 0;
+
+    // Event handlers
+    this.eventHandlers = new Map();
+  }
+
+  // Recordings of a room the current user may view, newest first
+  async listRecordings(roomId) {
+    const response = await this.request(`${this.config.roomsUrl}/${encodeURIComponent(roomId)}/recordings`);
+    const { recordings } = await response.json();
+    return recordings;
+  }
+
+  async load(recordingId) {
+    this.unload();
+
+    const response = await this.request(`${this.config.recordingsUrl}/${encodeURIComponent(recordingId)}`);
+    this.parse(await response.text());
+
+    if (!this.snapshot) {
+      throw new Error('Recording has no start snapshot');
+    }
+
+    console.log(`🎞️ Loaded recording ${this.recording.id}: ${this.events.length} events, ${Math.round(this.duration / 1000)}s`);
+
+    this.emit('loaded', { recording: this.recording, duration: this.duration, eventCount: this.events.length });
+    this.seek(0);
+
+    return this.recording;
+  }
+
+  parse(text) {
+    text.split('\n').forEach(line => {
+      if (!line.trim()) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A recording that is still running may end in a half-written line
+        console.warn('Skipping unreadable recording line');
+        return;
+      }
+
+      switch (entry.type) {
+        case 'start':
+          this.recording = entry.recording;
+          this.snapshot = entry.snapshot;
+          break;
+        case 'event':
+          this.events.push({ t: entry.t, event: entry.event, data: entry.data });
+          this.duration = Math.max(this.duration, entry.t);
+          break;
+        case 'end':
+          this.recording = { ...this.recording, endedAt: entry.endedAt, endReason: entry.reason };
+          break;
+      }
+    });
+  }
+
+  unload() {
+    this.pause();
+
+    this.recording = null;
+    this.snapshot = null;
+    this.events = [];
+    this.duration = 0;
+    this.position = 0;
+    this.cursor = 0;
+  }
+
+  play() {
+    if (!this.snapshot || this.playing) return;
+
+    // Playing from the end starts over
+    if (this.position >= this.duration) {
+      this.seek(0);
+    }
+
+    this.playing = true;
+    this.lastTickAt = Date.now();
+    this.timer = setInterval(() => this.tick(), this.config.tickInterval);
+
+    this.emitState();
+  }
+
+  pause() {
+    if (!this.playing) return;
+
+    this.playing = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    this.emitState();
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.min(Math.max(Number(speed) || 1, this.config.minSpeed), this.config.maxSpeed);
+    this.emitState();
+  }
+
+  /**
+   * Rebuilds the scene at `position` ms: back to the snapshot, then every
+   * event up to that point, except that pose snapshots are folded into one
+   * so avatars jump straight to where they were.
+   */
+  seek(position) {
+    if (!this.snapshot) return;
+
+    this.position = Math.min(Math.max(Number(position) || 0, 0), this.duration);
+    this.cursor = 0;
+
+    this.emit('reset', { snapshot: this.snapshot, recording: this.recording });
+
+    const poses = new Map(); // userId -> { u, p, r }
+
+    while (this.cursor < this.events.length && this.events[this.cursor].t <= this.position) {
+      const entry = this.events[this.cursor++];
+
+      if (entry.event === 'pose-snapshot') {
+        entry.data.poses.forEach(pose => {
+          poses.set(pose.u, { ...poses.get(pose.u), ...pose });
+        });
+        continue;
+      }
+
+      this.emit('event', entry);
+    }
+
+    if (poses.size > 0) {
+      this.emit('event', {
+        t: this.position,
+        event: 'pose-snapshot',
+        data: { poses: Array.from(poses.values()) }
+      });
+    }
+
+    this.emitState();
+  }
+
+  tick() {
+    const now = Date.now();
+    this.position = Math.min(this.position + (now - this.lastTickAt) * this.speed, this.duration);
+    this.lastTickAt = now;
+
+    while (this.cursor < this.events.length && this.events[this.cursor].t <= this.position) {
+      this.emit('event', this.events[this.cursor++]);
+    }
+
+    if (this.position >= this.duration) {
+      this.pause();
+      this.emit('ended', { recording: this.recording });
+    }
+  }
+
+  emitState() {
+    this.emit('state', {
+      playing: this.playing,
+      position: this.position,
+      duration: this.duration,
+      speed: this.speed
+    });
+  }
+
+  async request(url) {
+    const response = await fetch(url, {
+      headers: { Authorization: `Bearer ${this.getAuthToken()}` }
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `Recording request failed (${response.status})`);
+    }
+
+    return response;
+  }
+
+  // Event system
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      const index = handlers.indexOf(handler);
+      if (index > -1) {
+        handlers.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, data) {
+    const handlers = this.eventHandlers.get(event);
+    if (handlers) {
+      handlers.forEach(handler => {
+        try {
+          handler(data);
+        } catch (error) {
+          console.error(`Session player event handler error for ${event}:`, error);
+        }
+      });
+    }
+  }
+}
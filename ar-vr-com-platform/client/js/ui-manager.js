@@ -12,6 +12,23 @@ export class UIManager {
     this.sideMenuOpen = false;
     this.notifications = [];
     this.deviceList = [];
+    this.userList = [];
+    this.isRoomLocked = false;
+    this.pendingConfirmation = null;
+    this.editingNoteId = null; // sticky note open in the note modal
+    
+    // Chat panel state; messages arrive from the server through the platform
+    this.chat = {
+      messages: new Map(), // messageId (clientId while pending) -> message
+      hasMore: new Map(), // threadId ('' for the room timeline) -> older messages on the server
+      threadId: null, // thread on screen; null for the room timeline
+      directTo: null, // { id, name } while writing direct messages
+      editingId: null,
+      unread: 0,
+      enabled: false,
+      canvas: null, // drawn for the floating panel in immersive sessions
+      nextClientId: 0
+    };
     
     // UI elements cache
     this.elements = new Map();
@@ -35,6 +52,7 @@ export class UIManager {
       autoHideDelay: 10000, // 10 seconds
       animationDuration: 300,
       notificationPosition: 'top-right',
+      floatingChatLines: 8, // messages shown in the in-scene chat panel
       debugMode: false
     };
     
@@ -103,22 +121,46 @@ export class UIManager {
       'mic-toggle',
       'camera-toggle',
       'speaker-toggle',
+      'clip-record-btn',
+      'chat-toggle',
       
       // Info displays
       'room-name',
+      'recording-indicator',
       'user-count',
+      'chat-unread',
       'server-status',
       'xr-status',
       'device-status',
       
       // Panels
       'object-panel',
+      'chat-panel',
+      'chat-title',
+      'chat-back-btn',
+      'close-chat-panel',
+      'chat-load-more',
+      'chat-messages',
+      'chat-compose-target',
+      'chat-compose-label',
+      'chat-compose-cancel',
+      'chat-form',
+      'chat-input',
       'device-list',
+      'user-list',
+      'moderation-controls',
+      'mute-all-btn',
+      'lock-room-btn',
       
       // Modals
       'create-room-modal',
       'join-room-modal',
-      'device-control-modal'
+      'device-control-modal',
+      'confirm-modal',
+      'note-modal',
+      'note-form',
+      'note-text-input',
+      'note-history'
     ];
     
     elementIds.forEach(id => {
@@ -144,6 +186,10 @@ export class UIManager {
     this.addClickListener('join-room-btn', () => this.openJoinRoomModal());
     this.addClickListener('leave-room-btn', () => this.leaveRoom());
     
+    // Moderation controls
+    this.addClickListener('mute-all-btn', () => this.confirmMuteAll());
+    this.addClickListener('lock-room-btn', () => this.confirmToggleRoomLock());
+    
     // AR/VR controls
     this.addClickListener('start-ar-btn', () => this.startAR());
     this.addClickListener('start-vr-btn', () => this.startVR());
@@ -156,6 +202,7 @@ export class UIManager {
     this.addClickListener('mic-toggle', () => this.toggleMicrophone());
     this.addClickListener('camera-toggle', () => this.toggleCamera());
     this.addClickListener('speaker-toggle', () => this.toggleSpeaker());
+    this.addClickListener('clip-record-btn', () => this.toggleClipRecording());
     
     // Object controls
     this.addClickListener('add-object-btn', () => this.toggleObjectPanel());
@@ -163,6 +210,17 @@ export class UIManager {
     this.addClickListener('hand-tracking-btn', () => this.toggleHandTracking());
     this.addClickListener('spatial-audio-btn', () => this.toggleSpatialAudio());
     
+    // Chat
+    this.addClickListener('chat-toggle', () => this.toggleChatPanel());
+    this.addClickListener('close-chat-panel', () => this.closeChatPanel());
+    this.addClickListener('chat-back-btn', () => this.openChatThread(null));
+    this.addClickListener('chat-load-more', () => this.requestOlderChatMessages());
+    this.addClickListener('chat-compose-cancel', () => this.clearChatComposeTarget());
+    this.elements.get('chat-form')?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.submitChatMessage();
+    });
+    
     // Object spawning
     this.setupObjectSpawning();
     
@@ -215,6 +273,25 @@ export class UIManager {
     this.addClickListener('cancel-create-room', () => this.closeModal());
     this.addClickListener('cancel-join-room', () => this.closeModal());
     this.addClickListener('close-device-control', () => this.closeModal());
+    this.addClickListener('cancel-note', () => this.closeModal());
+    
+    // Sticky note modal
+    this.elements.get('note-form')?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.submitNote();
+    });
+    
+    // Confirmation modal
+    const confirmAccept = document.getElementById('confirm-accept');
+    const confirmCancel = document.getElementById('confirm-cancel');
+    
+    if (confirmAccept) {
+      confirmAccept.addEventListener('click', () => this.resolveConfirmation(true));
+    }
+    
+    if (confirmCancel) {
+      confirmCancel.addEventListener('click', () => this.resolveConfirmation(false));
+    }
     
     // Close modal on overlay click
     const modalOverlay = this.elements.get('modal-overlay');
@@ -323,6 +400,11 @@ export class UIManager {
   handleKeyboardShortcuts(event) {
     const { key, ctrlKey, altKey, shiftKey } = event;
     
+    // Typing into a field (the chat, a room name) is not a shortcut
+    if (key !== 'Escape' && event.target?.closest?.('input, textarea, select')) {
+      return;
+    }
+    
     // Prevent default for our shortcuts
     const shortcuts = {
       'Escape': () => this.closeModal() || this.closeSideMenu(),
@@ -587,6 +669,13 @@ export class UIManager {
   closeModal() {
     if (!this.currentModal) return;
     
+    // Dismissing the confirmation modal counts as cancelling it
+    if (this.currentModal === 'confirm-modal' && this.pendingConfirmation) {
+      const resolve = this.pendingConfirmation;
+      this.pendingConfirmation = null;
+      resolve(false);
+    }
+    
     const modalOverlay = this.elements.get('modal-overlay');
     const modal = this.elements.get(this.currentModal);
     
@@ -668,6 +757,8 @@ export class UIManager {
     const displayText = mode ? `${mode.toUpperCase()} Active` : this.formatStatus(status);
     xrStatus.textContent = displayText;
     xrStatus.className = `status-value ${status}`;
+    
+    this.renderFloatingChat();
   }
 
   updateDeviceCount(count) {
@@ -777,6 +868,743 @@ export class UIManager {
     this.deviceList = this.deviceList.filter(device => device.id !== deviceId);
   }
 
+  // User List & Moderation
+  renderUserList(users, options = {}) {
+    const userList = this.elements.get('user-list');
+    if (!userList) return;
+    
+    const { currentUserId = null, permissions = {}, canModerate = () => false } = options;
+    
+    this.userList = users;
+    userList.innerHTML = '';
+    
+    users.forEach(user => {
+      userList.appendChild(this.createUserElement(user, {
+        isSelf: user.id === currentUserId,
+        permissions,
+        canModerate: canModerate(user)
+      }));
+    });
+    
+    // Room-wide moderation controls
+    const moderationControls = this.elements.get('moderation-controls');
+    if (moderationControls) {
+      const showControls = permissions.canMuteUsers || permissions.canModifyRoom;
+      moderationControls.classList.toggle('hidden', !showControls);
+    }
+    
+    const muteAllButton = this.elements.get('mute-all-btn');
+    if (muteAllButton) {
+      muteAllButton.disabled = !permissions.canMuteUsers;
+    }
+    
+    const lockButton = this.elements.get('lock-room-btn');
+    if (lockButton) {
+      lockButton.disabled = !permissions.canModifyRoom;
+    }
+  }
+
+  createUserElement(user, options = {}) {
+    const { isSelf, permissions, canModerate } = options;
+    
+    const userElement = document.createElement('div');
+    userElement.className = `user-item${user.isMuted ? ' muted' : ''}${user.connectionState === 'reconnecting' ? ' reconnecting' : ''}${user.isRecordingClip ? ' recording' : ''}`;
+    userElement.dataset.userId = user.id;
+    
+    const userInfo = document.createElement('div');
+    userInfo.className = 'user-info';
+    
+    const userName = document.createElement('div');
+    userName.className = 'user-name';
+    userName.textContent = isSelf ? `${user.name || user.id} (you)` : (user.name || user.id);
+    if (user.isRecordingClip) {
+      userName.textContent = `⏺️ ${userName.textContent}`;
+      userName.title = 'Recording';
+    }
+    
+    const userRole = document.createElement('div');
+    userRole.className = 'user-role';
+    userRole.textContent = user.role || 'guest';
+    
+    userInfo.append(userName, userRole);
+    userElement.appendChild(userInfo);
+    
+    if (!isSelf) {
+      const actions = document.createElement('div');
+      actions.className = 'user-actions';
+      
+      if (this.chat.enabled) {
+        actions.appendChild(this.createModerationButton('💬', 'Direct message', () => this.startDirectMessage(user)));
+      }
+      
+      if (canModerate && permissions.canMuteUsers) {
+        actions.appendChild(this.createModerationButton(
+          user.isMuted ? '🔊' : '🔇',
+          user.isMuted ? 'Unmute' : 'Mute',
+          () => this.emit('mute-user-requested', { userId: user.id, muted: !user.isMuted })
+        ));
+      }
+      
+      if (canModerate && permissions.canKickUsers) {
+        actions.appendChild(this.createModerationButton('👢', 'Kick', () => this.confirmKickUser(user)));
+        actions.appendChild(this.createModerationButton('⛔', 'Ban', () => this.confirmBanUser(user)));
+      }
+      
+      userElement.appendChild(actions);
+    }
+    
+    return userElement;
+  }
+
+  createModerationButton(icon, title, handler) {
+    const button = document.createElement('button');
+    button.className = 'moderation-btn';
+    button.textContent = icon;
+    button.title = title;
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.hapticFeedback('light');
+      handler();
+    });
+    return button;
+  }
+
+  async confirmKickUser(user) {
+    const confirmed = await this.confirmAction(
+      'Remove participant',
+      `Remove ${user.name || user.id} from the room? They can rejoin later.`
+    );
+    
+    if (confirmed) {
+      this.emit('kick-user-requested', { userId: user.id });
+    }
+  }
+
+  async confirmBanUser(user) {
+    const confirmed = await this.confirmAction(
+      'Ban participant',
+      `Ban ${user.name || user.id}? They will not be able to rejoin this room.`
+    );
+    
+    if (confirmed) {
+      this.emit('ban-user-requested', { userId: user.id });
+    }
+  }
+
+  async confirmMuteAll() {
+    const confirmed = await this.confirmAction(
+      'Mute everyone',
+      'Mute the microphone of every participant you moderate?'
+    );
+    
+    if (confirmed) {
+      this.emit('mute-all-requested', { muted: true });
+    }
+  }
+
+  async confirmToggleRoomLock() {
+    const locking = !this.isRoomLocked;
+    const confirmed = await this.confirmAction(
+      locking ? 'Lock room' : 'Unlock room',
+      locking
+        ? 'Lock the room? Guests will not be able to join until it is unlocked.'
+        : 'Unlock the room so new guests can join?'
+    );
+    
+    if (confirmed) {
+      this.emit('lock-room-requested', { locked: locking });
+    }
+  }
+
+  updateRoomLockState(isLocked) {
+    this.isRoomLocked = isLocked;
+    
+    const lockButton = this.elements.get('lock-room-btn');
+    if (lockButton) {
+      lockButton.textContent = isLocked ? 'Unlock Room' : 'Lock Room';
+    }
+  }
+
+  // Recording
+  toggleClipRecording() {
+    this.emit('clip-recording-toggled');
+  }
+
+  updateClipRecordingState(isRecording) {
+    const recordButton = this.elements.get('clip-record-btn');
+    if (recordButton) {
+      recordButton.classList.toggle('active', isRecording);
+      recordButton.title = isRecording ? 'Stop recording' : 'Record a clip';
+    }
+  }
+
+  updateClipRecordingAvailability(isAllowed, reason = 'Recording is turned off in this room') {
+    const recordButton = this.elements.get('clip-record-btn');
+    if (recordButton) {
+      recordButton.disabled = !isAllowed;
+      recordButton.title = isAllowed ? 'Record a clip' : reason;
+    }
+  }
+
+  // Everyone in the room sees who is recording
+  updateRecordingIndicator({ sessionRecording = false, clipRecorders = [] } = {}) {
+    const indicator = this.elements.get('recording-indicator');
+    if (!indicator) return;
+    
+    const labels = [];
+    if (sessionRecording) labels.push('Session');
+    labels.push(...clipRecorders);
+    
+    indicator.classList.toggle('hidden', labels.length === 0);
+    indicator.textContent = labels.length > 0 ? `● REC ${labels.join(', ')}` : '';
+    indicator.title = labels.length > 0 ? `Being recorded by: ${labels.join(', ')}` : '';
+  }
+
+  // Chat
+  toggleChatPanel() {
+    const chatPanel = this.elements.get('chat-panel');
+    if (!chatPanel) return;
+    
+    if (chatPanel.classList.contains('hidden')) {
+      this.openChatPanel();
+    } else {
+      this.closeChatPanel();
+    }
+  }
+
+  openChatPanel() {
+    const chatPanel = this.elements.get('chat-panel');
+    if (!chatPanel || !this.chat.enabled) return;
+    
+    chatPanel.classList.remove('hidden');
+    this.animateElement(chatPanel, 'slideInRight');
+    this.setControlActive('chat-toggle', true);
+    
+    this.chat.unread = 0;
+    this.renderChat();
+    this.elements.get('chat-input')?.focus();
+  }
+
+  closeChatPanel() {
+    const chatPanel = this.elements.get('chat-panel');
+    if (!chatPanel || chatPanel.classList.contains('hidden')) return;
+    
+    this.setControlActive('chat-toggle', false);
+    this.animateElement(chatPanel, 'slideOutRight').then(() => {
+      chatPanel.classList.add('hidden');
+    });
+  }
+
+  isChatPanelOpen() {
+    const chatPanel = this.elements.get('chat-panel');
+    return !!chatPanel && !chatPanel.classList.contains('hidden');
+  }
+
+  // Follows the room's textChat setting; history stays readable while chat is off
+  setChatAvailability(isEnabled) {
+    this.chat.enabled = isEnabled;
+    
+    const chatToggle = this.elements.get('chat-toggle');
+    if (chatToggle) {
+      chatToggle.disabled = !isEnabled;
+      chatToggle.title = isEnabled ? 'Chat' : 'Chat is turned off in this room';
+    }
+    
+    const chatInput = this.elements.get('chat-input');
+    if (chatInput) {
+      chatInput.disabled = !isEnabled;
+    }
+    
+    if (!isEnabled) {
+      this.closeChatPanel();
+    }
+    
+    this.renderFloatingChat();
+  }
+
+  // Replaces everything with the page the server sent on join
+  setChatHistory(history) {
+    this.chat.messages.clear();
+    this.chat.hasMore.clear();
+    this.chat.threadId = null;
+    this.chat.unread = 0;
+    this.clearChatComposeTarget();
+    
+    this.addChatHistory(history);
+  }
+
+  // A page from history paging or a resumed session; merged with what we have
+  addChatHistory(history) {
+    if (!history) return;
+    
+    if (history.root) {
+      this.chat.messages.set(history.root.id, history.root);
+    }
+    
+    (history.messages || []).forEach(message => {
+      this.chat.messages.set(message.id, message);
+    });
+    
+    this.chat.hasMore.set(history.threadId || '', !!history.hasMore);
+    this.renderChat();
+  }
+
+  addChatMessage(message, clientId = null) {
+    // Our own message is back from the server; it replaces the pending copy
+    if (clientId) {
+      this.chat.messages.delete(clientId);
+    }
+    
+    const isNew = !this.chat.messages.has(message.id);
+    this.chat.messages.set(message.id, message);
+    
+    if (isNew && message.threadId) {
+      const root = this.chat.messages.get(message.threadId);
+      if (root) {
+        root.replyCount = (root.replyCount || 0) + 1;
+      }
+    }
+    
+    const isOwn = message.from === this.getCurrentUserId();
+    const isOnScreen = this.isChatPanelOpen() && this.chat.threadId === message.threadId;
+    if (isNew && !isOwn && !isOnScreen) {
+      this.chat.unread++;
+    }
+    
+    this.renderChat();
+  }
+
+  // Edits and deletions
+  updateChatMessage(message) {
+    this.chat.messages.set(message.id, { ...this.chat.messages.get(message.id), ...message });
+    
+    if (message.deleted && this.chat.editingId === message.id) {
+      this.clearChatComposeTarget();
+    }
+    
+    this.renderChat();
+  }
+
+  markChatMessageFailed(clientId) {
+    const message = this.chat.messages.get(clientId);
+    if (message) {
+      message.pending = false;
+      message.failed = true;
+      this.renderChat();
+    }
+  }
+
+  clearChat() {
+    this.chat.messages.clear();
+    this.chat.hasMore.clear();
+    this.chat.threadId = null;
+    this.chat.unread = 0;
+    this.clearChatComposeTarget();
+    this.closeChatPanel();
+    this.renderChat();
+  }
+
+  openChatThread(threadId) {
+    this.chat.threadId = threadId;
+    this.clearChatComposeTarget();
+    
+    // Thread replies are loaded the first time the thread is opened
+    if (threadId && !this.chat.hasMore.has(threadId)) {
+      this.emit('chat-history-requested', { threadId });
+    }
+    
+    this.renderChat();
+  }
+
+  requestOlderChatMessages() {
+    const [oldest] = this.getVisibleChatMessages().filter(message => !message.pending && !message.failed);
+    
+    this.emit('chat-history-requested', {
+      before: oldest?.id,
+      threadId: this.chat.threadId || undefined
+    });
+  }
+
+  startDirectMessage(user) {
+    this.chat.directTo = { id: user.id, name: user.name || user.id };
+    this.chat.editingId = null;
+    this.chat.threadId = null;
+    
+    this.openChatPanel();
+    this.renderChatComposeTarget();
+  }
+
+  startEditingChatMessage(message) {
+    this.chat.editingId = message.id;
+    
+    const chatInput = this.elements.get('chat-input');
+    if (chatInput) {
+      chatInput.value = message.text;
+      chatInput.focus();
+    }
+    
+    this.renderChatComposeTarget();
+  }
+
+  clearChatComposeTarget() {
+    if (this.chat.editingId) {
+      const chatInput = this.elements.get('chat-input');
+      if (chatInput) chatInput.value = '';
+    }
+    
+    this.chat.directTo = null;
+    this.chat.editingId = null;
+    this.renderChatComposeTarget();
+  }
+
+  submitChatMessage() {
+    const chatInput = this.elements.get('chat-input');
+    const text = chatInput?.value.trim();
+    if (!text || !this.chat.enabled) return;
+    
+    if (this.chat.editingId) {
+      this.emit('chat-edit-requested', { messageId: this.chat.editingId, text });
+      this.clearChatComposeTarget();
+      return;
+    }
+    
+    const threadId = this.chat.threadId;
+    // Replies go to the thread's own audience, so the direct target only applies outside threads
+    const to = threadId ? undefined : this.chat.directTo?.id;
+    const clientId = `pending_${Date.now()}_${this.chat.nextClientId++}`;
+    
+    // Shown right away and replaced when the server echoes it back with its real ID
+    this.chat.messages.set(clientId, {
+      id: clientId,
+      from: this.getCurrentUserId(),
+      fromName: this.platform?.currentUser?.name,
+      text,
+      to: to || null,
+      threadId,
+      mentions: [],
+      createdAt: new Date().toISOString(),
+      pending: true
+    });
+    
+    this.emit('chat-send-requested', { text, to, threadId: threadId || undefined, clientId });
+    
+    chatInput.value = '';
+    this.renderChat();
+  }
+
+  async confirmDeleteChatMessage(message) {
+    const confirmed = await this.confirmAction('Delete message', 'Delete this message for everyone?');
+    if (confirmed) {
+      this.emit('chat-delete-requested', { messageId: message.id });
+    }
+  }
+
+  getCurrentUserId() {
+    return this.platform?.currentUser?.id || null;
+  }
+
+  getChatUserName(userId) {
+    const user = this.userList.find(u => u.id === userId);
+    return user?.name || userId;
+  }
+
+  // The thread on screen (or the room timeline), oldest first
+  getVisibleChatMessages() {
+    return Array.from(this.chat.messages.values())
+      .filter(message => (message.threadId || null) === this.chat.threadId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  renderChat() {
+    this.renderChatUnread();
+    this.renderFloatingChat();
+    
+    const chatMessages = this.elements.get('chat-messages');
+    if (!chatMessages || !this.isChatPanelOpen()) return;
+    
+    const { threadId } = this.chat;
+    const root = threadId ? this.chat.messages.get(threadId) : null;
+    
+    const chatTitle = this.elements.get('chat-title');
+    if (chatTitle) {
+      chatTitle.textContent = threadId ? 'Thread' : 'Room Chat';
+    }
+    
+    this.elements.get('chat-back-btn')?.classList.toggle('hidden', !threadId);
+    this.elements.get('chat-load-more')?.classList.toggle('hidden', !this.chat.hasMore.get(threadId || ''));
+    
+    const wasAtBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 20;
+    
+    chatMessages.innerHTML = '';
+    
+    if (root) {
+      const rootElement = this.createChatMessageElement(root, { isThreadRoot: true });
+      chatMessages.appendChild(rootElement);
+    }
+    
+    this.getVisibleChatMessages().forEach(message => {
+      chatMessages.appendChild(this.createChatMessageElement(message));
+    });
+    
+    if (wasAtBottom) {
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+    
+    this.renderChatComposeTarget();
+  }
+
+  createChatMessageElement(message, options = {}) {
+    const { isThreadRoot = false } = options;
+    const currentUserId = this.getCurrentUserId();
+    const isOwn = message.from === currentUserId;
+    const isMentioned = (message.mentions || []).includes(currentUserId);
+    
+    const messageElement = document.createElement('div');
+    messageElement.className = [
+      'chat-message',
+      isOwn && 'own',
+      message.to && 'direct',
+      isMentioned && 'mentioned',
+      message.deleted && 'deleted',
+      message.pending && 'pending',
+      message.failed && 'failed',
+      isThreadRoot && 'thread-root'
+    ].filter(Boolean).join(' ');
+    messageElement.dataset.messageId = message.id;
+    
+    const header = document.createElement('div');
+    header.className = 'chat-message-header';
+    
+    const author = document.createElement('span');
+    author.className = 'chat-author';
+    author.textContent = isOwn ? 'You' : (message.fromName || this.getChatUserName(message.from));
+    
+    const time = document.createElement('span');
+    time.className = 'chat-time';
+    time.textContent = new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    
+    header.append(author, time);
+    
+    if (message.to) {
+      const direct = document.createElement('span');
+      direct.className = 'chat-direct';
+      direct.textContent = isOwn ? `→ ${this.getChatUserName(message.to)}` : 'direct';
+      header.appendChild(direct);
+    }
+    
+    const body = document.createElement('div');
+    body.className = 'chat-text';
+    // Always text, never markup: messages come from other users
+    body.textContent = message.deleted ? 'Message deleted' : message.text;
+    
+    messageElement.append(header, body);
+    
+    const notes = [];
+    if (message.editedAt && !message.deleted) notes.push('edited');
+    if (message.pending) notes.push('sending…');
+    if (message.failed) notes.push('not sent');
+    
+    if (notes.length > 0) {
+      const note = document.createElement('div');
+      note.className = 'chat-note';
+      note.textContent = notes.join(' · ');
+      messageElement.appendChild(note);
+    }
+    
+    if (message.deleted || message.pending || message.failed) {
+      return messageElement;
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'chat-actions';
+    
+    if (!message.threadId && !isThreadRoot) {
+      const replyButton = document.createElement('button');
+      replyButton.className = 'chat-action';
+      replyButton.textContent = message.replyCount ? `${message.replyCount} ${message.replyCount === 1 ? 'reply' : 'replies'}` : 'Reply';
+      replyButton.addEventListener('click', () => this.openChatThread(message.id));
+      actions.appendChild(replyButton);
+    }
+    
+    if (isOwn) {
+      const editButton = document.createElement('button');
+      editButton.className = 'chat-action';
+      editButton.textContent = 'Edit';
+      editButton.addEventListener('click', () => this.startEditingChatMessage(message));
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'chat-action';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => this.confirmDeleteChatMessage(message));
+      
+      actions.append(editButton, deleteButton);
+    }
+    
+    if (actions.children.length > 0) {
+      messageElement.appendChild(actions);
+    }
+    
+    return messageElement;
+  }
+
+  renderChatComposeTarget() {
+    const composeTarget = this.elements.get('chat-compose-target');
+    const composeLabel = this.elements.get('chat-compose-label');
+    const chatInput = this.elements.get('chat-input');
+    
+    let label = null;
+    if (this.chat.editingId) {
+      label = 'Editing message';
+    } else if (this.chat.directTo && !this.chat.threadId) {
+      label = `Direct message to ${this.chat.directTo.name}`;
+    }
+    
+    composeTarget?.classList.toggle('hidden', !label);
+    if (composeLabel) composeLabel.textContent = label || '';
+    
+    if (chatInput) {
+      chatInput.placeholder = this.chat.threadId
+        ? 'Reply in thread'
+        : (label ? `${label}…` : 'Message the room');
+    }
+  }
+
+  renderChatUnread() {
+    const chatUnread = this.elements.get('chat-unread');
+    if (!chatUnread) return;
+    
+    chatUnread.classList.toggle('hidden', this.chat.unread === 0);
+    chatUnread.textContent = this.chat.unread > 99 ? '99+' : String(this.chat.unread);
+  }
+
+  /**
+   * In immersive sessions without a DOM overlay the 2D panel can't be seen,
+   * so the latest room messages are drawn onto a canvas that AREngine shows
+   * as a floating panel. It is read-only; replies need the 2D panel.
+   */
+  renderFloatingChat() {
+    const arEngine = this.platform?.arEngine;
+    if (!arEngine?.showFloatingPanel) return;
+    
+    const isImmersive = arEngine.isXRActive && !arEngine.xrSession?.domOverlayState;
+    if (!isImmersive || !this.chat.enabled) {
+      arEngine.hideFloatingPanel('chat');
+      return;
+    }
+    
+    if (!this.chat.canvas) {
+      this.chat.canvas = document.createElement('canvas');
+      this.chat.canvas.width = 1024;
+      this.chat.canvas.height = 512;
+    }
+    
+    const canvas = this.chat.canvas;
+    const context = canvas.getContext('2d');
+    const padding = 32;
+    const lineHeight = (canvas.height - padding * 2) / (this.config.floatingChatLines + 1);
+    
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = 'rgba(20, 20, 30, 0.8)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    
+    context.textBaseline = 'top';
+    context.font = `bold ${Math.round(lineHeight * 0.6)}px sans-serif`;
+    context.fillStyle = '#ffffff';
+    context.fillText(this.chat.unread > 0 ? `Chat (${this.chat.unread} new)` : 'Chat', padding, padding);
+    
+    const currentUserId = this.getCurrentUserId();
+    const messages = Array.from(this.chat.messages.values())
+      .filter(message => !message.threadId && !message.deleted)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(-this.config.floatingChatLines);
+    
+    context.font = `${Math.round(lineHeight * 0.55)}px sans-serif`;
+    
+    messages.forEach((message, index) => {
+      const author = message.from === currentUserId ? 'You' : (message.fromName || this.getChatUserName(message.from));
+      const line = `${author}${message.to ? ' (direct)' : ''}: ${message.text}`;
+      
+      context.fillStyle = (message.mentions || []).includes(currentUserId) ? '#FFC107' : '#e0e0e0';
+      context.fillText(this.fitText(context, line, canvas.width - padding * 2), padding, padding + lineHeight * (index + 1));
+    });
+    
+    arEngine.showFloatingPanel('chat', canvas, { width: 0.6 });
+  }
+
+  fitText(context, text, maxWidth) {
+    if (context.measureText(text).width <= maxWidth) return text;
+    
+    let fitted = text;
+    while (fitted.length > 0 && context.measureText(`${fitted}…`).width > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+  }
+
+  // Sticky Notes
+  openNoteEditor(objectId, properties = {}) {
+    const textInput = this.elements.get('note-text-input');
+    const historyList = this.elements.get('note-history');
+    if (!textInput || !historyList) return;
+    
+    this.editingNoteId = objectId;
+    textInput.value = properties.text || '';
+    
+    // Newest edit first
+    historyList.innerHTML = '';
+    (properties.history || []).slice().reverse().forEach(entry => {
+      const item = document.createElement('li');
+      
+      const meta = document.createElement('span');
+      meta.className = 'note-history-meta';
+      const author = entry.userId === this.getCurrentUserId() ? 'You' : this.getChatUserName(entry.userId);
+      meta.textContent = `${author} · ${new Date(entry.editedAt).toLocaleString()}`;
+      
+      item.appendChild(meta);
+      item.appendChild(document.createTextNode(entry.text || '(empty)'));
+      historyList.appendChild(item);
+    });
+    
+    this.openModal('note-modal');
+    textInput.focus();
+  }
+
+  submitNote() {
+    const textInput = this.elements.get('note-text-input');
+    if (!this.editingNoteId || !textInput) return;
+    
+    this.emit('note-save-requested', { objectId: this.editingNoteId, text: textInput.value });
+    
+    this.editingNoteId = null;
+    this.closeModal();
+  }
+
+  confirmAction(title, message) {
+    const titleElement = document.getElementById('confirm-title');
+    const messageElement = document.getElementById('confirm-message');
+    
+    if (titleElement) titleElement.textContent = title;
+    if (messageElement) messageElement.textContent = message;
+    
+    this.openModal('confirm-modal');
+    
+    return new Promise((resolve) => {
+      this.pendingConfirmation = resolve;
+    });
+  }
+
+  resolveConfirmation(confirmed) {
+    const resolve = this.pendingConfirmation;
+    this.pendingConfirmation = null;
+    
+    this.closeModal();
+    
+    if (resolve) {
+      resolve(confirmed);
+    }
+  }
+
   // Notification System
   showNotification(message, type = 'info', duration = null) {
     const notification = {
@@ -950,6 +1778,13 @@ export class UIManager {
     this.emit('object-spawn-requested', objectType);
   }
 
+  setControlActive(elementId, isActive) {
+    const element = this.elements.get(elementId);
+    if (element) {
+      element.classList.toggle('active', isActive);
+    }
+  }
+
   toggleMicrophone() {
     const micButton = this.elements.get('mic-toggle');
     if (micButton) {
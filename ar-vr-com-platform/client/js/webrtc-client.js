@@ -1,15 +1,64 @@
+import { WIRE_FORMATS, encodeMessage, decodeMessage } from './wire-format.js';
+import { FileTransfer, FILE_CHANNEL, FILE_CHUNK_MESSAGE } from './file-transfer.js';
+
+/**
+ * Video quality layers a receiver can ask a sender for. Browsers can't receive
+ * real simulcast without a media server, so every receiver already has its own
+ * sender (one per peer connection, or per subscriber on the forwarder) and a
+ * layer is simply that sender's encoding.
+ */
+export const VIDEO_LAYERS = {
+  high: { scaleResolutionDownBy: 1, bitrateFactor: 1 },
+  medium: { scaleResolutionDownBy: 2, bitrateFactor: 0.35, maxFramerate: 24 },
+  low: { scaleResolutionDownBy: 4, bitrateFactor: 0.12, maxFramerate: 15 }
+};
+
+/**
+ * Data channels opened to every peer, by label. Each message goes on the
+ * channel its type maps to (config.messageChannels), so a pose burst waiting
+ * on retransmissions can't hold up a chat message.
+ */
+export const DATA_CHANNELS = {
+  // Poses and the like: the next update supersedes this one, so late is as useless as lost
+  realtime: { ordered: false, maxRetransmits: 0 },
+  // Chat, object edits and control messages
+  reliable: { ordered: true },
+  // Bulk transfers (see file-transfer.js), kept apart so they can't delay chat
+  [FILE_CHANNEL]: { ordered: true }
+};
+
 /**
  * WebRTC Client for AR/VR Communication Platform
  * Handles peer-to-peer connections, media streaming, and data channels
  */
 export class WebRTCClient {
-  constructor(socket) {
+  constructor(socket, options = {}) {
     this.socket = socket;
     
+    // Session token for REST calls; read on every call so renewed tokens are used
+    this.getAuthToken = options.getAuthToken || (() => localStorage.getItem('ar-vr-auth-token'));
+    
+    // ICE servers from the server, with TURN credentials that expire
+    this.iceServerConfig = null; // { iceServers, expiresAt (ms) }
+    this.iceServerRequest = null;
+    
     // Connection management
     this.peerConnections = new Map();
-    this.dataChannels = new Map();
-    this.pendingConnections = new Map();
+    this.dataChannels = new Map(); // userId -> Map(label -> RTCDataChannel), see DATA_CHANNELS
+    this.pendingConnections = new Map(); // userId -> promise of a connection being created
+    
+    // Perfect negotiation: either side may offer at any time; on a collision the polite
+    // side rolls back its own offer and the impolite side ignores the incoming one
+    this.negotiations = new Map(); // userId -> { polite, makingOffer, ignoreOffer, isSettingRemoteAnswerPending, iceRestarts, disconnectTimer }
+    this.signalQueues = new Map(); // userId -> promise; signals from one peer are applied in order
+    
+    // REST fallback while the socket is down
+    this.outgoingSignals = Promise.resolve(); // signals posted one at a time, in order
+    this.signalPollTimer = null;
+    
+    // Per-peer data channel encoding, agreed when the channel opens
+    this.peerWireFormats = new Map();
+    this.netIds = null;
     
     // Media streams
     this.localStream = null;
@@ -21,15 +70,36 @@ export class WebRTCClient {
     this.currentUserId = null;
     this.roomUsers = new Map();
     
+    // Announced by the server: 'mesh', or 'sfu' where everyone connects to forwarderId,
+    // which relays each user's tracks to the others according to their subscription
+    this.mediaTopology = { mode: 'mesh', forwarderId: null, subscriptions: {} };
+    // Tracks we send, per peer: userId -> Map(`${sourceUserId}:${kind}` -> RTCRtpSender)
+    this.outgoingSenders = new Map();
+    // Streams relayed by the forwarder, by stream ID -> the user they belong to
+    this.streamOwners = new Map();
+    this.unclaimedStreams = new Map(); // streamId -> stream that arrived before its owner was announced
+    
+    // Adaptive bitrate: what we send each peer follows the loss and RTT it reports back
+    this.bitrateTimer = null;
+    this.roomMaxBitrate = null; // the room's maxBitrate setting, caps every video sender
+    this.sendQuality = new Map(); // userId -> { targetBitrate, loss, rtt, packetsSent, packetsLost }
+    this.requestedLayers = new Map(); // userId -> Map(sourceUserId -> layer) the peer asked us to send
+    this.receiveLayers = new Map(); // sourceUserId -> layer we asked for
+    
+    // Connection health is reported to the server for its per-room quality dashboard
+    this.healthTimer = null;
+    
     // Configuration
     this.config = {
+      // Only used if /api/webrtc/ice-servers can't be reached; STUN alone fails behind symmetric NATs
       iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' },
-        { urls: 'stun:stun2.l.google.com:19302' },
-        { urls: 'stun:stun3.l.google.com:19302' },
-        { urls: 'stun:stun4.l.google.com:19302' }
+        { urls: 'stun:stun.l.google.com:19302' }
       ],
+      iceServersUrl: options.iceServersUrl || '/api/webrtc/ice-servers',
+      iceServerRefreshMargin: 5 * 60 * 1000, // refetch this long before TURN credentials expire
+      signalUrl: options.signalUrl || '/api/webrtc/signal',
+      signalsUrl: options.signalsUrl || '/api/webrtc/signals',
+      signalPollInterval: 2000, // ms, only while the socket is disconnected
       
       mediaConstraints: {
         audio: {
@@ -47,14 +117,33 @@ export class WebRTCClient {
         }
       },
       
-      dataChannelConfig: {
-        ordered: true,
-        maxRetransmits: 3
+      // Message type -> data channel; anything not listed goes on defaultChannel
+      messageChannels: {
+        pose: 'realtime',
+        'spatial-audio-update': 'realtime'
       },
+      defaultChannel: 'reliable',
+      
+      bitrateControl: {
+        interval: 2000, // ms between adjustments
+        defaultMaxBitrate: 2000000, // when the room doesn't set maxBitrate
+        minBitrate: 100000,
+        // Back off hard on congestion, probe upwards slowly
+        decreaseFactor: 0.7,
+        increaseFactor: 1.08,
+        highLoss: 0.08, // fraction of packets lost
+        lowLoss: 0.02,
+        highRtt: 0.4 // seconds
+      },
+      
+      healthReportInterval: 10000, // ms between stats reports to the server
       
       connectionTimeout: 10000,
       reconnectAttempts: 3,
-      reconnectDelay: 2000
+      reconnectDelay: 2000,
+      // ICE restarts keep the connection (and its tracks) and are tried before starting over
+      iceRestartAttempts: 2,
+      disconnectGrace: 3000 // 'disconnected' often recovers by itself; restart ICE if it hasn't by then
     };
     
     // State tracking
@@ -79,6 +168,17 @@ export class WebRTCClient {
     // Event handlers
     this.eventHandlers = new Map();
     
+    // Data channel messages by type; types without a handler are emitted as 'data-received'
+    this.messageHandlers = new Map();
+    this.onMessage('wire-format', (message, { userId }) => this.handleWireFormat(userId, message));
+    this.onMessage('stream-owners', (message, { userId }) => {
+      if (userId === this.mediaTopology.forwarderId) this.handleStreamOwners(message.owners);
+    });
+    this.onMessage('video-layer', (message, { userId }) => this.handleVideoLayerRequest(userId, message));
+    
+    // Chunked file sharing over the file channel
+    this.fileTransfer = new FileTransfer(this, options.fileTransfer);
+    
     this.init();
   }
 
@@ -118,17 +218,27 @@ export class WebRTCClient {
   }
 
   setupSocketHandlers() {
-    // WebRTC signaling events
-    this.socket.on('webrtc-offer', (data) => {
-      this.handleOffer(data);
+    // WebRTC signaling: one event for every message, told apart by type
+    this.socket.on('webrtc-signal', (data) => {
+      this.handleSignal(data);
     });
     
-    this.socket.on('webrtc-answer', (data) => {
-      this.handleAnswer(data);
+    this.socket.on('webrtc-signal-error', (data) => {
+      this.handleSignalError(data);
     });
     
-    this.socket.on('webrtc-ice-candidate', (data) => {
-      this.handleIceCandidate(data);
+    // While the socket is down, signals go over REST and we poll for the ones sent to us
+    this.socket.on('disconnect', () => {
+      if (this.isConnectedToRoom) {
+        this.startSignalPolling();
+      }
+    });
+    
+    this.socket.on('connect', () => {
+      if (this.signalPollTimer) {
+        this.stopSignalPolling();
+        this.pollSignals();
+      }
     });
     
     // Room events
@@ -144,6 +254,14 @@ export class WebRTCClient {
       this.handleUserLeft(data);
     });
     
+    this.socket.on('media-topology', (data) => {
+      this.applyMediaTopology(data);
+    });
+    
+    this.socket.on('room-settings-updated', (data) => {
+      this.roomMaxBitrate = data.settings?.maxBitrate || null;
+    });
+    
     console.log('📡 Socket handlers setup complete');
   }
 
@@ -209,6 +327,10 @@ export class WebRTCClient {
     
     console.log(`📡 Leaving room ${this.currentRoomId}`);
     
+    this.stopBitrateControl();
+    this.stopHealthReporting();
+    this.stopSignalPolling();
+    
     // Close all peer connections
     for (const [userId, connection] of this.peerConnections) {
       await this.closePeerConnection(userId);
@@ -219,51 +341,107 @@ export class WebRTCClient {
     this.currentUserId = null;
     this.isConnectedToRoom = false;
     this.roomUsers.clear();
+    this.signalQueues.clear();
     
     this.emit('room-left');
   }
 
+  // ICE Servers
+  async getIceServers() {
+    const cached = this.iceServerConfig;
+    if (cached && (!cached.expiresAt || cached.expiresAt - Date.now() > this.config.iceServerRefreshMargin)) {
+      return cached.iceServers;
+    }
+    
+    // Peers joining together share one request
+    if (!this.iceServerRequest) {
+      this.iceServerRequest = this.fetchIceServers().finally(() => {
+        this.iceServerRequest = null;
+      });
+    }
+    
+    return this.iceServerRequest;
+  }
+
+  async fetchIceServers() {
+    try {
+      const response = await fetch(this.config.iceServersUrl, {
+        headers: { Authorization: `Bearer ${this.getAuthToken()}` }
+      });
+      
+      if (!response.ok) {
+        throw new Error(`ICE server request failed (${response.status})`);
+      }
+      
+      const { iceServers, expiresAt } = await response.json();
+      this.iceServerConfig = {
+        iceServers,
+        expiresAt: expiresAt ? new Date(expiresAt).getTime() : null
+      };
+      
+      console.log(`🧊 Got ${iceServers.length} ICE servers${expiresAt ? ` (TURN credentials until ${expiresAt})` : ''}`);
+      return iceServers;
+      
+    } catch (error) {
+      // Credentials inside the refresh margin still work until they actually expire
+      const cached = this.iceServerConfig;
+      if (cached && cached.expiresAt > Date.now()) {
+        console.warn('⚠️ Could not refresh ICE servers, reusing current credentials:', error.message);
+        return cached.iceServers;
+      }
+      
+      console.warn('⚠️ Using fallback STUN servers:', error.message);
+      return this.config.iceServers;
+    }
+  }
+
   // Peer Connection Management
-  async createPeerConnection(userId, isInitiator = false) {
+  createPeerConnection(userId, isInitiator = false) {
+    // Whoever asks while the ICE servers are being fetched gets the same connection
+    if (!this.pendingConnections.has(userId)) {
+      this.pendingConnections.set(userId, this.openPeerConnection(userId, isInitiator)
+        .finally(() => this.pendingConnections.delete(userId)));
+    }
+    
+    return this.pendingConnections.get(userId);
+  }
+
+  async openPeerConnection(userId, isInitiator) {
     try {
       console.log(`📡 Creating peer connection to user ${userId} (initiator: ${isInitiator})`);
       
       // Create peer connection
       const peerConnection = new RTCPeerConnection({
-        iceServers: this.config.iceServers
+        iceServers: await this.getIceServers()
+      });
+      
+      // Both ends must agree on who is polite, so it comes from the IDs alone
+      this.negotiations.set(userId, {
+        polite: this.currentUserId > userId,
+        makingOffer: false,
+        ignoreOffer: false,
+        isSettingRemoteAnswerPending: false,
+        iceRestarts: 0,
+        disconnectTimer: null
       });
       
       // Setup event handlers
       this.setupPeerConnectionHandlers(peerConnection, userId, isInitiator);
       
-      // Add local stream if available
-      if (this.localStream) {
-        this.localStream.getTracks().forEach(track => {
-          peerConnection.addTrack(track, this.localStream);
-        });
-      }
+      // Our tracks (and, as forwarder, everyone else's) that this peer subscribed to
+      this.syncPeerTracks(userId, peerConnection);
       
-      // Create data channel if initiator
+      // The initiator opens every channel; the other side receives them through ondatachannel
       if (isInitiator) {
-        const dataChannel = peerConnection.createDataChannel(
-          'communication',
-          this.config.dataChannelConfig
-        );
-        
-        this.setupDataChannelHandlers(dataChannel, userId);
-        this.dataChannels.set(userId, dataChannel);
-        this.stats.dataChannelsCreated++;
+        Object.entries(DATA_CHANNELS).forEach(([label, options]) => {
+          this.addDataChannel(userId, peerConnection.createDataChannel(label, options));
+        });
       }
       
-      // Store connection
+      // Store connection; the data channel and tracks above fire onnegotiationneeded, which sends the offer
       this.peerConnections.set(userId, peerConnection);
       this.stats.connectionsCreated++;
       
-      // Start connection process if initiator
-      if (isInitiator) {
-        await this.createOffer(userId);
-      }
-      
       this.emit('peer-connection-created', { userId, isInitiator });
       
       return peerConnection;
@@ -290,6 +468,7 @@ export class WebRTCClient {
       const state = peerConnection.connectionState;
       console.log(`📡 Connection state changed for ${userId}: ${state}`);
       
+      this.reportConnectionState(userId, peerConnection);
       this.handleConnectionStateChange(userId, state);
     };
     
@@ -298,189 +477,303 @@ export class WebRTCClient {
       const state = peerConnection.iceConnectionState;
       console.log(`📡 ICE connection state changed for ${userId}: ${state}`);
       
+      this.reportConnectionState(userId, peerConnection);
+      
       if (state === 'connected' || state === 'completed') {
         this.stats.connectionsSuccessful++;
         this.emit('peer-connected', { userId });
       } else if (state === 'failed') {
+        // Recovery is driven by the connection state, which fails along with ICE
         this.stats.connectionsFailed++;
-        this.handleConnectionFailure(userId);
       }
     };
     
     // Remote stream handling
     peerConnection.ontrack = (event) => {
       console.log(`📡 Received remote track from ${userId}`);
-      this.handleRemoteStream(userId, event.streams[0]);
+      this.handleRemoteTrack(userId, event.streams[0]);
+    };
+    
+    // Every offer starts here: the initial one, tracks added or removed mid-call
+    // (camera, screen share, the forwarder relaying a new user) and ICE restarts
+    peerConnection.onnegotiationneeded = () => {
+      this.createOffer(userId, peerConnection).catch(error => {
+        console.error(`Negotiation with ${userId} failed:`, error);
+      });
     };
     
     // Data channel handling (for non-initiators)
     if (!isInitiator) {
       peerConnection.ondatachannel = (event) => {
-        const dataChannel = event.channel;
-        this.setupDataChannelHandlers(dataChannel, userId);
-        this.dataChannels.set(userId, dataChannel);
+        if (!DATA_CHANNELS[event.channel.label]) {
+          console.warn(`Closing unknown data channel ${event.channel.label} from ${userId}`);
+          event.channel.close();
+          return;
+        }
+        
+        this.addDataChannel(userId, event.channel);
       };
     }
   }
 
+  addDataChannel(userId, dataChannel) {
+    if (!this.dataChannels.has(userId)) {
+      this.dataChannels.set(userId, new Map());
+    }
+    
+    this.dataChannels.get(userId).set(dataChannel.label, dataChannel);
+    this.setupDataChannelHandlers(dataChannel, userId);
+    this.stats.dataChannelsCreated++;
+  }
+
+  getDataChannel(userId, label) {
+    return this.dataChannels.get(userId)?.get(label);
+  }
+
   setupDataChannelHandlers(dataChannel, userId) {
+    const channel = dataChannel.label;
+    dataChannel.binaryType = 'arraybuffer';
+    
     dataChannel.onopen = () => {
-      console.log(`📡 Data channel opened with ${userId}`);
-      this.emit('data-channel-opened', { userId });
+      console.log(`📡 Data channel ${channel} opened with ${userId}`);
+      
+      // Control messages go over the reliable channel, once per peer
+      if (channel === this.config.defaultChannel) {
+        // Both sides announce what they can decode; each sends binary only if the other can read it
+        dataChannel.send(JSON.stringify({
+          type: 'wire-format',
+          formats: [WIRE_FORMATS.BINARY, WIRE_FORMATS.JSON]
+        }));
+        
+        // Tell the subscriber whose streams we relay; tracks may already be on their way
+        if (this.isForwarding()) {
+          this.announceStreamOwners(userId);
+        }
+      }
+      
+      this.emit('data-channel-opened', { userId, channel });
     };
     
     dataChannel.onclose = () => {
-      console.log(`📡 Data channel closed with ${userId}`);
-      this.emit('data-channel-closed', { userId });
+      console.log(`📡 Data channel ${channel} closed with ${userId}`);
+      this.emit('data-channel-closed', { userId, channel });
     };
     
     dataChannel.onmessage = (event) => {
-      this.handleDataChannelMessage(userId, event.data);
+      this.handleDataChannelMessage(userId, event.data, channel);
     };
     
     dataChannel.onerror = (error) => {
-      console.error(`Data channel error with ${userId}:`, error);
-      this.emit('data-channel-error', { userId, error });
+      console.error(`Data channel ${channel} error with ${userId}:`, error);
+      this.emit('data-channel-error', { userId, channel, error });
     };
   }
 
   // Signaling Methods
-  async createOffer(userId) {
+  async createOffer(userId, peerConnection = this.peerConnections.get(userId)) {
+    const negotiation = this.negotiations.get(userId);
+    if (!peerConnection || !negotiation) {
+      throw new Error(`No peer connection found for user ${userId}`);
+    }
+    
     try {
-      const peerConnection = this.peerConnections.get(userId);
-      if (!peerConnection) {
-        throw new Error(`No peer connection found for user ${userId}`);
-      }
+      negotiation.makingOffer = true;
       
-      console.log(`📡 Creating offer for ${userId}`);
-      
-      const offer = await peerConnection.createOffer({
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: true
-      });
-      
-      await peerConnection.setLocalDescription(offer);
-      
-      // Send offer through signaling server
-      this.socket.emit('webrtc-signal', {
-        type: 'offer',
-        target: userId,
-        signal: {
-          type: offer.type,
-          sdp: offer.sdp
-        }
-      });
+      // Without arguments this creates whatever the state calls for, including ICE restarts
+      await peerConnection.setLocalDescription();
+      this.sendDescription(userId, peerConnection.localDescription);
       
       console.log(`📡 Offer sent to ${userId}`);
       
-    } catch (error) {
-      console.error(`Failed to create offer for ${userId}:`, error);
-      throw error;
+    } finally {
+      negotiation.makingOffer = false;
     }
   }
 
-  async createAnswer(userId, offer) {
-    try {
-      const peerConnection = this.peerConnections.get(userId);
-      if (!peerConnection) {
-        throw new Error(`No peer connection found for user ${userId}`);
-      }
-      
-      console.log(`📡 Creating answer for ${userId}`);
-      
-      await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
-      
-      const answer = await peerConnection.createAnswer();
-      await peerConnection.setLocalDescription(answer);
-      
-      // Send answer through signaling server
-      this.socket.emit('webrtc-signal', {
-        type: 'answer',
-        target: userId,
-        signal: {
-          type: answer.type,
-          sdp: answer.sdp
-        }
-      });
-      
-      console.log(`📡 Answer sent to ${userId}`);
-      
-    } catch (error) {
-      console.error(`Failed to create answer for ${userId}:`, error);
-      throw error;
-    }
+  sendDescription(userId, description) {
+    this.sendSignal(userId, description.type, {
+      type: description.type,
+      sdp: description.sdp
+    });
   }
 
   sendIceCandidate(userId, candidate) {
-    this.socket.emit('webrtc-signal', {
-      type: 'ice-candidate',
-      target: userId,
-      signal: {
-        candidate: candidate.candidate,
-        sdpMLineIndex: candidate.sdpMLineIndex,
-        sdpMid: candidate.sdpMid
-      }
+    this.sendSignal(userId, 'ice-candidate', {
+      candidate: candidate.candidate,
+      sdpMLineIndex: candidate.sdpMLineIndex,
+      sdpMid: candidate.sdpMid
     });
   }
 
-  // Signal Handlers
-  async handleOffer(data) {
+  sendSignal(userId, type, signal) {
+    const message = { type, target: userId, signal };
+    
+    if (this.socket.connected) {
+      this.socket.emit('webrtc-signal', message);
+      return;
+    }
+    
+    // One request at a time, so candidates can't overtake their offer
+    this.outgoingSignals = this.outgoingSignals
+      .then(() => this.postSignal({ roomId: this.currentRoomId, ...message }));
+  }
+
+  async postSignal(message) {
     try {
-      const { from, signal } = data;
-      
-      console.log(`📡 Received offer from ${from}`);
+      const response = await fetch(this.config.signalUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.getAuthToken()}`
+        },
+        body: JSON.stringify(message)
+      });
       
-      // Create peer connection if it doesn't exist
-      if (!this.peerConnections.has(from)) {
-        await this.createPeerConnection(from, false);
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        this.handleSignalError({
+          type: message.type,
+          target: message.target,
+          error: body.error || `Signal request failed (${response.status})`,
+          code: body.code
+        });
       }
       
-      await this.createAnswer(from, signal);
-      
     } catch (error) {
-      console.error(`Failed to handle offer from ${data.from}:`, error);
+      console.error(`Failed to send ${message.type} to ${message.target}:`, error);
     }
   }
 
-  async handleAnswer(data) {
+  startSignalPolling() {
+    if (this.signalPollTimer) return;
+    
+    this.signalPollTimer = setInterval(() => {
+      this.pollSignals();
+    }, this.config.signalPollInterval);
+  }
+
+  stopSignalPolling() {
+    if (this.signalPollTimer) {
+      clearInterval(this.signalPollTimer);
+      this.signalPollTimer = null;
+    }
+  }
+
+  async pollSignals() {
     try {
-      const { from, signal } = data;
-      
-      console.log(`📡 Received answer from ${from}`);
+      const response = await fetch(this.config.signalsUrl, {
+        headers: { Authorization: `Bearer ${this.getAuthToken()}` },
+        cache: 'no-store'
+      });
       
-      const peerConnection = this.peerConnections.get(from);
-      if (!peerConnection) {
-        console.error(`No peer connection found for user ${from}`);
-        return;
+      if (!response.ok) {
+        throw new Error(`Signal poll failed (${response.status})`);
       }
       
-      await peerConnection.setRemoteDescription(new RTCSessionDescription(signal));
+      const { messages } = await response.json();
+      messages.forEach(message => this.handleSignal(message));
       
     } catch (error) {
-      console.error(`Failed to handle answer from ${data.from}:`, error);
+      console.warn('⚠️ Could not poll for signals:', error.message);
     }
   }
 
-  async handleIceCandidate(data) {
-    try {
-      const { from, signal } = data;
-      
-      const peerConnection = this.peerConnections.get(from);
-      if (!peerConnection) {
-        console.error(`No peer connection found for user ${from}`);
+  // Signal Handlers
+  handleSignal(data) {
+    const { type, from, signal, roomId } = data;
+    
+    // Queued signals can outlive the room they were sent in
+    if (!from || !signal || (roomId && roomId !== this.currentRoomId)) return;
+    
+    switch (type) {
+      case 'offer':
+      case 'answer':
+        return this.queueSignal(from, () => this.handleDescription(from, signal));
+      case 'ice-candidate':
+        return this.queueSignal(from, () => this.handleRemoteCandidate(from, signal));
+      default:
+        console.warn(`Ignoring unknown signal type ${type} from ${from}`);
+    }
+  }
+
+  handleSignalError(data) {
+    console.warn(`📡 ${data.type} to ${data.target} rejected: ${data.error} (${data.code})`);
+    this.emit('signal-error', data);
+  }
+
+  // Signals are applied one at a time per peer; an ICE candidate must not overtake its offer
+  queueSignal(userId, handler) {
+    const previous = this.signalQueues.get(userId) || Promise.resolve();
+    const next = previous.then(handler).catch(error => {
+      console.error(`Failed to handle signal from ${userId}:`, error);
+    });
+    
+    this.signalQueues.set(userId, next);
+    return next;
+  }
+
+  async handleDescription(from, description) {
+    console.log(`📡 Received ${description.type} from ${from}`);
+    
+    let peerConnection = this.peerConnections.get(from) || await this.pendingConnections.get(from);
+    
+    // A different DTLS fingerprint means the peer started a new connection rather than renegotiating
+    if (peerConnection && description.type === 'offer' && peerConnection.remoteDescription &&
+        getFingerprint(description.sdp) !== getFingerprint(peerConnection.remoteDescription.sdp)) {
+      console.log(`📡 ${from} started a new connection, replacing ours`);
+      await this.closePeerConnection(from);
+      peerConnection = null;
+    }
+    
+    if (!peerConnection) {
+      if (description.type !== 'offer') {
+        console.warn(`Ignoring ${description.type} from ${from}: no peer connection`);
         return;
       }
-      
-      const candidate = new RTCIceCandidate({
+      peerConnection = await this.createPeerConnection(from, false);
+    }
+    
+    const negotiation = this.negotiations.get(from);
+    const readyForOffer = !negotiation.makingOffer &&
+      (peerConnection.signalingState === 'stable' || negotiation.isSettingRemoteAnswerPending);
+    const offerCollision = description.type === 'offer' && !readyForOffer;
+    
+    negotiation.ignoreOffer = !negotiation.polite && offerCollision;
+    if (negotiation.ignoreOffer) {
+      console.log(`📡 Offer collision with ${from}: keeping ours`);
+      return;
+    }
+    
+    // The polite side's pending offer is rolled back implicitly
+    negotiation.isSettingRemoteAnswerPending = description.type === 'answer';
+    await peerConnection.setRemoteDescription(description);
+    negotiation.isSettingRemoteAnswerPending = false;
+    
+    if (description.type === 'offer') {
+      await peerConnection.setLocalDescription();
+      this.sendDescription(from, peerConnection.localDescription);
+      console.log(`📡 Answer sent to ${from}`);
+    }
+  }
+
+  async handleRemoteCandidate(from, signal) {
+    const peerConnection = this.peerConnections.get(from) || await this.pendingConnections.get(from);
+    if (!peerConnection) {
+      console.warn(`Ignoring ICE candidate from ${from}: no peer connection`);
+      return;
+    }
+    
+    try {
+      await peerConnection.addIceCandidate({
         candidate: signal.candidate,
         sdpMLineIndex: signal.sdpMLineIndex,
         sdpMid: signal.sdpMid
       });
-      
-      await peerConnection.addIceCandidate(candidate);
-      
     } catch (error) {
-      console.error(`Failed to handle ICE candidate from ${data.from}:`, error);
+      // Candidates for an offer we ignored have nowhere to go
+      if (!this.negotiations.get(from)?.ignoreOffer) {
+        throw error;
+      }
     }
   }
 
@@ -490,15 +783,18 @@ export class WebRTCClient {
     
     console.log(`📡 Room joined event received:`, room);
     
-    // Connect to existing users in the room
     for (const user of room.users) {
       if (user.id !== this.currentUserId) {
         this.roomUsers.set(user.id, user);
-        
-        // Create peer connection as initiator
-        await this.createPeerConnection(user.id, true);
       }
     }
+    
+    this.roomMaxBitrate = room.settings?.maxBitrate || null;
+    this.startBitrateControl();
+    this.startHealthReporting();
+    
+    // Connect to existing users in the room, or only to the forwarder
+    await this.applyMediaTopology(room.mediaTopology || { mode: 'mesh' }, { joining: true });
   }
 
   async handleUserJoined(data) {
@@ -526,17 +822,36 @@ export class WebRTCClient {
     
     // Remove from room users
     this.roomUsers.delete(userId);
+    this.signalQueues.delete(userId);
     
     this.emit('user-left', { userId });
   }
 
   // Stream Management
+  handleRemoteTrack(peerId, stream) {
+    if (!stream) return;
+    
+    // Through a forwarder, streams belong to whoever it says; never to the forwarder by default
+    const owner = this.streamOwners.get(stream.id);
+    if (owner) {
+      this.handleRemoteStream(owner, stream);
+    } else if (this.mediaTopology.mode === 'sfu' && peerId === this.mediaTopology.forwarderId) {
+      this.unclaimedStreams.set(stream.id, stream);
+    } else {
+      this.handleRemoteStream(peerId, stream);
+    }
+  }
+
   handleRemoteStream(userId, stream) {
     console.log(`📡 Handling remote stream from ${userId}`);
     
     this.remoteStreams.set(userId, stream);
     
     this.emit('remote-stream-added', { userId, stream });
+    
+    if (this.isForwarding()) {
+      this.syncAllPeerTracks();
+    }
   }
 
   removeRemoteStream(userId) {
@@ -546,16 +861,206 @@ export class WebRTCClient {
       stream.getTracks().forEach(track => track.stop());
       
       this.remoteStreams.delete(userId);
+      this.streamOwners.delete(stream.id);
       
       this.emit('remote-stream-removed', { userId });
+      
+      if (this.isForwarding()) {
+        this.syncAllPeerTracks();
+      }
+    }
+  }
+
+  // Media Topology
+  async applyMediaTopology(topology, { joining = false } = {}) {
+    const previous = this.mediaTopology;
+    this.mediaTopology = {
+      mode: topology.mode || 'mesh',
+      forwarderId: topology.forwarderId || null,
+      subscriptions: topology.subscriptions || {}
+    };
+    
+    const { mode, forwarderId } = this.mediaTopology;
+    
+    if (joining || mode !== previous.mode || forwarderId !== previous.forwarderId) {
+      console.log(`🔀 Media topology: ${mode}${forwarderId ? ` via ${forwarderId}` : ''}`);
+      
+      // Relayed streams end with the old forwarder's relay; new ones arrive over the new connections
+      if (previous.mode === 'sfu' && previous.forwarderId !== this.currentUserId) {
+        for (const userId of Array.from(this.remoteStreams.keys())) {
+          if (userId !== previous.forwarderId) {
+            this.removeRemoteStream(userId);
+          }
+        }
+      }
+      this.streamOwners.clear();
+      this.unclaimedStreams.clear();
+      // Layer requests went to whoever sent us video before; they are repeated to the new senders
+      this.receiveLayers.clear();
+      
+      for (const userId of Array.from(this.peerConnections.keys())) {
+        if (!this.isMediaPeer(userId)) {
+          await this.closePeerConnection(userId);
+        }
+      }
+      
+      for (const userId of this.roomUsers.keys()) {
+        if (this.isMediaPeer(userId) && !this.peerConnections.has(userId) && this.shouldInitiate(userId, joining)) {
+          await this.createPeerConnection(userId, true);
+        }
+      }
+      
+      this.emit('media-topology-changed', { ...this.mediaTopology });
+    }
+    
+    // Subscriptions may have changed even if the shape didn't
+    this.syncAllPeerTracks();
+  }
+
+  isForwarding() {
+    return this.mediaTopology.mode === 'sfu' && this.mediaTopology.forwarderId === this.currentUserId;
+  }
+
+  // Peers we hold a connection to: everyone in a mesh, otherwise only the forwarder (or, as forwarder, everyone)
+  isMediaPeer(userId) {
+    const { mode, forwarderId } = this.mediaTopology;
+    return mode === 'mesh' || this.currentUserId === forwarderId || userId === forwarderId;
+  }
+
+  // Exactly one side dials, or the two offers collide
+  shouldInitiate(userId, joining = false) {
+    const { mode, forwarderId } = this.mediaTopology;
+    
+    // Subscribers dial the forwarder; the forwarder waits
+    if (mode === 'sfu') return userId === forwarderId;
+    
+    // Newcomers dial everyone; when a room falls back to mesh the lower ID dials
+    return joining || this.currentUserId < userId;
+  }
+
+  // 'full', 'audio-only' or 'data-only': what we are asking the forwarder (or mesh peers) to send us
+  setMediaSubscription(connectionType) {
+    this.socket.emit('update-media-subscription', { connectionType });
+  }
+
+  // Kinds of track a peer receives from us; the forwarder needs everything to relay it
+  getSubscribedKinds(userId) {
+    if (this.mediaTopology.mode === 'sfu' && userId === this.mediaTopology.forwarderId) {
+      return ['audio', 'video'];
+    }
+    
+    switch (this.mediaTopology.subscriptions[userId] || 'full') {
+      case 'audio-only': return ['audio'];
+      case 'data-only': return [];
+      default: return ['audio', 'video'];
+    }
+  }
+
+  syncAllPeerTracks() {
+    for (const [userId, peerConnection] of this.peerConnections) {
+      this.syncPeerTracks(userId, peerConnection);
+    }
+  }
+
+  /**
+   * Makes the tracks we send to one peer match its subscription: our own, and
+   * when we are the forwarder, every other user's. Adding or removing a track
+   * triggers renegotiation through onnegotiationneeded.
+   */
+  syncPeerTracks(userId, peerConnection = this.peerConnections.get(userId)) {
+    if (!peerConnection || peerConnection.signalingState === 'closed') return;
+    
+    // sourceId -> { stream, tracks }; the stream ID is how receivers tell whose tracks they got
+    const sources = new Map();
+    if (this.localStream) {
+      sources.set(this.currentUserId, { stream: this.localStream, tracks: this.getOutgoingLocalTracks() });
+    }
+    if (this.isForwarding()) {
+      for (const [sourceId, stream] of this.remoteStreams) {
+        if (sourceId !== userId) sources.set(sourceId, { stream, tracks: stream.getTracks() });
+      }
+    }
+    
+    if (!this.outgoingSenders.has(userId)) {
+      this.outgoingSenders.set(userId, new Map());
+    }
+    const senders = this.outgoingSenders.get(userId);
+    const kinds = this.getSubscribedKinds(userId);
+    const wanted = new Set();
+    
+    for (const [sourceId, { stream, tracks }] of sources) {
+      for (const track of tracks) {
+        if (!kinds.includes(track.kind)) continue;
+        
+        const key = `${sourceId}:${track.kind}`;
+        wanted.add(key);
+        
+        const sender = senders.get(key);
+        if (!sender) {
+          senders.set(key, peerConnection.addTrack(track, stream));
+        } else if (sender.track !== track) {
+          // Same kind from the same source, e.g. camera <-> screen: no renegotiation needed
+          sender.replaceTrack(track).catch(error => {
+            console.error(`Failed to replace ${key} for ${userId}:`, error);
+          });
+        }
+      }
+    }
+    
+    for (const [key, sender] of senders) {
+      if (!wanted.has(key)) {
+        peerConnection.removeTrack(sender);
+        senders.delete(key);
+      }
+    }
+    
+    if (this.isForwarding()) {
+      this.announceStreamOwners(userId);
     }
   }
 
+  // Our own tracks as sent: the screen share stands in for the camera while it runs
+  getOutgoingLocalTracks() {
+    const tracks = this.localStream ? this.localStream.getTracks() : [];
+    const screenTrack = this.screenShareStream?.getVideoTracks()[0];
+    
+    if (!screenTrack) return tracks;
+    
+    return [...tracks.filter(track => track.kind !== 'video'), screenTrack];
+  }
+
+  announceStreamOwners(userId) {
+    const owners = {};
+    if (this.localStream) {
+      owners[this.localStream.id] = this.currentUserId;
+    }
+    for (const [sourceId, stream] of this.remoteStreams) {
+      if (sourceId !== userId) owners[stream.id] = sourceId;
+    }
+    
+    if (this.getDataChannel(userId, this.config.defaultChannel)?.readyState === 'open') {
+      this.sendDataToUser(userId, { type: 'stream-owners', owners });
+    }
+  }
+
+  handleStreamOwners(owners = {}) {
+    Object.entries(owners).forEach(([streamId, userId]) => {
+      this.streamOwners.set(streamId, userId);
+      
+      const stream = this.unclaimedStreams.get(streamId);
+      if (stream) {
+        this.unclaimedStreams.delete(streamId);
+        this.handleRemoteStream(userId, stream);
+      }
+    });
+  }
+
   // Media Control
   async enableAudio() {
     try {
-      if (!this.localStream) {
-        await this.getUserMedia();
+      // Joined without a microphone: add one, which renegotiates with every peer
+      if (!this.localStream?.getAudioTracks().length) {
+        await this.addLocalTrack('audio');
       }
       
       const audioTracks = this.localStream.getAudioTracks();
@@ -571,6 +1076,23 @@ export class WebRTCClient {
     }
   }
 
+  async addLocalTrack(kind) {
+    const stream = await navigator.mediaDevices.getUserMedia({ [kind]: this.config.mediaConstraints[kind] });
+    const [track] = stream.getTracks();
+    
+    // Tracks join the existing stream so peers keep attributing them to us
+    if (!this.localStream) {
+      this.localStream = new MediaStream();
+    }
+    this.localStream.addTrack(track);
+    
+    console.log(`🎥 Added local ${kind} track`);
+    this.emit('local-stream-acquired', { stream: this.localStream });
+    
+    this.syncAllPeerTracks();
+    return track;
+  }
+
   disableAudio() {
     if (!this.localStream) return;
     
@@ -585,8 +1107,9 @@ export class WebRTCClient {
 
   async enableVideo() {
     try {
-      if (!this.localStream) {
-        await this.getUserMedia();
+      // Joined audio-only: add a camera, which renegotiates with every peer
+      if (!this.localStream?.getVideoTracks().length) {
+        await this.addLocalTrack('video');
       }
       
       const videoTracks = this.localStream.getVideoTracks();
@@ -623,17 +1146,11 @@ export class WebRTCClient {
         audio: true
       });
       
-      // Replace video track in all peer connections
-      for (const [userId, peerConnection] of this.peerConnections) {
-        const videoSender = peerConnection.getSenders().find(sender => 
-          sender.track && sender.track.kind === 'video'
-        );
-        
-        if (videoSender) {
-          const videoTrack = this.screenShareStream.getVideoTracks()[0];
-          await videoSender.replaceTrack(videoTrack);
-        }
+      // Replaces our camera where peers get one and adds a video track where they don't
+      if (!this.localStream) {
+        this.localStream = new MediaStream();
       }
+      this.syncAllPeerTracks();
       
       // Handle screen share end
       this.screenShareStream.getVideoTracks()[0].onended = () => {
@@ -656,41 +1173,38 @@ export class WebRTCClient {
     
     // Stop screen share tracks
     this.screenShareStream.getTracks().forEach(track => track.stop());
+    this.screenShareStream = null;
     
-    // Replace with camera video track
-    if (this.localStream) {
-      for (const [userId, peerConnection] of this.peerConnections) {
-        const videoSender = peerConnection.getSenders().find(sender => 
-          sender.track && sender.track.kind === 'video'
-        );
-        
-        if (videoSender) {
-          const videoTrack = this.localStream.getVideoTracks()[0];
-          if (videoTrack) {
-            await videoSender.replaceTrack(videoTrack);
-          }
-        }
-      }
-    }
+    // Back to the camera, or no video at all if we had none
+    this.syncAllPeerTracks();
     
-    this.screenShareStream = null;
     this.mediaEnabled.screen = false;
     this.emit('screen-share-stopped');
   }
 
   // Data Channel Communication
-  sendDataToUser(userId, data) {
-    const dataChannel = this.dataChannels.get(userId);
+  // The channel defaults to the one the message type maps to in config.messageChannels
+  sendDataToUser(userId, data, channel = this.getMessageChannel(data)) {
+    const dataChannel = this.getDataChannel(userId, channel);
     if (!dataChannel || dataChannel.readyState !== 'open') {
-      console.warn(`Data channel not available for user ${userId}`);
+      console.warn(`Data channel ${channel} not available for user ${userId}`);
       return false;
     }
     
     try {
-      const message = typeof data === 'string' ? data : JSON.stringify(data);
+      let message = null;
+      
+      if (typeof data === 'object' && data.type && this.peerWireFormats.get(userId) === WIRE_FORMATS.BINARY) {
+        message = encodeMessage(data.type, data, this.netIds);
+      }
+      
+      if (!message) {
+        message = typeof data === 'string' ? data : JSON.stringify(data);
+      }
+      
       dataChannel.send(message);
       
-      this.stats.bytesSent += message.length;
+      this.stats.bytesSent += message.byteLength ?? message.length;
       
       return true;
     } catch (error) {
@@ -699,11 +1213,11 @@ export class WebRTCClient {
     }
   }
 
-  sendDataToRoom(data) {
+  sendDataToRoom(data, channel = this.getMessageChannel(data)) {
     let successCount = 0;
     
     for (const userId of this.roomUsers.keys()) {
-      if (this.sendDataToUser(userId, data)) {
+      if (this.sendDataToUser(userId, data, channel)) {
         successCount++;
       }
     }
@@ -711,35 +1225,104 @@ export class WebRTCClient {
     return successCount;
   }
 
-  handleDataChannelMessage(userId, data) {
+  getMessageChannel(data) {
+    return (typeof data === 'object' && this.config.messageChannels[data?.type]) || this.config.defaultChannel;
+  }
+
+  handleDataChannelMessage(userId, data, channel = this.config.defaultChannel) {
     try {
       let message;
       
-      try {
-        message = JSON.parse(data);
-      } catch {
-        message = data; // Plain text message
+      if (data instanceof ArrayBuffer && channel === FILE_CHANNEL) {
+        // Raw file chunks, not wire-format messages
+        message = { type: FILE_CHUNK_MESSAGE, data };
+      } else if (data instanceof ArrayBuffer) {
+        const decoded = decodeMessage(data, this.netIds);
+        message = { type: decoded.event, ...decoded.data };
+      } else {
+        try {
+          message = JSON.parse(data);
+        } catch {
+          message = data; // Plain text message
+        }
       }
       
-      this.stats.bytesReceived += data.length;
+      this.stats.bytesReceived += data.byteLength ?? data.length;
       
-      this.emit('data-received', { userId, data: message });
+      this.routeMessage(userId, channel, message);
       
     } catch (error) {
       console.error(`Failed to handle data from ${userId}:`, error);
     }
   }
 
+  // Message Router
+  // handler(message, { userId, channel }) runs for every data channel message of that type
+  onMessage(type, handler) {
+    if (!this.messageHandlers.has(type)) {
+      this.messageHandlers.set(type, []);
+    }
+    this.messageHandlers.get(type).push(handler);
+  }
+
+  offMessage(type, handler) {
+    const handlers = this.messageHandlers.get(type);
+    if (handlers) {
+      const index = handlers.indexOf(handler);
+      if (index > -1) {
+        handlers.splice(index, 1);
+      }
+    }
+  }
+
+  routeMessage(userId, channel, message) {
+    const handlers = message !== null && typeof message === 'object'
+      ? this.messageHandlers.get(message.type)
+      : null;
+    
+    if (!handlers?.length) {
+      this.emit('data-received', { userId, channel, data: message });
+      return;
+    }
+    
+    handlers.forEach(handler => {
+      try {
+        handler(message, { userId, channel });
+      } catch (error) {
+        console.error(`Error in ${message.type} message handler:`, error);
+      }
+    });
+  }
+
+  handleWireFormat(userId, message) {
+    const format = message.formats?.includes(WIRE_FORMATS.BINARY) ? WIRE_FORMATS.BINARY : WIRE_FORMATS.JSON;
+    this.peerWireFormats.set(userId, format);
+  }
+
   // Connection Management
   handleConnectionStateChange(userId, state) {
     console.log(`📡 Connection state for ${userId}: ${state}`);
     
+    const negotiation = this.negotiations.get(userId);
+    if (negotiation) {
+      clearTimeout(negotiation.disconnectTimer);
+      negotiation.disconnectTimer = null;
+    }
+    
     switch (state) {
       case 'connected':
+        if (negotiation) negotiation.iceRestarts = 0;
         this.emit('peer-connected', { userId });
         break;
       case 'disconnected':
         this.emit('peer-disconnected', { userId });
+        if (negotiation) {
+          negotiation.disconnectTimer = setTimeout(() => {
+            if (this.peerConnections.get(userId)?.connectionState === 'disconnected') {
+              this.restartIce(userId);
+            }
+          }, this.config.disconnectGrace);
+        }
         break;
       case 'failed':
         this.handleConnectionFailure(userId);
@@ -755,18 +1338,58 @@ export class WebRTCClient {
     
     this.emit('peer-connection-failed', { userId });
     
+    // A new network path may be all that's needed; only start over when that doesn't work
+    if (await this.restartIce(userId)) return;
+    
     // Attempt reconnection
     setTimeout(() => {
       this.attemptReconnection(userId);
     }, this.config.reconnectDelay);
   }
 
+  /**
+   * Gathers new candidates on the existing connection, keeping its tracks and
+   * data channel. Returns false once the attempts are used up.
+   */
+  async restartIce(userId) {
+    const peerConnection = this.peerConnections.get(userId);
+    const negotiation = this.negotiations.get(userId);
+    if (!peerConnection || !negotiation || negotiation.iceRestarts >= this.config.iceRestartAttempts) {
+      return false;
+    }
+    
+    negotiation.iceRestarts++;
+    console.log(`🧊 Restarting ICE with ${userId} (attempt ${negotiation.iceRestarts})`);
+    
+    try {
+      // TURN credentials may have expired since the connection was made
+      peerConnection.setConfiguration({
+        ...peerConnection.getConfiguration(),
+        iceServers: await this.getIceServers()
+      });
+    } catch (error) {
+      console.warn(`Could not refresh ICE servers for ${userId}:`, error);
+    }
+    
+    // Fires onnegotiationneeded with an ICE restart offer
+    peerConnection.restartIce();
+    
+    this.emit('peer-ice-restart', { userId, attempt: negotiation.iceRestarts });
+    return true;
+  }
+
   async attemptReconnection(userId) {
     if (!this.roomUsers.has(userId)) {
       console.log(`User ${userId} no longer in room, skipping reconnection`);
       return;
     }
     
+    // The other side redials, or the connection is no longer part of the topology
+    if (!this.isMediaPeer(userId) || !this.shouldInitiate(userId)) {
+      await this.closePeerConnection(userId);
+      return;
+    }
+    
     console.log(`📡 Attempting to reconnect to user ${userId}`);
     
     try {
@@ -791,21 +1414,44 @@ export class WebRTCClient {
       this.peerConnections.delete(userId);
     }
     
-    const dataChannel = this.dataChannels.get(userId);
-    if (dataChannel) {
-      dataChannel.close();
+    const dataChannels = this.dataChannels.get(userId);
+    if (dataChannels) {
+      dataChannels.forEach(dataChannel => dataChannel.close());
       this.dataChannels.delete(userId);
     }
     
+    this.peerWireFormats.delete(userId);
+    this.outgoingSenders.delete(userId);
+    this.sendQuality.delete(userId);
+    this.requestedLayers.delete(userId);
+    this.receiveLayers.delete(userId);
+    this.clearNegotiation(userId);
+    
     // Remove remote stream
     this.removeRemoteStream(userId);
     
     console.log(`📡 Closed peer connection to ${userId}`);
   }
 
+  // Lets binary data channel messages refer to users and objects by net ID
+  setNetIdRegistry(registry) {
+    this.netIds = registry;
+  }
+
+  clearNegotiation(userId) {
+    clearTimeout(this.negotiations.get(userId)?.disconnectTimer);
+    this.negotiations.delete(userId);
+  }
+
   cleanupPeerConnection(userId) {
     this.peerConnections.delete(userId);
     this.dataChannels.delete(userId);
+    this.peerWireFormats.delete(userId);
+    this.outgoingSenders.delete(userId);
+    this.sendQuality.delete(userId);
+    this.requestedLayers.delete(userId);
+    this.receiveLayers.delete(userId);
+    this.clearNegotiation(userId);
     this.removeRemoteStream(userId);
   }
 
@@ -818,13 +1464,35 @@ export class WebRTCClient {
     
     try {
       const stats = await peerConnection.getStats();
-      const connectionStats = {};
+      const connectionStats = {
+        connectionState: peerConnection.connectionState,
+        iceConnectionState: peerConnection.iceConnectionState,
+        dataChannels: []
+      };
       
       stats.forEach(report => {
+        if (report.type === 'data-channel') {
+          const dataChannel = this.getDataChannel(userId, report.label);
+          connectionStats.dataChannels.push({
+            label: report.label,
+            state: report.state,
+            ordered: dataChannel?.ordered,
+            maxRetransmits: dataChannel?.maxRetransmits ?? undefined,
+            messagesSent: report.messagesSent,
+            messagesReceived: report.messagesReceived,
+            bytesSent: report.bytesSent,
+            bytesReceived: report.bytesReceived
+          });
+        }
+        
         if (report.type === 'candidate-pair' && report.state === 'succeeded') {
           connectionStats.rtt = report.currentRoundTripTime;
           connectionStats.bytesReceived = report.bytesReceived;
           connectionStats.bytesSent = report.bytesSent;
+          connectionStats.availableOutgoingBitrate = report.availableOutgoingBitrate;
+          // Relayed candidates mean the peers only reach each other through TURN
+          connectionStats.localCandidateType = stats.get(report.localCandidateId)?.candidateType;
+          connectionStats.remoteCandidateType = stats.get(report.remoteCandidateId)?.candidateType;
         }
         
         if (report.type === 'inbound-rtp' && report.mediaType === 'video') {
@@ -838,6 +1506,12 @@ export class WebRTCClient {
         }
       });
       
+      const quality = this.sendQuality.get(userId);
+      if (quality) {
+        connectionStats.targetBitrate = quality.targetBitrate;
+        connectionStats.sendLoss = quality.loss;
+      }
+      
       return connectionStats;
     } catch (error) {
       console.error(`Failed to get stats for ${userId}:`, error);
@@ -849,18 +1523,260 @@ export class WebRTCClient {
     return {
       ...this.stats,
       activePeerConnections: this.peerConnections.size,
-      activeDataChannels: this.dataChannels.size,
+      activeDataChannels: Array.from(this.dataChannels.values())
+        .reduce((sum, channels) => sum + channels.size, 0),
       remoteStreams: this.remoteStreams.size,
       roomUsers: this.roomUsers.size,
+      mediaTopology: this.mediaTopology.mode,
+      isForwarding: this.isForwarding(),
       isConnectedToRoom: this.isConnectedToRoom,
       mediaEnabled: { ...this.mediaEnabled }
     };
   }
 
+  // Adaptive Bitrate
+  startBitrateControl() {
+    if (this.bitrateTimer) return;
+    
+    this.bitrateTimer = setInterval(() => {
+      this.adjustBitrates();
+    }, this.config.bitrateControl.interval);
+  }
+
+  stopBitrateControl() {
+    clearInterval(this.bitrateTimer);
+    this.bitrateTimer = null;
+  }
+
+  getMaxBitrate() {
+    return this.roomMaxBitrate || this.config.bitrateControl.defaultMaxBitrate;
+  }
+
+  async adjustBitrates() {
+    for (const [userId, peerConnection] of this.peerConnections) {
+      if (peerConnection.connectionState !== 'connected') continue;
+      
+      try {
+        await this.updateSendQuality(userId, peerConnection);
+        await this.applySenderEncodings(userId);
+      } catch (error) {
+        console.error(`Failed to adjust bitrate for ${userId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Reads the loss and RTT the peer reports for the video we send it, and moves
+   * the connection's video budget: down on congestion, slowly up when clean.
+   */
+  async updateSendQuality(userId, peerConnection) {
+    const control = this.config.bitrateControl;
+    const stats = await peerConnection.getStats();
+    
+    let rtt = null;
+    let fractionLost = null;
+    let packetsSent = 0;
+    let packetsLost = 0;
+    
+    stats.forEach(report => {
+      if (report.type === 'candidate-pair' && report.state === 'succeeded' && report.currentRoundTripTime !== undefined) {
+        rtt = report.currentRoundTripTime;
+      }
+      
+      if (report.type === 'outbound-rtp' && report.kind === 'video') {
+        packetsSent += report.packetsSent || 0;
+      }
+      
+      // The peer's receiver reports, one per video track we send it
+      if (report.type === 'remote-inbound-rtp' && report.kind === 'video') {
+        packetsLost += report.packetsLost || 0;
+        if (report.fractionLost !== undefined) {
+          fractionLost = Math.max(fractionLost ?? 0, report.fractionLost);
+        }
+      }
+    });
+    
+    const previous = this.sendQuality.get(userId);
+    const quality = {
+      targetBitrate: previous?.targetBitrate ?? this.getMaxBitrate(),
+      loss: 0,
+      rtt,
+      packetsSent,
+      packetsLost
+    };
+    
+    // Not every browser reports fractionLost; fall back to the counters since last time
+    if (fractionLost !== null) {
+      quality.loss = fractionLost;
+    } else if (previous && packetsSent > previous.packetsSent) {
+      quality.loss = Math.max(0, packetsLost - previous.packetsLost) / (packetsSent - previous.packetsSent);
+    }
+    
+    if (previous) {
+      if (quality.loss > control.highLoss || (rtt !== null && rtt > control.highRtt)) {
+        quality.targetBitrate *= control.decreaseFactor;
+      } else if (quality.loss < control.lowLoss) {
+        quality.targetBitrate *= control.increaseFactor;
+      }
+    }
+    
+    quality.targetBitrate = Math.round(Math.min(this.getMaxBitrate(), Math.max(control.minBitrate, quality.targetBitrate)));
+    this.sendQuality.set(userId, quality);
+    
+    if (previous && quality.targetBitrate !== previous.targetBitrate) {
+      this.emit('send-quality-changed', { userId, ...quality });
+    }
+    
+    return quality;
+  }
+
+  /**
+   * Splits the connection's video budget over the video senders to one peer
+   * (several when we are the forwarder) and applies each one's layer.
+   */
+  async applySenderEncodings(userId) {
+    const senders = this.outgoingSenders.get(userId);
+    if (!senders) return;
+    
+    const control = this.config.bitrateControl;
+    const budget = this.sendQuality.get(userId)?.targetBitrate ?? this.getMaxBitrate();
+    const videoSenders = Array.from(senders).filter(([key]) => key.endsWith(':video'));
+    
+    for (const [key, sender] of videoSenders) {
+      const sourceId = key.slice(0, key.lastIndexOf(':'));
+      const layer = VIDEO_LAYERS[this.requestedLayers.get(userId)?.get(sourceId)] || VIDEO_LAYERS.high;
+      
+      const maxBitrate = Math.round(Math.max(control.minBitrate, (budget / videoSenders.length) * layer.bitrateFactor));
+      // Fewer pixels at low bitrates keeps video moving instead of freezing on keyframes
+      const bitrateScale = maxBitrate < 150000 ? 4 : maxBitrate < 300000 ? 2 : 1;
+      const scaleResolutionDownBy = Math.max(layer.scaleResolutionDownBy, bitrateScale);
+      const maxFramerate = layer.maxFramerate || (bitrateScale === 4 ? 15 : undefined);
+      
+      const parameters = sender.getParameters();
+      const encoding = parameters.encodings?.[0];
+      if (!encoding) continue; // not negotiated yet; the next round picks it up
+      
+      if (encoding.maxBitrate === maxBitrate &&
+          encoding.scaleResolutionDownBy === scaleResolutionDownBy &&
+          encoding.maxFramerate === maxFramerate) {
+        continue;
+      }
+      
+      encoding.maxBitrate = maxBitrate;
+      encoding.scaleResolutionDownBy = scaleResolutionDownBy;
+      if (maxFramerate) {
+        encoding.maxFramerate = maxFramerate;
+      } else {
+        delete encoding.maxFramerate;
+      }
+      
+      try {
+        await sender.setParameters(parameters);
+      } catch (error) {
+        console.warn(`Failed to set encoding for ${key} to ${userId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Asks whoever sends us userId's video for a layer: userId itself in a mesh,
+   * the forwarder in SFU mode. Used for far-away or off-screen avatars.
+   */
+  requestVideoLayer(userId, layer) {
+    if (!VIDEO_LAYERS[layer] || this.receiveLayers.get(userId) === layer) return false;
+    
+    const { mode, forwarderId } = this.mediaTopology;
+    const senderId = mode === 'sfu' && !this.isForwarding() ? forwarderId : userId;
+    
+    if (!this.sendDataToUser(senderId, { type: 'video-layer', sourceId: userId, layer })) {
+      return false;
+    }
+    
+    this.receiveLayers.set(userId, layer);
+    return true;
+  }
+
+  handleVideoLayerRequest(userId, { sourceId, layer }) {
+    if (!VIDEO_LAYERS[layer]) return;
+    
+    // Peers may only pick layers of video we actually send them
+    if (sourceId !== this.currentUserId && !this.isForwarding()) return;
+    
+    if (!this.requestedLayers.has(userId)) {
+      this.requestedLayers.set(userId, new Map());
+    }
+    this.requestedLayers.get(userId).set(sourceId, layer);
+    
+    this.applySenderEncodings(userId);
+  }
+
+  // Connection Health
+  startHealthReporting() {
+    if (this.healthTimer) return;
+    
+    this.healthTimer = setInterval(() => {
+      this.reportConnectionHealth();
+    }, this.config.healthReportInterval);
+  }
+
+  stopHealthReporting() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  reportConnectionState(userId, peerConnection) {
+    if (!this.isConnectedToRoom) return;
+    
+    this.socket.emit('report-connection-state', {
+      peerId: userId,
+      connectionState: peerConnection.connectionState,
+      iceConnectionState: peerConnection.iceConnectionState
+    });
+  }
+
+  // One summarized report per peer connection, in a single message
+  async reportConnectionHealth() {
+    const reports = [];
+    
+    for (const userId of this.peerConnections.keys()) {
+      const stats = await this.getConnectionStats(userId);
+      if (!stats) continue;
+      
+      const report = {
+        peerId: userId,
+        connectionState: stats.connectionState,
+        iceConnectionState: stats.iceConnectionState,
+        rtt: typeof stats.rtt === 'number' ? Math.round(stats.rtt * 1000) : undefined,
+        bytesSent: stats.bytesSent,
+        bytesReceived: stats.bytesReceived,
+        packetsReceived: (stats.videoPacketsReceived || 0) + (stats.audioPacketsReceived || 0),
+        // packetsLost can dip below zero when duplicates arrive
+        packetsLost: Math.max(0, (stats.videoPacketsLost || 0) + (stats.audioPacketsLost || 0)),
+        availableOutgoingBitrate: stats.availableOutgoingBitrate,
+        targetBitrate: stats.targetBitrate,
+        localCandidateType: stats.localCandidateType,
+        remoteCandidateType: stats.remoteCandidateType,
+        dataChannels: stats.dataChannels.filter(channel => DATA_CHANNELS[channel.label])
+      };
+      
+      // Leave out what the browser didn't report rather than sending nulls
+      Object.keys(report).forEach(key => report[key] === undefined && delete report[key]);
+      reports.push(report);
+    }
+    
+    if (reports.length > 0 && this.isConnectedToRoom) {
+      this.socket.emit('report-connection-stats', { reports });
+    }
+  }
+
   // Cleanup
   async cleanup() {
     console.log('📡 Cleaning up WebRTC Client...');
     
+    this.stopBitrateControl();
+    this.stopHealthReporting();
+    this.stopSignalPolling();
+    
     // Stop screen share
     if (this.screenShareStream) {
       await this.stopScreenShare();
@@ -882,6 +1798,7 @@ export class WebRTCClient {
     this.dataChannels.clear();
     this.remoteStreams.clear();
     this.roomUsers.clear();
+    this.signalQueues.clear();
     
     this.isConnectedToRoom = false;
     this.currentRoomId = null;
@@ -962,3 +1879,8 @@ export class WebRTCClient {
     return this.currentUserId;
   }
 }
+
+// Identifies the peer's DTLS certificate, which stays the same for the life of an RTCPeerConnection
+function getFingerprint(sdp = '') {
+  return sdp.match(/^a=fingerprint:\S+ (\S+)/m)?.[1] || null;
+}
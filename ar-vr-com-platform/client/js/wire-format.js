@@ -0,0 +1,534 @@
+/**
+ * Wire Format for AR/VR Communication Platform
+ * Compact binary encoding for high-frequency room messages, shared by the
+ * browser client and the server. Anything it cannot encode falls back to JSON.
+ */
+export const WIRE_FORMATS = {
+  BINARY: 'binary-v1',
+  JSON: 'json'
+};
+
+// Socket.io event that carries encoded messages
+export const BINARY_EVENT = 'bin';
+
+// First byte of every encoded message
+export const MessageType = {
+  POSE_SNAPSHOT: 1, // pose-snapshot (server -> client)
+  POSE_UPDATE: 2, // update-position (client -> server)
+  OBJECT_UPDATED: 3, // object-updated (server -> client)
+  OBJECT_UPDATE: 4, // update-object (client -> server)
+  SPATIAL_AUDIO_UPDATE: 5, // spatial-audio-update (both directions)
+  PEER_POSE: 6 // pose (peer-to-peer data channel)
+};
+
+const POSITION_SCALE = 1000; // millimeters
+const VOLUME_SCALE = 1000;
+const QUATERNION_BITS = 14;
+const QUATERNION_MAX = (1 << QUATERNION_BITS) - 1;
+const QUATERNION_RANGE = Math.SQRT1_2; // smallest-three components lie in [-1/sqrt2, 1/sqrt2]
+const TRANSFORM_FIELDS = ['position', 'rotation', 'scale'];
+
+/**
+ * Maps user and object IDs to the small per-room integers (netId) the server
+ * assigns, so encoded messages carry varints instead of ID strings.
+ */
+export class NetIdRegistry {
+  constructor(roomId = null) {
+    this.roomId = roomId;
+    this.users = new Map();
+    this.userNetIds = new Map();
+    this.objects = new Map();
+    this.objectNetIds = new Map();
+  }
+
+  static fromRoom(room) {
+    const registry = new NetIdRegistry(room.id);
+    (room.users || []).forEach(user => registry.addUser(user.id, user.netId));
+    (room.objects || []).forEach(object => registry.addObject(object.id, object.netId));
+    return registry;
+  }
+
+  addUser(userId, netId) {
+    if (netId === undefined || netId === null) return;
+    this.users.set(netId, userId);
+    this.userNetIds.set(userId, netId);
+  }
+
+  removeUser(userId) {
+    this.users.delete(this.userNetIds.get(userId));
+    this.userNetIds.delete(userId);
+  }
+
+  addObject(objectId, netId) {
+    if (netId === undefined || netId === null) return;
+    this.objects.set(netId, objectId);
+    this.objectNetIds.set(objectId, netId);
+  }
+
+  removeObject(objectId) {
+    this.objects.delete(this.objectNetIds.get(objectId));
+    this.objectNetIds.delete(objectId);
+  }
+
+  userNetId(userId) {
+    return this.userNetIds.get(userId);
+  }
+
+  userIdFor(netId) {
+    return this.users.get(netId);
+  }
+
+  objectNetId(objectId) {
+    return this.objectNetIds.get(objectId);
+  }
+
+  objectIdFor(netId) {
+    return this.objects.get(netId);
+  }
+}
+
+/**
+ * Encodes a message, or returns null when the event or payload has no binary
+ * form (unknown event, unresolvable ID, non-transform fields) so the caller
+ * can send JSON instead.
+ */
+export function encodeMessage(event, data, ids = null) {
+  const encoder = encoders[event];
+  if (!encoder) return null;
+
+  const writer = new ByteWriter();
+
+  try {
+    return encoder(writer, data, ids) === false ? null : writer.finish();
+  } catch (error) {
+    console.warn(`Falling back to JSON for ${event}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Decodes a message produced by encodeMessage into { event, data }.
+ */
+export function decodeMessage(buffer, ids = null) {
+  const reader = new ByteReader(buffer);
+  const type = reader.readUint8();
+  const decoder = decoders[type];
+
+  if (!decoder) {
+    throw new Error(`Unknown wire message type: ${type}`);
+  }
+
+  return decoder(reader, ids);
+}
+
+const encoders = {
+  'pose-snapshot'(writer, data, ids) {
+    const poses = [];
+    for (const pose of data.poses) {
+      const netId = ids?.userNetId(pose.u);
+      if (netId === undefined) return false;
+      poses.push({ ...pose, netId });
+    }
+
+    writer.writeUint8(MessageType.POSE_SNAPSHOT);
+    writer.writeVarint(data.tick);
+    writer.writeVarint(data.timestamp);
+    writer.writeVarint(poses.length);
+
+    poses.forEach(pose => {
+      writer.writeVarint(pose.netId);
+      writer.writeUint8((pose.p ? 1 : 0) | (pose.r ? 2 : 0));
+      if (pose.p) writer.writePosition(pose.p);
+      if (pose.r) writer.writeRotation(pose.r);
+    });
+  },
+
+  'update-position'(writer, data) {
+    writer.writeUint8(MessageType.POSE_UPDATE);
+    writer.writePosition(data.position);
+    writer.writeRotation(data.rotation);
+  },
+
+  'pose'(writer, data) {
+    writer.writeUint8(MessageType.PEER_POSE);
+    writer.writePosition(data.position);
+    writer.writeRotation(data.rotation);
+  },
+
+  'object-updated'(writer, data, ids) {
+    const objectNetId = ids?.objectNetId(data.objectId);
+    const userNetId = ids?.userNetId(data.updatedBy);
+    if (objectNetId === undefined || userNetId === undefined || !isTransformOnly(data.changes)) {
+      return false;
+    }
+
+    writer.writeUint8(MessageType.OBJECT_UPDATED);
+    writer.writeVarint(objectNetId);
+    writer.writeVarint(data.version);
+    writer.writeVarint(userNetId);
+    writer.writeVarint(Date.parse(data.timestamp) || Date.now());
+    writer.writeTransform(data.changes);
+  },
+
+  'update-object'(writer, data, ids) {
+    const objectNetId = ids?.objectNetId(data.objectId);
+    if (objectNetId === undefined || typeof data.baseVersion !== 'number' || !isTransformOnly(data.changes)) {
+      return false;
+    }
+
+    writer.writeUint8(MessageType.OBJECT_UPDATE);
+    writer.writeVarint(objectNetId);
+    writer.writeVarint(data.baseVersion);
+    writer.writeTransform(data.changes);
+  },
+
+  'spatial-audio-update'(writer, data, ids) {
+    const settings = data.audioSettings || {};
+    const userNetId = data.userId === undefined ? undefined : ids?.userNetId(data.userId);
+    if (data.userId !== undefined && userNetId === undefined) return false;
+
+    // Only the fields below have a binary form
+    const known = ['position', 'orientation', 'volume', 'spatialEnabled'];
+    if (Object.keys(settings).some(key => !known.includes(key))) return false;
+
+    const flags =
+      (userNetId !== undefined ? 1 : 0) |
+      (settings.position ? 2 : 0) |
+      (settings.orientation ? 4 : 0) |
+      (typeof settings.volume === 'number' ? 8 : 0) |
+      (typeof settings.spatialEnabled === 'boolean' ? 16 : 0) |
+      (settings.spatialEnabled ? 32 : 0);
+
+    writer.writeUint8(MessageType.SPATIAL_AUDIO_UPDATE);
+    writer.writeUint8(flags);
+    if (flags & 1) writer.writeVarint(userNetId);
+    if (flags & 2) writer.writePosition(settings.position);
+    if (flags & 4) writer.writeDirection(settings.orientation);
+    if (flags & 8) writer.writeVarint(Math.round(Math.max(0, settings.volume) * VOLUME_SCALE));
+  }
+};
+
+const decoders = {
+  [MessageType.POSE_SNAPSHOT](reader, ids) {
+    const tick = reader.readVarint();
+    const timestamp = reader.readVarint();
+    const count = reader.readVarint();
+    const poses = [];
+
+    for (let i = 0; i < count; i++) {
+      const netId = reader.readVarint();
+      const flags = reader.readUint8();
+      const pose = { u: ids?.userIdFor(netId) };
+
+      if (flags & 1) pose.p = reader.readPosition();
+      if (flags & 2) pose.r = reader.readRotation();
+
+      // Users we have not heard about yet are skipped rather than misattributed
+      if (pose.u !== undefined) poses.push(pose);
+    }
+
+    return { event: 'pose-snapshot', data: { roomId: ids?.roomId, tick, timestamp, poses } };
+  },
+
+  [MessageType.POSE_UPDATE](reader) {
+    return {
+      event: 'update-position',
+      data: { position: reader.readPosition(), rotation: reader.readRotation() }
+    };
+  },
+
+  [MessageType.PEER_POSE](reader) {
+    return {
+      event: 'pose',
+      data: { position: reader.readPosition(), rotation: reader.readRotation() }
+    };
+  },
+
+  [MessageType.OBJECT_UPDATED](reader, ids) {
+    const objectNetId = reader.readVarint();
+    const version = reader.readVarint();
+    const userNetId = reader.readVarint();
+    const timestamp = reader.readVarint();
+
+    return {
+      event: 'object-updated',
+      data: {
+        objectId: ids?.objectIdFor(objectNetId),
+        roomId: ids?.roomId,
+        changes: reader.readTransform(),
+        version,
+        updatedBy: ids?.userIdFor(userNetId),
+        timestamp: new Date(timestamp).toISOString()
+      }
+    };
+  },
+
+  [MessageType.OBJECT_UPDATE](reader, ids) {
+    const objectNetId = reader.readVarint();
+    const baseVersion = reader.readVarint();
+
+    return {
+      event: 'update-object',
+      data: {
+        objectId: ids?.objectIdFor(objectNetId),
+        changes: reader.readTransform(),
+        baseVersion
+      }
+    };
+  },
+
+  [MessageType.SPATIAL_AUDIO_UPDATE](reader, ids) {
+    const flags = reader.readUint8();
+    const data = { audioSettings: {} };
+
+    if (flags & 1) data.userId = ids?.userIdFor(reader.readVarint());
+    if (flags & 2) data.audioSettings.position = reader.readPosition();
+    if (flags & 4) data.audioSettings.orientation = reader.readDirection();
+    if (flags & 8) data.audioSettings.volume = reader.readVarint() / VOLUME_SCALE;
+    if (flags & 16) data.audioSettings.spatialEnabled = Boolean(flags & 32);
+
+    return { event: 'spatial-audio-update', data };
+  }
+};
+
+function isTransformOnly(changes) {
+  const keys = Object.keys(changes || {});
+  return keys.length > 0 && keys.every(key => TRANSFORM_FIELDS.includes(key));
+}
+
+class ByteWriter {
+  constructor(capacity = 64) {
+    this.bytes = new Uint8Array(capacity);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  ensure(size) {
+    if (this.length + size <= this.bytes.length) return;
+
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+    grown.set(this.bytes);
+    this.bytes = grown;
+    this.view = new DataView(grown.buffer);
+  }
+
+  writeUint8(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  // Unsigned LEB128; uses arithmetic rather than bit ops so values up to 2^53 survive
+  writeVarint(value) {
+    let remaining = Math.max(0, Math.floor(value));
+
+    while (remaining >= 0x80) {
+      this.writeUint8((remaining % 0x80) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+
+    this.writeUint8(remaining);
+  }
+
+  writeSignedVarint(value) {
+    // Zigzag so small negative numbers stay short
+    this.writeVarint(value >= 0 ? value * 2 : -value * 2 - 1);
+  }
+
+  writeUint32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.length, value >>> 0);
+    this.length += 4;
+  }
+
+  writeUint16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  writeInt16(value) {
+    this.ensure(2);
+    this.view.setInt16(this.length, value);
+    this.length += 2;
+  }
+
+  writePosition(position) {
+    for (let i = 0; i < 3; i++) {
+      this.writeSignedVarint(Math.round((Number(position[i]) || 0) * POSITION_SCALE));
+    }
+  }
+
+  // Euler angles (XYZ) travel as a smallest-three quaternion packed into 48 bits
+  writeRotation(rotation) {
+    const quaternion = eulerToQuaternion(rotation);
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+      if (Math.abs(quaternion[i]) > Math.abs(quaternion[largest])) largest = i;
+    }
+
+    // q and -q are the same rotation, so make the dropped component positive
+    const sign = quaternion[largest] < 0 ? -1 : 1;
+    let packed = largest;
+
+    for (let i = 0; i < 4; i++) {
+      if (i === largest) continue;
+      const normalized = (quaternion[i] * sign + QUATERNION_RANGE) / (2 * QUATERNION_RANGE);
+      const quantized = Math.round(Math.min(1, Math.max(0, normalized)) * QUATERNION_MAX);
+      packed = packed * (QUATERNION_MAX + 1) + quantized;
+    }
+
+    // 2 index bits + 3 x 14 component bits; split since bit ops are limited to 32 bits
+    this.writeUint16(Math.floor(packed / 0x100000000));
+    this.writeUint32(packed % 0x100000000);
+  }
+
+  writeDirection(direction) {
+    for (let i = 0; i < 3; i++) {
+      this.writeInt16(Math.round(Math.max(-1, Math.min(1, Number(direction[i]) || 0)) * 32767));
+    }
+  }
+
+  writeTransform(changes) {
+    const flags = TRANSFORM_FIELDS.reduce((bits, field, index) => (changes[field] ? bits | (1 << index) : bits), 0);
+
+    this.writeUint8(flags);
+    if (changes.position) this.writePosition(changes.position);
+    if (changes.rotation) this.writeRotation(changes.rotation);
+    if (changes.scale) this.writePosition(changes.scale);
+  }
+
+  finish() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+class ByteReader {
+  constructor(buffer) {
+    this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.offset = 0;
+  }
+
+  readUint8() {
+    return this.bytes[this.take(1)];
+  }
+
+  // Returns the offset of the next `size` bytes and moves past them
+  take(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new Error('Unexpected end of wire message');
+    }
+
+    const offset = this.offset;
+    this.offset += size;
+    return offset;
+  }
+
+  readVarint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+
+    do {
+      byte = this.readUint8();
+      value += (byte & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+
+    return value;
+  }
+
+  readSignedVarint() {
+    const value = this.readVarint();
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  }
+
+  readUint32() {
+    return this.view.getUint32(this.take(4));
+  }
+
+  readUint16() {
+    return this.view.getUint16(this.take(2));
+  }
+
+  readInt16() {
+    return this.view.getInt16(this.take(2));
+  }
+
+  readPosition() {
+    return [
+      this.readSignedVarint() / POSITION_SCALE,
+      this.readSignedVarint() / POSITION_SCALE,
+      this.readSignedVarint() / POSITION_SCALE
+    ];
+  }
+
+  readRotation() {
+    let packed = this.readUint16() * 0x100000000 + this.readUint32();
+    const components = [];
+
+    for (let i = 0; i < 3; i++) {
+      const quantized = packed % (QUATERNION_MAX + 1);
+      packed = Math.floor(packed / (QUATERNION_MAX + 1));
+      components.unshift((quantized / QUATERNION_MAX) * 2 * QUATERNION_RANGE - QUATERNION_RANGE);
+    }
+
+    const largest = packed;
+    const sumOfSquares = components.reduce((sum, value) => sum + value * value, 0);
+    const quaternion = [];
+
+    for (let i = 0, c = 0; i < 4; i++) {
+      quaternion.push(i === largest ? Math.sqrt(Math.max(0, 1 - sumOfSquares)) : components[c++]);
+    }
+
+    return quaternionToEuler(quaternion);
+  }
+
+  readDirection() {
+    return [this.readInt16() / 32767, this.readInt16() / 32767, this.readInt16() / 32767];
+  }
+
+  readTransform() {
+    const flags = this.readUint8();
+    const changes = {};
+
+    if (flags & 1) changes.position = this.readPosition();
+    if (flags & 2) changes.rotation = this.readRotation();
+    if (flags & 4) changes.scale = this.readPosition();
+
+    return changes;
+  }
+}
+
+// Same conventions as THREE.Quaternion.setFromEuler with the default 'XYZ' order
+function eulerToQuaternion([x = 0, y = 0, z = 0] = []) {
+  const c1 = Math.cos(x / 2), c2 = Math.cos(y / 2), c3 = Math.cos(z / 2);
+  const s1 = Math.sin(x / 2), s2 = Math.sin(y / 2), s3 = Math.sin(z / 2);
+
+  return [
+    s1 * c2 * c3 + c1 * s2 * s3,
+    c1 * s2 * c3 - s1 * c2 * s3,
+    c1 * c2 * s3 + s1 * s2 * c3,
+    c1 * c2 * c3 - s1 * s2 * s3
+  ];
+}
+
+// Same conventions as THREE.Euler.setFromQuaternion with the default 'XYZ' order
+function quaternionToEuler([x, y, z, w]) {
+  const m11 = 1 - 2 * (y * y + z * z);
+  const m12 = 2 * (x * y - z * w);
+  const m13 = 2 * (x * z + y * w);
+  const m22 = 1 - 2 * (x * x + z * z);
+  const m23 = 2 * (y * z - x * w);
+  const m32 = 2 * (y * z + x * w);
+  const m33 = 1 - 2 * (x * x + y * y);
+
+  const ey = Math.asin(Math.max(-1, Math.min(1, m13)));
+
+  if (Math.abs(m13) < 0.9999999) {
+    return [Math.atan2(-m23, m33), ey, Math.atan2(-m12, m11)];
+  }
+
+  return [Math.atan2(m32, m22), ey, 0];
+}
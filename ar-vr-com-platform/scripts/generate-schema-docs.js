@@ -0,0 +1,16 @@
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { createSchemaRegistry } from '../server/schemas.js';
+
+/**
+ * Writes docs/schemas.md from the socket event and REST body schemas.
+ * Run with `npm run docs:schemas` after changing server/schemas.js.
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const outputPath = path.join(__dirname, '../docs/schemas.md');
+
+writeFileSync(outputPath, createSchemaRegistry().toMarkdown() + '\n');
+
+console.log(`📄 Schema docs written to ${path.relative(process.cwd(), outputPath)}`);
@@ -0,0 +1,218 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Authentication for AR/VR Communication Platform
+ * Issues signed session tokens (HS256 JWTs) carrying a server-assigned user ID,
+ * and verifies them on REST requests and socket handshakes
+ */
+export class AuthManager {
+  constructor(options = {}) {
+    // Every node of a cluster must share the secret, or tokens only work where they were issued
+    this.secret = options.secret || randomBytes(32).toString('hex');
+    if (!options.secret) {
+      console.warn('⚠️ JWT_SECRET not set - using a random secret, sessions end on restart');
+    }
+
+    this.config = {
+      tokenTtl: options.tokenTtl || 24 * 60 * 60 * 1000, // 24 hours
+      issuer: options.issuer || 'arvr-com-platform',
+      maxNameLength: 50
+    };
+
+    // Users who may read server-wide statistics
+    this.adminUserIds = new Set(options.adminUserIds || []);
+
+    this.stats = {
+      tokensIssued: 0,
+      rejectedTokens: 0
+    };
+  }
+
+  /**
+   * Issues a token for a new identity, or for an existing one when the
+   * caller already holds a valid token (so reloading the client keeps its ID).
+   * Returns { token, expiresAt, user: { id, name } }.
+   */
+  issueToken({ name, userId } = {}) {
+    const now = Date.now();
+    const user = {
+      id: userId || `user_${uuidv4()}`,
+      name: this.sanitizeName(name)
+    };
+
+    const token = signJwt({
+      sub: user.id,
+      name: user.name,
+      iss: this.config.issuer,
+      iat: Math.floor(now / 1000),
+      exp: Math.floor((now + this.config.tokenTtl) / 1000),
+      jti: randomBytes(8).toString('hex')
+    }, this.secret);
+
+    this.stats.tokensIssued++;
+
+    return {
+      token,
+      expiresAt: new Date(now + this.config.tokenTtl).toISOString(),
+      user
+    };
+  }
+
+  /**
+   * Returns { valid: true, user: { id, name } } or { valid: false, reason }
+   * where reason is 'missing', 'malformed', 'signature', 'issuer' or 'expired'.
+   */
+  verifyToken(token) {
+    if (!token) {
+      return { valid: false, reason: 'missing' };
+    }
+
+    const result = verifyJwt(token, this.secret);
+    if (!result.valid) {
+      this.stats.rejectedTokens++;
+      return result;
+    }
+
+    const { payload } = result;
+    if (payload.iss !== this.config.issuer || typeof payload.sub !== 'string') {
+      this.stats.rejectedTokens++;
+      return { valid: false, reason: 'issuer' };
+    }
+
+    return {
+      valid: true,
+      user: { id: payload.sub, name: payload.name },
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  isAdmin(user) {
+    return Boolean(user) && this.adminUserIds.has(user.id);
+  }
+
+  sanitizeName(name) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, this.config.maxNameLength) : '';
+    return trimmed || 'Anonymous User';
+  }
+
+  // Express middleware: sets req.user, or answers 401 unless optional is set;
+  // with admin set, users who aren't admins get 403
+  httpMiddleware({ optional = false, admin = false } = {}) {
+    return (req, res, next) => {
+      const header = req.get('authorization') || '';
+      const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+      const result = this.verifyToken(token);
+
+      if (result.valid && admin && !this.isAdmin(result.user)) {
+        res.status(403).json({ error: 'Admin access required', code: 'PERMISSION_DENIED' });
+        return;
+      }
+
+      if (result.valid) {
+        req.user = result.user;
+        next();
+        return;
+      }
+
+      if (optional) {
+        req.user = null;
+        next();
+        return;
+      }
+
+      res.status(401).json({
+        error: 'Authentication required',
+        code: authErrorCode(result.reason)
+      });
+    };
+  }
+
+  // socket.io middleware: binds the verified identity to socket.data.user
+  socketMiddleware() {
+    return (socket, next) => {
+      const result = this.verifyToken(socket.handshake.auth?.token);
+
+      if (!result.valid) {
+        const error = new Error('Authentication required');
+        error.data = { code: authErrorCode(result.reason) };
+        next(error);
+        return;
+      }
+
+      socket.data.user = result.user;
+      next();
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      tokenTtl: this.config.tokenTtl
+    };
+  }
+}
+
+function authErrorCode(reason) {
+  if (reason === 'missing') return 'AUTH_REQUIRED';
+  if (reason === 'expired') return 'TOKEN_EXPIRED';
+  return 'TOKEN_INVALID';
+}
+
+const JWT_HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+function signJwt(payload, secret) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signingInput = `${JWT_HEADER}.${encodedPayload}`;
+  return `${signingInput}.${sign(signingInput, secret)}`;
+}
+
+function verifyJwt(token, secret) {
+  if (typeof token !== 'string') {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  // Only our own algorithm is accepted; 'none' and asymmetric algs are rejected outright
+  if (header?.alg !== 'HS256' || !payload || typeof payload !== 'object') {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expectedSignature = sign(`${encodedHeader}.${encodedPayload}`, secret);
+  if (!safeEqual(signature, expectedSignature)) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  if (!Number.isFinite(payload.exp) || Date.now() >= payload.exp * 1000) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, payload };
+}
+
+// timingSafeEqual throws on buffers of different byte lengths, which a string
+// length check doesn't rule out once multi-byte characters are involved
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+function sign(value, secret) {
+  return createHmac('sha256', secret).update(value).digest('base64url');
+}
@@ -0,0 +1,510 @@
+import net from 'net';
+
+/**
+ * Pub/Sub Backplane for AR/VR Communication Platform
+ * Carries messages and shared keys between server processes so rooms can span nodes
+ */
+export class BackplaneAdapter {
+  async init() {}
+
+  // Messages are plain JSON-serializable objects
+  async publish(channel, message) {}
+
+  async subscribe(channel, handler) {}
+
+  async unsubscribe(channel) {}
+
+  /**
+   * Options: ttl (ms), onlyIfAbsent. Returns false when onlyIfAbsent is set
+   * and the key already exists.
+   */
+  async set(key, value, options = {}) {
+    return true;
+  }
+
+  async get(key) {
+    return null;
+  }
+
+  async del(key) {}
+
+  async close() {}
+}
+
+// Shared by every InProcessBackplane that isn't given its own bus
+const defaultBus = createLocalBus();
+
+function createLocalBus() {
+  return {
+    subscribers: new Map(), // channel -> Set(backplane)
+    keys: new Map() // key -> { value, expiresAt }
+  };
+}
+
+/**
+ * Backplane for servers running inside one process (e.g. several
+ * ARVRComPlatformServer instances in tests). Delivery is asynchronous like a
+ * network backplane, and messages are copied so nodes never share objects.
+ */
+export class InProcessBackplane extends BackplaneAdapter {
+  constructor(options = {}) {
+    super();
+
+    this.bus = options.bus || defaultBus;
+    this.handlers = new Map();
+  }
+
+  static createBus() {
+    return createLocalBus();
+  }
+
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+    const subscribers = this.bus.subscribers.get(channel);
+    if (!subscribers) return 0;
+
+    subscribers.forEach(backplane => {
+      setImmediate(() => backplane.deliver(channel, payload));
+    });
+
+    return subscribers.size;
+  }
+
+  deliver(channel, payload) {
+    const handler = this.handlers.get(channel);
+    if (!handler) return;
+
+    try {
+      handler(JSON.parse(payload));
+    } catch (error) {
+      console.error(`Error handling backplane message on ${channel}:`, error);
+    }
+  }
+
+  async subscribe(channel, handler) {
+    this.handlers.set(channel, handler);
+
+    if (!this.bus.subscribers.has(channel)) {
+      this.bus.subscribers.set(channel, new Set());
+    }
+    this.bus.subscribers.get(channel).add(this);
+  }
+
+  async unsubscribe(channel) {
+    this.handlers.delete(channel);
+
+    const subscribers = this.bus.subscribers.get(channel);
+    if (subscribers) {
+      subscribers.delete(this);
+      if (subscribers.size === 0) {
+        this.bus.subscribers.delete(channel);
+      }
+    }
+  }
+
+  async set(key, value, options = {}) {
+    if (options.onlyIfAbsent && (await this.get(key)) !== null) {
+      return false;
+    }
+
+    this.bus.keys.set(key, {
+      value,
+      expiresAt: options.ttl ? Date.now() + options.ttl : null
+    });
+
+    return true;
+  }
+
+  async get(key) {
+    const entry = this.bus.keys.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.bus.keys.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async del(key) {
+    this.bus.keys.delete(key);
+  }
+
+  async close() {
+    for (const channel of Array.from(this.handlers.keys())) {
+      await this.unsubscribe(channel);
+    }
+  }
+}
+
+/**
+ * Backplane over the Redis protocol (RESP2). Works with Redis and with
+ * protocol-compatible servers such as KeyDB, Valkey or a local stand-in.
+ * Uses one connection for commands and one for subscriptions, since a
+ * subscribed connection can't run other commands.
+ */
+export class RedisBackplane extends BackplaneAdapter {
+  constructor(options = {}) {
+    super();
+
+    const url = new URL(options.url || 'redis://127.0.0.1:6379');
+
+    this.connectionOptions = {
+      host: url.hostname || '127.0.0.1',
+      port: parseInt(url.port) || 6379,
+      password: url.password ? decodeURIComponent(url.password) : null,
+      db: parseInt(url.pathname.slice(1)) || 0
+    };
+
+    // Keys and channels are namespaced so a shared Redis can host other apps
+    this.keyPrefix = options.keyPrefix ?? 'arvr:';
+
+    this.commands = null;
+    this.subscriber = null;
+    this.handlers = new Map();
+  }
+
+  async init() {
+    this.commands = new RespConnection(this.connectionOptions);
+    this.subscriber = new RespConnection(this.connectionOptions, {
+      onMessage: (channel, payload) => this.deliver(channel, payload),
+      onReconnect: () => this.resubscribe()
+    });
+
+    await Promise.all([this.commands.connect(), this.subscriber.connect()]);
+
+    console.log(`📮 Redis backplane connected: ${this.connectionOptions.host}:${this.connectionOptions.port}`);
+  }
+
+  async publish(channel, message) {
+    return this.commands.send(['PUBLISH', this.keyPrefix + channel, JSON.stringify(message)]);
+  }
+
+  deliver(channel, payload) {
+    const handler = this.handlers.get(channel.slice(this.keyPrefix.length));
+    if (!handler) return;
+
+    try {
+      handler(JSON.parse(payload));
+    } catch (error) {
+      console.error(`Error handling backplane message on ${channel}:`, error);
+    }
+  }
+
+  async subscribe(channel, handler) {
+    const isNew = !this.handlers.has(channel);
+    this.handlers.set(channel, handler);
+
+    if (isNew) {
+      try {
+        await this.subscriber.sendSubscription('subscribe', [this.keyPrefix + channel]);
+      } catch (error) {
+        // Not subscribed after all, so a retry has to send SUBSCRIBE again
+        this.handlers.delete(channel);
+        throw error;
+      }
+    }
+  }
+
+  async unsubscribe(channel) {
+    if (!this.handlers.delete(channel)) return;
+    await this.subscriber.sendSubscription('unsubscribe', [this.keyPrefix + channel]);
+  }
+
+  resubscribe() {
+    const channels = Array.from(this.handlers.keys()).map(channel => this.keyPrefix + channel);
+    if (channels.length === 0) return;
+
+    this.subscriber.sendSubscription('subscribe', channels).catch(error => {
+      console.error('Error restoring backplane subscriptions:', error);
+    });
+  }
+
+  async set(key, value, options = {}) {
+    const args = ['SET', this.keyPrefix + key, value];
+    if (options.ttl) args.push('PX', String(Math.ceil(options.ttl)));
+    if (options.onlyIfAbsent) args.push('NX');
+
+    const reply = await this.commands.send(args);
+    return reply === 'OK';
+  }
+
+  async get(key) {
+    return this.commands.send(['GET', this.keyPrefix + key]);
+  }
+
+  async del(key) {
+    await this.commands.send(['DEL', this.keyPrefix + key]);
+  }
+
+  async close() {
+    await Promise.all([this.commands?.close(), this.subscriber?.close()]);
+  }
+}
+
+/**
+ * Minimal RESP2 client: pipelined commands answered in order, pub/sub pushes
+ * routed to onMessage, and automatic reconnects with a capped backoff.
+ * (UN)SUBSCRIBE is confirmed by one push per channel rather than by a reply,
+ * so those commands are tracked apart from the pending replies.
+ */
+class RespConnection {
+  constructor(options, handlers = {}) {
+    this.options = options;
+    this.onMessage = handlers.onMessage || null;
+    this.onReconnect = handlers.onReconnect || null;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+    // { kind, channels: Set, resolve, reject } per (UN)SUBSCRIBE, oldest first
+    this.subscriptions = [];
+    this.closing = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+      let connected = false;
+
+      socket.setNoDelay(true);
+
+      socket.once('connect', async () => {
+        connected = true;
+        this.socket = socket;
+        this.reconnectAttempts = 0;
+
+        try {
+          if (this.options.password) {
+            await this.send(['AUTH', this.options.password]);
+          }
+          if (this.options.db) {
+            await this.send(['SELECT', String(this.options.db)]);
+          }
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+
+      socket.on('data', chunk => this.handleData(chunk));
+
+      socket.on('error', error => {
+        if (!connected) {
+          reject(error);
+        } else {
+          console.error('Backplane connection error:', error.message);
+        }
+      });
+
+      socket.on('close', () => {
+        if (this.socket === socket) {
+          this.socket = null;
+          this.buffer = Buffer.alloc(0);
+        }
+
+        this.failPending(new Error('Backplane connection closed'));
+
+        if (connected && !this.closing) {
+          this.scheduleReconnect();
+        }
+      });
+    });
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(5000, 250 * 2 ** this.reconnectAttempts++);
+
+    this.reconnectTimer = setTimeout(async () => {
+      try {
+        await this.connect();
+        console.log('📮 Backplane connection restored');
+        this.onReconnect?.();
+      } catch (error) {
+        console.error('Backplane reconnect failed:', error.message);
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  send(args) {
+    if (!this.socket) {
+      return Promise.reject(new Error('Backplane not connected'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  // kind is 'subscribe' or 'unsubscribe'; resolves once every channel is confirmed
+  sendSubscription(kind, channels) {
+    if (!this.socket) {
+      return Promise.reject(new Error('Backplane not connected'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.subscriptions.push({ kind, channels: new Set(channels), resolve, reject });
+      this.socket.write(encodeCommand([kind.toUpperCase(), ...channels]));
+    });
+  }
+
+  confirmSubscription(kind, channel) {
+    const request = this.subscriptions.find(entry => entry.kind === kind && entry.channels.has(channel));
+    if (!request) return;
+
+    request.channels.delete(channel);
+    if (request.channels.size === 0) {
+      this.subscriptions.splice(this.subscriptions.indexOf(request), 1);
+      request.resolve();
+    }
+  }
+
+  handleData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    try {
+      while (offset < this.buffer.length) {
+        const parsed = parseReply(this.buffer, offset);
+        if (!parsed) break;
+
+        offset = parsed.offset;
+        this.handleReply(parsed.value);
+      }
+    } catch (error) {
+      // The stream is out of sync; drop the connection and let reconnect start clean
+      console.error('Backplane protocol error:', error.message);
+      this.buffer = Buffer.alloc(0);
+      this.socket?.destroy();
+      return;
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  handleReply(reply) {
+    // Pub/sub pushes arrive unrequested on the subscriber connection
+    if (this.onMessage && Array.isArray(reply)) {
+      if (reply[0] === 'message') {
+        this.onMessage(reply[1], reply[2]);
+        return;
+      }
+
+      if (reply[0] === 'subscribe' || reply[0] === 'unsubscribe') {
+        this.confirmSubscription(reply[0], reply[1]);
+        return;
+      }
+    }
+
+    // A refused (UN)SUBSCRIBE answers with one error and no pushes
+    if (reply instanceof Error && this.pending.length === 0 && this.subscriptions.length > 0) {
+      this.subscriptions.shift().reject(reply);
+      return;
+    }
+
+    const request = this.pending.shift();
+    if (!request) return;
+
+    if (reply instanceof Error) {
+      request.reject(reply);
+    } else {
+      request.resolve(reply);
+    }
+  }
+
+  failPending(error) {
+    const pending = [...this.pending, ...this.subscriptions];
+    this.pending = [];
+    this.subscriptions = [];
+    pending.forEach(request => request.reject(error));
+  }
+
+  async close() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+
+    if (!this.socket) return;
+
+    try {
+      await this.send(['QUIT']);
+    } catch {
+      // Already gone
+    }
+
+    this.socket?.destroy();
+    this.socket = null;
+  }
+}
+
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+
+  args.forEach(arg => {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  });
+
+  return command;
+}
+
+// Returns { value, offset } or null if the buffer doesn't hold a whole reply yet
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+export function createBackplane(type, options = {}) {
+  switch (type) {
+    case 'redis':
+      return new RedisBackplane(options);
+    case 'memory':
+      return new InProcessBackplane(options);
+    case 'none':
+    case undefined:
+    case null:
+    case '':
+      return null;
+    default:
+      throw new Error(`Unknown backplane type: ${type}`);
+  }
+}
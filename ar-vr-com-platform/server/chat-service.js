@@ -0,0 +1,242 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Chat Service for AR/VR Communication Platform
+ * The text chat model: a bounded message history per room, kept on the room
+ * itself (`room.chatHistory`). Persistent rooms save each message as it is
+ * sent, edited or dropped from the history. Messages go to the whole room or, with `to`, to one user;
+ * replies hang off a root message as a thread; `@name` and `@id` mentions
+ * are resolved to user IDs when a message is sent or edited.
+ *
+ * Methods return `{ message }` or `{ error, code }`; delivering the result
+ * is up to the caller.
+ */
+export class ChatService {
+  constructor(roomManager, options = {}) {
+    this.roomManager = roomManager;
+
+    this.config = {
+      maxHistory: options.maxHistory || 500, // messages kept per room, oldest dropped first
+      maxMessageLength: options.maxMessageLength || 2000,
+      pageSize: options.pageSize || 50, // messages per history page
+      maxPageSize: 100
+    };
+  }
+
+  sendMessage(roomId, sender, { text, to = null, threadId = null }) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) {
+      return { error: 'Room not found', code: 'ROOM_NOT_FOUND' };
+    }
+
+    if (room.settings?.textChat === false) {
+      return { error: 'Text chat is turned off in this room', code: 'CHAT_DISABLED' };
+    }
+
+    const body = this.normalizeText(text);
+    if (!body) {
+      return { error: 'Message is empty', code: 'INVALID_MESSAGE' };
+    }
+
+    let root = null;
+    if (threadId) {
+      root = this.findMessage(room, threadId);
+      if (!root || root.deleted || !this.canView(root, sender.id)) {
+        return { error: 'Thread not found', code: 'MESSAGE_NOT_FOUND' };
+      }
+
+      // Threads are one level deep; replying to a reply continues its thread
+      if (root.threadId) {
+        root = this.findMessage(room, root.threadId);
+        if (!root) {
+          return { error: 'Thread not found', code: 'MESSAGE_NOT_FOUND' };
+        }
+      }
+
+      // A reply in a direct conversation stays between the same two users
+      to = root.to ? (root.from === sender.id ? root.to : root.from) : null;
+    } else if (to) {
+      if (to === sender.id || !room.users.some(user => user.id === to)) {
+        return { error: 'Recipient is not in the room', code: 'USER_NOT_FOUND' };
+      }
+    }
+
+    const message = {
+      id: uuidv4(),
+      roomId,
+      from: sender.id,
+      fromName: sender.name || sender.id,
+      text: body,
+      to,
+      threadId: root?.id || null,
+      mentions: this.findMentions(room, body, to ? [sender.id, to] : null),
+      replyCount: 0,
+      createdAt: new Date().toISOString(),
+      editedAt: null,
+      deleted: false
+    };
+
+    const dropped = this.storeMessage(room, message);
+
+    this.roomManager.persistChatMessage(room, message);
+    if (root) {
+      // Its reply count changed
+      this.roomManager.persistChatMessage(room, root);
+    }
+    this.roomManager.deleteStoredChatMessages(room, dropped.map(oldMessage => oldMessage.id));
+
+    return { message };
+  }
+
+  editMessage(roomId, userId, messageId, text) {
+    const result = this.findOwnMessage(roomId, userId, messageId);
+    if (result.error) return result;
+
+    const { room, message } = result;
+
+    const body = this.normalizeText(text);
+    if (!body) {
+      return { error: 'Message is empty', code: 'INVALID_MESSAGE' };
+    }
+
+    message.text = body;
+    message.mentions = this.findMentions(room, body, message.to ? [message.from, message.to] : null);
+    message.editedAt = new Date().toISOString();
+
+    this.roomManager.persistChatMessage(room, message);
+
+    return { message };
+  }
+
+  // Deleted messages stay in the history as tombstones so threads and paging keep their place
+  deleteMessage(roomId, userId, messageId) {
+    const result = this.findOwnMessage(roomId, userId, messageId);
+    if (result.error) return result;
+
+    const { room, message } = result;
+
+    message.text = '';
+    message.mentions = [];
+    message.deleted = true;
+    message.editedAt = new Date().toISOString();
+
+    this.roomManager.persistChatMessage(room, message);
+
+    return { message };
+  }
+
+  /**
+   * One page of what `userId` may see, oldest first. Without `threadId` that
+   * is the room's main timeline (thread replies excluded); with it, the
+   * replies of that thread. `before` is a message ID to page back from.
+   */
+  getHistory(roomId, userId, { before = null, limit, threadId = null } = {}) {
+    const room = this.roomManager.getRoom(roomId);
+    const pageSize = Math.min(Math.max(limit || this.config.pageSize, 1), this.config.maxPageSize);
+
+    if (!room) {
+      return { messages: [], hasMore: false, threadId };
+    }
+
+    let visible = (room.chatHistory || []).filter(message =>
+      this.canView(message, userId) && message.threadId === threadId
+    );
+
+    if (before) {
+      const index = visible.findIndex(message => message.id === before);
+      // A message that has aged out of the history has nothing before it either
+      visible = index === -1 ? [] : visible.slice(0, index);
+    }
+
+    const history = {
+      messages: visible.slice(-pageSize),
+      hasMore: visible.length > pageSize,
+      threadId
+    };
+
+    if (threadId) {
+      const root = this.findMessage(room, threadId);
+      history.root = root && this.canView(root, userId) ? root : null;
+    }
+
+    return history;
+  }
+
+  // Messages sent on another node; that node already persisted them
+  applyRemoteMessage(room, message) {
+    const existing = this.findMessage(room, message.id);
+
+    if (existing) {
+      Object.assign(existing, message);
+    } else {
+      this.storeMessage(room, { ...message });
+    }
+  }
+
+  canView(message, userId) {
+    return !message.to || message.from === userId || message.to === userId;
+  }
+
+  // Users who should see a message: everyone in the room, or the two sides of a direct message
+  getRecipients(message) {
+    return message.to ? [message.from, message.to] : null;
+  }
+
+  // Returns the messages pushed out of the history to make room
+  storeMessage(room, message) {
+    if (!room.chatHistory) room.chatHistory = [];
+
+    room.chatHistory.push(message);
+
+    if (message.threadId) {
+      const root = this.findMessage(room, message.threadId);
+      if (root) {
+        root.replyCount = (root.replyCount || 0) + 1;
+        root.lastReplyAt = message.createdAt;
+      }
+    }
+
+    if (room.chatHistory.length > this.config.maxHistory) {
+      return room.chatHistory.splice(0, room.chatHistory.length - this.config.maxHistory);
+    }
+
+    return [];
+  }
+
+  findMessage(room, messageId) {
+    return (room.chatHistory || []).find(message => message.id === messageId) || null;
+  }
+
+  findOwnMessage(roomId, userId, messageId) {
+    const room = this.roomManager.getRoom(roomId);
+    const message = room && this.findMessage(room, messageId);
+
+    if (!message || message.deleted) {
+      return { error: 'Message not found', code: 'MESSAGE_NOT_FOUND' };
+    }
+
+    if (message.from !== userId) {
+      return { error: 'Only the author can change a message', code: 'NOT_AUTHOR' };
+    }
+
+    return { room, message };
+  }
+
+  normalizeText(text) {
+    if (typeof text !== 'string') return '';
+    return text.trim().slice(0, this.config.maxMessageLength);
+  }
+
+  // `@Jane Smith` or `@user_456`; names may contain spaces, so every user in the room is tried
+  findMentions(room, text, participants = null) {
+    return room.users
+      .filter(user => !participants || participants.includes(user.id))
+      .filter(user => [user.id, user.name].some(handle => handle && this.mentionPattern(handle).test(text)))
+      .map(user => user.id);
+  }
+
+  mentionPattern(handle) {
+    const escaped = handle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\s)@${escaped}(?=$|[\\s.,!?:;)])`, 'i');
+  }
+}
@@ -0,0 +1,384 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Cluster Node for AR/VR Communication Platform
+ * Tracks which node hosts which users and owns which rooms, and relays room
+ * broadcasts, direct user events and signaling between nodes over a backplane.
+ *
+ * Backplane layout:
+ *   channel room:<roomId>      room broadcasts, published by every node with users in the room
+ *   channel node:<nodeId>      messages addressed to one node (user events, signals, requests)
+ *   key     node:<nodeId>      node info, expires unless the node heartbeats
+ *   key     room:<roomId>:owner  node holding the room lease (affinity target for new joins)
+ *   key     user:<userId>:node   node the user's socket is connected to
+ *
+ * Events: 'room-event' (envelope), 'user-event' (userId, event, data), 'signal' (userId, message)
+ */
+export class ClusterNode extends EventEmitter {
+  constructor(backplane, options = {}) {
+    super();
+
+    this.backplane = backplane;
+    this.nodeId = options.nodeId || `node_${uuidv4().substr(0, 8)}`;
+
+    this.config = {
+      publicUrl: options.publicUrl || null,
+      leaseTtl: options.leaseTtl || 15000, // room leases and user entries lapse this long after a node dies
+      heartbeatInterval: options.heartbeatInterval || 5000,
+      requestTimeout: options.requestTimeout || 3000
+    };
+
+    // roomId -> { owned, users: Set(userId) } for rooms this node takes part in
+    this.rooms = new Map();
+    // userId -> roomId for users whose sockets are connected to this node
+    this.localUsers = new Map();
+
+    // Answers getRoomSnapshot requests from other nodes; set by WebSocketServer
+    this.snapshotProvider = null;
+
+    this.pendingRequests = new Map();
+    this.heartbeatTimer = null;
+    this.startedAt = new Date().toISOString();
+
+    this.stats = {
+      messagesPublished: 0,
+      messagesReceived: 0,
+      userEventsForwarded: 0,
+      signalsForwarded: 0,
+      backplaneErrors: 0
+    };
+  }
+
+  async start() {
+    await this.backplane.init();
+    await this.backplane.subscribe(this.nodeChannel(this.nodeId), message => this.handleNodeMessage(message));
+    await this.heartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => {
+        console.error('Cluster heartbeat failed:', error);
+      });
+    }, this.config.heartbeatInterval);
+
+    console.log(`🕸️ Cluster node ${this.nodeId} joined the backplane`);
+  }
+
+  async stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    try {
+      for (const roomId of Array.from(this.rooms.keys())) {
+        await this.untrackRoom(roomId);
+      }
+      for (const userId of this.localUsers.keys()) {
+        await this.backplane.del(this.userKey(userId));
+      }
+      await this.backplane.del(this.nodeKey(this.nodeId));
+    } catch (error) {
+      console.error('Error leaving cluster:', error);
+    }
+
+    this.pendingRequests.forEach(request => {
+      clearTimeout(request.timer);
+      request.resolve(null);
+    });
+    this.pendingRequests.clear();
+
+    await this.backplane.close();
+  }
+
+  // Room Membership
+  async trackRoom(roomId) {
+    if (this.rooms.has(roomId)) return;
+
+    this.rooms.set(roomId, { owned: false, users: new Set() });
+
+    await this.backplane.subscribe(this.roomChannel(roomId), message => this.handleRoomMessage(message));
+    await this.claimRoom(roomId);
+  }
+
+  async untrackRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    this.rooms.delete(roomId);
+    await this.backplane.unsubscribe(this.roomChannel(roomId));
+
+    // Give the lease up at once so another node with users can take over
+    if (room.owned && (await this.backplane.get(this.ownerKey(roomId))) === this.nodeId) {
+      await this.backplane.del(this.ownerKey(roomId));
+    }
+  }
+
+  isTrackingRoom(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  async addLocalUser(roomId, userId) {
+    this.localUsers.set(userId, roomId);
+
+    // trackRoom registers the room synchronously, so the user is counted before any await
+    const tracking = this.trackRoom(roomId);
+    this.rooms.get(roomId).users.add(userId);
+    await tracking;
+
+    await this.backplane.set(this.userKey(userId), this.nodeId, { ttl: this.config.leaseTtl });
+  }
+
+  /**
+   * Returns how many users of the room are still connected to this node, so
+   * the caller can decide whether to stop following the room.
+   */
+  removeLocalUser(roomId, userId) {
+    if (this.localUsers.get(userId) === roomId) {
+      this.localUsers.delete(userId);
+      this.run(this.backplane.del(this.userKey(userId)), 'removing user entry');
+    }
+
+    const room = this.rooms.get(roomId);
+    if (!room) return 0;
+
+    room.users.delete(userId);
+    return room.users.size;
+  }
+
+  isLocalUser(userId) {
+    return this.localUsers.has(userId);
+  }
+
+  // Room Affinity
+  async claimRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return false;
+
+    const key = this.ownerKey(roomId);
+    const ttl = this.config.leaseTtl;
+
+    if (room.owned && (await this.backplane.get(key)) === this.nodeId) {
+      await this.backplane.set(key, this.nodeId, { ttl });
+      return true;
+    }
+
+    room.owned = await this.backplane.set(key, this.nodeId, { ttl, onlyIfAbsent: true });
+    if (room.owned) {
+      console.log(`🕸️ Node ${this.nodeId} now owns room ${roomId}`);
+    }
+
+    return room.owned;
+  }
+
+  /**
+   * The node a load balancer should send new joins for this room to.
+   * Returns { nodeId, url, local } or null when no node holds the room.
+   */
+  async getRoomOwner(roomId) {
+    const nodeId = await this.backplane.get(this.ownerKey(roomId));
+    if (!nodeId) return null;
+
+    const info = await this.getNodeInfo(nodeId);
+
+    return {
+      nodeId,
+      url: info?.url || null,
+      local: nodeId === this.nodeId
+    };
+  }
+
+  async getNodeInfo(nodeId) {
+    const value = await this.backplane.get(this.nodeKey(nodeId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async isNodeAlive(nodeId) {
+    return nodeId === this.nodeId || (await this.getNodeInfo(nodeId)) !== null;
+  }
+
+  async heartbeat() {
+    const ttl = this.config.leaseTtl;
+
+    await this.backplane.set(this.nodeKey(this.nodeId), JSON.stringify({
+      url: this.config.publicUrl,
+      startedAt: this.startedAt
+    }), { ttl });
+
+    // Renew owned leases and pick up rooms whose owner went away
+    for (const roomId of this.rooms.keys()) {
+      await this.claimRoom(roomId);
+    }
+
+    for (const userId of this.localUsers.keys()) {
+      await this.backplane.set(this.userKey(userId), this.nodeId, { ttl });
+    }
+  }
+
+  // Messaging
+  publishRoomEvent(roomId, event, data, excludeSocketId = null) {
+    this.stats.messagesPublished++;
+
+    this.run(this.backplane.publish(this.roomChannel(roomId), {
+      origin: this.nodeId,
+      roomId,
+      event,
+      data,
+      excludeSocketId
+    }), `publishing ${event}`);
+  }
+
+  // Resolves false when the user isn't connected to any other node
+  async sendToUser(userId, event, data) {
+    const nodeId = await this.locateUser(userId);
+    if (!nodeId) return false;
+
+    this.stats.userEventsForwarded++;
+    await this.sendToNode(nodeId, { type: 'user-event', userId, event, data });
+    return true;
+  }
+
+  async forwardSignal(userId, message) {
+    const nodeId = await this.locateUser(userId);
+    if (!nodeId) return false;
+
+    this.stats.signalsForwarded++;
+    await this.sendToNode(nodeId, { type: 'signal', userId, message });
+    return true;
+  }
+
+  // Returns another node's id for a user connected there, or null
+  async locateUser(userId) {
+    if (this.localUsers.has(userId)) return null;
+
+    try {
+      const nodeId = await this.backplane.get(this.userKey(userId));
+      return nodeId && nodeId !== this.nodeId ? nodeId : null;
+    } catch (error) {
+      console.error(`Error locating user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Asks the owning node for the full room state so a node that hasn't seen
+   * the room yet can serve a join. Resolves null if no other node owns it.
+   */
+  async requestRoomSnapshot(roomId) {
+    const owner = await this.getRoomOwner(roomId);
+    if (!owner || owner.local) return null;
+
+    const reply = await this.request(owner.nodeId, { type: 'snapshot-request', roomId });
+    return reply?.snapshot ? { ...reply.snapshot, ownerNodeId: owner.nodeId } : null;
+  }
+
+  request(nodeId, message) {
+    const requestId = uuidv4();
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        console.warn(`⏱️ Cluster request to ${nodeId} timed out (${message.type})`);
+        resolve(null);
+      }, this.config.requestTimeout);
+
+      this.pendingRequests.set(requestId, { resolve, timer });
+
+      this.sendToNode(nodeId, { ...message, requestId, replyTo: this.nodeId }).catch(error => {
+        clearTimeout(timer);
+        this.pendingRequests.delete(requestId);
+        console.error(`Error sending cluster request to ${nodeId}:`, error);
+        resolve(null);
+      });
+    });
+  }
+
+  sendToNode(nodeId, message) {
+    this.stats.messagesPublished++;
+    return this.backplane.publish(this.nodeChannel(nodeId), { ...message, origin: this.nodeId });
+  }
+
+  handleRoomMessage(message) {
+    // Every node hears its own broadcasts back; those were already delivered locally
+    if (message.origin === this.nodeId) return;
+
+    this.stats.messagesReceived++;
+    this.emit('room-event', message);
+  }
+
+  handleNodeMessage(message) {
+    this.stats.messagesReceived++;
+
+    switch (message.type) {
+      case 'user-event':
+        this.emit('user-event', message.userId, message.event, message.data);
+        break;
+
+      case 'signal':
+        this.emit('signal', message.userId, message.message);
+        break;
+
+      case 'snapshot-request': {
+        const snapshot = this.snapshotProvider?.(message.roomId) || null;
+        this.run(this.sendToNode(message.replyTo, {
+          type: 'response',
+          requestId: message.requestId,
+          snapshot
+        }), 'answering snapshot request');
+        break;
+      }
+
+      case 'response': {
+        const request = this.pendingRequests.get(message.requestId);
+        if (request) {
+          clearTimeout(request.timer);
+          this.pendingRequests.delete(message.requestId);
+          request.resolve(message);
+        }
+        break;
+      }
+
+      default:
+        console.warn(`Unknown cluster message type: ${message.type}`);
+    }
+  }
+
+  // Backplane calls made from synchronous handlers must never throw into them
+  run(promise, action) {
+    promise.catch(error => {
+      this.stats.backplaneErrors++;
+      console.error(`Cluster error ${action}:`, error);
+    });
+  }
+
+  // Naming
+  roomChannel(roomId) {
+    return `room:${roomId}`;
+  }
+
+  nodeChannel(nodeId) {
+    return `node:${nodeId}`;
+  }
+
+  nodeKey(nodeId) {
+    return `node:${nodeId}`;
+  }
+
+  ownerKey(roomId) {
+    return `room:${roomId}:owner`;
+  }
+
+  userKey(userId) {
+    return `user:${userId}:node`;
+  }
+
+  getStats() {
+    const rooms = Array.from(this.rooms.values());
+
+    return {
+      nodeId: this.nodeId,
+      trackedRooms: rooms.length,
+      ownedRooms: rooms.filter(room => room.owned).length,
+      localUsers: this.localUsers.size,
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,93 @@
+import { createHmac } from 'crypto';
+
+/**
+ * ICE Server Configuration for AR/VR Communication Platform
+ * Single source of the STUN/TURN list handed to clients. TURN credentials are
+ * time-limited and derived from a secret shared with the TURN server (the
+ * "TURN REST API" scheme coturn supports with use-auth-secret):
+ *
+ *   username   = `${expiry in unix seconds}:${userId}`
+ *   credential = base64(HMAC-SHA1(secret, username))
+ */
+
+export const DEFAULT_STUN_SERVERS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302',
+  'stun:stun2.l.google.com:19302'
+];
+
+export class IceServerProvider {
+  constructor(options = {}) {
+    this.config = {
+      stunUrls: options.stunUrls?.length ? options.stunUrls : DEFAULT_STUN_SERVERS,
+      turnUrls: options.turnUrls || [],
+      // Preferred: credentials minted per user that the TURN server can verify on its own
+      turnSecret: options.turnSecret || null,
+      // Fallback for TURN servers configured with one long-term user
+      turnUsername: options.turnUsername || null,
+      turnPassword: options.turnPassword || null,
+      // The TURN server checks expiry on allocation refreshes too, so this must outlast a call
+      credentialTtl: options.credentialTtl || 12 * 60 * 60 * 1000 // 12 hours
+    };
+
+    if (this.config.turnUrls.length > 0 && !this.config.turnSecret && !this.config.turnUsername) {
+      console.warn('⚠️ TURN_SERVER set without TURN_SECRET or TURN_USERNAME - TURN will not be offered');
+    }
+
+    this.stats = {
+      credentialsIssued: 0
+    };
+  }
+
+  hasTurn() {
+    return this.config.turnUrls.length > 0 && Boolean(this.config.turnSecret || this.config.turnUsername);
+  }
+
+  // STUN only; what the server's own peer bookkeeping and credential-less fallbacks use
+  getStunServers() {
+    return this.config.stunUrls.map(urls => ({ urls }));
+  }
+
+  /**
+   * Returns { iceServers, ttl, expiresAt } for RTCPeerConnection. ttl is in ms;
+   * expiresAt is null when no expiring credentials were issued.
+   */
+  getIceServers(userId) {
+    const iceServers = this.getStunServers();
+
+    if (!this.hasTurn()) {
+      return { iceServers, ttl: null, expiresAt: null };
+    }
+
+    if (!this.config.turnSecret) {
+      iceServers.push({
+        urls: this.config.turnUrls,
+        username: this.config.turnUsername,
+        credential: this.config.turnPassword
+      });
+      return { iceServers, ttl: null, expiresAt: null };
+    }
+
+    const expiresAt = Date.now() + this.config.credentialTtl;
+    const username = `${Math.floor(expiresAt / 1000)}:${userId}`;
+    const credential = createHmac('sha1', this.config.turnSecret).update(username).digest('base64');
+
+    iceServers.push({ urls: this.config.turnUrls, username, credential });
+    this.stats.credentialsIssued++;
+
+    return {
+      iceServers,
+      ttl: this.config.credentialTtl,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      stunServers: this.config.stunUrls.length,
+      turnServers: this.hasTurn() ? this.config.turnUrls.length : 0,
+      turnAuth: this.config.turnSecret ? 'shared-secret' : (this.hasTurn() ? 'static' : null)
+    };
+  }
+}
@@ -13,6 +13,14 @@ import { WebSocketServer } from './websocket-server.js';
 import { DeviceDiscovery } from './device-discovery.js';
 import { PeerConnectionManager } from './peer-connection.js';
 import { RoomManager } from './room-manager.js';
+import { createRoomStorage } from './room-storage.js';
+import { createBackplane } from './backplane.js';
+import { ClusterNode } from './cluster.js';
+import { AuthManager } from './auth.js';
+import { RateLimiter } from './rate-limiter.js';
+import { createSchemaRegistry } from './schemas.js';
+import { IceServerProvider } from './ice-servers.js';
+import { SessionRecorder } from './session-recorder.js';
 
 // ES Module dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -30,16 +38,82 @@ class ARVRComPlatformServer {
         methods: ["GET", "POST"],
         credentials: true
       },
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      // Hard cap per message; per-event caps in the rate limiter are tighter
+      maxHttpBufferSize: parseInt(process.env.MAX_MESSAGE_SIZE) || 128 * 1024
     });
     
     this.port = process.env.PORT || 3000;
     
+    // Signed session tokens; user IDs are assigned here, never by the client
+    this.auth = new AuthManager({
+      secret: process.env.JWT_SECRET,
+      tokenTtl: parseInt(process.env.AUTH_TOKEN_TTL) || undefined,
+      adminUserIds: this.parseListEnv('ADMIN_USER_IDS')
+    });
+    
+    // Per-IP route limits and per-socket event limits share one limiter
+    this.rateLimiter = new RateLimiter({
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || undefined,
+      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || undefined,
+      eventLimits: this.parseJsonEnv('SOCKET_RATE_LIMITS'),
+      maxStrikes: parseInt(process.env.RATE_LIMIT_MAX_STRIKES) || undefined
+    });
+    
+    // Socket events and REST bodies are validated against the same registry
+    this.schemas = createSchemaRegistry();
+    
     // Initialize core systems
-    this.roomManager = new RoomManager();
+    this.roomManager = new RoomManager({
+      storage: createRoomStorage(process.env.ROOM_STORAGE, {
+        filePath: process.env.ROOM_STORAGE_PATH
+      }),
+      inviteSecret: process.env.INVITE_SECRET
+    });
     this.deviceDiscovery = new DeviceDiscovery();
-    this.peerManager = new PeerConnectionManager();
-    this.wsServer = new WebSocketServer(this.io, this.roomManager, this.peerManager);
+    
+    // Multi-node mode: rooms, user events and signaling are shared over a backplane
+    const backplane = createBackplane(process.env.BACKPLANE, {
+      url: process.env.BACKPLANE_URL
+    });
+    this.cluster = backplane ? new ClusterNode(backplane, {
+      nodeId: process.env.NODE_ID,
+      publicUrl: process.env.NODE_URL
+    }) : null;
+    
+    // STUN/TURN list for clients; TURN credentials are minted per user
+    this.iceServers = new IceServerProvider({
+      stunUrls: this.parseListEnv('STUN_SERVER'),
+      turnUrls: this.parseListEnv('TURN_SERVER'),
+      turnSecret: process.env.TURN_SECRET,
+      turnUsername: process.env.TURN_USERNAME,
+      turnPassword: process.env.TURN_PASSWORD,
+      credentialTtl: parseInt(process.env.TURN_CREDENTIAL_TTL) || undefined
+    });
+    
+    // Append-only logs of room events for rooms that record their sessions
+    this.sessionRecorder = process.env.SESSION_RECORDING === 'false' ? null : new SessionRecorder({
+      directory: process.env.RECORDINGS_PATH,
+      maxEvents: parseInt(process.env.RECORDING_MAX_EVENTS) || undefined,
+      retention: parseInt(process.env.RECORDING_RETENTION)
+    });
+    
+    this.peerManager = new PeerConnectionManager({
+      cluster: this.cluster,
+      iceServers: this.iceServers.getStunServers()
+    });
+    this.wsServer = new WebSocketServer(this.io, this.roomManager, this.peerManager, {
+      autoCreateRooms: process.env.AUTO_CREATE_ROOMS === 'true',
+      poseTickRate: parseInt(process.env.POSE_TICK_RATE) || undefined,
+      binaryWireFormat: process.env.BINARY_WIRE_FORMAT !== 'false',
+      resumeGracePeriod: parseInt(process.env.RESUME_GRACE_PERIOD),
+      chatHistorySize: parseInt(process.env.CHAT_HISTORY_SIZE) || undefined,
+      rateLimiter: this.rateLimiter,
+      schemas: this.schemas,
+      sessionRecorder: this.sessionRecorder,
+      cluster: this.cluster
+    });
+    this.wsServer.startMaintenance();
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -47,6 +121,21 @@ class ARVRComPlatformServer {
     this.startDeviceDiscovery();
   }
 
+  parseJsonEnv(name) {
+    if (!process.env[name]) return undefined;
+    
+    try {
+      return JSON.parse(process.env[name]);
+    } catch (error) {
+      console.error(`Ignoring invalid ${name}:`, error.message);
+      return undefined;
+    }
+  }
+
+  parseListEnv(name) {
+    return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+  }
+
   setupMiddleware() {
     // Security and performance middleware
     this.app.use(helmet({
@@ -67,24 +156,53 @@ class ARVRComPlatformServer {
     this.app.use(cors());
     this.app.use(compression());
     this.app.use(morgan('combined'));
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    // Every API route shares a per-IP budget, checked before bodies are parsed;
+    // some routes add a stricter one
+    this.app.use('/api', this.rateLimiter.httpMiddleware());
     
     // Serve static files
     this.app.use(express.static(path.join(__dirname, '../client')));
   }
 
   setupRoutes() {
+    // Route middleware: per-IP limit, then identity, then body parsing and validation.
+    // Bodies are only parsed on routes that take one, within that route's size cap
+    const limit = (route) => this.rateLimiter.httpMiddleware(route);
+    const authenticated = this.auth.httpMiddleware();
+    const identified = this.auth.httpMiddleware({ optional: true });
+    const admin = this.auth.httpMiddleware({ admin: true });
+    const json = (route) => this.rateLimiter.jsonParser(route);
+    const body = (name) => this.schemas.httpMiddleware(name);
+    
     // API routes
     this.app.get('/api/health', (req, res) => {
       res.json({ 
         status: 'healthy', 
         timestamp: new Date().toISOString(),
         connectedDevices: this.deviceDiscovery.getConnectedDevices().length,
-        activeRooms: this.roomManager.getActiveRooms().length
+        activeRooms: this.roomManager.getActiveRooms().length,
+        nodeId: this.cluster?.nodeId || null
       });
     });
 
+    // Authentication: issues a session token; a still-valid token keeps its user ID
+    this.app.post('/api/auth/token', limit('auth-token'), identified, json('auth-token'), body('POST /api/auth/token'), (req, res) => {
+      const session = this.auth.issueToken({
+        name: req.body?.name,
+        userId: req.user?.id
+      });
+      res.json(session);
+    });
+
+    this.app.get('/api/auth/me', authenticated, (req, res) => {
+      res.json({ user: req.user });
+    });
+
+    // Server-wide counters, including rate limit and validation rejections; for ADMIN_USER_IDS
+    this.app.get('/api/admin/stats', limit('admin-stats'), admin, (req, res) => {
+      res.json(this.wsServer.getServerStats());
+    });
+
     this.app.get('/api/devices', (req, res) => {
       res.json({
         discoveredDevices: this.deviceDiscovery.getDiscoveredDevices(),
@@ -98,38 +216,162 @@ class ARVRComPlatformServer {
       });
     });
 
-    this.app.post('/api/rooms', (req, res) => {
-      const { name, isPrivate, maxUsers } = req.body;
+    this.app.post('/api/rooms', limit('create-room'), authenticated, json('create-room'), body('POST /api/rooms'), (req, res) => {
+      const { name, isPrivate, password, maxUsers, isPersistent } = req.body;
       const room = this.roomManager.createRoom({
         name,
         isPrivate: isPrivate || false,
+        password,
+        isPersistent: isPersistent || false,
         maxUsers: maxUsers || 50,
-        createdBy: req.ip
+        createdBy: req.user.id
       });
-      res.json(room);
+      this.wsServer.claimClusterRoom(room.id);
+      res.json(this.roomManager.sanitizeRoom(room));
+    });
+
+    // Which node a room lives on, so a load balancer can route joins to it
+    this.app.get('/api/rooms/:roomId/node', async (req, res) => {
+      const { roomId } = req.params;
+      
+      if (!this.cluster) {
+        res.json({ roomId, nodeId: null, url: null, local: true });
+        return;
+      }
+      
+      try {
+        const owner = await this.cluster.getRoomOwner(roomId);
+        if (!owner) {
+          res.status(404).json({ error: 'Room is not hosted by any node', roomId });
+          return;
+        }
+        
+        res.json({ roomId, ...owner });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Connection health reported by the room's clients; for owners and moderators
+    this.app.get('/api/rooms/:roomId/quality', limit('quality'), authenticated, (req, res) => {
+      const { roomId } = req.params;
+      const room = this.roomManager.getRoom(roomId);
+      
+      // Logs outlive their rooms; then only the room's creator can read them.
+      // Checked first so unknown rooms get the same 403 and don't reveal which rooms exist
+      const allowed = room
+        ? ['owner', 'moderator'].includes(this.roomManager.getUserRole(req.user.id, room))
+        : this.peerManager.qualityLogs.get(roomId)?.createdBy === req.user.id;
+      
+      if (!allowed) {
+        res.status(403).json({ error: 'Only room owners and moderators can view connection quality', code: 'PERMISSION_DENIED' });
+        return;
+      }
+      
+      const quality = this.peerManager.getRoomQuality(roomId);
+      if (!quality) {
+        res.status(404).json({ error: 'No connection reports for this room', roomId });
+        return;
+      }
+      
+      res.set('Cache-Control', 'no-store');
+      res.json(quality);
+    });
+
+    // Session recordings of a room, newest first
+    this.app.get('/api/rooms/:roomId/recordings', limit('recordings'), authenticated, async (req, res) => {
+      if (!this.sessionRecorder) {
+        res.status(404).json({ error: 'Session recording is not enabled on this server', code: 'RECORDING_DISABLED' });
+        return;
+      }
+      
+      try {
+        const { roomId } = req.params;
+        const recordings = (await this.sessionRecorder.listRecordings(roomId))
+          .filter(recording => this.wsServer.canAccessRecording(req.user.id, recording));
+        
+        if (recordings.length === 0 && !this.roomManager.getRoom(roomId)) {
+          res.status(404).json({ error: 'No recordings for this room', roomId });
+          return;
+        }
+        
+        if (recordings.length === 0 && !this.wsServer.canAccessRecording(req.user.id, { roomId })) {
+          res.status(403).json({ error: 'Not allowed to view recordings of this room', code: 'PERMISSION_DENIED' });
+          return;
+        }
+        
+        res.set('Cache-Control', 'no-store');
+        res.json({ roomId, recordings });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     });
 
-    // WebRTC signaling endpoints
-    this.app.post('/api/webrtc/offer', (req, res) => {
-      const { roomId, offer, fromUserId, toUserId } = req.body;
-      this.peerManager.handleOffer(roomId, offer, fromUserId, toUserId);
-      res.json({ success: true });
+    // Replays a recording as newline-delimited JSON, starting with the room snapshot
+    this.app.get('/api/recordings/:recordingId', limit('recordings'), authenticated, async (req, res) => {
+      try {
+        const recording = await this.sessionRecorder?.getRecording(req.params.recordingId);
+        
+        if (!recording) {
+          res.status(404).json({ error: 'Recording not found', recordingId: req.params.recordingId });
+          return;
+        }
+        
+        if (!this.wsServer.canAccessRecording(req.user.id, recording)) {
+          res.status(403).json({ error: 'Not allowed to view this recording', code: 'PERMISSION_DENIED' });
+          return;
+        }
+        
+        const stream = this.sessionRecorder.createReadStream(recording.id);
+        stream.on('error', (error) => {
+          console.error(`Error streaming recording ${recording.id}:`, error);
+          if (res.headersSent) {
+            res.destroy(error);
+          } else {
+            res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: 'Recording log is not available' });
+          }
+        });
+        stream.once('open', () => {
+          res.set({
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'X-Recording-Status': recording.status
+          });
+          stream.pipe(res);
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     });
 
-    this.app.post('/api/webrtc/answer', (req, res) => {
-      const { roomId, answer, fromUserId, toUserId } = req.body;
-      this.peerManager.handleAnswer(roomId, answer, fromUserId, toUserId);
-      res.json({ success: true });
+    // STUN/TURN servers for RTCPeerConnection, with short-lived TURN credentials
+    this.app.get('/api/webrtc/ice-servers', limit('ice-servers'), authenticated, (req, res) => {
+      res.set('Cache-Control', 'no-store');
+      res.json(this.iceServers.getIceServers(req.user.id));
     });
 
-    this.app.post('/api/webrtc/ice-candidate', (req, res) => {
-      const { roomId, candidate, fromUserId, toUserId } = req.body;
-      this.peerManager.handleIceCandidate(roomId, candidate, fromUserId, toUserId);
-      res.json({ success: true });
+    // WebRTC signaling for clients without a working socket; same checks and delivery as webrtc-signal
+    this.app.post('/api/webrtc/signal', limit('webrtc-signal'), authenticated, json('webrtc-signal'), body('POST /api/webrtc/signal'), (req, res) => {
+      const { roomId, ...data } = req.body;
+      const result = this.wsServer.relaySignal(roomId, req.user.id, data);
+      
+      if (result.error) {
+        const status = result.code === 'TARGET_NOT_IN_ROOM' ? 404 : 403;
+        res.status(status).json({ error: result.error, code: result.code });
+        return;
+      }
+      
+      res.json({ success: true, id: result.message.id });
+    });
+
+    // Signals that couldn't be pushed over the socket; each call drains the queue
+    this.app.get('/api/webrtc/signals', limit('webrtc-poll'), authenticated, (req, res) => {
+      res.set('Cache-Control', 'no-store');
+      res.json({ messages: this.peerManager.getSignalingMessages(req.user.id) });
     });
 
     // Device control endpoints
-    this.app.post('/api/devices/:deviceId/command', async (req, res) => {
+    this.app.post('/api/devices/:deviceId/command', limit('device-command'), authenticated, json('device-command'), body('POST /api/devices/:deviceId/command'), async (req, res) => {
       try {
         const { deviceId } = req.params;
         const { command, params } = req.body;
@@ -148,8 +390,29 @@ class ARVRComPlatformServer {
   }
 
   setupSocketHandlers() {
+    // Reconnect storms from one address are cut off before authentication
+    this.io.use((socket, next) => {
+      const result = this.rateLimiter.checkRequest('socket-connect', socket.handshake.address);
+      if (result.allowed) {
+        next();
+        return;
+      }
+      
+      const error = new Error('Too many connections');
+      error.data = { code: result.code, retryAfter: result.retryAfter };
+      next(error);
+    });
+    
+    // Handshakes without a valid session token are refused before 'connection'
+    this.io.use(this.auth.socketMiddleware());
+    
     this.io.on('connection', (socket) => {
-      console.log(`User connected: ${socket.id}`);
+      console.log(`User connected: ${socket.id} (${socket.data.user.id})`);
+      
+      // Rate and size limits run before any handler below sees the packet
+      socket.use((packet, next) => {
+        this.wsServer.handleIncomingPacket(socket, packet, next);
+      });
       
       // Handle room operations
       socket.on('join-room', (data) => {
@@ -160,6 +423,55 @@ class ARVRComPlatformServer {
         this.wsServer.handleLeaveRoom(socket, data);
       });
 
+      socket.on('create-room', (data) => {
+        this.wsServer.handleCreateRoom(socket, data);
+      });
+
+      socket.on('create-invite', (data) => {
+        this.wsServer.handleCreateInvite(socket, data);
+      });
+
+      socket.on('update-room-settings', (data) => {
+        this.wsServer.handleUpdateRoomSettings(socket, data);
+      });
+
+      socket.on('assign-role', (data) => {
+        this.wsServer.handleAssignRole(socket, data);
+      });
+
+      socket.on('start-recording', () => {
+        this.wsServer.handleStartRecording(socket);
+      });
+
+      socket.on('stop-recording', () => {
+        this.wsServer.handleStopRecording(socket);
+      });
+
+      socket.on('update-clip-recording', (data) => {
+        this.wsServer.handleUpdateClipRecording(socket, data);
+      });
+
+      // Handle moderation
+      socket.on('kick-user', (data) => {
+        this.wsServer.handleKickUser(socket, data);
+      });
+
+      socket.on('ban-user', (data) => {
+        this.wsServer.handleBanUser(socket, data);
+      });
+
+      socket.on('mute-user', (data) => {
+        this.wsServer.handleMuteUser(socket, data);
+      });
+
+      socket.on('mute-all', (data) => {
+        this.wsServer.handleMuteAll(socket, data);
+      });
+
+      socket.on('lock-room', (data) => {
+        this.wsServer.handleLockRoom(socket, data);
+      });
+
       // Handle device operations
       socket.on('scan-devices', () => {
         this.wsServer.handleScanDevices(socket);
@@ -185,15 +497,78 @@ class ARVRComPlatformServer {
       socket.on('interact-object', (data) => {
         this.wsServer.handleObjectInteraction(socket, data);
       });
+      
+      socket.on('update-object', (data) => {
+        this.wsServer.handleUpdateObject(socket, data);
+      });
+      
+      socket.on('remove-object', (data) => {
+        this.wsServer.handleRemoveObject(socket, data);
+      });
+      
+      socket.on('request-lock', (data) => {
+        this.wsServer.handleRequestLock(socket, data);
+      });
+      
+      socket.on('release-lock', (data) => {
+        this.wsServer.handleReleaseLock(socket, data);
+      });
 
       // Handle communication
+      socket.on('update-media-subscription', (data) => {
+        this.wsServer.handleUpdateMediaSubscription(socket, data);
+      });
+
       socket.on('webrtc-signal', (data) => {
         this.wsServer.handleWebRTCSignal(socket, data);
       });
 
+      socket.on('report-connection-state', (data) => {
+        this.wsServer.handleReportConnectionState(socket, data);
+      });
+
+      socket.on('report-connection-stats', (data) => {
+        this.wsServer.handleReportConnectionStats(socket, data);
+      });
+
       socket.on('spatial-audio-update', (data) => {
         this.wsServer.handleSpatialAudioUpdate(socket, data);
       });
+      
+      // Binary wire format
+      socket.on('negotiate-wire-format', (data) => {
+        this.wsServer.handleNegotiateWireFormat(socket, data);
+      });
+      
+      socket.on('bin', (data) => {
+        this.wsServer.handleBinaryMessage(socket, data);
+      });
+      
+      // Session resume after a dropped connection
+      socket.on('resume-session', (data) => {
+        this.wsServer.handleResumeSession(socket, data);
+      });
+
+      socket.on('broadcast-message', (data) => {
+        this.wsServer.handleBroadcastMessage(socket, data);
+      });
+
+      // Text chat
+      socket.on('send-chat-message', (data) => {
+        this.wsServer.handleSendChatMessage(socket, data);
+      });
+
+      socket.on('edit-chat-message', (data) => {
+        this.wsServer.handleEditChatMessage(socket, data);
+      });
+
+      socket.on('delete-chat-message', (data) => {
+        this.wsServer.handleDeleteChatMessage(socket, data);
+      });
+
+      socket.on('load-chat-history', (data) => {
+        this.wsServer.handleLoadChatHistory(socket, data);
+      });
 
       // Cleanup on disconnect
       socket.on('disconnect', () => {
@@ -213,7 +588,46 @@ class ARVRComPlatformServer {
     }
   }
 
-  start() {
+  async start() {
+    // Without a shared secret each process signs invites with its own random key
+    if (!process.env.INVITE_SECRET) {
+      if (this.cluster) {
+        console.error('INVITE_SECRET must be set, and the same on every node, when BACKPLANE is on');
+        process.exit(1);
+      }
+      if (this.roomManager.storage) {
+        console.warn('⚠️ INVITE_SECRET not set - using a random secret, invites to persistent rooms stop working on restart');
+      }
+    }
+    
+    try {
+      // Rehydrate persistent rooms before accepting connections
+      await this.roomManager.loadPersistedRooms();
+    } catch (error) {
+      console.error('Failed to restore persistent rooms:', error);
+    }
+    
+    if (this.sessionRecorder) {
+      try {
+        await this.sessionRecorder.init();
+      } catch (error) {
+        // Rooms still work without recordings; nothing is recorded until restart
+        console.error('Failed to open the session recordings directory:', error);
+        this.sessionRecorder = null;
+        this.wsServer.sessionRecorder = null;
+      }
+    }
+    
+    if (this.cluster) {
+      try {
+        await this.cluster.start();
+      } catch (error) {
+        // A node that can't reach the backplane would split rooms silently
+        console.error('Failed to join the cluster backplane:', error);
+        process.exit(1);
+      }
+    }
+    
     this.server.listen(this.port, '0.0.0.0', () => {
       console.log(`🚀 AR/VR Communication Platform running on port ${this.port}`);
       console.log(`📱 Client interface: http://localhost:${this.port}`);
@@ -226,7 +640,10 @@ class ARVRComPlatformServer {
     process.on('SIGTERM', () => {
       console.log('Shutting down gracefully...');
       this.deviceDiscovery.stopDiscovery();
-      this.server.close(() => {
+      this.server.close(async () => {
+        await this.cluster?.stop();
+        await this.roomManager.closeStorage();
+        await this.sessionRecorder?.close();
         console.log('Server closed');
         process.exit(0);
       });
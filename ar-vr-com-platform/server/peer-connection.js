@@ -1,15 +1,34 @@
 import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_STUN_SERVERS } from './ice-servers.js';
 
 /**
  * Peer Connection Manager for AR/VR Communication Platform
  * Handles WebRTC signaling and peer-to-peer connection management
  */
 export class PeerConnectionManager {
-  constructor() {
+  constructor(options = {}) {
     // Active peer connections tracking
     this.connections = new Map();
     this.signalingQueue = new Map();
     
+    // roomId -> last topology announced to the room ({ mode, forwarderId, subscriptions })
+    this.roomTopologies = new Map();
+    
+    // roomId -> { events, samples, createdBy, updatedAt }: what clients reported about their
+    // connections, kept after the connections (and the room) are gone
+    this.qualityLogs = new Map();
+    
+    // (userId, message) => boolean; set by WebSocketServer to push signals over the user's socket
+    this.signalTransport = null;
+    
+    // Optional ClusterNode; signaling for users on other nodes is forwarded there
+    this.cluster = options.cluster || null;
+    if (this.cluster) {
+      this.cluster.on('signal', (userId, message) => {
+        this.handleClusterSignal(userId, message);
+      });
+    }
+    
     // Connection statistics
     this.stats = {
       totalConnections: 0,
@@ -22,22 +41,26 @@ export class PeerConnectionManager {
     
     // Configuration
     this.config = {
-      iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' },
-        { urls: 'stun:stun2.l.google.com:19302' },
-        // Add TURN servers for production
-        // {
-        //   urls: 'turn:your-turn-server.com:3478',
-        //   username: 'username',
-        //   credential: 'password'
-        // }
-      ],
+      // Clients get the full list, with TURN credentials, from GET /api/webrtc/ice-servers
+      iceServers: options.iceServers || DEFAULT_STUN_SERVERS.map(urls => ({ urls })),
       connectionTimeout: 30000, // 30 seconds
       keepAliveInterval: 5000, // 5 seconds
-      maxConnectionsPerUser: 10,
+      maxConnectionsPerUser: 10, // a forwarder is exempt; it holds one connection per user in the room
+      // 'auto' rooms switch from mesh to forwarding above this many users
+      meshMaxUsers: options.meshMaxUsers || 6,
       maxDataChannelSize: 16384, // 16KB
-      connectionStates: ['new', 'connecting', 'connected', 'disconnected', 'failed', 'closed']
+      connectionStates: ['new', 'connecting', 'connected', 'disconnected', 'failed', 'closed'],
+      
+      // Connection health reported by clients
+      qualityLogEvents: 500, // state transitions kept per room
+      qualityLogSamples: 2000, // stats samples kept per room
+      qualityLogRetention: 24 * 60 * 60 * 1000, // 24 hours after the last report
+      qualityThresholds: {
+        fairRtt: 200, // ms
+        poorRtt: 400,
+        fairLoss: 0.02, // fraction of packets lost
+        poorLoss: 0.05
+      }
     };
     
     this.startMaintenanceTasks();
@@ -96,7 +119,20 @@ export class PeerConnectionManager {
           bytesSent: 0,
           packetsLost: 0,
           roundTripTime: 0,
-          connectionTime: 0
+          connectionTime: 0,
+          quality: 'unknown',
+          lastReportAt: null
+        },
+        
+        // Latest health report from each end: userId -> { connectionState, iceConnectionState, ...stats }
+        reports: new Map(),
+        
+        // Signaling messages relayed for this pair, in both directions
+        signaling: {
+          offers: 0,
+          answers: 0,
+          iceCandidates: 0,
+          lastSignalAt: null
         },
         
         // Event handlers
@@ -149,108 +185,52 @@ export class PeerConnectionManager {
     }
   }
 
-  // WebRTC Signaling Handlers
-  handleOffer(roomId, offer, fromUserId, toUserId) {
-    try {
-      console.log(`📤 Handling offer from ${fromUserId} to ${toUserId}`);
-      
-      // Get or create connection
-      let connection = this.getConnection(fromUserId, toUserId);
-      if (!connection) {
-        connection = this.createConnection(fromUserId, toUserId, roomId);
-      }
-      
-      // Store offer
-      connection.localDescription = offer;
-      connection.state = 'connecting';
-      connection.lastActivity = new Date().toISOString();
-      
-      // Queue signaling message
-      this.queueSignalingMessage(toUserId, {
-        type: 'offer',
-        connectionId: connection.id,
-        fromUserId,
-        toUserId,
-        roomId,
-        offer,
-        timestamp: new Date().toISOString()
-      });
-      
-      console.log(`✅ Offer queued for ${toUserId}`);
-      
-    } catch (error) {
-      console.error('Error handling offer:', error);
-      throw error;
-    }
-  }
-
-  handleAnswer(roomId, answer, fromUserId, toUserId) {
-    try {
-      console.log(`📥 Handling answer from ${fromUserId} to ${toUserId}`);
-      
-      // Find existing connection (answer is response to offer)
-      const connection = this.getConnection(toUserId, fromUserId);
-      if (!connection) {
-        throw new Error(`No connection found for answer from ${fromUserId} to ${toUserId}`);
-      }
-      
-      // Store answer
-      connection.remoteDescription = answer;
-      connection.lastActivity = new Date().toISOString();
-      
-      // Queue signaling message
-      this.queueSignalingMessage(toUserId, {
-        type: 'answer',
-        connectionId: connection.id,
-        fromUserId,
-        toUserId,
-        roomId,
-        answer,
-        timestamp: new Date().toISOString()
-      });
-      
-      console.log(`✅ Answer queued for ${toUserId}`);
-      
-    } catch (error) {
-      console.error('Error handling answer:', error);
-      throw error;
-    }
-  }
-
-  handleIceCandidate(roomId, candidate, fromUserId, toUserId) {
-    try {
-      console.log(`🧊 Handling ICE candidate from ${fromUserId} to ${toUserId}`);
-      
-      // Find connection
-      let connection = this.getConnection(fromUserId, toUserId);
-      if (!connection) {
-        connection = this.getConnection(toUserId, fromUserId);
-      }
-      
-      if (!connection) {
-        console.warn(`No connection found for ICE candidate from ${fromUserId} to ${toUserId}`);
-        return;
-      }
-      
-      // Update activity
-      connection.lastActivity = new Date().toISOString();
-      
-      // Queue signaling message
-      this.queueSignalingMessage(toUserId, {
-        type: 'ice-candidate',
-        connectionId: connection.id,
-        fromUserId,
-        toUserId,
-        roomId,
-        candidate,
-        timestamp: new Date().toISOString()
-      });
-      
-      console.log(`✅ ICE candidate queued for ${toUserId}`);
-      
-    } catch (error) {
-      console.error('Error handling ICE candidate:', error);
+  // WebRTC Signaling
+  /**
+   * Records one signaling message in the pair's connection state and delivers
+   * it to toUserId. Either end may offer at any time (perfect negotiation), so
+   * the connection is looked up by the pair rather than by who offered first.
+   * Callers check room membership and topology first.
+   */
+  handleSignal(roomId, fromUserId, toUserId, type, signal) {
+    const connection = this.ensureConnection(roomId, fromUserId, toUserId);
+    const now = new Date().toISOString();
+    
+    switch (type) {
+      case 'offer':
+        connection.localDescription = signal;
+        connection.signaling.offers++;
+        // Renegotiating a live connection doesn't take it down
+        if (connection.state === 'new') {
+          connection.state = 'connecting';
+        }
+        break;
+      case 'answer':
+        connection.remoteDescription = signal;
+        connection.signaling.answers++;
+        break;
+      case 'ice-candidate':
+        connection.signaling.iceCandidates++;
+        break;
     }
+    
+    connection.signaling.lastSignalAt = now;
+    connection.lastActivity = now;
+    
+    const message = {
+      id: uuidv4(),
+      type,
+      connectionId: connection.id,
+      from: fromUserId,
+      to: toUserId,
+      roomId,
+      signal,
+      timestamp: now
+    };
+    
+    this.deliverSignalingMessage(toUserId, message);
+    
+    return message;
   }
 
   handleConnectionStateChange(fromUserId, toUserId, newState, metadata = {}) {
@@ -339,6 +319,9 @@ export class PeerConnectionManager {
           bytesReceived: 0
         },
         
+        // Latest counters reported by each end: userId -> report
+        reports: new Map(),
+        
         createdAt: new Date().toISOString(),
         lastActivity: new Date().toISOString()
       };
@@ -449,7 +432,21 @@ export class PeerConnectionManager {
     }
   }
 
-  // Signaling Queue Management
+  // Signal Delivery
+  // Over the user's socket when it's connected; otherwise queued for GET /api/webrtc/signals
+  deliverSignalingMessage(userId, message, options = {}) {
+    if (this.cluster && !options.local && !this.cluster.isLocalUser(userId)) {
+      this.forwardSignalingMessage(userId, message);
+      return;
+    }
+    
+    if (this.signalTransport?.(userId, message)) {
+      return;
+    }
+    
+    this.queueSignalingMessage(userId, message);
+  }
+
   queueSignalingMessage(userId, message) {
     if (!this.signalingQueue.has(userId)) {
       this.signalingQueue.set(userId, []);
@@ -464,12 +461,388 @@ export class PeerConnectionManager {
     }
   }
 
+  forwardSignalingMessage(userId, message) {
+    this.cluster.forwardSignal(userId, message)
+      .then(forwarded => {
+        // Nobody else knows the user either, so keep it here for them to collect
+        if (!forwarded) {
+          this.queueSignalingMessage(userId, message);
+        }
+      })
+      .catch(error => {
+        console.error(`Error forwarding signaling message to ${userId}:`, error);
+        this.queueSignalingMessage(userId, message);
+      });
+  }
+
+  handleClusterSignal(userId, message) {
+    try {
+      // The signal was handled on another node; track the connection here too, since
+      // this node relays whatever the recipient sends back
+      if (message.type === 'offer') {
+        const connection = this.ensureConnection(message.roomId, message.from, message.to);
+        connection.localDescription = message.signal;
+        if (connection.state === 'new') {
+          connection.state = 'connecting';
+        }
+      }
+      
+      this.deliverSignalingMessage(userId, message, { local: true });
+      
+    } catch (error) {
+      console.error('Error handling forwarded signaling message:', error);
+    }
+  }
+
   getSignalingMessages(userId) {
     const messages = this.signalingQueue.get(userId) || [];
     this.signalingQueue.set(userId, []); // Clear queue after retrieval
     return messages;
   }
 
+  // Media Topology
+  /**
+   * Works out how a room's media should flow: 'mesh' (everyone connects to
+   * everyone) or 'sfu' (everyone connects to one forwarding peer, which relays
+   * each user's tracks to the others). subscriptions maps every user to the
+   * connection type they receive: 'full', 'audio-only' or 'data-only'.
+   *
+   * Only depends on room state that every cluster node mirrors, so any node
+   * arrives at the same forwarder.
+   */
+  planRoomTopology(room) {
+    const users = room.users.filter(user => user.isActive !== false);
+    const setting = room.settings?.mediaTopology || 'auto';
+    // Rooms saved before meshMaxUsers was capped must not plan a mesh the connection limit refuses
+    const meshMaxUsers = Math.min(
+      room.settings?.meshMaxUsers || this.config.meshMaxUsers,
+      this.config.maxConnectionsPerUser + 1
+    );
+    
+    const mode = setting === 'sfu' || (setting === 'auto' && users.length > meshMaxUsers) ? 'sfu' : 'mesh';
+    
+    const subscriptions = {};
+    users.forEach(user => {
+      subscriptions[user.id] = user.mediaSubscription || 'full';
+    });
+    
+    return {
+      mode,
+      forwarderId: mode === 'sfu' ? this.selectForwarder(users) : null,
+      subscriptions
+    };
+  }
+
+  // The longest-present user that offered to forward, so the role only moves when they leave
+  selectForwarder(users) {
+    const byJoinTime = [...users].sort((a, b) =>
+      (a.joinedAt || '').localeCompare(b.joinedAt || '') || a.id.localeCompare(b.id)
+    );
+    
+    return (byJoinTime.find(user => user.canForward) || byJoinTime[0])?.id || null;
+  }
+
+  /**
+   * Stores the room's topology and returns it when it differs from the one
+   * last announced, or null when nothing changed.
+   */
+  updateRoomTopology(roomId, topology) {
+    const previous = this.roomTopologies.get(roomId);
+    if (previous && JSON.stringify(previous) === JSON.stringify(topology)) {
+      return null;
+    }
+    
+    this.roomTopologies.set(roomId, topology);
+    
+    if (previous?.mode !== topology.mode || previous?.forwarderId !== topology.forwarderId) {
+      console.log(`🔀 Room ${roomId} media topology: ${topology.mode}${topology.forwarderId ? ` via ${topology.forwarderId}` : ''}`);
+    }
+    
+    return topology;
+  }
+
+  getRoomTopology(roomId) {
+    return this.roomTopologies.get(roomId) || null;
+  }
+
+  clearRoomTopology(roomId) {
+    this.roomTopologies.delete(roomId);
+  }
+
+  isForwarder(userId) {
+    return Array.from(this.roomTopologies.values()).some(topology => topology.forwarderId === userId);
+  }
+
+  // With a forwarder, peers may only signal to or from it
+  isSignalAllowed(roomId, fromUserId, toUserId) {
+    const topology = this.roomTopologies.get(roomId);
+    if (!topology || topology.mode !== 'sfu') return true;
+    
+    return fromUserId === topology.forwarderId || toUserId === topology.forwarderId;
+  }
+
+  // What the receiving end of a connection subscribed to; the forwarder itself always gets everything
+  getConnectionType(roomId, fromUserId, toUserId) {
+    const topology = this.roomTopologies.get(roomId);
+    if (!topology) return 'full';
+    
+    const subscriberId = toUserId === topology.forwarderId ? fromUserId : toUserId;
+    return topology.subscriptions[subscriberId] || 'full';
+  }
+
+  // Connection Health
+  // Reports can arrive before any signaling for the pair, e.g. when it was relayed by another node
+  ensureConnection(roomId, reporterId, peerId) {
+    const connection = this.getConnection(reporterId, peerId);
+    if (connection && connection.state !== 'closed') return connection;
+    
+    return this.createConnection(reporterId, peerId, roomId, this.getConnectionType(roomId, reporterId, peerId));
+  }
+
+  /**
+   * Records a connection or ICE state transition seen by one end. Both ends
+   * report, so the pair takes the more severe of the two states.
+   */
+  recordConnectionState(roomId, reporterId, peerId, { connectionState, iceConnectionState }) {
+    try {
+      const connection = this.ensureConnection(roomId, reporterId, peerId);
+      const previous = connection.reports.get(reporterId) || {};
+      
+      connection.reports.set(reporterId, {
+        ...previous,
+        connectionState: connectionState || previous.connectionState,
+        iceConnectionState: iceConnectionState || previous.iceConnectionState
+      });
+      
+      this.logQualityEvent(roomId, {
+        reporterId,
+        peerId,
+        connectionState,
+        iceConnectionState
+      });
+      
+      const pairState = this.getPairState(connection);
+      if (pairState && pairState !== connection.state) {
+        this.handleConnectionStateChange(reporterId, peerId, pairState, { iceConnectionState, reportedBy: reporterId });
+      }
+      
+    } catch (error) {
+      console.error('Error recording connection state:', error);
+    }
+  }
+
+  getPairState(connection) {
+    // Most severe first: one failed end means the pair failed
+    const severity = ['failed', 'closed', 'disconnected', 'connected', 'connecting', 'new'];
+    const states = Array.from(connection.reports.values())
+      .map(report => report.connectionState)
+      .filter(Boolean);
+    
+    return severity.find(state => states.includes(state)) || null;
+  }
+
+  /**
+   * Records one end's summarized getStats() for a connection. Byte and packet
+   * counters are cumulative per RTCPeerConnection, so deltas against the
+   * previous report give the loss and bitrate since then.
+   */
+  recordConnectionStats(roomId, reporterId, peerId, report) {
+    try {
+      const connection = this.ensureConnection(roomId, reporterId, peerId);
+      const previous = connection.reports.get(reporterId) || {};
+      const now = Date.now();
+      
+      // Counters going backwards mean the client replaced its RTCPeerConnection
+      const delta = (field) => {
+        const current = report[field] || 0;
+        return current >= (previous[field] || 0) ? current - (previous[field] || 0) : current;
+      };
+      
+      const packetsLost = delta('packetsLost');
+      const packetsReceived = delta('packetsReceived');
+      const elapsed = previous.reportedAt ? (now - previous.reportedAt) / 1000 : null;
+      
+      const sample = {
+        reporterId,
+        peerId,
+        rtt: report.rtt ?? null,
+        loss: packetsLost + packetsReceived > 0
+          ? Math.round((packetsLost / (packetsLost + packetsReceived)) * 10000) / 10000
+          : null,
+        receiveBitrate: elapsed ? Math.round((delta('bytesReceived') * 8) / elapsed) : null,
+        sendBitrate: elapsed ? Math.round((delta('bytesSent') * 8) / elapsed) : null,
+        targetBitrate: report.targetBitrate ?? null,
+        candidateTypes: report.localCandidateType
+          ? `${report.localCandidateType}/${report.remoteCandidateType || 'unknown'}`
+          : null
+      };
+      sample.quality = this.rateQuality(sample);
+      
+      // Each byte is sent by exactly one end, so summing what was sent counts it once
+      this.stats.totalDataTransferred += delta('bytesSent');
+      
+      connection.reports.set(reporterId, {
+        ...previous,
+        ...report,
+        connectionState: report.connectionState || previous.connectionState,
+        iceConnectionState: report.iceConnectionState || previous.iceConnectionState,
+        quality: sample.quality,
+        reportedAt: now
+      });
+      
+      this.updateConnectionHealth(connection);
+      this.recordDataChannels(connection, reporterId, report.dataChannels || []);
+      this.logQualitySample(roomId, sample);
+      
+      const pairState = this.getPairState(connection);
+      if (pairState && pairState !== connection.state) {
+        this.handleConnectionStateChange(reporterId, peerId, pairState, { reportedBy: reporterId });
+      }
+      
+    } catch (error) {
+      console.error('Error recording connection stats:', error);
+    }
+  }
+
+  // Folds both ends' latest reports into connection.stats
+  updateConnectionHealth(connection) {
+    const reports = Array.from(connection.reports.values());
+    const rtts = reports.map(report => report.rtt).filter(rtt => typeof rtt === 'number');
+    const qualities = reports.map(report => report.quality);
+    
+    connection.stats.bytesSent = reports.reduce((sum, report) => sum + (report.bytesSent || 0), 0);
+    connection.stats.bytesReceived = reports.reduce((sum, report) => sum + (report.bytesReceived || 0), 0);
+    connection.stats.packetsLost = reports.reduce((sum, report) => sum + (report.packetsLost || 0), 0);
+    connection.stats.roundTripTime = rtts.length > 0 ? Math.round(rtts.reduce((a, b) => a + b, 0) / rtts.length) : 0;
+    connection.stats.quality = ['poor', 'fair', 'good'].find(quality => qualities.includes(quality)) || 'unknown';
+    connection.stats.lastReportAt = new Date().toISOString();
+    connection.lastActivity = connection.stats.lastReportAt;
+  }
+
+  // Mirrors the channels a client reported into connection.dataChannels, one entry per label
+  recordDataChannels(connection, reporterId, channels) {
+    channels.forEach(report => {
+      let dataChannel = Array.from(connection.dataChannels.values())
+        .find(channel => channel.name === report.label);
+      
+      if (!dataChannel) {
+        dataChannel = this.createDataChannel(connection.fromUserId, connection.toUserId, report.label, {
+          ordered: report.ordered,
+          maxRetransmits: report.maxRetransmits
+        });
+      }
+      
+      dataChannel.reports.set(reporterId, report);
+      dataChannel.state = report.state || dataChannel.state;
+      dataChannel.lastActivity = new Date().toISOString();
+      
+      const reports = Array.from(dataChannel.reports.values());
+      Object.keys(dataChannel.stats).forEach(field => {
+        dataChannel.stats[field] = reports.reduce((sum, end) => sum + (end[field] || 0), 0);
+      });
+    });
+  }
+
+  rateQuality({ rtt, loss }) {
+    const { fairRtt, poorRtt, fairLoss, poorLoss } = this.config.qualityThresholds;
+    
+    if (rtt === null && loss === null) return 'unknown';
+    if (rtt > poorRtt || loss > poorLoss) return 'poor';
+    if (rtt > fairRtt || loss > fairLoss) return 'fair';
+    return 'good';
+  }
+
+  getQualityLog(roomId, createdBy = null) {
+    if (!this.qualityLogs.has(roomId)) {
+      this.qualityLogs.set(roomId, { events: [], samples: [], createdBy, updatedAt: Date.now() });
+    }
+    
+    return this.qualityLogs.get(roomId);
+  }
+
+  logQualityEvent(roomId, event) {
+    const log = this.getQualityLog(roomId);
+    log.events.push({ ...event, timestamp: new Date().toISOString() });
+    if (log.events.length > this.config.qualityLogEvents) log.events.shift();
+    log.updatedAt = Date.now();
+  }
+
+  logQualitySample(roomId, sample) {
+    const log = this.getQualityLog(roomId);
+    log.samples.push({ ...sample, timestamp: new Date().toISOString() });
+    if (log.samples.length > this.config.qualityLogSamples) log.samples.shift();
+    log.updatedAt = Date.now();
+  }
+
+  // Remembers who may read a room's log once the room itself is gone
+  setQualityLogOwner(roomId, createdBy) {
+    this.getQualityLog(roomId).createdBy = createdBy;
+  }
+
+  pruneQualityLogs() {
+    const cutoff = Date.now() - this.config.qualityLogRetention;
+    
+    for (const [roomId, log] of this.qualityLogs) {
+      if (log.updatedAt < cutoff) {
+        this.qualityLogs.delete(roomId);
+      }
+    }
+  }
+
+  /**
+   * Per-room health for the quality dashboard: current connections, a
+   * per-user rollup, and the retained state transitions and samples.
+   */
+  getRoomQuality(roomId) {
+    const log = this.qualityLogs.get(roomId);
+    const connections = this.getRoomConnections(roomId)
+      .map(connection => ({
+        ...this.getConnectionDetails(connection.fromUserId, connection.toUserId),
+        ends: Object.fromEntries(connection.reports)
+      }));
+    
+    if (!log && connections.length === 0) {
+      return null;
+    }
+    
+    const users = {};
+    connections.forEach(connection => {
+      [connection.fromUserId, connection.toUserId].forEach(userId => {
+        const user = users[userId] || (users[userId] = { connections: 0, quality: 'unknown', rtts: [] });
+        user.connections++;
+        if (connection.stats.roundTripTime) user.rtts.push(connection.stats.roundTripTime);
+        user.quality = ['poor', 'fair', 'good', 'unknown'].find(quality =>
+          quality === user.quality || quality === connection.stats.quality);
+      });
+    });
+    
+    Object.values(users).forEach(user => {
+      user.averageRoundTripTime = user.rtts.length > 0
+        ? Math.round(user.rtts.reduce((a, b) => a + b, 0) / user.rtts.length)
+        : null;
+      delete user.rtts;
+    });
+    
+    const count = (quality) => connections.filter(connection => connection.stats.quality === quality).length;
+    
+    return {
+      roomId,
+      generatedAt: new Date().toISOString(),
+      summary: {
+        connections: connections.length,
+        good: count('good'),
+        fair: count('fair'),
+        poor: count('poor'),
+        failedTransitions: log ? log.events.filter(event => event.connectionState === 'failed').length : 0,
+        lastReportAt: log ? new Date(log.updatedAt).toISOString() : null
+      },
+      users,
+      connections,
+      events: log ? log.events : [],
+      samples: log ? log.samples : []
+    };
+  }
+
   // Connection Utilities
   generateConnectionId(fromUserId, toUserId) {
     // Create deterministic connection ID
@@ -477,7 +850,15 @@ export class PeerConnectionManager {
     return `conn_${users[0]}_${users[1]}`;
   }
 
+  // Whether a signal between the pair may go ahead: it either uses their open connection or opens one
+  hasConnectionCapacity(fromUserId, toUserId) {
+    const connection = this.getConnection(fromUserId, toUserId);
+    return (connection && connection.state !== 'closed') || this.canCreateConnection(fromUserId);
+  }
+
   canCreateConnection(userId) {
+    if (this.isForwarder(userId)) return true;
+    
     const userConnections = Array.from(this.connections.values())
       .filter(conn => conn.fromUserId === userId || conn.toUserId === userId);
     
@@ -565,9 +946,10 @@ export class PeerConnectionManager {
       this.updateConnectionStatistics();
     }, 30000); // Every 30 seconds
     
-    // Clear old signaling messages
+    // Clear old signaling messages and quality logs
     setInterval(() => {
       this.cleanupSignalingQueue();
+      this.pruneQualityLogs();
     }, 300000); // Every 5 minutes
     
     console.log('🔧 Peer connection maintenance tasks started');
@@ -640,10 +1022,18 @@ export class PeerConnectionManager {
 
   // Public API Methods
   getConnectionStatistics() {
+    const reported = Array.from(this.connections.values()).filter(conn => conn.stats.lastReportAt);
+    
     return {
       ...this.stats,
       currentActiveConnections: this.stats.activeConnections,
       totalTrackedConnections: this.connections.size,
+      reportingConnections: reported.length,
+      averageRoundTripTime: reported.length > 0
+        ? Math.round(reported.reduce((sum, conn) => sum + conn.stats.roundTripTime, 0) / reported.length)
+        : 0,
+      totalPacketsLost: reported.reduce((sum, conn) => sum + conn.stats.packetsLost, 0),
+      qualityLogs: this.qualityLogs.size,
       queuedSignalingMessages: Array.from(this.signalingQueue.values())
         .reduce((sum, queue) => sum + queue.length, 0)
     };
@@ -665,7 +1055,15 @@ export class PeerConnectionManager {
       createdAt: connection.createdAt,
       connectedAt: connection.connectedAt,
       dataChannelCount: connection.dataChannels.size,
+      dataChannels: Array.from(connection.dataChannels.values()).map(channel => ({
+        name: channel.name,
+        state: channel.state,
+        ordered: channel.ordered,
+        maxRetransmits: channel.maxRetransmits,
+        stats: channel.stats
+      })),
       streamCount: connection.localStreams.size,
+      signaling: connection.signaling,
       stats: connection.stats
     };
   }
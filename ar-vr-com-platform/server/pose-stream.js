@@ -0,0 +1,144 @@
+/**
+ * Pose Stream for AR/VR Communication Platform
+ * Batches avatar poses per room into fixed-rate, delta-compressed snapshots
+ */
+export class PoseStream {
+  // broadcast(roomId, event, data) delivers a snapshot to everyone in the room
+  constructor(broadcast, options = {}) {
+    this.broadcast = broadcast;
+
+    this.config = {
+      tickRate: options.tickRate || 15, // snapshots per second
+      positionThreshold: options.positionThreshold ?? 0.01, // meters
+      rotationThreshold: options.rotationThreshold ?? 0.01, // radians
+      precision: 1000 // poses are rounded to millimeters / milliradians
+    };
+
+    // roomId -> { tick, pending: Map(userId -> pose), sent: Map(userId -> pose) }
+    this.rooms = new Map();
+
+    this.timer = null;
+    this.stats = {
+      updatesReceived: 0,
+      updatesDropped: 0,
+      snapshotsSent: 0
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick();
+    }, 1000 / this.config.tickRate);
+
+    console.log(`🛰️ Pose stream started at ${this.config.tickRate} Hz`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  updatePose(roomId, userId, position, rotation) {
+    this.stats.updatesReceived++;
+
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, { tick: 0, pending: new Map(), sent: new Map() });
+    }
+
+    const room = this.rooms.get(roomId);
+    const pose = {
+      position: this.quantize(position),
+      rotation: this.quantize(rotation)
+    };
+
+    // Only the latest pose per tick matters; anything newer overwrites it
+    room.pending.set(userId, pose);
+  }
+
+  removeUser(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    room.pending.delete(userId);
+    room.sent.delete(userId);
+
+    if (room.sent.size === 0 && room.pending.size === 0) {
+      this.rooms.delete(roomId);
+    }
+  }
+
+  tick() {
+    for (const [roomId, room] of this.rooms) {
+      if (room.pending.size === 0) continue;
+
+      const snapshot = this.buildSnapshot(room);
+      room.pending.clear();
+
+      if (snapshot.poses.length === 0) continue;
+
+      this.broadcast(roomId, 'pose-snapshot', {
+        roomId,
+        tick: room.tick,
+        timestamp: Date.now(),
+        poses: snapshot.poses
+      });
+
+      this.stats.snapshotsSent++;
+    }
+  }
+
+  /**
+   * Each entry carries only what moved past the thresholds since the last
+   * snapshot: { u: userId, p?: [x, y, z], r?: [x, y, z] }.
+   */
+  buildSnapshot(room) {
+    const poses = [];
+    room.tick++;
+
+    for (const [userId, pose] of room.pending) {
+      const previous = room.sent.get(userId);
+      const entry = { u: userId };
+
+      if (!previous || this.exceeds(pose.position, previous.position, this.config.positionThreshold)) {
+        entry.p = pose.position;
+      }
+
+      if (!previous || this.exceeds(pose.rotation, previous.rotation, this.config.rotationThreshold)) {
+        entry.r = pose.rotation;
+      }
+
+      if (!entry.p && !entry.r) {
+        this.stats.updatesDropped++;
+        continue;
+      }
+
+      room.sent.set(userId, {
+        position: entry.p || previous.position,
+        rotation: entry.r || previous.rotation
+      });
+
+      poses.push(entry);
+    }
+
+    return { poses };
+  }
+
+  exceeds(current, previous, threshold) {
+    return current.some((value, index) => Math.abs(value - previous[index]) >= threshold);
+  }
+
+  quantize(values = [0, 0, 0]) {
+    const { precision } = this.config;
+    return values.slice(0, 3).map(value => Math.round((Number(value) || 0) * precision) / precision);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      tickRate: this.config.tickRate,
+      activeRooms: this.rooms.size
+    };
+  }
+}
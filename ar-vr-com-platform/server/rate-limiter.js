@@ -0,0 +1,325 @@
+import express from 'express';
+
+/**
+ * Rate Limiter for AR/VR Communication Platform
+ * Token buckets per socket and event, and per IP and route, with payload-size
+ * caps and a strike counter for clients that keep hitting the limits
+ */
+
+// capacity: burst size; refillRate: tokens per second; maxPayload: bytes
+export const DEFAULT_EVENT_LIMITS = {
+  default: { capacity: 20, refillRate: 10, maxPayload: 16 * 1024 },
+  // Clients publish poses at 20 Hz; leave room for jitter
+  'update-position': { capacity: 60, refillRate: 30, maxPayload: 1024 },
+  'spatial-audio-update': { capacity: 60, refillRate: 30, maxPayload: 2048 },
+  'update-object': { capacity: 60, refillRate: 30, maxPayload: 16 * 1024 },
+  'interact-object': { capacity: 30, refillRate: 15, maxPayload: 4096 },
+  'request-lock': { capacity: 20, refillRate: 10, maxPayload: 1024 },
+  'release-lock': { capacity: 20, refillRate: 10, maxPayload: 1024 },
+  'spawn-object': { capacity: 10, refillRate: 1, maxPayload: 64 * 1024 },
+  'remove-object': { capacity: 10, refillRate: 2, maxPayload: 1024 },
+  'broadcast-message': { capacity: 5, refillRate: 0.5, maxPayload: 4096 },
+  'send-chat-message': { capacity: 10, refillRate: 1, maxPayload: 8192 },
+  'edit-chat-message': { capacity: 10, refillRate: 1, maxPayload: 8192 },
+  'delete-chat-message': { capacity: 10, refillRate: 1, maxPayload: 1024 },
+  'load-chat-history': { capacity: 10, refillRate: 2, maxPayload: 1024 },
+  // SDP offers are large and ICE candidates arrive in bursts
+  'webrtc-signal': { capacity: 100, refillRate: 50, maxPayload: 64 * 1024 },
+  'join-room': { capacity: 5, refillRate: 0.2, maxPayload: 4096 },
+  'create-room': { capacity: 3, refillRate: 0.1, maxPayload: 8192 },
+  'create-invite': { capacity: 5, refillRate: 0.1, maxPayload: 1024 },
+  'resume-session': { capacity: 5, refillRate: 0.5, maxPayload: 1024 },
+  'kick-user': { capacity: 10, refillRate: 1, maxPayload: 1024 },
+  'ban-user': { capacity: 10, refillRate: 1, maxPayload: 1024 },
+  'mute-user': { capacity: 10, refillRate: 1, maxPayload: 1024 },
+  'scan-devices': { capacity: 2, refillRate: 0.1, maxPayload: 1024 },
+  'device-command': { capacity: 10, refillRate: 2, maxPayload: 8192 },
+  'update-media-subscription': { capacity: 5, refillRate: 1, maxPayload: 1024 },
+  'start-recording': { capacity: 3, refillRate: 0.1, maxPayload: 1024 },
+  'stop-recording': { capacity: 3, refillRate: 0.1, maxPayload: 1024 },
+  'update-clip-recording': { capacity: 5, refillRate: 0.2, maxPayload: 1024 },
+  // Clients report stats every 10 seconds and state changes as they happen
+  'report-connection-stats': { capacity: 3, refillRate: 0.2, maxPayload: 16 * 1024 },
+  'report-connection-state': { capacity: 30, refillRate: 5, maxPayload: 1024 },
+  // Binary frames are limited again per decoded event
+  bin: { capacity: Infinity, refillRate: 0, maxPayload: 4096 }
+};
+
+// Per IP; windowMs/maxRequests map onto a bucket refilling maxRequests per window
+export const DEFAULT_ROUTE_LIMITS = {
+  default: { windowMs: 60000, maxRequests: 100, maxBodySize: 64 * 1024 },
+  'auth-token': { windowMs: 60000, maxRequests: 10, maxBodySize: 1024 },
+  'create-room': { windowMs: 60000, maxRequests: 10, maxBodySize: 8192 },
+  'webrtc-signal': { windowMs: 60000, maxRequests: 300, maxBodySize: 64 * 1024 },
+  'webrtc-poll': { windowMs: 60000, maxRequests: 120, maxBodySize: 1024 },
+  'ice-servers': { windowMs: 60000, maxRequests: 30, maxBodySize: 1024 },
+  quality: { windowMs: 60000, maxRequests: 30, maxBodySize: 1024 },
+  recordings: { windowMs: 60000, maxRequests: 30, maxBodySize: 1024 },
+  'admin-stats': { windowMs: 60000, maxRequests: 30, maxBodySize: 1024 },
+  'device-command': { windowMs: 60000, maxRequests: 60, maxBodySize: 8192 },
+  // Handshakes per IP, checked by the socket.io connection middleware
+  'socket-connect': { windowMs: 60000, maxRequests: 30, maxBodySize: Infinity }
+};
+
+export class RateLimiter {
+  constructor(options = {}) {
+    this.eventLimits = mergeLimits(DEFAULT_EVENT_LIMITS, options.eventLimits);
+    this.routeLimits = mergeLimits(DEFAULT_ROUTE_LIMITS, {
+      default: {
+        ...(options.windowMs && { windowMs: options.windowMs }),
+        ...(options.maxRequests && { maxRequests: options.maxRequests })
+      },
+      ...options.routeLimits
+    });
+
+    this.config = {
+      maxStrikes: options.maxStrikes || 50, // rejected messages before a socket is dropped
+      strikeDecay: options.strikeDecay || 10000, // one strike is forgiven per interval
+      noticeInterval: 1000 // at most one rate-limited notice per socket and event per second
+    };
+
+    // socketId -> { buckets: Map(event -> bucket), strikes, lastStrikeAt, notices: Map(event -> time) }
+    this.sockets = new Map();
+    // `${route}:${ip}` -> bucket
+    this.ipBuckets = new Map();
+
+    this.stats = {
+      rejectedMessages: 0,
+      rejectedByEvent: {},
+      rejectedByReason: { RATE_LIMITED: 0, PAYLOAD_TOO_LARGE: 0 },
+      rejectedRequests: 0,
+      rejectedByRoute: {},
+      disconnectedSockets: 0
+    };
+  }
+
+  /**
+   * Returns { allowed: true } or { allowed: false, code, retryAfter? } where
+   * code is 'RATE_LIMITED' or 'PAYLOAD_TOO_LARGE'.
+   */
+  checkEvent(socketId, event, payloadSize = 0) {
+    const limit = this.eventLimits[event] || this.eventLimits.default;
+
+    if (payloadSize > limit.maxPayload) {
+      return this.rejectEvent(event, { allowed: false, code: 'PAYLOAD_TOO_LARGE', maxPayload: limit.maxPayload });
+    }
+
+    // Only capped in size, e.g. binary frames that are limited again once decoded
+    if (!Number.isFinite(limit.capacity)) {
+      return { allowed: true };
+    }
+
+    const state = this.getSocketState(socketId);
+    const key = this.eventLimits[event] ? event : 'default';
+
+    if (!state.buckets.has(key)) {
+      state.buckets.set(key, createBucket(limit.capacity));
+    }
+
+    const retryAfter = takeToken(state.buckets.get(key), limit.capacity, limit.refillRate);
+    if (retryAfter > 0) {
+      return this.rejectEvent(event, { allowed: false, code: 'RATE_LIMITED', retryAfter });
+    }
+
+    return { allowed: true };
+  }
+
+  rejectEvent(event, result) {
+    this.stats.rejectedMessages++;
+    this.stats.rejectedByEvent[event] = (this.stats.rejectedByEvent[event] || 0) + 1;
+    this.stats.rejectedByReason[result.code]++;
+    return result;
+  }
+
+  // Returns the socket's strike count after adding one
+  addStrike(socketId) {
+    const state = this.getSocketState(socketId);
+    const now = Date.now();
+
+    // Occasional bursts are forgiven; only sustained abuse accumulates
+    const forgiven = Math.floor((now - state.lastStrikeAt) / this.config.strikeDecay);
+    state.strikes = Math.max(0, state.strikes - forgiven) + 1;
+    state.lastStrikeAt = now;
+
+    return state.strikes;
+  }
+
+  shouldDisconnect(strikes) {
+    return strikes >= this.config.maxStrikes;
+  }
+
+  recordDisconnect() {
+    this.stats.disconnectedSockets++;
+  }
+
+  // Throttles rejection notices so a flooding client isn't answered at its own rate
+  shouldNotify(socketId, event) {
+    const state = this.getSocketState(socketId);
+    const now = Date.now();
+
+    if (now - (state.notices.get(event) || 0) < this.config.noticeInterval) {
+      return false;
+    }
+
+    state.notices.set(event, now);
+    return true;
+  }
+
+  getSocketState(socketId) {
+    if (!this.sockets.has(socketId)) {
+      this.sockets.set(socketId, {
+        buckets: new Map(),
+        strikes: 0,
+        lastStrikeAt: 0,
+        notices: new Map()
+      });
+    }
+
+    return this.sockets.get(socketId);
+  }
+
+  forgetSocket(socketId) {
+    this.sockets.delete(socketId);
+  }
+
+  /**
+   * Returns { allowed, limit, remaining, resetAt } plus code and retryAfter
+   * when refused, for a request from ip against the named route limit.
+   */
+  checkRequest(route, ip, bodySize = 0) {
+    const limit = this.routeLimits[route] || this.routeLimits.default;
+
+    if (bodySize > limit.maxBodySize) {
+      return this.rejectRequest(route, { allowed: false, code: 'PAYLOAD_TOO_LARGE', maxBodySize: limit.maxBodySize });
+    }
+
+    const key = `${route}:${ip}`;
+    if (!this.ipBuckets.has(key)) {
+      this.ipBuckets.set(key, createBucket(limit.maxRequests));
+    }
+
+    const bucket = this.ipBuckets.get(key);
+    const refillRate = limit.maxRequests / (limit.windowMs / 1000);
+    const retryAfter = takeToken(bucket, limit.maxRequests, refillRate);
+    const quota = {
+      limit: limit.maxRequests,
+      remaining: Math.floor(bucket.tokens),
+      resetAt: bucket.updatedAt + Math.ceil(((limit.maxRequests - bucket.tokens) / refillRate) * 1000)
+    };
+
+    if (retryAfter > 0) {
+      return this.rejectRequest(route, { allowed: false, code: 'RATE_LIMITED', retryAfter, ...quota });
+    }
+
+    return { allowed: true, ...quota };
+  }
+
+  rejectRequest(route, result) {
+    this.stats.rejectedRequests++;
+    this.stats.rejectedByRoute[route] = (this.stats.rejectedByRoute[route] || 0) + 1;
+    return result;
+  }
+
+  // Express middleware for one route; answers 429 or 413 when the limit is hit
+  httpMiddleware(route = 'default') {
+    return (req, res, next) => {
+      const bodySize = parseInt(req.get('content-length')) || 0;
+      const result = this.checkRequest(route, req.ip, bodySize);
+
+      if (result.limit !== undefined) {
+        res.set({
+          'X-RateLimit-Limit': String(result.limit),
+          'X-RateLimit-Remaining': String(result.remaining),
+          'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000))
+        });
+      }
+
+      if (result.allowed) {
+        next();
+        return;
+      }
+
+      if (result.code === 'PAYLOAD_TOO_LARGE') {
+        res.status(413).json({ error: 'Request body too large', code: result.code, maxBodySize: result.maxBodySize });
+        return;
+      }
+
+      res.set('Retry-After', String(Math.ceil(result.retryAfter / 1000)));
+      res.status(429).json({ error: 'Too many requests', code: result.code, retryAfter: result.retryAfter });
+    };
+  }
+
+  /**
+   * Express JSON body parser capped at the route's maxBodySize. httpMiddleware
+   * only sees Content-Length, so this is what stops chunked bodies; answers 413
+   * like httpMiddleware does.
+   */
+  jsonParser(route = 'default') {
+    const limit = this.routeLimits[route] || this.routeLimits.default;
+    const parse = express.json({ limit: limit.maxBodySize });
+
+    return (req, res, next) => {
+      parse(req, res, (error) => {
+        if (error?.type === 'entity.too.large') {
+          this.rejectRequest(route, { allowed: false, code: 'PAYLOAD_TOO_LARGE' });
+          res.status(413).json({ error: 'Request body too large', code: 'PAYLOAD_TOO_LARGE', maxBodySize: limit.maxBodySize });
+          return;
+        }
+
+        next(error);
+      });
+    };
+  }
+
+  // Drops IP buckets that have refilled completely, so idle clients cost nothing
+  prune() {
+    const now = Date.now();
+
+    for (const [key, bucket] of this.ipBuckets) {
+      const route = key.slice(0, key.indexOf(':'));
+      const limit = this.routeLimits[route] || this.routeLimits.default;
+      const refillRate = limit.maxRequests / (limit.windowMs / 1000);
+
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillRate >= limit.maxRequests) {
+        this.ipBuckets.delete(key);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      trackedSockets: this.sockets.size,
+      trackedIps: this.ipBuckets.size
+    };
+  }
+}
+
+function mergeLimits(defaults, overrides = {}) {
+  const limits = { ...defaults };
+
+  Object.entries(overrides || {}).forEach(([name, limit]) => {
+    limits[name] = { ...(defaults[name] || defaults.default), ...limit };
+  });
+
+  return limits;
+}
+
+function createBucket(capacity) {
+  return { tokens: capacity, updatedAt: Date.now() };
+}
+
+// Takes one token; returns 0 on success or the ms until a token is available
+function takeToken(bucket, capacity, refillRate) {
+  const now = Date.now();
+
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillRate);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens--;
+    return 0;
+  }
+
+  return refillRate > 0 ? Math.ceil(((1 - bucket.tokens) / refillRate) * 1000) : Infinity;
+}
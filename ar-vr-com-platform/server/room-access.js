@@ -0,0 +1,92 @@
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+
+/**
+ * Room Access helpers for AR/VR Communication Platform
+ * Password hashing and signed, expiring invite tokens for private rooms.
+ * Invites are shareable links: anyone holding one can join until it expires.
+ */
+
+const SCRYPT_KEY_LENGTH = 32;
+
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return false;
+  }
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, expected.length);
+
+  return timingSafeEqual(expected, actual);
+}
+
+export function createInviteToken({ roomId, issuedBy, expiresIn }, secret) {
+  const payload = {
+    roomId,
+    issuedBy,
+    expiresAt: Date.now() + expiresIn
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = sign(encodedPayload, secret);
+
+  return {
+    token: `${encodedPayload}.${signature}`,
+    expiresAt: new Date(payload.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Returns { valid: true, payload } or { valid: false, reason } where reason is
+ * 'malformed', 'signature', 'room' or 'expired'.
+ */
+export function verifyInviteToken(token, roomId, secret) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  const expectedSignature = sign(encodedPayload, secret);
+
+  if (!safeEqual(signature, expectedSignature)) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (payload.roomId !== roomId) {
+    return { valid: false, reason: 'room' };
+  }
+
+  if (Date.now() > payload.expiresAt) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, payload };
+}
+
+function sign(value, secret) {
+  return createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+// Compares bytes, not characters; timingSafeEqual throws on buffers of different lengths
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
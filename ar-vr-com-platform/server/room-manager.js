@@ -1,17 +1,31 @@
 import { v4 as uuidv4 } from 'uuid';
+import { randomBytes } from 'crypto';
+import { hashPassword, verifyPassword, createInviteToken, verifyInviteToken } from './room-access.js';
 
 /**
  * Room Manager for AR/VR Communication Platform
  * Manages virtual rooms, user sessions, and shared states
  */
 export class RoomManager {
-  constructor() {
+  constructor(options = {}) {
     // Active rooms storage
     this.rooms = new Map();
     
+    // Optional persistence adapter (see room-storage.js)
+    this.storage = options.storage || null;
+    this.storageQueue = Promise.resolve(); // storage writes, in the order they were made
+    this.pendingRoomSaves = new Set(); // roomIds whose room record is due to be written
+    this.roomSaveTimer = null;
+    
+    // Secret used to sign room invites (random per process unless configured)
+    this.inviteSecret = options.inviteSecret || randomBytes(32).toString('hex');
+    
     // Room templates and presets
     this.roomTemplates = new Map();
     
+    // Object locks: roomId -> Map(objectId -> lock). Connection-bound, never persisted
+    this.objectLocks = new Map();
+    
     // Room statistics
     this.stats = {
       totalRoomsCreated: 0,
@@ -24,10 +38,72 @@ export class RoomManager {
     this.config = {
       maxRoomsPerServer: 1000,
       maxUsersPerRoom: 50,
-      roomInactivityTimeout: 30 * 60 * 1000, // 30 minutes
-      persistentRoomCleanupInterval: 24 * 60 * 60 * 1000, // 24 hours
+      roomInactivityTimeout: 30 * 60 * 1000, // 30 minutes; persistent rooms never time out
       maxObjectsPerRoom: 200,
+      objectLockTimeout: 30 * 1000, // locks lapse unless renewed by the holder
+      maxTombstones: 500, // removals remembered for resync diffs
+      roomSaveDelay: 1000, // changes to a room's own fields within this window are saved once
+      maxNoteLength: 500, // characters of text on a sticky note
+      maxNoteHistory: 20, // edits remembered per note, oldest dropped first
       maxRoomNameLength: 50,
+      defaultInviteExpiry: 24 * 60 * 60 * 1000, // 24 hours
+      maxInviteExpiry: 7 * 24 * 60 * 60 * 1000, // 7 days
+      // Room roles, from most to least privileged
+      roles: {
+        owner: {
+          canSpawnObjects: true,
+          canInteractObjects: true,
+          canDeleteObjects: true,
+          canModifyRoom: true,
+          canInviteUsers: true,
+          canKickUsers: true,
+          canMuteUsers: true,
+          canRecordSessions: true,
+          canBroadcastMessages: true,
+          canControlDevices: true,
+          canAssignRoles: true
+        },
+        moderator: {
+          canSpawnObjects: true,
+          canInteractObjects: true,
+          canDeleteObjects: true,
+          canModifyRoom: true,
+          canInviteUsers: true,
+          canKickUsers: true,
+          canMuteUsers: true,
+          canRecordSessions: false,
+          canBroadcastMessages: true,
+          canControlDevices: true,
+          canAssignRoles: false
+        },
+        presenter: {
+          canSpawnObjects: true,
+          canInteractObjects: true,
+          canDeleteObjects: false,
+          canModifyRoom: false,
+          canInviteUsers: false, // invites are reusable, so only the owner and moderators hand them out
+          canKickUsers: false,
+          canMuteUsers: false,
+          canRecordSessions: true,
+          canBroadcastMessages: true,
+          canControlDevices: true,
+          canAssignRoles: false
+        },
+        guest: {
+          canSpawnObjects: true,
+          canInteractObjects: true,
+          canDeleteObjects: false,
+          canModifyRoom: false,
+          canInviteUsers: false,
+          canKickUsers: false,
+          canMuteUsers: false,
+          canRecordSessions: false,
+          canBroadcastMessages: true,
+          canControlDevices: false,
+          canAssignRoles: false
+        }
+      },
+      defaultRole: 'guest',
       defaultRoomSettings: {
         spatialAudio: true,
         handTracking: true,
@@ -35,10 +111,16 @@ export class RoomManager {
         voiceChat: true,
         textChat: true,
         recordingSessions: false,
-        maxBitrate: 2000000 // 2 Mbps
+        maxBitrate: 2000000, // 2 Mbps
+        objectConflictPolicy: 'last-writer-wins', // or 'owner-wins'
+        mediaTopology: 'auto', // 'mesh', 'sfu', or 'auto' (mesh up to meshMaxUsers)
+        meshMaxUsers: 6
       }
     };
     
+    // Object fields only the server may set
+    this.protectedObjectFields = ['id', 'netId', 'seq', 'roomId', 'type', 'version', 'createdBy', 'createdAt', 'lastModified', 'lastModifiedBy'];
+    
     this.initializeDefaultTemplates();
     this.startMaintenanceTasks();
     
@@ -68,7 +150,7 @@ export class RoomManager {
         name: roomData.name || `Room ${roomId}`,
         description: roomData.description || '',
         isPrivate: roomData.isPrivate || false,
-        password: roomData.password || null,
+        passwordHash: roomData.password ? hashPassword(roomData.password) : null,
         maxUsers: Math.min(roomData.maxUsers || 10, this.config.maxUsersPerRoom),
         
         // Room state
@@ -76,6 +158,22 @@ export class RoomManager {
         objects: [],
         environment: roomData.environment || {},
         settings: { ...this.config.defaultRoomSettings, ...roomData.settings },
+        roles: {}, // userId -> role, for roles assigned at runtime
+        chatHistory: [], // bounded; managed by ChatService
+        
+        // Small per-room integers that stand in for IDs on the binary wire format
+        nextUserNetId: 0,
+        nextObjectNetId: 0,
+        
+        // Change tracking for resync: users and objects carry the sequence of their last change
+        sequence: 0,
+        tombstones: [], // [{ kind: 'user' | 'object', id, seq }]
+        tombstoneFloor: 0, // diffs from before this sequence are no longer possible
+        
+        // Moderation state
+        isLocked: false,
+        bannedUsers: [],
+        mutedUsers: [],
         
         // Metadata
         createdBy: roomData.createdBy,
@@ -105,14 +203,15 @@ export class RoomManager {
         }
       };
       
-      // Apply template if specified
+      // Store room
+      this.rooms.set(roomId, room);
+      this.persistRoom(room);
+      
+      // Apply template if specified; its objects are added like any other, so the room must exist first
       if (roomData.template && this.roomTemplates.has(roomData.template)) {
         this.applyRoomTemplate(room, roomData.template);
       }
       
-      // Store room
-      this.rooms.set(roomId, room);
-      
       // Update statistics
       this.stats.totalRoomsCreated++;
       this.stats.currentActiveRooms++;
@@ -135,7 +234,17 @@ export class RoomManager {
     return this.rooms.get(roomId);
   }
 
-  removeRoom(roomId) {
+  // Strip secrets before a room is sent to clients; chat history holds direct messages
+  sanitizeRoom(room) {
+    const { passwordHash, chatHistory, ...roomData } = room;
+    return {
+      ...roomData,
+      hasPassword: !!passwordHash
+    };
+  }
+
+  // Persistent rooms stay in storage unless deleteStored is set; without it they are only unloaded
+  removeRoom(roomId, { deleteStored = false } = {}) {
     try {
       const room = this.rooms.get(roomId);
       if (!room) {
@@ -151,6 +260,14 @@ export class RoomManager {
       // Clean up room resources
       this.cleanupRoomResources(room);
       
+      if (room.isPersistent && deleteStored) {
+        this.pendingRoomSaves.delete(roomId);
+        this.writeToStorage('deleteRoom', roomId);
+      } else {
+        // An unloaded room must not lose the changes still waiting to be saved
+        this.flushRoomSave(roomId);
+      }
+      
       // Remove from storage
       this.rooms.delete(roomId);
       this.stats.currentActiveRooms--;
@@ -264,7 +381,12 @@ export class RoomManager {
         joinedAt: new Date().toISOString(),
         lastActivity: new Date().toISOString(),
         isActive: true,
+        netId: room.nextUserNetId++,
+        role: this.getUserRole(user.id, room),
         permissions: this.getUserPermissions(user, room),
+        isMuted: (room.mutedUsers || []).includes(user.id),
+        canForward: user.canForward === true,
+        mediaSubscription: 'full', // 'full', 'audio-only' or 'data-only'
         sessionStats: {
           objectsCreated: 0,
           interactions: 0,
@@ -273,6 +395,7 @@ export class RoomManager {
         }
       };
       
+      this.markChanged(room, userInRoom);
       room.users.push(userInRoom);
       room.lastActivity = new Date().toISOString();
       
@@ -317,6 +440,7 @@ export class RoomManager {
       
       // Remove user
       room.users.splice(userIndex, 1);
+      this.recordRemoval(room, 'user', userId);
       room.lastActivity = new Date().toISOString();
       
       console.log(`👤 User ${userId} removed from room ${roomId}`);
@@ -340,6 +464,131 @@ export class RoomManager {
     }
   }
 
+  // Access Control
+  checkRoomAccess(room, user, credentials = {}) {
+    const { password, inviteToken } = credentials;
+    
+    if (this.isUserBanned(room, user.id)) {
+      return { allowed: false, code: 'BANNED', error: 'You are banned from this room' };
+    }
+    
+    if (room.isLocked && this.getUserRole(user.id, room) === this.config.defaultRole) {
+      return { allowed: false, code: 'ROOM_LOCKED', error: 'Room is locked' };
+    }
+    
+    // Public rooms and the room creator never need credentials
+    if (!room.isPrivate || room.createdBy === user.id) {
+      return { allowed: true };
+    }
+    
+    if (inviteToken) {
+      const result = verifyInviteToken(inviteToken, room.id, this.inviteSecret);
+      if (result.valid) {
+        return { allowed: true, via: 'invite', invite: result.payload };
+      }
+      
+      return result.reason === 'expired'
+        ? { allowed: false, code: 'INVITE_EXPIRED', error: 'Invite has expired' }
+        : { allowed: false, code: 'INVITE_INVALID', error: 'Invite is not valid for this room' };
+    }
+    
+    if (password !== undefined && password !== null && password !== '') {
+      if (room.passwordHash && verifyPassword(password, room.passwordHash)) {
+        return { allowed: true, via: 'password' };
+      }
+      
+      return { allowed: false, code: 'INVALID_PASSWORD', error: 'Incorrect room password' };
+    }
+    
+    return room.passwordHash
+      ? { allowed: false, code: 'PASSWORD_REQUIRED', error: 'Room password required' }
+      : { allowed: false, code: 'INVITE_REQUIRED', error: 'Room is invite-only' };
+  }
+
+  createInvite(roomId, issuedBy, expiresIn = this.config.defaultInviteExpiry) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error(`Room ${roomId} not found`);
+    }
+    
+    const invite = createInviteToken({
+      roomId,
+      issuedBy,
+      expiresIn: Math.min(expiresIn, this.config.maxInviteExpiry)
+    }, this.inviteSecret);
+    
+    console.log(`✉️ Invite issued for room ${roomId} by ${issuedBy}`);
+    
+    return { roomId, ...invite };
+  }
+
+  // Moderation
+  isUserBanned(room, userId) {
+    return (room.bannedUsers || []).includes(userId);
+  }
+
+  banUser(roomId, userId) {
+    this.mirrorUserBan(roomId, userId);
+    this.persistRoom(this.rooms.get(roomId));
+    
+    return true;
+  }
+
+  unbanUser(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return false;
+    }
+    
+    room.bannedUsers = (room.bannedUsers || []).filter(id => id !== userId);
+    this.persistRoom(room);
+    
+    return true;
+  }
+
+  setUserMuted(roomId, userId, muted) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error(`Room ${roomId} not found`);
+    }
+    
+    const mutedUsers = new Set(room.mutedUsers || []);
+    if (muted) {
+      mutedUsers.add(userId);
+    } else {
+      mutedUsers.delete(userId);
+    }
+    room.mutedUsers = Array.from(mutedUsers);
+    
+    const user = room.users.find(u => u.id === userId);
+    if (user) {
+      user.isMuted = muted;
+      this.markChanged(room, user);
+    }
+    
+    return muted;
+  }
+
+  setUserMediaSubscription(roomId, userId, connectionType) {
+    const room = this.rooms.get(roomId);
+    const user = room?.users.find(u => u.id === userId);
+    if (!user) {
+      throw new Error(`User ${userId} not in room ${roomId}`);
+    }
+    
+    user.mediaSubscription = connectionType;
+    this.markChanged(room, user);
+    
+    return user;
+  }
+
+  setRoomLocked(roomId, locked) {
+    const isLocked = this.mirrorRoomLock(roomId, locked);
+    this.persistRoom(this.rooms.get(roomId));
+    
+    return isLocked;
+  }
+
   // Object Management
   addObjectToRoom(roomId, object) {
     try {
@@ -356,16 +605,32 @@ export class RoomManager {
       const objectWithMeta = {
         ...object,
         id: object.id || uuidv4(),
+        version: 1,
         createdAt: new Date().toISOString(),
         lastModified: new Date().toISOString(),
+        lastModifiedBy: object.createdBy,
         roomId: roomId,
         interactions: 0
       };
       
+      if (objectWithMeta.type === 'note') {
+        objectWithMeta.properties = this.createNoteProperties(objectWithMeta);
+      }
+      
+      if (room.objects.some(obj => obj.id === objectWithMeta.id)) {
+        throw new Error(`Object ${objectWithMeta.id} already exists`);
+      }
+      
+      // Only handed out once the object is certain to be added
+      objectWithMeta.netId = room.nextObjectNetId++;
+      
+      this.markChanged(room, objectWithMeta);
       room.objects.push(objectWithMeta);
       room.stats.totalObjectsCreated++;
       room.lastActivity = new Date().toISOString();
       
+      this.persistObject(room, objectWithMeta);
+      
       console.log(`📦 Object added to room ${roomId}:`, objectWithMeta.id);
       
       return objectWithMeta;
@@ -378,21 +643,14 @@ export class RoomManager {
 
   removeObjectFromRoom(roomId, objectId) {
     try {
-      const room = this.rooms.get(roomId);
-      if (!room) {
+      if (!this.mirrorObjectRemoval(roomId, objectId)) {
         return false;
       }
       
-      const objectIndex = room.objects.findIndex(obj => obj.id === objectId);
-      if (objectIndex === -1) {
-        return false;
+      if (this.rooms.get(roomId).isPersistent) {
+        this.writeToStorage('deleteObject', roomId, objectId);
       }
       
-      room.objects.splice(objectIndex, 1);
-      room.lastActivity = new Date().toISOString();
-      
-      console.log(`📦 Object removed from room ${roomId}:`, objectId);
-      
       return true;
       
     } catch (error) {
@@ -415,11 +673,15 @@ export class RoomManager {
       
       // Apply updates
       Object.assign(object, updates, {
+        version: (object.version || 0) + 1,
         lastModified: new Date().toISOString()
       });
+      this.markChanged(room, object);
       
       room.lastActivity = new Date().toISOString();
       
+      this.persistObject(room, object);
+      
       return object;
       
     } catch (error) {
@@ -428,6 +690,573 @@ export class RoomManager {
     }
   }
 
+  /**
+   * Single authoritative write path for shared object state.
+   * Returns { applied: true, object, changes } or { applied: false, code, error, object }
+   * where object is the current server copy the client should converge to.
+   */
+  applyObjectUpdate(roomId, objectId, changes, { userId, baseVersion } = {}) {
+    const room = this.rooms.get(roomId);
+    const object = room?.objects.find(obj => obj.id === objectId);
+    
+    if (!object) {
+      return { applied: false, code: 'OBJECT_NOT_FOUND', error: 'Object not found', object: null };
+    }
+    
+    const lock = this.getObjectLock(roomId, objectId);
+    if (lock && lock.userId !== userId) {
+      return { applied: false, code: 'OBJECT_LOCKED', error: `Object is locked by ${lock.userId}`, object };
+    }
+    
+    const policy = room.settings.objectConflictPolicy || 'last-writer-wins';
+    const isOwner = object.createdBy === userId;
+    const currentVersion = object.version || 1;
+    const isStale = typeof baseVersion === 'number' && baseVersion < currentVersion;
+    
+    // Under owner-wins the owner's writes always land; everyone else must be up to date
+    if (isStale && !(policy === 'owner-wins' && isOwner)) {
+      return {
+        applied: false,
+        code: 'STALE_VERSION',
+        error: `Update based on version ${baseVersion}, current version is ${currentVersion}`,
+        object
+      };
+    }
+    
+    const acceptedChanges = {};
+    Object.entries(changes || {}).forEach(([key, value]) => {
+      if (!this.protectedObjectFields.includes(key)) {
+        acceptedChanges[key] = value;
+      }
+    });
+    
+    if (Object.keys(acceptedChanges).length === 0) {
+      return { applied: false, code: 'NO_CHANGES', error: 'No updatable fields supplied', object };
+    }
+    
+    if (object.type === 'note' && acceptedChanges.properties) {
+      acceptedChanges.properties = this.applyNoteEdit(object, acceptedChanges.properties, userId, currentVersion + 1);
+    }
+    
+    Object.assign(object, acceptedChanges, {
+      version: currentVersion + 1,
+      lastModified: new Date().toISOString(),
+      lastModifiedBy: userId
+    });
+    this.markChanged(room, object);
+    
+    room.lastActivity = new Date().toISOString();
+    this.persistObject(room, object);
+    
+    return { applied: true, object, changes: acceptedChanges };
+  }
+
+  // Change Tracking
+  markChanged(room, entity) {
+    room.sequence = (room.sequence || 0) + 1;
+    entity.seq = room.sequence;
+    return room.sequence;
+  }
+
+  recordRemoval(room, kind, id) {
+    if (!room.tombstones) room.tombstones = [];
+    
+    room.sequence = (room.sequence || 0) + 1;
+    room.tombstones.push({ kind, id, seq: room.sequence });
+    
+    // Once a tombstone is dropped, a client older than it can no longer get an exact diff
+    while (room.tombstones.length > this.config.maxTombstones) {
+      room.tombstoneFloor = room.tombstones.shift().seq;
+    }
+    
+    return room.sequence;
+  }
+
+  setUserConnected(roomId, userId, isConnected) {
+    const room = this.rooms.get(roomId);
+    const user = room?.users.find(u => u.id === userId);
+    if (!user) return null;
+    
+    user.isActive = isConnected;
+    user.connectionState = isConnected ? 'connected' : 'reconnecting';
+    user.lastActivity = new Date().toISOString();
+    this.markChanged(room, user);
+    
+    return user;
+  }
+
+  /**
+   * Everything that changed after `sinceSequence`, or the whole room when the
+   * client is too far behind (or has no sequence at all).
+   */
+  getRoomChangesSince(roomId, sinceSequence) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    
+    const sequence = room.sequence || 0;
+    const full = typeof sinceSequence !== 'number' ||
+      sinceSequence < (room.tombstoneFloor || 0) ||
+      sinceSequence > sequence;
+    
+    if (full) {
+      return {
+        full: true,
+        sequence,
+        users: room.users,
+        objects: room.objects,
+        removedUsers: [],
+        removedObjects: []
+      };
+    }
+    
+    const removed = (room.tombstones || []).filter(tombstone => tombstone.seq > sinceSequence);
+    
+    return {
+      full: false,
+      sequence,
+      users: room.users.filter(user => (user.seq || 0) > sinceSequence),
+      objects: room.objects.filter(object => (object.seq || 0) > sinceSequence),
+      removedUsers: removed.filter(tombstone => tombstone.kind === 'user').map(tombstone => tombstone.id),
+      removedObjects: removed.filter(tombstone => tombstone.kind === 'object').map(tombstone => tombstone.id)
+    };
+  }
+
+  // Cluster Mirroring
+  // Rooms that span nodes keep a mirror of the users and objects hosted elsewhere.
+  // Mirrored users and locks carry the nodeId of the node they belong to; mirrored
+  // changes are not persisted, since the node that made them already did.
+  getRoomSnapshot(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    
+    const { tombstones, ...roomData } = room;
+    
+    return JSON.parse(JSON.stringify({
+      room: roomData,
+      locks: this.getRoomLocks(roomId)
+    }));
+  }
+
+  hydrateRoom(snapshot) {
+    const { room: remoteRoom, locks = [], ownerNodeId } = snapshot;
+    let room = this.rooms.get(remoteRoom.id);
+    
+    if (room) {
+      // Room-wide settings from the owner win over our stale copy
+      ['name', 'isPrivate', 'passwordHash', 'isLocked', 'bannedUsers', 'mutedUsers', 'roles', 'settings', 'environment', 'maxUsers']
+        .forEach(field => {
+          if (remoteRoom[field] !== undefined) room[field] = remoteRoom[field];
+        });
+      
+      room.users
+        .filter(user => user.nodeId)
+        .forEach(user => this.removeUserFromRoom(room.id, user.id));
+    } else {
+      room = {
+        ...remoteRoom,
+        users: [],
+        objects: [],
+        nextUserNetId: 0,
+        nextObjectNetId: 0,
+        sequence: 0,
+        tombstones: [],
+        tombstoneFloor: 0
+      };
+      
+      this.rooms.set(room.id, room);
+      this.stats.currentActiveRooms = this.rooms.size;
+    }
+    
+    remoteRoom.users.forEach(user => {
+      this.mirrorUser(room.id, { ...user, nodeId: user.nodeId || ownerNodeId });
+    });
+    
+    const remoteObjectIds = new Set(remoteRoom.objects.map(object => object.id));
+    room.objects
+      .filter(object => !remoteObjectIds.has(object.id))
+      .forEach(object => this.mirrorObjectRemoval(room.id, object.id));
+    
+    remoteRoom.objects.forEach(object => this.mirrorObject(room.id, object));
+    
+    locks.forEach(lock => this.mirrorObjectLock(room.id, { ...lock, nodeId: lock.nodeId || ownerNodeId }));
+    
+    console.log(`🕸️ Room ${room.id} hydrated from node ${ownerNodeId}`);
+    
+    return room;
+  }
+
+  mirrorUser(roomId, user) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    
+    let userInRoom = room.users.find(u => u.id === user.id);
+    if (userInRoom) {
+      Object.assign(userInRoom, user, { netId: userInRoom.netId });
+    } else {
+      // Net IDs are per node, so mirrored entries get one of ours
+      userInRoom = { ...user, netId: room.nextUserNetId++ };
+      room.users.push(userInRoom);
+    }
+    
+    this.markChanged(room, userInRoom);
+    
+    return userInRoom;
+  }
+
+  mirrorObject(roomId, object) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    
+    let objectInRoom = room.objects.find(obj => obj.id === object.id);
+    if (objectInRoom) {
+      Object.assign(objectInRoom, object, { netId: objectInRoom.netId });
+    } else {
+      objectInRoom = { ...object, netId: room.nextObjectNetId++ };
+      room.objects.push(objectInRoom);
+    }
+    
+    this.markChanged(room, objectInRoom);
+    
+    return objectInRoom;
+  }
+
+  // Sticky notes: the author and edit history are kept by the server, never taken from the client
+  createNoteProperties(object) {
+    const { history, authorId, ...properties } = object.properties || {};
+    const text = this.normalizeNoteText(properties.text);
+    
+    return {
+      ...properties,
+      text,
+      authorId: object.createdBy || null,
+      history: [{ text, userId: object.createdBy || null, editedAt: object.createdAt, version: 1 }]
+    };
+  }
+  
+  // Notes' properties are merged rather than replaced, so an edit carrying only `text` keeps the rest
+  applyNoteEdit(object, changes, userId, version) {
+    const { history, authorId, ...properties } = changes;
+    const previous = object.properties || {};
+    const text = properties.text === undefined ? previous.text || '' : this.normalizeNoteText(properties.text);
+    
+    let noteHistory = previous.history || [];
+    if (text !== previous.text) {
+      noteHistory = [...noteHistory, { text, userId, editedAt: new Date().toISOString(), version }]
+        .slice(-this.config.maxNoteHistory);
+    }
+    
+    return {
+      ...previous,
+      ...properties,
+      text,
+      authorId: previous.authorId ?? null,
+      history: noteHistory
+    };
+  }
+  
+  normalizeNoteText(text) {
+    if (typeof text !== 'string') return '';
+    return text.trim().slice(0, this.config.maxNoteLength);
+  }
+  
+  // Returns the object, or null when the change is unknown or older than our copy
+  mirrorObjectUpdate(roomId, objectId, changes, { version, updatedBy, timestamp } = {}) {
+    const room = this.rooms.get(roomId);
+    const object = room?.objects.find(obj => obj.id === objectId);
+    if (!object || version <= (object.version || 1)) return null;
+    
+    const acceptedChanges = {};
+    Object.keys(changes || {}).forEach(field => {
+      if (!this.protectedObjectFields.includes(field)) {
+        acceptedChanges[field] = changes[field];
+      }
+    });
+    
+    Object.assign(object, acceptedChanges, {
+      version,
+      lastModified: timestamp || new Date().toISOString(),
+      lastModifiedBy: updatedBy
+    });
+    this.markChanged(room, object);
+    
+    return object;
+  }
+
+  // The mirror* changes below are what the local methods do before they persist
+  mirrorObjectRemoval(roomId, objectId) {
+    const room = this.rooms.get(roomId);
+    const objectIndex = room ? room.objects.findIndex(obj => obj.id === objectId) : -1;
+    if (objectIndex === -1) {
+      return false;
+    }
+    
+    room.objects.splice(objectIndex, 1);
+    this.recordRemoval(room, 'object', objectId);
+    this.objectLocks.get(roomId)?.delete(objectId);
+    room.lastActivity = new Date().toISOString();
+    
+    console.log(`📦 Object removed from room ${roomId}:`, objectId);
+    
+    return true;
+  }
+
+  mirrorUserBan(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error(`Room ${roomId} not found`);
+    }
+    
+    if (!room.bannedUsers) room.bannedUsers = [];
+    if (!room.bannedUsers.includes(userId)) {
+      room.bannedUsers.push(userId);
+    }
+    
+    console.log(`⛔ User ${userId} banned from room ${roomId}`);
+  }
+
+  mirrorRoomLock(roomId, locked) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error(`Room ${roomId} not found`);
+    }
+    
+    room.isLocked = !!locked;
+    room.lastActivity = new Date().toISOString();
+    
+    console.log(`🔐 Room ${roomId} ${room.isLocked ? 'locked' : 'unlocked'}`);
+    
+    return room.isLocked;
+  }
+
+  mirrorObjectLock(roomId, lock) {
+    if (!this.objectLocks.has(roomId)) {
+      this.objectLocks.set(roomId, new Map());
+    }
+    
+    this.objectLocks.get(roomId).set(lock.objectId, lock);
+  }
+
+  // Object Locks
+  acquireObjectLock(roomId, objectId, userId) {
+    const room = this.rooms.get(roomId);
+    if (!room || !room.objects.some(obj => obj.id === objectId)) {
+      return { granted: false, code: 'OBJECT_NOT_FOUND' };
+    }
+    
+    if (!this.objectLocks.has(roomId)) {
+      this.objectLocks.set(roomId, new Map());
+    }
+    
+    const roomLocks = this.objectLocks.get(roomId);
+    const existing = roomLocks.get(objectId);
+    
+    if (existing && existing.userId !== userId && this.isLockLive(existing)) {
+      return { granted: false, code: 'OBJECT_LOCKED', lock: existing };
+    }
+    
+    // Re-requesting a held lock simply renews it
+    const lock = {
+      objectId,
+      userId,
+      acquiredAt: existing?.userId === userId ? existing.acquiredAt : Date.now(),
+      expiresAt: Date.now() + this.config.objectLockTimeout
+    };
+    
+    roomLocks.set(objectId, lock);
+    
+    return { granted: true, lock, renewed: existing?.userId === userId };
+  }
+
+  releaseObjectLock(roomId, objectId, userId) {
+    const roomLocks = this.objectLocks.get(roomId);
+    const lock = roomLocks?.get(objectId);
+    
+    if (!lock || lock.userId !== userId) {
+      return false;
+    }
+    
+    roomLocks.delete(objectId);
+    return true;
+  }
+
+  releaseUserLocks(roomId, userId) {
+    const roomLocks = this.objectLocks.get(roomId);
+    if (!roomLocks) return [];
+    
+    const released = [];
+    for (const [objectId, lock] of roomLocks) {
+      if (lock.userId === userId) {
+        roomLocks.delete(objectId);
+        released.push(lock);
+      }
+    }
+    
+    return released;
+  }
+
+  // Returns the live lock on an object, or null if it is free
+  getObjectLock(roomId, objectId) {
+    const lock = this.objectLocks.get(roomId)?.get(objectId);
+    return lock && this.isLockLive(lock) ? lock : null;
+  }
+
+  getRoomLocks(roomId) {
+    const roomLocks = this.objectLocks.get(roomId);
+    if (!roomLocks) return [];
+    
+    return Array.from(roomLocks.values()).filter(lock => this.isLockLive(lock));
+  }
+
+  // Mirrored locks are renewed on their own node, which also announces their release
+  isLockLive(lock) {
+    return Boolean(lock.nodeId) || lock.expiresAt > Date.now();
+  }
+
+  // Removes lapsed locks and returns them as [{ roomId, lock }] so callers can notify rooms
+  expireObjectLocks() {
+    const now = Date.now();
+    const expired = [];
+    
+    for (const [roomId, roomLocks] of this.objectLocks) {
+      for (const [objectId, lock] of roomLocks) {
+        if (!lock.nodeId && lock.expiresAt <= now) {
+          roomLocks.delete(objectId);
+          expired.push({ roomId, lock });
+        }
+      }
+    }
+    
+    return expired;
+  }
+
+  recordObjectInteraction(roomId, objectId) {
+    const room = this.rooms.get(roomId);
+    const object = room?.objects.find(obj => obj.id === objectId);
+    
+    if (object) {
+      object.interactions = (object.interactions || 0) + 1;
+      room.lastActivity = new Date().toISOString();
+    }
+  }
+
+  // Persistence
+  async loadPersistedRooms() {
+    if (!this.storage) {
+      return 0;
+    }
+    
+    try {
+      await this.storage.init();
+      
+      const storedRooms = await this.storage.loadRooms();
+      
+      storedRooms.forEach(storedRoom => {
+        const objects = storedRoom.objects || [];
+        
+        // Net IDs are only meaningful within a process, so hand them out afresh
+        objects.forEach((object, index) => {
+          object.netId = index;
+        });
+        
+        // Users are connection-bound and never survive a restart
+        this.rooms.set(storedRoom.id, {
+          ...storedRoom,
+          users: [],
+          objects,
+          nextUserNetId: 0,
+          nextObjectNetId: objects.length,
+          // Objects are saved more often than the room row, so they may be ahead of it
+          sequence: Math.max(storedRoom.sequence || 0, ...objects.map(object => object.seq || 0))
+        });
+      });
+      
+      this.stats.currentActiveRooms = this.rooms.size;
+      this.stats.peakConcurrentRooms = Math.max(this.stats.peakConcurrentRooms, this.rooms.size);
+      
+      console.log(`💾 Restored ${storedRooms.length} persistent rooms`);
+      
+      return storedRooms.length;
+      
+    } catch (error) {
+      console.error('Error loading persisted rooms:', error);
+      throw error;
+    }
+  }
+
+  // The room's own fields; objects and chat messages are stored one by one as they change
+  serializeRoom(room) {
+    // passwordHash is kept so private persistent rooms stay protected after a restart
+    const { users, objects, chatHistory, ...roomData } = room;
+    return JSON.parse(JSON.stringify({ ...roomData, users: [] }));
+  }
+
+  // Coalesced: a burst of bans or settings changes becomes a single write
+  persistRoom(room) {
+    if (!room.isPersistent || !this.storage) return;
+    
+    this.pendingRoomSaves.add(room.id);
+    
+    if (!this.roomSaveTimer) {
+      this.roomSaveTimer = setTimeout(() => this.flushRoomSaves(), this.config.roomSaveDelay);
+    }
+  }
+
+  flushRoomSaves() {
+    clearTimeout(this.roomSaveTimer);
+    this.roomSaveTimer = null;
+    
+    Array.from(this.pendingRoomSaves).forEach(roomId => this.flushRoomSave(roomId));
+  }
+
+  flushRoomSave(roomId) {
+    if (!this.pendingRoomSaves.delete(roomId)) return;
+    
+    const room = this.rooms.get(roomId);
+    if (room) {
+      this.writeToStorage('saveRoom', this.serializeRoom(room));
+    }
+  }
+
+  persistObject(room, object) {
+    if (!room.isPersistent) return;
+    
+    // Objects reference their room's record, so a new room is written first
+    this.flushRoomSave(room.id);
+    this.writeToStorage('saveObject', room.id, JSON.parse(JSON.stringify(object)));
+  }
+
+  persistChatMessage(room, message) {
+    if (!room.isPersistent) return;
+    
+    this.flushRoomSave(room.id);
+    this.writeToStorage('saveChatMessage', room.id, JSON.parse(JSON.stringify(message)));
+  }
+
+  deleteStoredChatMessages(room, messageIds) {
+    if (!room.isPersistent || messageIds.length === 0) return;
+    this.writeToStorage('deleteChatMessages', room.id, messageIds);
+  }
+
+  writeToStorage(operation, ...args) {
+    if (!this.storage) return;
+    
+    // Storage writes are fire-and-forget so socket handlers stay synchronous,
+    // but chained so a room is always written before the objects that reference it
+    this.storageQueue = this.storageQueue
+      .then(() => this.storage[operation](...args))
+      .catch(error => {
+        console.error(`Error in room storage ${operation}:`, error);
+      });
+  }
+
+  async closeStorage() {
+    if (this.storage) {
+      this.flushRoomSaves();
+      await this.storageQueue;
+      await this.storage.close();
+    }
+  }
+
   // Room Templates
   initializeDefaultTemplates() {
     // Conference Room Template
@@ -459,7 +1288,9 @@ export class RoomManager {
         handTracking: true,
         recordingSessions: true,
         voiceChat: true,
-        textChat: true
+        textChat: true,
+        // 20 people can't all hold a connection to each other
+        mediaTopology: 'sfu'
       }
     });
     
@@ -542,16 +1373,13 @@ export class RoomManager {
     // Apply template properties
     room.environment = { ...room.environment, ...template.environment };
     room.settings = { ...room.settings, ...template.settings };
+    this.persistRoom(room);
     
-    // Add template objects
-    if (template.objects) {
-      room.objects.push(...template.objects.map(obj => ({
-        ...obj,
-        id: uuidv4(),
-        createdAt: new Date().toISOString(),
-        isTemplate: true
-      })));
-    }
+    // Add template objects; going through addObjectToRoom gives them the net ID,
+    // version and sequence that delta and binary updates address them by
+    (template.objects || []).forEach(obj => {
+      this.addObjectToRoom(room.id, { ...obj, isTemplate: true });
+    });
     
     console.log(`📝 Template ${templateName} applied to room ${room.id}`);
   }
@@ -579,27 +1407,90 @@ export class RoomManager {
     return `room_${uuidv4().substr(0, 8)}_${Date.now()}`;
   }
 
+  getUserRole(userId, room) {
+    // The room creator is always the owner
+    if (room.createdBy === userId) {
+      return 'owner';
+    }
+    
+    return room.roles?.[userId] || this.config.defaultRole;
+  }
+
   getUserPermissions(user, room) {
-    const permissions = {
-      canSpawnObjects: true,
-      canDeleteObjects: false,
-      canModifyRoom: false,
-      canInviteUsers: true,
-      canKickUsers: false,
-      canRecordSessions: false
-    };
+    const role = this.getUserRole(user.id, room);
+    const permissions = { ...this.config.roles[role] };
     
-    // Room creator gets admin permissions
-    if (room.createdBy === user.id) {
-      Object.keys(permissions).forEach(key => {
-        permissions[key] = true;
-      });
+    if (role === 'owner') {
       permissions.isAdmin = true;
     }
     
     return permissions;
   }
 
+  hasPermission(roomId, userId, permission) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return false;
+    }
+    
+    const user = room.users.find(u => u.id === userId);
+    return !!user?.permissions?.[permission];
+  }
+
+  setUserRole(roomId, userId, role) {
+    const result = this.mirrorUserRole(roomId, userId, role);
+    this.persistRoom(this.rooms.get(roomId));
+    
+    return result;
+  }
+
+  // setUserRole without the write to storage, for roles assigned on another node
+  mirrorUserRole(roomId, userId, role) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error(`Room ${roomId} not found`);
+    }
+    
+    if (!this.config.roles[role]) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    
+    if (room.createdBy === userId) {
+      throw new Error('The room creator cannot change role');
+    }
+    
+    if (!room.roles) room.roles = {};
+    room.roles[userId] = role;
+    
+    // Refresh the live permissions of the user if they are in the room
+    const user = room.users.find(u => u.id === userId);
+    if (user) {
+      user.role = role;
+      user.permissions = this.getUserPermissions(user, room);
+      this.markChanged(room, user);
+    }
+    
+    room.lastActivity = new Date().toISOString();
+    
+    console.log(`🎭 User ${userId} is now ${role} in room ${roomId}`);
+    
+    return {
+      userId,
+      role,
+      permissions: this.getUserPermissions({ id: userId }, room)
+    };
+  }
+
+  getRoles() {
+    return Object.keys(this.config.roles);
+  }
+
+  // Roles are declared most privileged first, so a lower index outranks a higher one
+  outranks(room, actorId, targetId) {
+    const roles = this.getRoles();
+    return roles.indexOf(this.getUserRole(actorId, room)) < roles.indexOf(this.getUserRole(targetId, room));
+  }
+
   calculateRelevanceScore(room, query, filters) {
     let score = 0;
     
@@ -623,6 +1514,7 @@ export class RoomManager {
   cleanupRoomResources(room) {
     // Clean up any room-specific resources
     // This could include file uploads, temporary data, etc.
+    this.objectLocks.delete(room.id);
     console.log(`🧹 Cleaning up resources for room ${room.id}`);
   }
 
@@ -648,19 +1540,13 @@ export class RoomManager {
     for (const [roomId, room] of this.rooms) {
       const inactiveTime = now - new Date(room.lastActivity).getTime();
       
-      // Remove non-persistent rooms that are empty and inactive
+      // Remove non-persistent rooms that are empty and inactive. Persistent rooms are kept
+      // however long they sit idle: a restart restores them with their old lastActivity
       if (!room.isPersistent && 
           room.users.length === 0 && 
           inactiveTime > this.config.roomInactivityTimeout) {
         roomsToRemove.push(roomId);
       }
-      
-      // Clean up very old persistent rooms
-      if (room.isPersistent && 
-          room.users.length === 0 && 
-          inactiveTime > this.config.persistentRoomCleanupInterval) {
-        roomsToRemove.push(roomId);
-      }
     }
     
     roomsToRemove.forEach(roomId => {
@@ -0,0 +1,316 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Room Storage for AR/VR Communication Platform
+ * Persistence adapters that RoomManager writes persistent rooms through
+ */
+export class RoomStorageAdapter {
+  async init() {}
+
+  // Rooms with their `objects` and `chatHistory` (oldest message first)
+  async loadRooms() {
+    return [];
+  }
+
+  // The room's own fields; its objects and chat messages are saved separately
+  async saveRoom(room) {}
+
+  async deleteRoom(roomId) {}
+
+  async saveObject(roomId, object) {}
+
+  async deleteObject(roomId, objectId) {}
+
+  async saveChatMessage(roomId, message) {}
+
+  async deleteChatMessages(roomId, messageIds) {}
+
+  async close() {}
+}
+
+/**
+ * Stores every persistent room in a single JSON document.
+ * Writes are coalesced and flushed atomically (temp file + rename).
+ */
+export class JsonFileRoomStorage extends RoomStorageAdapter {
+  constructor(options = {}) {
+    super();
+
+    this.filePath = options.filePath || path.resolve('data/rooms.json');
+    this.flushDelay = options.flushDelay ?? 500;
+
+    this.rooms = new Map();
+    this.flushTimer = null;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(contents);
+
+      (data.rooms || []).forEach(room => {
+        this.rooms.set(room.id, room);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    console.log(`💾 JSON room storage ready: ${this.filePath}`);
+  }
+
+  async loadRooms() {
+    return Array.from(this.rooms.values());
+  }
+
+  async saveRoom(room) {
+    const existing = this.rooms.get(room.id);
+
+    this.rooms.set(room.id, {
+      ...room,
+      objects: existing?.objects || [],
+      chatHistory: existing?.chatHistory || []
+    });
+    this.scheduleFlush();
+  }
+
+  async deleteRoom(roomId) {
+    if (this.rooms.delete(roomId)) {
+      this.scheduleFlush();
+    }
+  }
+
+  async saveObject(roomId, object) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    const index = room.objects.findIndex(obj => obj.id === object.id);
+    if (index === -1) {
+      room.objects.push(object);
+    } else {
+      room.objects[index] = object;
+    }
+
+    this.scheduleFlush();
+  }
+
+  async deleteObject(roomId, objectId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    room.objects = room.objects.filter(obj => obj.id !== objectId);
+    this.scheduleFlush();
+  }
+
+  async saveChatMessage(roomId, message) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    if (!room.chatHistory) room.chatHistory = [];
+
+    const index = room.chatHistory.findIndex(existing => existing.id === message.id);
+    if (index === -1) {
+      room.chatHistory.push(message);
+    } else {
+      room.chatHistory[index] = message;
+    }
+
+    this.scheduleFlush();
+  }
+
+  async deleteChatMessages(roomId, messageIds) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    const ids = new Set(messageIds);
+    room.chatHistory = (room.chatHistory || []).filter(message => !ids.has(message.id));
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => {
+        console.error('Error flushing room storage:', error);
+      });
+    }, this.flushDelay);
+  }
+
+  flush() {
+    // Chain writes so two flushes never race on the temp file
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      const contents = JSON.stringify({
+        version: 1,
+        savedAt: new Date().toISOString(),
+        rooms: Array.from(this.rooms.values())
+      }, null, 2);
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, contents, 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    });
+
+    return this.pendingWrite;
+  }
+
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      await this.flush();
+    }
+
+    await this.pendingWrite;
+  }
+}
+
+/**
+ * Stores rooms, their objects and their chat in an embedded SQLite database.
+ * Objects and chat messages live in their own tables, so an object edit or a
+ * chat message writes one row rather than the whole room.
+ */
+export class SqliteRoomStorage extends RoomStorageAdapter {
+  constructor(options = {}) {
+    super();
+
+    this.filePath = options.filePath || path.resolve('data/rooms.db');
+    this.db = null;
+    this.statements = null;
+  }
+
+  async init() {
+    // Loaded lazily so the native module is only required when SQLite is selected
+    const { default: Database } = await import('better-sqlite3');
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rooms (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS room_objects (
+        room_id TEXT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (room_id, id)
+      );
+      CREATE TABLE IF NOT EXISTS room_chat_messages (
+        room_id TEXT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (room_id, id)
+      );
+    `);
+    this.db.pragma('foreign_keys = ON');
+
+    this.statements = {
+      selectRooms: this.db.prepare('SELECT id, data FROM rooms'),
+      selectObjects: this.db.prepare('SELECT room_id, data FROM room_objects'),
+      selectChatMessages: this.db.prepare('SELECT room_id, data FROM room_chat_messages ORDER BY created_at, rowid'),
+      upsertRoom: this.db.prepare(`
+        INSERT INTO rooms (id, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      deleteRoom: this.db.prepare('DELETE FROM rooms WHERE id = ?'),
+      upsertObject: this.db.prepare(`
+        INSERT INTO room_objects (room_id, id, data, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(room_id, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      deleteObject: this.db.prepare('DELETE FROM room_objects WHERE room_id = ? AND id = ?'),
+      upsertChatMessage: this.db.prepare(`
+        INSERT INTO room_chat_messages (room_id, id, data, created_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(room_id, id) DO UPDATE SET data = excluded.data
+      `),
+      deleteChatMessage: this.db.prepare('DELETE FROM room_chat_messages WHERE room_id = ? AND id = ?')
+    };
+
+    console.log(`💾 SQLite room storage ready: ${this.filePath}`);
+  }
+
+  async loadRooms() {
+    const rooms = new Map();
+
+    for (const row of this.statements.selectRooms.all()) {
+      rooms.set(row.id, { ...JSON.parse(row.data), objects: [], chatHistory: [] });
+    }
+
+    for (const row of this.statements.selectObjects.all()) {
+      const room = rooms.get(row.room_id);
+      if (room) {
+        room.objects.push(JSON.parse(row.data));
+      }
+    }
+
+    for (const row of this.statements.selectChatMessages.all()) {
+      rooms.get(row.room_id)?.chatHistory.push(JSON.parse(row.data));
+    }
+
+    return Array.from(rooms.values());
+  }
+
+  async saveRoom(room) {
+    const { objects, chatHistory, ...roomData } = room;
+    this.statements.upsertRoom.run(room.id, JSON.stringify(roomData), new Date().toISOString());
+  }
+
+  async deleteRoom(roomId) {
+    this.statements.deleteRoom.run(roomId);
+  }
+
+  async saveObject(roomId, object) {
+    this.statements.upsertObject.run(roomId, object.id, JSON.stringify(object), new Date().toISOString());
+  }
+
+  async deleteObject(roomId, objectId) {
+    this.statements.deleteObject.run(roomId, objectId);
+  }
+
+  async saveChatMessage(roomId, message) {
+    this.statements.upsertChatMessage.run(roomId, message.id, JSON.stringify(message), message.createdAt);
+  }
+
+  async deleteChatMessages(roomId, messageIds) {
+    const deleteAll = this.db.transaction(() => {
+      messageIds.forEach(messageId => this.statements.deleteChatMessage.run(roomId, messageId));
+    });
+
+    deleteAll();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export function createRoomStorage(type, options = {}) {
+  switch (type) {
+    case 'json':
+      return new JsonFileRoomStorage(options);
+    case 'sqlite':
+      return new SqliteRoomStorage(options);
+    case 'memory':
+    case undefined:
+    case null:
+    case '':
+      return null;
+    default:
+      throw new Error(`Unknown room storage type: ${type}`);
+  }
+}
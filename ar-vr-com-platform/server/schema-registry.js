@@ -0,0 +1,354 @@
+/**
+ * Schema Registry for AR/VR Communication Platform
+ * Validates inbound socket events and REST bodies against declarative schemas
+ * before any handler sees them, and renders the schemas as API docs.
+ *
+ * Schemas are a small JSON Schema-like subset:
+ *   type                 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'binary' | 'any'
+ *   optional             at the root, a missing payload is accepted
+ *   nullable             null is accepted as well as the type
+ *   enum                 allowed values
+ *   minLength/maxLength/pattern     strings
+ *   minimum/maximum      numbers (always finite)
+ *   items/minItems/maxItems         arrays
+ *   properties/required  objects; unknown keys are dropped unless additionalProperties is true
+ *   maxBytes             binary payloads
+ *   description          used for generated docs
+ */
+
+// Keys that could reach Object.prototype through Object.assign on room state
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+export class SchemaRegistry {
+  constructor(options = {}) {
+    // name -> { schema, kind: 'event' | 'route', description }
+    this.schemas = new Map();
+
+    this.config = {
+      maxErrors: options.maxErrors || 10
+    };
+
+    this.stats = {
+      validated: 0,
+      rejected: 0,
+      rejectedBySchema: {}
+    };
+  }
+
+  registerEvent(event, schema) {
+    this.schemas.set(event, { schema, kind: 'event' });
+    return this;
+  }
+
+  // name is '<METHOD> <path>', e.g. 'POST /api/rooms'
+  registerRoute(name, schema) {
+    this.schemas.set(name, { schema, kind: 'route' });
+    return this;
+  }
+
+  has(name) {
+    return this.schemas.has(name);
+  }
+
+  /**
+   * Returns { valid: true, value } with unknown keys removed, or
+   * { valid: false, errors: [{ path, message }] }. An empty path is the
+   * payload itself; nested fields read like 'object.position[1]'.
+   */
+  validate(name, data) {
+    const entry = this.schemas.get(name);
+    if (!entry) {
+      return this.reject(name, [{ path: '', message: `no schema registered for ${name}` }]);
+    }
+
+    this.stats.validated++;
+
+    if (data === undefined && entry.schema.optional) {
+      return { valid: true, value: data };
+    }
+
+    const errors = [];
+    const value = this.check(entry.schema, data, '', errors);
+
+    return errors.length > 0 ? this.reject(name, errors) : { valid: true, value };
+  }
+
+  reject(name, errors) {
+    this.stats.rejected++;
+    this.stats.rejectedBySchema[name] = (this.stats.rejectedBySchema[name] || 0) + 1;
+    return { valid: false, errors };
+  }
+
+  check(schema, value, path, errors) {
+    if (errors.length >= this.config.maxErrors) return undefined;
+
+    const fail = message => {
+      errors.push({ path, message });
+      return undefined;
+    };
+
+    if (value === null && schema.nullable) return null;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    switch (schema.type) {
+      case 'any':
+        return value;
+
+      case 'string':
+        if (typeof value !== 'string') return fail('must be a string');
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+          return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+          return fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+          return fail(`must match ${schema.pattern}`);
+        }
+        return value;
+
+      case 'number':
+      case 'integer':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a finite number');
+        if (schema.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+        if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be <= ${schema.maximum}`);
+        return value;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') return fail('must be a boolean');
+        return value;
+
+      case 'binary':
+        if (!(value instanceof ArrayBuffer || ArrayBuffer.isView(value))) return fail('must be binary');
+        if (schema.maxBytes !== undefined && value.byteLength > schema.maxBytes) {
+          return fail(`must be at most ${schema.maxBytes} bytes`);
+        }
+        return value;
+
+      case 'array': {
+        if (!Array.isArray(value)) return fail('must be an array');
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+          return fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+          return fail(`must have at most ${schema.maxItems} items`);
+        }
+        return schema.items
+          ? value.map((item, index) => this.check(schema.items, item, `${path}[${index}]`, errors))
+          : value;
+      }
+
+      case 'object':
+        return this.checkObject(schema, value, path, errors, fail);
+
+      default:
+        throw new Error(`Unknown schema type: ${schema.type}`);
+    }
+  }
+
+  checkObject(schema, value, path, errors, fail) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value) ||
+        value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      return fail('must be an object');
+    }
+
+    const properties = schema.properties || {};
+    const result = {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    });
+
+    for (const [key, fieldValue] of Object.entries(value)) {
+      const fieldPath = joinPath(path, key);
+
+      if (FORBIDDEN_KEYS.has(key)) {
+        errors.push({ path: fieldPath, message: 'is not an allowed key' });
+        continue;
+      }
+
+      if (fieldValue === undefined) continue;
+
+      if (properties[key]) {
+        result[key] = this.check(properties[key], fieldValue, fieldPath, errors);
+      } else if (schema.additionalProperties === true) {
+        // Free-form values still can't smuggle prototype keys in deeper down
+        result[key] = this.checkFreeForm(fieldValue, fieldPath, errors);
+      } else if (schema.additionalProperties) {
+        result[key] = this.check(schema.additionalProperties, fieldValue, fieldPath, errors);
+      }
+      // Anything else is unknown and dropped
+    }
+
+    if (schema.maxProperties !== undefined && Object.keys(result).length > schema.maxProperties) {
+      return fail(`must have at most ${schema.maxProperties} properties`);
+    }
+
+    return result;
+  }
+
+  checkFreeForm(value, path, errors, depth = 0) {
+    if (depth > 8) {
+      errors.push({ path, message: 'is nested too deeply' });
+      return undefined;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.checkFreeForm(item, `${path}[${index}]`, errors, depth + 1));
+    }
+
+    if (value !== null && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (FORBIDDEN_KEYS.has(key)) {
+          errors.push({ path: joinPath(path, key), message: 'is not an allowed key' });
+          continue;
+        }
+        result[key] = this.checkFreeForm(item, joinPath(path, key), errors, depth + 1);
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  // Express middleware: replaces req.body with the validated copy or answers 400
+  httpMiddleware(name) {
+    return (req, res, next) => {
+      const result = this.validate(name, req.body);
+
+      if (!result.valid) {
+        res.status(400).json({
+          error: 'Invalid request body',
+          code: 'INVALID_REQUEST',
+          errors: result.errors
+        });
+        return;
+      }
+
+      req.body = result.value || {};
+      next();
+    };
+  }
+
+  /**
+   * Renders every schema as Markdown tables, one section per event or route.
+   */
+  toMarkdown() {
+    const lines = [
+      '# Message Schemas - AR/VR Communication Platform',
+      '',
+      '<!-- Generated by scripts/generate-schema-docs.js from server/schemas.js. Do not edit by hand. -->',
+      '',
+      'Every inbound socket event and REST body is validated against these schemas before it reaches a handler. Unknown fields are dropped. Invalid socket events are answered with `validation-error`; invalid REST bodies with `400 INVALID_REQUEST`.',
+      ''
+    ];
+
+    const sections = [
+      ['## Socket Events (Client → Server)', 'event'],
+      ['## REST Request Bodies', 'route']
+    ];
+
+    sections.forEach(([heading, kind]) => {
+      lines.push(heading, '');
+
+      const entries = Array.from(this.schemas.entries())
+        .filter(([, entry]) => entry.kind === kind)
+        .sort(([a], [b]) => a.localeCompare(b));
+
+      entries.forEach(([name, { schema }]) => {
+        lines.push(`### ${name}`, '');
+        if (schema.description) lines.push(schema.description, '');
+
+        const rows = describeFields(schema, '');
+        if (schema.type !== 'object') {
+          const notes = describeConstraints({ ...schema, description: undefined });
+          lines.push(`Payload: ${describeType(schema)}${notes ? ` (${notes})` : ''}${schema.optional ? ', optional' : ''}`, '');
+        } else if (rows.length === 0) {
+          lines.push(schema.optional ? 'No payload.' : 'Empty object.', '');
+        } else {
+          lines.push('| Field | Type | Required | Notes |', '|-------|------|----------|-------|');
+          rows.forEach(row => {
+            lines.push(`| \`${row.path}\` | ${row.type} | ${row.required ? 'yes' : ''} | ${row.notes} |`);
+          });
+          lines.push('');
+        }
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      registered: this.schemas.size
+    };
+  }
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function describeType(schema) {
+  let type = schema.type;
+  if (schema.type === 'array' && schema.items) {
+    type = `${describeType(schema.items)}[]`;
+  }
+  return schema.nullable ? `${type} \\| null` : type;
+}
+
+function describeConstraints(schema) {
+  const notes = [];
+
+  if (schema.enum) notes.push(`one of ${schema.enum.map(v => `\`${v}\``).join(', ')}`);
+  if (schema.minLength !== undefined && schema.minLength > 1) notes.push(`min ${schema.minLength} chars`);
+  if (schema.minLength === 1) notes.push('non-empty');
+  if (schema.maxLength !== undefined) notes.push(`max ${schema.maxLength} chars`);
+  if (schema.pattern) notes.push(`matches \`${schema.pattern.source}\``);
+  if (schema.minimum !== undefined) notes.push(`>= ${schema.minimum}`);
+  if (schema.maximum !== undefined) notes.push(`<= ${schema.maximum}`);
+  if (schema.minItems !== undefined && schema.minItems === schema.maxItems) {
+    notes.push(`exactly ${schema.minItems} items`);
+  } else {
+    if (schema.minItems !== undefined) notes.push(`min ${schema.minItems} items`);
+    if (schema.maxItems !== undefined) notes.push(`max ${schema.maxItems} items`);
+  }
+  if (schema.maxProperties !== undefined) notes.push(`max ${schema.maxProperties} keys`);
+  if (schema.maxBytes !== undefined) notes.push(`max ${schema.maxBytes} bytes`);
+  if (schema.type === 'object' && schema.additionalProperties === true) notes.push('free-form');
+  if (schema.description) notes.push(schema.description);
+
+  return notes.join('; ');
+}
+
+// Flattens nested object schemas into one row per field
+function describeFields(schema, prefix) {
+  const rows = [];
+  const required = new Set(schema.required || []);
+
+  Object.entries(schema.properties || {}).forEach(([key, field]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    rows.push({
+      path,
+      type: describeType(field),
+      required: required.has(key),
+      notes: describeConstraints(field)
+    });
+
+    if (field.type === 'object' && field.properties) {
+      rows.push(...describeFields(field, path));
+    } else if (field.type === 'array' && field.items?.type === 'object' && field.items.properties) {
+      rows.push(...describeFields(field.items, `${path}[]`));
+    }
+  });
+
+  return rows;
+}
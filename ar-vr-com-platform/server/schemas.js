@@ -0,0 +1,489 @@
+import { SchemaRegistry } from './schema-registry.js';
+
+/**
+ * Message Schemas for AR/VR Communication Platform
+ * One entry per inbound socket event and REST body; see schema-registry.js
+ * for the schema format. docs/schemas.md is generated from this file.
+ */
+
+// Shared building blocks
+const id = (description) => ({ type: 'string', minLength: 1, maxLength: 128, description });
+const vec3 = (description) => ({
+  type: 'array',
+  items: { type: 'number' },
+  minItems: 3,
+  maxItems: 3,
+  description
+});
+const freeForm = (description, maxProperties = 50) => ({
+  type: 'object',
+  additionalProperties: true,
+  maxProperties,
+  description
+});
+const empty = (description) => ({ type: 'object', properties: {}, optional: true, description });
+
+const ROLES = ['owner', 'moderator', 'presenter', 'guest'];
+
+const userProfile = {
+  type: 'object',
+  description: 'shown to other users; the ID always comes from the session token',
+  properties: {
+    name: { type: 'string', maxLength: 50 },
+    avatar: {
+      type: 'object',
+      properties: {
+        color: { type: 'string', maxLength: 16 },
+        shape: { type: 'string', maxLength: 32 },
+        model: { type: 'string', maxLength: 256 }
+      }
+    },
+    position: vec3(),
+    rotation: vec3(),
+    canForward: { type: 'boolean', description: 'able to relay media for the room in SFU mode' }
+  }
+};
+
+const roomSettings = {
+  type: 'object',
+  properties: {
+    spatialAudio: { type: 'boolean' },
+    handTracking: { type: 'boolean' },
+    objectCollision: { type: 'boolean' },
+    voiceChat: { type: 'boolean' },
+    textChat: { type: 'boolean' },
+    recordingSessions: { type: 'boolean' },
+    maxBitrate: { type: 'integer', minimum: 64000, maximum: 20000000 },
+    objectConflictPolicy: { type: 'string', enum: ['last-writer-wins', 'owner-wins'] },
+    mediaTopology: { type: 'string', enum: ['mesh', 'sfu', 'auto'] },
+    meshMaxUsers: { type: 'integer', minimum: 2, maximum: 11, description: 'auto switches to sfu above this; a mesh peer may hold at most 10 connections' }
+  }
+};
+
+const newRoom = {
+  name: { type: 'string', minLength: 1, maxLength: 50 },
+  isPrivate: { type: 'boolean' },
+  password: { type: 'string', maxLength: 128, description: 'empty means no password' },
+  isPersistent: { type: 'boolean' },
+  maxUsers: { type: 'integer', minimum: 1, maximum: 50 }
+};
+
+const sharedObject = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    id: id('client-proposed ID; the server may assign another'),
+    type: { type: 'string', minLength: 1, maxLength: 50, pattern: /^[\w-]+$/ },
+    position: vec3(),
+    rotation: vec3(),
+    scale: vec3(),
+    properties: freeForm('type-specific state')
+  }
+};
+
+const objectChanges = {
+  type: 'object',
+  properties: {
+    position: vec3(),
+    rotation: vec3(),
+    scale: vec3(),
+    properties: freeForm('replaces the object\'s properties; merged for notes')
+  }
+};
+
+const sessionDescription = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['offer', 'answer', 'pranswer', 'rollback'] },
+    sdp: { type: 'string', maxLength: 60000 }
+  }
+};
+
+const CONNECTION_STATES = ['new', 'connecting', 'connected', 'disconnected', 'failed', 'closed'];
+const ICE_CONNECTION_STATES = ['new', 'checking', 'connected', 'completed', 'disconnected', 'failed', 'closed'];
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+const counter = (description) => ({ type: 'integer', minimum: 0, description });
+
+const iceCandidate = {
+  type: 'object',
+  properties: {
+    candidate: { type: 'string', maxLength: 1024 },
+    sdpMLineIndex: { type: 'integer', minimum: 0, maximum: 255, nullable: true },
+    sdpMid: { type: 'string', maxLength: 64, nullable: true },
+    usernameFragment: { type: 'string', maxLength: 256, nullable: true }
+  }
+};
+
+export const EVENT_SCHEMAS = {
+  // Rooms
+  'join-room': {
+    type: 'object',
+    required: ['roomId'],
+    properties: {
+      roomId: id(),
+      user: userProfile,
+      password: { type: 'string', maxLength: 128 },
+      inviteToken: { type: 'string', maxLength: 1024 }
+    }
+  },
+  'leave-room': {
+    type: 'object',
+    optional: true,
+    properties: { roomId: id() }
+  },
+  'create-room': {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      ...newRoom,
+      template: { type: 'string', maxLength: 50 }
+    }
+  },
+  'create-invite': {
+    type: 'object',
+    optional: true,
+    properties: {
+      roomId: id(),
+      expiresIn: { type: 'integer', minimum: 60000, maximum: 7 * 24 * 60 * 60 * 1000, description: 'ms' }
+    }
+  },
+  'update-room-settings': {
+    type: 'object',
+    required: ['roomId', 'settings'],
+    properties: {
+      roomId: id(),
+      settings: roomSettings
+    }
+  },
+  'assign-role': {
+    type: 'object',
+    required: ['userId', 'role'],
+    properties: {
+      userId: id(),
+      role: { type: 'string', enum: ROLES }
+    }
+  },
+  'start-recording': empty(),
+  'stop-recording': empty(),
+  'update-clip-recording': {
+    type: 'object',
+    required: ['recording'],
+    properties: {
+      recording: { type: 'boolean', description: 'whether this user is recording a clip of their view' }
+    }
+  },
+  'resume-session': {
+    type: 'object',
+    required: ['resumeToken'],
+    properties: {
+      resumeToken: { type: 'string', minLength: 1, maxLength: 256 },
+      lastSequence: { type: 'integer', minimum: 0 }
+    }
+  },
+
+  // Moderation
+  'kick-user': {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: id(),
+      reason: { type: 'string', maxLength: 200 }
+    }
+  },
+  'ban-user': {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: id(),
+      reason: { type: 'string', maxLength: 200 }
+    }
+  },
+  'mute-user': {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: id(),
+      muted: { type: 'boolean' }
+    }
+  },
+  'mute-all': {
+    type: 'object',
+    optional: true,
+    properties: { muted: { type: 'boolean' } }
+  },
+  'lock-room': {
+    type: 'object',
+    optional: true,
+    properties: { locked: { type: 'boolean' } }
+  },
+
+  // Devices
+  'scan-devices': empty(),
+  'connect-device': {
+    type: 'object',
+    required: ['deviceId'],
+    properties: {
+      deviceId: id(),
+      protocol: { type: 'string', maxLength: 32 }
+    }
+  },
+  'device-command': {
+    type: 'object',
+    required: ['deviceId', 'command'],
+    properties: {
+      deviceId: id(),
+      command: { type: 'string', minLength: 1, maxLength: 64, pattern: /^[\w.:-]+$/ },
+      params: freeForm('command-specific parameters', 20)
+    }
+  },
+
+  // Poses and objects
+  'update-position': {
+    type: 'object',
+    required: ['position', 'rotation'],
+    properties: {
+      roomId: id(),
+      position: vec3('meters'),
+      rotation: vec3('radians')
+    }
+  },
+  'spawn-object': {
+    type: 'object',
+    required: ['object'],
+    properties: {
+      roomId: id(),
+      object: sharedObject
+    }
+  },
+  'update-object': {
+    type: 'object',
+    required: ['objectId', 'changes'],
+    properties: {
+      roomId: id(),
+      objectId: id(),
+      changes: objectChanges,
+      baseVersion: { type: 'integer', minimum: 0 }
+    }
+  },
+  'interact-object': {
+    type: 'object',
+    required: ['objectId'],
+    properties: {
+      roomId: id(),
+      objectId: id(),
+      interaction: freeForm('relayed to the room as-is', 20),
+      changes: objectChanges,
+      baseVersion: { type: 'integer', minimum: 0 }
+    }
+  },
+  'remove-object': {
+    type: 'object',
+    required: ['objectId'],
+    properties: {
+      roomId: id(),
+      objectId: id()
+    }
+  },
+  'request-lock': {
+    type: 'object',
+    required: ['objectId'],
+    properties: { objectId: id() }
+  },
+  'release-lock': {
+    type: 'object',
+    required: ['objectId'],
+    properties: { objectId: id() }
+  },
+
+  // Communication
+  'webrtc-signal': {
+    type: 'object',
+    required: ['type', 'target', 'signal'],
+    properties: {
+      type: { type: 'string', enum: ['offer', 'answer', 'ice-candidate'] },
+      target: id('recipient user ID'),
+      signal: {
+        type: 'object',
+        description: 'session description for offer/answer, candidate fields for ice-candidate',
+        properties: {
+          ...sessionDescription.properties,
+          ...iceCandidate.properties
+        }
+      }
+    }
+  },
+  'update-media-subscription': {
+    type: 'object',
+    required: ['connectionType'],
+    properties: {
+      connectionType: { type: 'string', enum: ['full', 'audio-only', 'data-only'] }
+    }
+  },
+  'report-connection-state': {
+    type: 'object',
+    required: ['peerId'],
+    properties: {
+      peerId: id('the other end of the connection'),
+      connectionState: { type: 'string', enum: CONNECTION_STATES },
+      iceConnectionState: { type: 'string', enum: ICE_CONNECTION_STATES }
+    }
+  },
+  'report-connection-stats': {
+    type: 'object',
+    required: ['reports'],
+    properties: {
+      reports: {
+        type: 'array',
+        maxItems: 50,
+        description: 'one per peer connection',
+        items: {
+          type: 'object',
+          required: ['peerId'],
+          properties: {
+            peerId: id('the other end of the connection'),
+            connectionState: { type: 'string', enum: CONNECTION_STATES },
+            iceConnectionState: { type: 'string', enum: ICE_CONNECTION_STATES },
+            rtt: { type: 'number', minimum: 0, maximum: 60000, description: 'ms' },
+            bytesSent: counter('cumulative'),
+            bytesReceived: counter('cumulative'),
+            packetsReceived: counter('cumulative, audio and video'),
+            packetsLost: counter('cumulative, audio and video'),
+            availableOutgoingBitrate: { type: 'number', minimum: 0, description: 'bps' },
+            targetBitrate: { type: 'number', minimum: 0, description: 'bps, from adaptive bitrate' },
+            localCandidateType: { type: 'string', enum: CANDIDATE_TYPES },
+            remoteCandidateType: { type: 'string', enum: CANDIDATE_TYPES },
+            dataChannels: {
+              type: 'array',
+              maxItems: 8,
+              items: {
+                type: 'object',
+                required: ['label'],
+                properties: {
+                  label: { type: 'string', minLength: 1, maxLength: 32 },
+                  state: { type: 'string', enum: ['connecting', 'open', 'closing', 'closed'] },
+                  ordered: { type: 'boolean' },
+                  maxRetransmits: { type: 'integer', minimum: 0, maximum: 65535 },
+                  messagesSent: counter(),
+                  messagesReceived: counter(),
+                  bytesSent: counter(),
+                  bytesReceived: counter()
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  'spatial-audio-update': {
+    type: 'object',
+    required: ['audioSettings'],
+    properties: {
+      roomId: id(),
+      audioSettings: {
+        type: 'object',
+        properties: {
+          position: vec3(),
+          orientation: vec3(),
+          volume: { type: 'number', minimum: 0, maximum: 10 },
+          spatialEnabled: { type: 'boolean' }
+        }
+      }
+    }
+  },
+  'broadcast-message': {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1, maxLength: 2000 },
+      type: { type: 'string', maxLength: 32 },
+      targets: { type: 'array', items: id(), maxItems: 50 }
+    }
+  },
+
+  // Text chat
+  'send-chat-message': {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      text: { type: 'string', minLength: 1, maxLength: 2000 },
+      to: id('user ID for a direct message; omit to send to the room'),
+      threadId: id('message ID to reply to in its thread'),
+      clientId: { type: 'string', maxLength: 64, description: 'echoed back so the sender can match its pending message' }
+    }
+  },
+  'edit-chat-message': {
+    type: 'object',
+    required: ['messageId', 'text'],
+    properties: {
+      messageId: id(),
+      text: { type: 'string', minLength: 1, maxLength: 2000 }
+    }
+  },
+  'delete-chat-message': {
+    type: 'object',
+    required: ['messageId'],
+    properties: {
+      messageId: id()
+    }
+  },
+  'load-chat-history': {
+    type: 'object',
+    optional: true,
+    properties: {
+      before: id('message ID to page back from'),
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      threadId: id('load the replies of this thread instead of the main timeline')
+    }
+  },
+
+  // Wire format
+  'negotiate-wire-format': {
+    type: 'object',
+    required: ['formats'],
+    properties: {
+      formats: { type: 'array', items: { type: 'string', maxLength: 16 }, maxItems: 8 }
+    }
+  },
+  bin: { type: 'binary', maxBytes: 4096, description: 'Encoded with client/js/wire-format.js. The decoded message is validated against its own event schema.' }
+};
+
+export const ROUTE_SCHEMAS = {
+  'POST /api/auth/token': {
+    type: 'object',
+    optional: true,
+    properties: {
+      name: { type: 'string', maxLength: 50 }
+    }
+  },
+  'POST /api/rooms': {
+    type: 'object',
+    required: ['name'],
+    properties: newRoom
+  },
+  'POST /api/webrtc/signal': {
+    type: 'object',
+    required: ['roomId', 'type', 'target', 'signal'],
+    properties: {
+      roomId: id(),
+      ...EVENT_SCHEMAS['webrtc-signal'].properties
+    }
+  },
+  'POST /api/devices/:deviceId/command': {
+    type: 'object',
+    required: ['command'],
+    properties: {
+      command: EVENT_SCHEMAS['device-command'].properties.command,
+      params: EVENT_SCHEMAS['device-command'].properties.params
+    }
+  }
+};
+
+export function createSchemaRegistry(options = {}) {
+  const registry = new SchemaRegistry(options);
+
+  Object.entries(EVENT_SCHEMAS).forEach(([event, schema]) => registry.registerEvent(event, schema));
+  Object.entries(ROUTE_SCHEMAS).forEach(([route, schema]) => registry.registerRoute(route, schema));
+
+  return registry;
+}
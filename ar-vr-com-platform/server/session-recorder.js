@@ -0,0 +1,275 @@
+import { createReadStream, createWriteStream, promises as fs } from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+// Recording IDs end up in file paths; anything else is rejected before touching the disk
+const RECORDING_ID = /^rec_[0-9a-f-]{36}$/;
+
+// Media plumbing and the recorder's own notices carry nothing worth replaying
+const DEFAULT_EXCLUDED_EVENTS = ['media-topology', 'spatial-audio-update', 'recording-started', 'recording-stopped'];
+
+/**
+ * Session Recorder for AR/VR Communication Platform
+ * Writes the ordered stream of a room's events to an append-only log per
+ * recording, one JSON document per line:
+ *   { type: 'start', recording, snapshot }   room state when recording began
+ *   { type: 'event', t, event, data }        t is ms since the start
+ *   { type: 'end', endedAt, reason, eventCount }
+ * A `<id>.json` file next to each log holds the recording's metadata.
+ */
+export class SessionRecorder {
+  constructor(options = {}) {
+    this.directory = options.directory || path.resolve('data/recordings');
+
+    this.config = {
+      // A recording stops itself after this many events
+      maxEvents: options.maxEvents || 500000,
+      // Finished recordings older than this are deleted by prune(); 0 keeps them forever
+      retention: Number.isFinite(options.retention) ? options.retention : 30 * 24 * 60 * 60 * 1000,
+      excludedEvents: new Set(options.excludedEvents || DEFAULT_EXCLUDED_EVENTS)
+    };
+
+    // roomId -> { meta, stream, startedAt }
+    this.active = new Map();
+
+    // (roomId, recording) => void; called when a recording stops on its own (limit or write error)
+    this.onStop = null;
+
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Recordings cut off by a crash never got their end line; mark them as such
+    for (const meta of await this.readAllMeta()) {
+      if (meta.status === 'recording') {
+        await this.writeMeta({ ...meta, status: 'interrupted' });
+      }
+    }
+
+    console.log(`🎞️ Session recordings stored in ${this.directory}`);
+  }
+
+  isRecording(roomId) {
+    return this.active.has(roomId);
+  }
+
+  getActiveRecording(roomId) {
+    const recording = this.active.get(roomId);
+    return recording ? { ...recording.meta } : null;
+  }
+
+  startRecording(room, snapshot, { startedBy = null, reason = 'manual' } = {}) {
+    if (this.active.has(room.id)) {
+      throw new Error(`Room ${room.id} is already being recorded`);
+    }
+
+    const id = `rec_${uuidv4()}`;
+    const meta = {
+      id,
+      roomId: room.id,
+      roomName: room.name,
+      roomCreatedBy: room.createdBy || null,
+      startedBy,
+      startReason: reason,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      endReason: null,
+      eventCount: 0,
+      status: 'recording'
+    };
+
+    const stream = createWriteStream(this.getLogPath(id), { flags: 'a' });
+    const recording = { meta, stream, startedAt: Date.now() };
+
+    stream.on('error', (error) => {
+      console.error(`Error writing recording ${id}:`, error);
+      if (this.active.get(room.id) === recording) {
+        this.finish(room.id, 'write-error', 'failed');
+      }
+    });
+
+    this.active.set(room.id, recording);
+    stream.write(JSON.stringify({ type: 'start', recording: meta, snapshot }) + '\n');
+    this.writeMeta(meta);
+
+    return { ...meta };
+  }
+
+  record(roomId, event, data) {
+    const recording = this.active.get(roomId);
+    if (!recording || this.config.excludedEvents.has(event)) return;
+
+    recording.stream.write(JSON.stringify({
+      type: 'event',
+      t: Date.now() - recording.startedAt,
+      event,
+      data
+    }) + '\n');
+
+    recording.meta.eventCount++;
+
+    if (recording.meta.eventCount >= this.config.maxEvents) {
+      this.finish(roomId, 'limit');
+    }
+  }
+
+  stopRecording(roomId, reason = 'manual') {
+    if (!this.active.has(roomId)) return null;
+    return this.finish(roomId, reason, 'complete', false);
+  }
+
+  finish(roomId, reason, status = 'complete', notify = true) {
+    const recording = this.active.get(roomId);
+    this.active.delete(roomId);
+
+    const meta = recording.meta;
+    meta.endedAt = new Date().toISOString();
+    meta.endReason = reason;
+    meta.status = status;
+
+    if (!recording.stream.destroyed) {
+      recording.stream.end(JSON.stringify({
+        type: 'end',
+        endedAt: meta.endedAt,
+        reason,
+        eventCount: meta.eventCount
+      }) + '\n');
+    }
+
+    this.writeMeta(meta);
+
+    console.log(`⏹️ Recording ${meta.id} of room ${roomId} stopped (${reason}, ${meta.eventCount} events)`);
+
+    if (notify) {
+      this.onStop?.(roomId, { ...meta });
+    }
+
+    return { ...meta };
+  }
+
+  // Newest first
+  async listRecordings(roomId) {
+    // The running recording's event count on disk lags behind; use the live one
+    const active = this.getActiveRecording(roomId);
+
+    return (await this.readAllMeta())
+      .filter(meta => meta.roomId === roomId)
+      .map(meta => meta.id === active?.id ? active : meta)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  async getRecording(recordingId) {
+    if (!RECORDING_ID.test(recordingId || '')) return null;
+
+    for (const { meta } of this.active.values()) {
+      if (meta.id === recordingId) return { ...meta };
+    }
+
+    await this.pendingWrite;
+
+    try {
+      return JSON.parse(await fs.readFile(this.getMetaPath(recordingId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // The log as written so far; a running recording is read up to its current end
+  createReadStream(recordingId) {
+    if (!RECORDING_ID.test(recordingId || '')) {
+      throw new Error('Invalid recording ID');
+    }
+
+    return createReadStream(this.getLogPath(recordingId), { encoding: 'utf8' });
+  }
+
+  async prune() {
+    if (!this.config.retention) return 0;
+
+    const cutoff = Date.now() - this.config.retention;
+    let removed = 0;
+
+    for (const meta of await this.readAllMeta()) {
+      if (!meta.endedAt && meta.status !== 'interrupted') continue;
+      if (new Date(meta.endedAt || meta.startedAt).getTime() >= cutoff) continue;
+
+      await fs.rm(this.getLogPath(meta.id), { force: true });
+      await fs.rm(this.getMetaPath(meta.id), { force: true });
+      removed++;
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired session recording(s)`);
+    }
+
+    return removed;
+  }
+
+  async close() {
+    const streams = Array.from(this.active.values()).map(recording => recording.stream);
+
+    Array.from(this.active.keys()).forEach(roomId => this.finish(roomId, 'shutdown', 'complete', false));
+
+    await Promise.all(streams.map(stream => new Promise(resolve => {
+      if (stream.writableFinished || stream.destroyed) {
+        resolve();
+      } else {
+        stream.once('finish', resolve);
+        stream.once('error', resolve);
+      }
+    })));
+
+    await this.pendingWrite;
+  }
+
+  getLogPath(recordingId) {
+    return path.join(this.directory, `${recordingId}.ndjson`);
+  }
+
+  getMetaPath(recordingId) {
+    return path.join(this.directory, `${recordingId}.json`);
+  }
+
+  async readAllMeta() {
+    // Metadata still being written would otherwise be missed or read half-finished
+    await this.pendingWrite;
+
+    const files = await fs.readdir(this.directory).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    const recordings = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json') || !RECORDING_ID.test(file.slice(0, -5))) continue;
+
+      try {
+        recordings.push(JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8')));
+      } catch (error) {
+        console.error(`Skipping unreadable recording metadata ${file}:`, error.message);
+      }
+    }
+
+    return recordings;
+  }
+
+  writeMeta(meta) {
+    const contents = JSON.stringify(meta, null, 2);
+
+    // Chain writes so a recording's start and end metadata never race on the temp file
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      const filePath = this.getMetaPath(meta.id);
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, contents, 'utf8');
+      await fs.rename(tempPath, filePath);
+    }).catch(error => {
+      console.error(`Error saving recording metadata ${meta.id}:`, error);
+    });
+
+    return this.pendingWrite;
+  }
+}
@@ -1,67 +1,175 @@
+import { randomBytes } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { PoseStream } from './pose-stream.js';
+import { ChatService } from './chat-service.js';
+import { RateLimiter } from './rate-limiter.js';
+import { createSchemaRegistry } from './schemas.js';
+import { WIRE_FORMATS, BINARY_EVENT, NetIdRegistry, encodeMessage, decodeMessage } from '../client/js/wire-format.js';
 
 /**
  * WebSocket Server for AR/VR Communication Platform
  * Handles real-time communication between clients
  */
 export class WebSocketServer {
-  constructor(io, roomManager, peerManager) {
+  constructor(io, roomManager, peerManager, options = {}) {
     this.io = io;
     this.roomManager = roomManager;
     this.peerManager = peerManager;
     
+    // Configuration
+    this.config = {
+      // When false, joining an unknown room ID is rejected instead of creating it
+      autoCreateRooms: options.autoCreateRooms || false,
+      // Clients may negotiate the compact binary format for high-frequency messages
+      binaryWireFormat: options.binaryWireFormat !== false,
+      // How long a dropped user's slot is held for a session resume (0 disables resume)
+      resumeGracePeriod: Number.isFinite(options.resumeGracePeriod) ? options.resumeGracePeriod : 30000
+    };
+    
+    // Avatar poses are batched per room instead of relayed one by one
+    this.poseStream = new PoseStream((roomId, event, data) => this.broadcastToRoom(roomId, event, data), {
+      tickRate: options.poseTickRate
+    });
+    
+    // Text chat history, direct messages, threads and mentions
+    this.chat = new ChatService(this.roomManager, {
+      maxHistory: options.chatHistorySize
+    });
+    
+    // Token buckets per socket and event; shared with the Express routes when passed in
+    this.rateLimiter = options.rateLimiter || new RateLimiter({ eventLimits: options.rateLimits });
+    
+    // Every inbound event is checked against its schema before a handler runs
+    this.schemas = options.schemas || createSchemaRegistry();
+    
+    // socketId -> negotiated wire format; sockets that never negotiate get JSON
+    this.wireFormats = new Map();
+    
+    // resumeToken -> { token, userId, roomId, user, disconnectedAt, timer }
+    this.resumeSessions = new Map();
+    
+    // roomId -> Map(userId -> startedAt); users recording a clip of their own view
+    this.clipRecordings = new Map();
+    
     // Connected clients tracking
     this.connectedClients = new Map();
     this.userSessions = new Map();
     
+    // Signals are pushed over the recipient's socket, and queued for polling when it has none
+    this.peerManager.signalTransport = (userId, message) => this.sendSignalToSocket(userId, message);
+    
+    // Optional SessionRecorder; without one, rooms can't be recorded
+    this.sessionRecorder = options.sessionRecorder || null;
+    if (this.sessionRecorder) {
+      // Recordings that hit their event limit or a write error end without a stop request
+      this.sessionRecorder.onStop = (roomId, recording) => {
+        this.broadcastToRoom(roomId, 'recording-stopped', { recording, timestamp: new Date().toISOString() });
+      };
+    }
+    
+    // Optional ClusterNode; when set, rooms can span several server processes
+    this.cluster = options.cluster || null;
+    if (this.cluster) {
+      this.attachCluster();
+    }
+    
     console.log('🌐 WebSocket Server initialized');
   }
 
   // Room Management Handlers
-  handleJoinRoom(socket, data) {
+  async handleJoinRoom(socket, data) {
     try {
-      const { roomId, user } = data;
+      const { roomId, password, inviteToken } = data || {};
+      
+      if (!roomId) {
+        this.rejectJoin(socket, roomId, 'INVALID_REQUEST', 'roomId is required');
+        return;
+      }
+      
+      // The ID comes from the verified session token; the client only supplies its profile
+      const user = this.buildUserProfile(socket, data.user);
+      if (!user) {
+        this.rejectJoin(socket, roomId, 'AUTH_REQUIRED', 'Authentication required');
+        return;
+      }
       
       console.log(`User ${user.id} attempting to join room ${roomId}`);
       
-      // Get or create room
       let room = this.roomManager.getRoom(roomId);
+      
+      // Another node may already host this room; pick up its current state first
+      if (this.cluster && !this.cluster.isTrackingRoom(roomId)) {
+        room = await this.syncRoomFromCluster(roomId) || room;
+        if (socket.disconnected) return;
+      }
+      
       if (!room) {
-        // Create room if it doesn't exist
+        if (!this.config.autoCreateRooms) {
+          this.rejectJoin(socket, roomId, 'ROOM_NOT_FOUND', 'Room not found');
+          return;
+        }
+        
+        // Auto-created rooms are always public; private rooms must be created explicitly
         room = this.roomManager.createRoom({
           id: roomId,
           name: `Room ${roomId}`,
           isPrivate: false,
-          maxUsers: 50
+          maxUsers: 50,
+          createdBy: user.id
         });
       }
       
+      // Verify password or invite for private rooms
+      const access = this.roomManager.checkRoomAccess(room, user, { password, inviteToken });
+      if (!access.allowed) {
+        console.log(`🔒 User ${user.id} denied access to room ${roomId}: ${access.code}`);
+        this.rejectJoin(socket, roomId, access.code, access.error);
+        return;
+      }
+      
       // Check room capacity
       if (room.users.length >= room.maxUsers) {
-        socket.emit('join-room-error', {
-          error: 'Room is full',
-          roomId
-        });
+        this.rejectJoin(socket, roomId, 'ROOM_FULL', 'Room is full');
+        return;
+      }
+      
+      // A fresh join replaces a slot that is only being held for a resume
+      const heldSession = this.findResumeSession(user.id, roomId);
+      if (heldSession?.disconnectedAt) {
+        this.expireResumeSession(heldSession.token);
+      }
+      
+      // Same for a slot held on another node: that node drops it once it sees this join
+      const mirrored = room.users.find(u => u.id === user.id && u.nodeId);
+      if (mirrored?.connectionState === 'reconnecting') {
+        this.roomManager.removeUserFromRoom(roomId, user.id);
+      }
+      
+      if (room.users.some(u => u.id === user.id)) {
+        this.rejectJoin(socket, roomId, 'ALREADY_IN_ROOM', 'User already in room');
         return;
       }
       
       // Add user to room
-      const userInRoom = {
+      const userInRoom = this.roomManager.addUserToRoom(roomId, {
         ...user,
-        socketId: socket.id,
-        joinedAt: new Date().toISOString(),
-        isActive: true
-      };
-      
-      room.users.push(userInRoom);
+        socketId: socket.id
+      });
       
       // Join socket room
       socket.join(roomId);
       
+      if (this.cluster) {
+        this.cluster.addLocalUser(roomId, user.id).catch(error => {
+          console.error('Error registering user with cluster:', error);
+        });
+      }
+      
       // Store user session
       this.userSessions.set(socket.id, {
         userId: user.id,
         roomId: roomId,
+        socketId: socket.id,
         user: userInRoom
       });
       
@@ -70,29 +178,70 @@ export class WebSocketServer {
         room: {
           id: room.id,
           name: room.name,
+          isPrivate: room.isPrivate,
+          isLocked: room.isLocked,
           users: room.users,
           objects: room.objects || [],
-          environment: room.environment || {}
-        }
+          locks: this.roomManager.getRoomLocks(roomId),
+          environment: room.environment || {},
+          settings: room.settings || {},
+          sequence: room.sequence,
+          mediaTopology: this.peerManager.planRoomTopology(room)
+        },
+        recording: this.sessionRecorder?.getActiveRecording(roomId) || null,
+        clipRecordings: this.getClipRecordings(roomId),
+        chat: this.chat.getHistory(roomId, user.id),
+        resumeToken: this.issueResumeToken(user.id, roomId, userInRoom)
       });
       
       // Notify other users in room
-      socket.to(roomId).emit('user-joined', {
+      this.broadcastToRoom(roomId, 'user-joined', {
         user: userInRoom,
-        roomId
-      });
+        roomId,
+        sequence: room.sequence
+      }, socket.id);
+      
+      // Rooms with recordingSessions on start a recording when the first user arrives
+      if (room.users.length === 1 && room.settings?.recordingSessions &&
+          this.sessionRecorder && !this.sessionRecorder.isRecording(roomId)) {
+        this.startSessionRecording(roomId, null, 'auto');
+      }
+      
+      this.updateMediaTopology(roomId);
       
       console.log(`✅ User ${user.id} joined room ${roomId}`);
       
     } catch (error) {
       console.error('Error joining room:', error);
-      socket.emit('join-room-error', {
-        error: error.message,
-        roomId: data.roomId
-      });
+      this.rejectJoin(socket, data?.roomId, 'JOIN_FAILED', error.message);
     }
   }
 
+  buildUserProfile(socket, profile = {}) {
+    const identity = socket.data?.user;
+    if (!identity) return null;
+    
+    // Whitelisted so clients can't smuggle in role, permissions or cluster fields
+    return {
+      id: identity.id,
+      name: typeof profile?.name === 'string' && profile.name.trim()
+        ? profile.name.trim().slice(0, 50)
+        : identity.name,
+      avatar: profile?.avatar,
+      position: profile?.position,
+      rotation: profile?.rotation,
+      canForward: profile?.canForward === true
+    };
+  }
+
+  rejectJoin(socket, roomId, code, error) {
+    socket.emit('join-room-error', {
+      error,
+      code,
+      roomId
+    });
+  }
+
   handleLeaveRoom(socket, data) {
     try {
       const session = this.userSessions.get(socket.id);
@@ -100,16 +249,12 @@ export class WebSocketServer {
       
       const { roomId, userId } = session;
       
+      this.releaseUserLocks(roomId, userId, 'left');
+      this.poseStream.removeUser(roomId, userId);
+      this.revokeResumeSession(userId, roomId);
+      
       // Remove user from room
-      const room = this.roomManager.getRoom(roomId);
-      if (room) {
-        room.users = room.users.filter(u => u.id !== userId);
-        
-        // Clean up room if empty
-        if (room.users.length === 0 && !room.isPersistent) {
-          this.roomManager.removeRoom(roomId);
-        }
-      }
+      const sequence = this.removeUserSlot(roomId, userId);
       
       // Leave socket room
       socket.leave(roomId);
@@ -118,10 +263,13 @@ export class WebSocketServer {
       this.userSessions.delete(socket.id);
       
       // Notify other users
-      socket.to(roomId).emit('user-left', {
+      this.broadcastToRoom(roomId, 'user-left', {
         user: session.user,
-        roomId
-      });
+        roomId,
+        sequence
+      }, socket.id);
+      
+      this.updateMediaTopology(roomId);
       
       // Confirm to user
       socket.emit('room-left', { roomId });
@@ -135,17 +283,28 @@ export class WebSocketServer {
 
   handleCreateRoom(socket, data) {
     try {
-      const { name, isPrivate, maxUsers, creator } = data;
+      const { name, isPrivate, password, isPersistent, maxUsers, template } = data;
+      const creator = socket.data?.user;
+      
+      if (!creator) {
+        socket.emit('create-room-error', { error: 'Authentication required', code: 'AUTH_REQUIRED' });
+        return;
+      }
       
       const room = this.roomManager.createRoom({
         name,
         isPrivate: isPrivate || false,
+        password,
+        isPersistent: isPersistent || false,
         maxUsers: maxUsers || 50,
+        template,
         createdBy: creator.id,
         createdAt: new Date().toISOString()
       });
       
-      socket.emit('room-created', { room });
+      this.claimClusterRoom(room.id);
+      
+      socket.emit('room-created', { room: this.roomManager.sanitizeRoom(room) });
       
       console.log(`🏠 Room created: ${room.id} by ${creator.id}`);
       
@@ -157,6 +316,327 @@ export class WebSocketServer {
     }
   }
 
+  handleCreateInvite(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      const roomId = data?.roomId || session.roomId;
+      const room = this.roomManager.getRoom(roomId);
+      
+      if (!room || roomId !== session.roomId) {
+        socket.emit('invite-error', { error: 'Room not found', code: 'ROOM_NOT_FOUND', roomId });
+        return;
+      }
+      
+      if (!this.checkPermission(socket, session, 'canInviteUsers', 'create-invite')) {
+        return;
+      }
+      
+      const invite = this.roomManager.createInvite(roomId, session.userId, data?.expiresIn);
+      
+      socket.emit('invite-created', invite);
+      
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      socket.emit('invite-error', {
+        error: error.message,
+        code: 'INVITE_FAILED',
+        roomId: data?.roomId
+      });
+    }
+  }
+
+  handleAssignRole(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canAssignRoles', 'assign-role')) {
+        return;
+      }
+      
+      const { userId, role } = data;
+      
+      if (!this.isUserInRoom(userId, session.roomId)) {
+        socket.emit('assign-role-error', {
+          error: 'User not in room',
+          code: 'USER_NOT_FOUND',
+          userId
+        });
+        return;
+      }
+      
+      const result = this.roomManager.setUserRole(session.roomId, userId, role);
+      
+      // Broadcast the new role to everyone in the room
+      this.broadcastToRoom(session.roomId, 'user-role-updated', {
+        ...result,
+        assignedBy: session.userId,
+        timestamp: new Date().toISOString()
+      });
+      
+      // A clip started under the old role ends with it
+      if (!result.permissions.canRecordSessions) {
+        this.stopClipRecording(session.roomId, userId, 'permission-revoked');
+      }
+      
+    } catch (error) {
+      console.error('Error assigning role:', error);
+      socket.emit('assign-role-error', {
+        error: error.message,
+        code: 'ASSIGN_ROLE_FAILED',
+        userId: data?.userId
+      });
+    }
+  }
+
+  // Moderation Handlers
+  handleKickUser(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canKickUsers', 'kick-user')) {
+        return;
+      }
+      
+      const { userId, reason } = data;
+      if (!this.canModerateUser(socket, session, userId, 'kick-user')) {
+        return;
+      }
+      
+      this.removeUserForModeration(userId, session.roomId, {
+        reason,
+        by: session.userId,
+        banned: false
+      });
+      
+      this.broadcastToRoom(session.roomId, 'user-kicked', {
+        userId,
+        by: session.userId,
+        reason: reason || null,
+        timestamp: new Date().toISOString()
+      });
+      
+      console.log(`👢 User ${userId} kicked from room ${session.roomId} by ${session.userId}`);
+      
+    } catch (error) {
+      console.error('Error kicking user:', error);
+      this.emitModerationError(socket, 'kick-user', error, data);
+    }
+  }
+
+  handleBanUser(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canKickUsers', 'ban-user')) {
+        return;
+      }
+      
+      const { userId, reason } = data;
+      
+      // Banning does not require the target to be present, but still respects rank
+      const room = this.roomManager.getRoom(session.roomId);
+      if (!userId || userId === session.userId || !this.roomManager.outranks(room, session.userId, userId)) {
+        this.emitModerationError(socket, 'ban-user', new Error('Cannot ban this user'), data, 'CANNOT_MODERATE');
+        return;
+      }
+      
+      this.roomManager.banUser(session.roomId, userId);
+      
+      if (this.isUserInRoom(userId, session.roomId)) {
+        this.removeUserForModeration(userId, session.roomId, {
+          reason,
+          by: session.userId,
+          banned: true
+        });
+      }
+      
+      this.broadcastToRoom(session.roomId, 'user-banned', {
+        userId,
+        by: session.userId,
+        reason: reason || null,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error banning user:', error);
+      this.emitModerationError(socket, 'ban-user', error, data);
+    }
+  }
+
+  handleMuteUser(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canMuteUsers', 'mute-user')) {
+        return;
+      }
+      
+      const { userId, muted = true } = data;
+      if (!this.canModerateUser(socket, session, userId, 'mute-user')) {
+        return;
+      }
+      
+      this.applyForcedMute(session.roomId, userId, muted, session.userId);
+      
+    } catch (error) {
+      console.error('Error muting user:', error);
+      this.emitModerationError(socket, 'mute-user', error, data);
+    }
+  }
+
+  handleMuteAll(socket, data = {}) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canMuteUsers', 'mute-all')) {
+        return;
+      }
+      
+      const { muted = true } = data;
+      const room = this.roomManager.getRoom(session.roomId);
+      if (!room) return;
+      
+      // Everyone the moderator outranks is muted; peers and superiors are left alone
+      const targets = room.users.filter(user =>
+        user.id !== session.userId && this.roomManager.outranks(room, session.userId, user.id)
+      );
+      
+      targets.forEach(user => {
+        this.applyForcedMute(session.roomId, user.id, muted, session.userId);
+      });
+      
+      console.log(`🔇 ${targets.length} users ${muted ? 'muted' : 'unmuted'} in room ${session.roomId}`);
+      
+    } catch (error) {
+      console.error('Error muting all users:', error);
+      this.emitModerationError(socket, 'mute-all', error, data);
+    }
+  }
+
+  handleLockRoom(socket, data = {}) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canModifyRoom', 'lock-room')) {
+        return;
+      }
+      
+      const isLocked = this.roomManager.setRoomLocked(session.roomId, data.locked !== false);
+      
+      this.broadcastToRoom(session.roomId, 'room-lock-updated', {
+        roomId: session.roomId,
+        isLocked,
+        by: session.userId,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error locking room:', error);
+      this.emitModerationError(socket, 'lock-room', error, data);
+    }
+  }
+
+  canModerateUser(socket, session, userId, event) {
+    const room = this.roomManager.getRoom(session.roomId);
+    
+    if (!room || !userId || !this.isUserInRoom(userId, session.roomId)) {
+      this.emitModerationError(socket, event, new Error('User not in room'), { userId }, 'USER_NOT_FOUND');
+      return false;
+    }
+    
+    if (userId === session.userId || !this.roomManager.outranks(room, session.userId, userId)) {
+      this.emitModerationError(socket, event, new Error('Cannot moderate this user'), { userId }, 'CANNOT_MODERATE');
+      return false;
+    }
+    
+    return true;
+  }
+
+  applyForcedMute(roomId, userId, muted, by) {
+    this.roomManager.setUserMuted(roomId, userId, muted);
+    
+    this.emitToUser(userId, 'force-muted', {
+      roomId,
+      muted,
+      by
+    });
+    
+    this.broadcastToRoom(roomId, 'user-muted', {
+      userId,
+      muted,
+      by,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  removeUserForModeration(userId, roomId, details) {
+    const entry = this.getUserSessionEntry(userId, roomId);
+    const targetSocket = entry && this.io.sockets.sockets.get(entry.socketId);
+    
+    if (targetSocket) {
+      targetSocket.emit('kicked', {
+        roomId,
+        reason: details.reason || null,
+        by: details.by,
+        banned: details.banned
+      });
+      
+      this.handleLeaveRoom(targetSocket);
+    } else {
+      const user = this.roomManager.getRoom(roomId)?.users.find(u => u.id === userId);
+      
+      // Users on another node are removed there when it sees user-kicked / user-banned
+      if (user?.nodeId) return;
+      
+      // Stale user without a live socket (e.g. held for a resume)
+      this.revokeResumeSession(userId, roomId);
+      const sequence = this.removeUserSlot(roomId, userId);
+      this.broadcastToRoom(roomId, 'user-left', {
+        user: user || { id: userId },
+        roomId,
+        reason: details.banned ? 'banned' : 'kicked',
+        sequence
+      });
+      
+      this.updateMediaTopology(roomId);
+    }
+  }
+
+  emitModerationError(socket, event, error, data, code = 'MODERATION_FAILED') {
+    socket.emit('moderation-error', {
+      event,
+      error: error.message,
+      code,
+      userId: data?.userId
+    });
+  }
+
+  // Permission Checks
+  checkPermission(socket, session, permission, event) {
+    if (this.roomManager.hasPermission(session.roomId, session.userId, permission)) {
+      return true;
+    }
+    
+    console.log(`🚫 ${session.userId} denied ${event} in room ${session.roomId} (missing ${permission})`);
+    
+    socket.emit('permission-denied', {
+      event,
+      permission,
+      code: 'PERMISSION_DENIED',
+      roomId: session.roomId
+    });
+    
+    return false;
+  }
+
   // Device Management Handlers
   handleScanDevices(socket) {
     try {
@@ -229,8 +709,25 @@ export class WebSocketServer {
     try {
       const { deviceId, command, params } = data;
       
+      // Inside a room, controlling devices is a room permission
+      const session = this.userSessions.get(socket.id);
+      if (session && !this.checkPermission(socket, session, 'canControlDevices', 'device-command')) {
+        return;
+      }
+      
       console.log(`📱 Device command: ${command} to ${deviceId}`);
       
+      // Commands go to the device, not the room, so they only reach a recording from here
+      if (session) {
+        this.sessionRecorder?.record(session.roomId, 'device-command', {
+          userId: session.userId,
+          deviceId,
+          command,
+          params,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       // Mock command execution
       socket.emit('device-command-result', {
         deviceId,
@@ -255,34 +752,101 @@ export class WebSocketServer {
       const session = this.userSessions.get(socket.id);
       if (!session) return;
       
-      const { roomId, object } = data;
+      if (!this.checkPermission(socket, session, 'canSpawnObjects', 'spawn-object')) {
+        return;
+      }
+      
+      const { object } = data;
+      const roomId = session.roomId;
+      
+      if (!object || !object.type) {
+        this.emitObjectError(socket, 'spawn-object', 'INVALID_OBJECT', 'Object type is required', object?.id);
+        return;
+      }
       
-      // Add object to room
       const room = this.roomManager.getRoom(roomId);
-      if (room) {
-        if (!room.objects) room.objects = [];
-        
-        const objectWithMeta = {
-          ...object,
-          id: object.id || uuidv4(),
-          createdBy: session.userId,
-          createdAt: new Date().toISOString(),
-          roomId
-        };
-        
-        room.objects.push(objectWithMeta);
-        
-        // Broadcast to all users in room
-        this.io.to(roomId).emit('object-spawned', {
-          object: objectWithMeta,
-          roomId
-        });
-        
-        console.log(`📦 Object spawned in room ${roomId}:`, objectWithMeta.type);
+      if (room && room.objects.length >= this.roomManager.config.maxObjectsPerRoom) {
+        this.emitObjectError(socket, 'spawn-object', 'OBJECT_LIMIT', 'Room object limit reached', object.id);
+        return;
       }
       
+      // RoomManager assigns the authoritative id, version and timestamps
+      const objectWithMeta = this.roomManager.addObjectToRoom(roomId, {
+        ...object,
+        createdBy: session.userId
+      });
+      
+      // Broadcast to all users in room, including the spawner, so everyone holds the server copy
+      this.broadcastToRoom(roomId, 'object-spawned', {
+        object: objectWithMeta,
+        roomId,
+        sequence: objectWithMeta.seq
+      });
+      
+      console.log(`📦 Object spawned in room ${roomId}:`, objectWithMeta.type);
+      
     } catch (error) {
       console.error('Error spawning object:', error);
+      this.emitObjectError(socket, 'spawn-object', 'SPAWN_FAILED', error.message, data?.object?.id);
+    }
+  }
+
+  handleUpdateObject(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canInteractObjects', 'update-object')) {
+        return;
+      }
+      
+      this.applyObjectChanges(socket, session, data);
+      
+    } catch (error) {
+      console.error('Error updating object:', error);
+      this.emitObjectError(socket, 'update-object', 'UPDATE_FAILED', error.message, data?.objectId);
+    }
+  }
+
+  handleRemoveObject(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      const { objectId } = data;
+      const room = this.roomManager.getRoom(session.roomId);
+      const object = room?.objects.find(obj => obj.id === objectId);
+      
+      if (!object) {
+        this.emitObjectError(socket, 'remove-object', 'OBJECT_NOT_FOUND', 'Object not found', objectId);
+        return;
+      }
+      
+      const lock = this.roomManager.getObjectLock(session.roomId, objectId);
+      if (lock && lock.userId !== session.userId) {
+        this.emitObjectError(socket, 'remove-object', 'OBJECT_LOCKED', 'Object is locked by another user', objectId);
+        return;
+      }
+      
+      // Creators may always remove their own objects
+      if (object.createdBy !== session.userId &&
+          !this.checkPermission(socket, session, 'canDeleteObjects', 'remove-object')) {
+        return;
+      }
+      
+      this.roomManager.removeObjectFromRoom(session.roomId, objectId);
+      
+      this.broadcastToRoom(session.roomId, 'object-removed', {
+        objectId,
+        roomId: session.roomId,
+        removedBy: session.userId,
+        sequence: this.roomManager.getRoom(session.roomId)?.sequence,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error removing object:', error);
+      this.emitObjectError(socket, 'remove-object', 'REMOVE_FAILED', error.message, data?.objectId);
     }
   }
 
@@ -291,15 +855,27 @@ export class WebSocketServer {
       const session = this.userSessions.get(socket.id);
       if (!session) return;
       
-      const { roomId, objectId, interaction } = data;
+      if (!this.checkPermission(socket, session, 'canInteractObjects', 'interact-object')) {
+        return;
+      }
+      
+      const { objectId, interaction, changes } = data;
+      const roomId = session.roomId;
+      
+      // Interactions that change state go through the same versioned path as update-object
+      if (changes && !this.applyObjectChanges(socket, session, data)) {
+        return;
+      }
+      
+      this.roomManager.recordObjectInteraction(roomId, objectId);
       
       // Broadcast interaction to room (except sender)
-      socket.to(roomId).emit('object-interaction', {
+      this.broadcastToRoom(roomId, 'object-interaction', {
         objectId,
         interaction,
         userId: session.userId,
         timestamp: new Date().toISOString()
-      });
+      }, socket.id);
       
       console.log(`🤏 Object interaction in room ${roomId}:`, objectId);
       
@@ -308,16 +884,144 @@ export class WebSocketServer {
     }
   }
 
+  applyObjectChanges(socket, session, data) {
+    const { objectId, changes, baseVersion } = data;
+    
+    const result = this.roomManager.applyObjectUpdate(session.roomId, objectId, changes, {
+      userId: session.userId,
+      baseVersion
+    });
+    
+    if (!result.applied) {
+      // Hand back the authoritative copy so the client can roll back and retry
+      socket.emit('object-update-rejected', {
+        objectId,
+        code: result.code,
+        error: result.error,
+        baseVersion,
+        object: result.object
+      });
+      return false;
+    }
+    
+    // Moving a held object keeps its lock alive
+    if (this.roomManager.getObjectLock(session.roomId, objectId)?.userId === session.userId) {
+      this.roomManager.acquireObjectLock(session.roomId, objectId, session.userId);
+    }
+    
+    this.broadcastToRoom(session.roomId, 'object-updated', {
+      objectId,
+      roomId: session.roomId,
+      changes: result.changes,
+      version: result.object.version,
+      updatedBy: session.userId,
+      sequence: result.object.seq,
+      timestamp: result.object.lastModified
+    });
+    
+    return true;
+  }
+
+  // Object Locks
+  handleRequestLock(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canInteractObjects', 'request-lock')) {
+        return;
+      }
+      
+      const { objectId } = data;
+      const result = this.roomManager.acquireObjectLock(session.roomId, objectId, session.userId);
+      
+      if (!result.granted) {
+        socket.emit('lock-denied', {
+          objectId,
+          code: result.code,
+          lockedBy: result.lock?.userId || null
+        });
+        return;
+      }
+      
+      const expiresAt = new Date(result.lock.expiresAt).toISOString();
+      
+      socket.emit('lock-granted', { objectId, expiresAt });
+      
+      if (!result.renewed) {
+        this.broadcastToRoom(session.roomId, 'object-locked', {
+          objectId,
+          userId: session.userId,
+          expiresAt
+        }, socket.id);
+        
+        console.log(`🔒 Object ${objectId} locked by ${session.userId}`);
+      }
+      
+    } catch (error) {
+      console.error('Error requesting object lock:', error);
+    }
+  }
+
+  handleReleaseLock(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      const { objectId } = data;
+      if (this.roomManager.releaseObjectLock(session.roomId, objectId, session.userId)) {
+        this.broadcastToRoom(session.roomId, 'lock-released', {
+          objectId,
+          userId: session.userId,
+          reason: 'released'
+        });
+      }
+      
+    } catch (error) {
+      console.error('Error releasing object lock:', error);
+    }
+  }
+
+  releaseUserLocks(roomId, userId, reason) {
+    this.roomManager.releaseUserLocks(roomId, userId).forEach(lock => {
+      this.broadcastToRoom(roomId, 'lock-released', {
+        objectId: lock.objectId,
+        userId,
+        reason
+      });
+    });
+  }
+
+  expireObjectLocks() {
+    this.roomManager.expireObjectLocks().forEach(({ roomId, lock }) => {
+      this.broadcastToRoom(roomId, 'lock-released', {
+        objectId: lock.objectId,
+        userId: lock.userId,
+        reason: 'timeout'
+      });
+    });
+  }
+
+  emitObjectError(socket, event, code, error, objectId) {
+    socket.emit('object-error', {
+      event,
+      code,
+      error,
+      objectId: objectId || null
+    });
+  }
+
   // Position and Movement Updates
   handlePositionUpdate(socket, data) {
     try {
       const session = this.userSessions.get(socket.id);
       if (!session) return;
       
-      const { position, rotation, roomId } = data;
+      const { position, rotation } = data;
+      if (!Array.isArray(position) || !Array.isArray(rotation)) return;
       
-      // Update user position in room
-      const room = this.roomManager.getRoom(roomId || session.roomId);
+      // Update user position in room so late joiners see current poses
+      const room = this.roomManager.getRoom(session.roomId);
       if (room) {
         const user = room.users.find(u => u.id === session.userId);
         if (user) {
@@ -327,13 +1031,8 @@ export class WebSocketServer {
         }
       }
       
-      // Broadcast position update to room (except sender)
-      socket.to(roomId || session.roomId).emit('user-position-update', {
-        userId: session.userId,
-        position,
-        rotation,
-        timestamp: new Date().toISOString()
-      });
+      // Broadcast happens on the pose stream's next tick
+      this.poseStream.updatePose(session.roomId, session.userId, position, rotation);
       
     } catch (error) {
       console.error('Error handling position update:', error);
@@ -346,28 +1045,102 @@ export class WebSocketServer {
       const session = this.userSessions.get(socket.id);
       if (!session) return;
       
-      const { type, target, signal } = data;
+      const result = this.relaySignal(session.roomId, session.userId, data);
+      if (result.error) {
+        socket.emit('webrtc-signal-error', {
+          type: data.type,
+          target: data.target,
+          error: result.error,
+          code: result.code
+        });
+      }
       
-      // Find target user's socket
-      const targetSession = Array.from(this.userSessions.values())
-        .find(s => s.userId === target && s.roomId === session.roomId);
+    } catch (error) {
+      console.error('Error handling WebRTC signal:', error);
+    }
+  }
+
+  /**
+   * The single path for signaling, whether it arrived on a socket or through
+   * POST /api/webrtc/signal. Returns { message } once relayed, or { error, code }.
+   */
+  relaySignal(roomId, fromUserId, { type, target, signal }) {
+    if (!roomId || !this.isUserInRoom(fromUserId, roomId)) {
+      return { error: 'Not in this room', code: 'NOT_IN_ROOM' };
+    }
+    
+    if (target === fromUserId || !this.isUserInRoom(target, roomId)) {
+      return { error: 'Target is not in the room', code: 'TARGET_NOT_IN_ROOM' };
+    }
+    
+    // With a forwarder, direct connections between other peers are not allowed
+    if (!this.peerManager.isSignalAllowed(roomId, fromUserId, target)) {
+      console.warn(`📡 Dropped ${type} from ${fromUserId} to ${target}: room uses a forwarder`);
+      return { error: 'Room media goes through the forwarder', code: 'FORWARDER_ONLY' };
+    }
+    
+    // A forced mesh can hold more users than one peer may connect to
+    if (!this.peerManager.hasConnectionCapacity(fromUserId, target)) {
+      console.warn(`📡 Dropped ${type} from ${fromUserId} to ${target}: connection limit reached`);
+      return { error: 'Connection limit reached', code: 'CONNECTION_LIMIT' };
+    }
+    
+    const message = this.peerManager.handleSignal(roomId, fromUserId, target, type, signal);
+    
+    console.log(`📡 WebRTC signal ${type} from ${fromUserId} to ${target}`);
+    
+    return { message };
+  }
+
+  // Used by PeerConnectionManager to deliver signals; false when the user has no live socket here
+  sendSignalToSocket(userId, message) {
+    const socket = this.getUserSocket(userId);
+    if (!socket) return false;
+    
+    socket.emit('webrtc-signal', message);
+    return true;
+  }
+
+  // Media Topology
+  handleUpdateMediaSubscription(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
       
-      if (targetSession) {
-        const targetSocket = this.io.sockets.sockets.get(targetSession.socketId);
-        if (targetSocket) {
-          targetSocket.emit('webrtc-signal', {
-            type,
-            from: session.userId,
-            signal,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
+      this.roomManager.setUserMediaSubscription(session.roomId, session.userId, data.connectionType);
+      this.updateMediaTopology(session.roomId);
       
-      console.log(`📡 WebRTC signal ${type} from ${session.userId} to ${target}`);
+      console.log(`🔀 ${session.userId} now receives ${data.connectionType} media in room ${session.roomId}`);
       
     } catch (error) {
-      console.error('Error handling WebRTC signal:', error);
+      console.error('Error updating media subscription:', error);
+    }
+  }
+
+  /**
+   * Announces the room's media topology to everyone in it when a join, leave,
+   * setting or subscription changed it. Pass local to skip the other nodes.
+   */
+  updateMediaTopology(roomId, { local = false } = {}) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) {
+      this.peerManager.clearRoomTopology(roomId);
+      return;
+    }
+    
+    const topology = this.peerManager.updateRoomTopology(roomId, this.peerManager.planRoomTopology(room));
+    if (!topology) return;
+    
+    const payload = {
+      roomId,
+      ...topology,
+      timestamp: new Date().toISOString()
+    };
+    
+    if (local) {
+      this.deliverToRoom(roomId, 'media-topology', payload);
+    } else {
+      this.broadcastToRoom(roomId, 'media-topology', payload);
     }
   }
 
@@ -377,14 +1150,14 @@ export class WebSocketServer {
       const session = this.userSessions.get(socket.id);
       if (!session) return;
       
-      const { audioSettings, roomId } = data;
+      const { audioSettings } = data;
       
       // Broadcast audio settings to room (except sender)
-      socket.to(roomId || session.roomId).emit('spatial-audio-update', {
+      this.broadcastToRoom(session.roomId, 'spatial-audio-update', {
         userId: session.userId,
         audioSettings,
         timestamp: new Date().toISOString()
-      });
+      }, socket.id);
       
     } catch (error) {
       console.error('Error handling spatial audio update:', error);
@@ -392,38 +1165,6 @@ export class WebSocketServer {
   }
 
   // Room State Management
-  handleGetRoomState(socket, data) {
-    try {
-      const { roomId } = data;
-      
-      const room = this.roomManager.getRoom(roomId);
-      if (room) {
-        socket.emit('room-state', {
-          room: {
-            id: room.id,
-            name: room.name,
-            users: room.users,
-            objects: room.objects || [],
-            environment: room.environment || {},
-            settings: room.settings || {}
-          }
-        });
-      } else {
-        socket.emit('room-state-error', {
-          error: 'Room not found',
-          roomId
-        });
-      }
-      
-    } catch (error) {
-      console.error('Error getting room state:', error);
-      socket.emit('room-state-error', {
-        error: error.message,
-        roomId: data.roomId
-      });
-    }
-  }
-
   handleUpdateRoomSettings(socket, data) {
     try {
       const session = this.userSessions.get(socket.id);
@@ -433,25 +1174,51 @@ export class WebSocketServer {
       
       const room = this.roomManager.getRoom(roomId);
       if (room) {
-        // Check if user has permission to update settings
-        const user = room.users.find(u => u.id === session.userId);
-        if (user && (room.createdBy === session.userId || user.isAdmin)) {
-          room.settings = { ...room.settings, ...settings };
-          
-          // Broadcast settings update to all users in room
-          this.io.to(roomId).emit('room-settings-updated', {
-            settings: room.settings,
-            updatedBy: session.userId,
-            timestamp: new Date().toISOString()
-          });
-          
-          console.log(`⚙️ Room settings updated for ${roomId}`);
-        } else {
+        const wasRecordingEnabled = Boolean(room.settings?.recordingSessions);
+        const changesRecording = settings && 'recordingSessions' in settings &&
+          Boolean(settings.recordingSessions) !== wasRecordingEnabled;
+        
+        // Only the user's own room can be changed, and only with canModifyRoom; turning
+        // recordingSessions on or off starts or stops a recording, so it needs canRecordSessions too
+        if (roomId !== session.roomId ||
+            !this.checkPermission(socket, session, 'canModifyRoom', 'update-room-settings') ||
+            (changesRecording && !this.checkPermission(socket, session, 'canRecordSessions', 'update-room-settings'))) {
           socket.emit('room-settings-error', {
             error: 'Permission denied',
             roomId
           });
+          return;
         }
+        
+        room.settings = { ...room.settings, ...settings };
+        this.roomManager.persistRoom(room);
+        
+        // Broadcast settings update to all users in room
+        this.broadcastToRoom(roomId, 'room-settings-updated', {
+          settings: room.settings,
+          updatedBy: session.userId,
+          timestamp: new Date().toISOString()
+        });
+        
+        this.updateMediaTopology(roomId);
+        
+        // Turning recordingSessions on or off starts or stops the room's recording
+        if (this.sessionRecorder && Boolean(room.settings.recordingSessions) !== wasRecordingEnabled) {
+          if (room.settings.recordingSessions && !this.sessionRecorder.isRecording(roomId)) {
+            this.startSessionRecording(roomId, session.userId, 'settings');
+          } else if (!room.settings.recordingSessions) {
+            this.stopSessionRecording(roomId, session.userId, 'settings');
+          }
+        }
+        
+        // Clips are only allowed while the room agrees to being recorded
+        if (!room.settings.recordingSessions) {
+          this.getClipRecordings(roomId).forEach(({ userId }) => {
+            this.stopClipRecording(roomId, userId, 'recording-disabled');
+          });
+        }
+        
+        console.log(`⚙️ Room settings updated for ${roomId}`);
       }
       
     } catch (error) {
@@ -479,12 +1246,12 @@ export class WebSocketServer {
       }
       
       // Broadcast status update to room
-      socket.to(session.roomId).emit('user-status-update', {
+      this.broadcastToRoom(session.roomId, 'user-status-update', {
         userId: session.userId,
         status,
         metadata,
         timestamp: new Date().toISOString()
-      });
+      }, socket.id);
       
     } catch (error) {
       console.error('Error updating user status:', error);
@@ -497,6 +1264,10 @@ export class WebSocketServer {
       const session = this.userSessions.get(socket.id);
       if (!session) return;
       
+      if (!this.checkPermission(socket, session, 'canBroadcastMessages', 'broadcast-message')) {
+        return;
+      }
+      
       const { message, type, targets } = data;
       
       const messageData = {
@@ -523,7 +1294,7 @@ export class WebSocketServer {
         });
       } else {
         // Broadcast to entire room
-        socket.to(session.roomId).emit('message-received', messageData);
+        this.broadcastToRoom(session.roomId, 'message-received', messageData, socket.id);
       }
       
       console.log(`💬 Message broadcast in room ${session.roomId}`);
@@ -533,113 +1304,799 @@ export class WebSocketServer {
     }
   }
 
-  // Connection Management
-  handleDisconnect(socket) {
+  // Text Chat
+  handleSendChatMessage(socket, data) {
     try {
       const session = this.userSessions.get(socket.id);
+      if (!session) return;
       
-      if (session) {
-        const { userId, roomId, user } = session;
-        
-        console.log(`🔌 User ${userId} disconnecting from room ${roomId}`);
-        
-        // Remove user from room
-        const room = this.roomManager.getRoom(roomId);
-        if (room) {
-          room.users = room.users.filter(u => u.id !== userId);
-          
-          // Notify other users in room
-          socket.to(roomId).emit('user-disconnected', {
-            user,
-            userId,
-            timestamp: new Date().toISOString()
-          });
-          
-          // Clean up empty room if not persistent
-          if (room.users.length === 0 && !room.isPersistent) {
-            this.roomManager.removeRoom(roomId);
-            console.log(`🗑️ Empty room ${roomId} removed`);
-          }
-        }
-        
-        // Clean up session
-        this.userSessions.delete(socket.id);
-        
-        // Clean up peer connections
-        this.peerManager.cleanupUserConnections(userId);
+      if (!this.checkPermission(socket, session, 'canBroadcastMessages', 'send-chat-message')) {
+        return;
       }
       
-      // Remove from connected clients
-      this.connectedClients.delete(socket.id);
+      const { text, to, threadId, clientId } = data;
+      const sender = { id: session.userId, name: session.user?.name };
+      
+      const result = this.chat.sendMessage(session.roomId, sender, { text, to, threadId });
+      if (result.error) {
+        this.emitChatError(socket, session.roomId, result.code, result.error, { clientId });
+        return;
+      }
+      
+      // clientId lets the sender match the stored message to the one it is showing as pending
+      this.deliverChatEvent(session.roomId, 'chat-message', { message: result.message, clientId });
+      
+      console.log(`💬 Chat message ${result.message.id} in room ${session.roomId}${result.message.to ? ' (direct)' : ''}`);
       
     } catch (error) {
-      console.error('Error handling disconnect:', error);
+      console.error('Error sending chat message:', error);
     }
   }
 
-  // Heartbeat and Health Monitoring
-  handlePing(socket, data) {
+  handleEditChatMessage(socket, data) {
     try {
-      socket.emit('pong', {
-        timestamp: new Date().toISOString(),
-        serverTime: Date.now()
-      });
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      const { messageId, text } = data;
+      
+      const result = this.chat.editMessage(session.roomId, session.userId, messageId, text);
+      if (result.error) {
+        this.emitChatError(socket, session.roomId, result.code, result.error, { messageId });
+        return;
+      }
+      
+      this.deliverChatEvent(session.roomId, 'chat-message-updated', { message: result.message });
+      
     } catch (error) {
-      console.error('Error handling ping:', error);
+      console.error('Error editing chat message:', error);
     }
   }
 
-  handleGetServerStats(socket) {
+  handleDeleteChatMessage(socket, data) {
     try {
-      const stats = {
-        connectedUsers: this.userSessions.size,
-        activeRooms: this.roomManager.getActiveRooms().length,
-        totalMessages: this.getTotalMessageCount(),
-        serverUptime: process.uptime(),
-        timestamp: new Date().toISOString()
-      };
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      const { messageId } = data;
+      
+      const result = this.chat.deleteMessage(session.roomId, session.userId, messageId);
+      if (result.error) {
+        this.emitChatError(socket, session.roomId, result.code, result.error, { messageId });
+        return;
+      }
       
-      socket.emit('server-stats', stats);
+      this.deliverChatEvent(session.roomId, 'chat-message-updated', { message: result.message });
       
     } catch (error) {
-      console.error('Error getting server stats:', error);
+      console.error('Error deleting chat message:', error);
     }
   }
 
-  // Utility Methods
-  getTotalMessageCount() {
-    // This would typically come from a database or message counter
-    return 0;
-  }
-
-  getRoomUsers(roomId) {
-    const room = this.roomManager.getRoom(roomId);
-    return room ? room.users : [];
-  }
-
-  isUserInRoom(userId, roomId) {
-    const room = this.roomManager.getRoom(roomId);
-    return room ? room.users.some(u => u.id === userId) : false;
-  }
-
-  broadcastToRoom(roomId, event, data, excludeSocketId = null) {
+  handleLoadChatHistory(socket, data) {
     try {
-      if (excludeSocketId) {
-        this.io.to(roomId).except(excludeSocketId).emit(event, data);
-      } else {
-        this.io.to(roomId).emit(event, data);
-      }
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      const { before, limit, threadId } = data || {};
+      
+      socket.emit('chat-history', this.chat.getHistory(session.roomId, session.userId, { before, limit, threadId }));
+      
     } catch (error) {
-      console.error('Error broadcasting to room:', error);
+      console.error('Error loading chat history:', error);
     }
   }
 
-  getUserSocket(userId) {
-    const session = Array.from(this.userSessions.values())
-      .find(s => s.userId === userId);
+  // Room messages go to everyone; direct messages only to their two users, wherever they are connected
+  deliverChatEvent(roomId, event, data) {
+    const recipients = this.chat.getRecipients(data.message);
     
-    if (session) {
-      return this.io.sockets.sockets.get(session.socketId);
+    if (!recipients) {
+      this.broadcastToRoom(roomId, event, data);
+      return;
+    }
+    
+    this.deliverToLocalUsers(roomId, recipients, event, data);
+    this.cluster?.publishRoomEvent(roomId, event, data);
+  }
+
+  deliverToLocalUsers(roomId, userIds, event, data) {
+    userIds.forEach(userId => {
+      const entry = this.getUserSessionEntry(userId, roomId);
+      if (entry) {
+        this.io.sockets.sockets.get(entry.socketId)?.emit(event, data);
+      }
+    });
+  }
+
+  emitChatError(socket, roomId, code, error, details = {}) {
+    socket.emit('chat-error', {
+      error,
+      code,
+      roomId,
+      ...details
+    });
+  }
+
+  // Session Recording
+  handleStartRecording(socket) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canRecordSessions', 'start-recording')) {
+        return;
+      }
+      
+      if (!this.sessionRecorder) {
+        this.emitRecordingError(socket, session.roomId, 'RECORDING_DISABLED', 'Session recording is not enabled on this server');
+        return;
+      }
+      
+      if (this.sessionRecorder.isRecording(session.roomId)) {
+        this.emitRecordingError(socket, session.roomId, 'ALREADY_RECORDING', 'Room is already being recorded');
+        return;
+      }
+      
+      this.startSessionRecording(session.roomId, session.userId, 'manual');
+      
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      this.emitRecordingError(socket, null, 'RECORDING_FAILED', error.message);
+    }
+  }
+
+  handleStopRecording(socket) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      if (!this.checkPermission(socket, session, 'canRecordSessions', 'stop-recording')) {
+        return;
+      }
+      
+      if (!this.sessionRecorder?.isRecording(session.roomId)) {
+        this.emitRecordingError(socket, session.roomId, 'NOT_RECORDING', 'Room is not being recorded');
+        return;
+      }
+      
+      this.stopSessionRecording(session.roomId, session.userId, 'manual');
+      
+    } catch (error) {
+      console.error('Error stopping recording:', error);
+      this.emitRecordingError(socket, null, 'RECORDING_FAILED', error.message);
+    }
+  }
+
+  startSessionRecording(roomId, startedBy, reason) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) return null;
+    
+    // The same room state a joining client gets, so playback starts from what they would see
+    const snapshot = {
+      id: room.id,
+      name: room.name,
+      users: room.users,
+      objects: room.objects || [],
+      locks: this.roomManager.getRoomLocks(roomId),
+      environment: room.environment || {},
+      settings: room.settings || {},
+      sequence: room.sequence
+    };
+    
+    const recording = this.sessionRecorder.startRecording(room, snapshot, { startedBy, reason });
+    
+    this.broadcastToRoom(roomId, 'recording-started', {
+      recording,
+      timestamp: new Date().toISOString()
+    });
+    
+    console.log(`🔴 Recording ${recording.id} started for room ${roomId} (${reason})`);
+    
+    return recording;
+  }
+
+  stopSessionRecording(roomId, stoppedBy, reason) {
+    const recording = this.sessionRecorder?.stopRecording(roomId, reason);
+    if (!recording) return null;
+    
+    this.broadcastToRoom(roomId, 'recording-stopped', {
+      recording,
+      stoppedBy,
+      timestamp: new Date().toISOString()
+    });
+    
+    return recording;
+  }
+
+  /**
+   * Recordings are for whoever may record the room and its owners and
+   * moderators. Once the room is gone, only the user who started the
+   * recording and the room's creator can still get at it.
+   */
+  canAccessRecording(userId, recording) {
+    const room = this.roomManager.getRoom(recording.roomId);
+    
+    // Roles outlast membership, so this also works for users who aren't in the room right now
+    if (room) {
+      return this.roomManager.getUserRole(userId, room) === 'moderator' ||
+        Boolean(this.roomManager.getUserPermissions({ id: userId }, room).canRecordSessions);
+    }
+    
+    return recording.startedBy === userId || recording.roomCreatedBy === userId;
+  }
+
+  // Clip recording happens in the browser; the server only gates it and tells the room
+  handleUpdateClipRecording(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      const { roomId, userId } = session;
+      const room = this.roomManager.getRoom(roomId);
+      if (!room) return;
+      
+      // Stopping is always allowed, so a user can end a clip whatever happened to their role
+      if (!data.recording) {
+        this.stopClipRecording(roomId, userId, 'stopped');
+        return;
+      }
+      
+      if (!this.checkPermission(socket, session, 'canRecordSessions', 'update-clip-recording')) {
+        return;
+      }
+      
+      if (!room.settings?.recordingSessions) {
+        this.emitRecordingError(socket, roomId, 'RECORDING_NOT_ALLOWED', 'Recording is turned off in this room');
+        return;
+      }
+      
+      if (this.clipRecordings.get(roomId)?.has(userId)) return;
+      
+      const startedAt = new Date().toISOString();
+      this.setClipRecording(roomId, userId, startedAt);
+      
+      // The recording client waits for this before it starts capturing
+      this.broadcastToRoom(roomId, 'clip-recording-updated', {
+        userId,
+        recording: true,
+        startedAt,
+        timestamp: startedAt
+      });
+      
+      console.log(`⏺️ User ${userId} is recording a clip in room ${roomId}`);
+      
+    } catch (error) {
+      console.error('Error updating clip recording:', error);
+      this.emitRecordingError(socket, null, 'RECORDING_FAILED', error.message);
+    }
+  }
+
+  stopClipRecording(roomId, userId, reason) {
+    if (!this.clipRecordings.get(roomId)?.has(userId)) return;
+    
+    this.setClipRecording(roomId, userId, null);
+    
+    this.broadcastToRoom(roomId, 'clip-recording-updated', {
+      userId,
+      recording: false,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  setClipRecording(roomId, userId, startedAt) {
+    if (startedAt) {
+      if (!this.clipRecordings.has(roomId)) {
+        this.clipRecordings.set(roomId, new Map());
+      }
+      this.clipRecordings.get(roomId).set(userId, startedAt);
+      return;
+    }
+    
+    const recorders = this.clipRecordings.get(roomId);
+    recorders?.delete(userId);
+    if (recorders?.size === 0) {
+      this.clipRecordings.delete(roomId);
+    }
+  }
+
+  getClipRecordings(roomId) {
+    return Array.from(this.clipRecordings.get(roomId) || [], ([userId, startedAt]) => ({ userId, startedAt }));
+  }
+
+  emitRecordingError(socket, roomId, code, error) {
+    socket.emit('recording-error', {
+      error,
+      code,
+      roomId
+    });
+  }
+
+  // Wire Format
+  handleNegotiateWireFormat(socket, data = {}) {
+    const formats = Array.isArray(data.formats) ? data.formats : [];
+    const format = this.config.binaryWireFormat && formats.includes(WIRE_FORMATS.BINARY)
+      ? WIRE_FORMATS.BINARY
+      : WIRE_FORMATS.JSON;
+    
+    this.wireFormats.set(socket.id, format);
+    socket.emit('wire-format', { format });
+  }
+
+  handleBinaryMessage(socket, payload) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session) return;
+      
+      const room = this.roomManager.getRoom(session.roomId);
+      if (!room) return;
+      
+      const { event, data } = decodeMessage(payload, NetIdRegistry.fromRoom(room));
+      
+      // The frame's size was checked on arrival; the rate applies per decoded event
+      if (!this.allowMessage(socket, event, 0)) return;
+      
+      const validation = this.schemas.validate(event, data);
+      if (!validation.valid) {
+        this.emitValidationError(socket, event, validation.errors);
+        return;
+      }
+      
+      const handlers = {
+        'update-position': () => this.handlePositionUpdate(socket, validation.value),
+        'update-object': () => this.handleUpdateObject(socket, validation.value),
+        'spatial-audio-update': () => this.handleSpatialAudioUpdate(socket, validation.value)
+      };
+      
+      if (!handlers[event]) {
+        console.warn(`Ignoring binary ${event} from ${session.userId}`);
+        return;
+      }
+      
+      handlers[event]();
+      
+    } catch (error) {
+      console.error('Error handling binary message:', error);
+    }
+  }
+
+  // Rate Limiting
+  // socket.io per-socket middleware: packets that aren't passed to next() are dropped
+  handleIncomingPacket(socket, packet, next) {
+    // Packets already buffered when an abusive socket was dropped
+    if (socket.disconnected) return;
+    
+    const [event, ...args] = packet;
+    
+    if (!this.allowMessage(socket, event, this.measurePayload(args))) return;
+    
+    // Unknown events have no schema and are refused like malformed ones
+    const validation = this.schemas.validate(event, args[0]);
+    if (!validation.valid) {
+      this.emitValidationError(socket, event, validation.errors);
+      return;
+    }
+    
+    // Handlers only ever see the validated copy, without unknown keys
+    packet[1] = validation.value;
+    next();
+  }
+
+  emitValidationError(socket, event, errors) {
+    if (!this.rateLimiter.shouldNotify(socket.id, `validation:${event}`)) return;
+    
+    socket.emit('validation-error', {
+      event: String(event).slice(0, 64),
+      code: this.schemas.has(event) ? 'INVALID_PAYLOAD' : 'UNKNOWN_EVENT',
+      error: errors.map(({ path, message }) => `${path || 'payload'} ${message}`).join('; '),
+      errors
+    });
+  }
+
+  allowMessage(socket, event, payloadSize) {
+    const result = this.rateLimiter.checkEvent(socket.id, event, payloadSize);
+    if (result.allowed) return true;
+    
+    const strikes = this.rateLimiter.addStrike(socket.id);
+    
+    if (this.rateLimiter.shouldDisconnect(strikes)) {
+      const session = this.userSessions.get(socket.id);
+      console.warn(`🚫 Disconnecting ${session?.userId || socket.id} after ${strikes} rate limit violations (last: ${event})`);
+      
+      socket.emit('rate-limited', {
+        event,
+        code: 'TOO_MANY_VIOLATIONS',
+        error: 'Disconnected for exceeding rate limits'
+      });
+      this.rateLimiter.recordDisconnect();
+      socket.disconnect(true);
+      return false;
+    }
+    
+    if (this.rateLimiter.shouldNotify(socket.id, event)) {
+      socket.emit('rate-limited', {
+        event,
+        code: result.code,
+        error: result.code === 'PAYLOAD_TOO_LARGE' ? 'Message too large' : 'Too many messages',
+        retryAfter: result.retryAfter,
+        maxPayload: result.maxPayload
+      });
+    }
+    
+    return false;
+  }
+
+  measurePayload(args) {
+    return args.reduce((size, arg) => {
+      if (typeof arg === 'function') return size; // acknowledgement callback
+      if (arg instanceof ArrayBuffer || ArrayBuffer.isView(arg)) return size + arg.byteLength;
+      return size + Buffer.byteLength(JSON.stringify(arg) ?? '');
+    }, 0);
+  }
+
+  // Connection Management
+  handleDisconnect(socket) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      
+      if (session) {
+        const { userId, roomId, user } = session;
+        
+        console.log(`🔌 User ${userId} disconnecting from room ${roomId}`);
+        
+        this.releaseUserLocks(roomId, userId, 'disconnect');
+        this.poseStream.removeUser(roomId, userId);
+        
+        const resume = this.findResumeSession(userId, roomId);
+        const holdSlot = Boolean(resume) && this.config.resumeGracePeriod > 0;
+        
+        if (holdSlot) {
+          // Keep the user in the room for a while so a reconnect can pick the session back up
+          this.roomManager.setUserConnected(roomId, userId, false);
+          resume.disconnectedAt = Date.now();
+          resume.timer = setTimeout(() => {
+            this.expireResumeSession(resume.token);
+          }, this.config.resumeGracePeriod);
+        } else {
+          this.revokeResumeSession(userId, roomId);
+        }
+        
+        const sequence = holdSlot
+          ? this.roomManager.getRoom(roomId)?.sequence
+          : this.removeUserSlot(roomId, userId);
+        
+        // Notify other users in room
+        this.broadcastToRoom(roomId, 'user-disconnected', {
+          user,
+          userId,
+          reconnecting: holdSlot,
+          gracePeriod: holdSlot ? this.config.resumeGracePeriod : 0,
+          sequence,
+          timestamp: new Date().toISOString()
+        });
+        
+        // A user held for a resume no longer counts, so a forwarder is replaced straight away
+        this.updateMediaTopology(roomId);
+        
+        // Clean up session
+        this.userSessions.delete(socket.id);
+        
+        // Clean up peer connections
+        this.peerManager.cleanupUserConnections(userId);
+      }
+      
+      // Remove from connected clients
+      this.connectedClients.delete(socket.id);
+      this.wireFormats.delete(socket.id);
+      this.rateLimiter.forgetSocket(socket.id);
+      
+    } catch (error) {
+      console.error('Error handling disconnect:', error);
+    }
+  }
+
+  // Session Resume
+  handleResumeSession(socket, data = {}) {
+    try {
+      const { resumeToken, lastSequence } = data;
+      const resume = typeof resumeToken === 'string' ? this.resumeSessions.get(resumeToken) : null;
+      const room = resume && this.roomManager.getRoom(resume.roomId);
+      const user = room?.users.find(u => u.id === resume.userId);
+      
+      // A resume token only works for the identity it was issued to
+      if (!resume || !user || resume.userId !== socket.data?.user?.id) {
+        socket.emit('resume-failed', {
+          code: 'RESUME_INVALID',
+          error: 'Session can no longer be resumed'
+        });
+        return;
+      }
+      
+      clearTimeout(resume.timer);
+      this.resumeSessions.delete(resume.token);
+      
+      // The old socket may still be mapped if its disconnect hasn't been noticed yet
+      const previous = this.getUserSessionEntry(user.id, room.id);
+      if (previous && previous.socketId !== socket.id) {
+        this.userSessions.delete(previous.socketId);
+        this.io.sockets.sockets.get(previous.socketId)?.leave(room.id);
+      }
+      
+      user.socketId = socket.id;
+      this.roomManager.setUserConnected(room.id, user.id, true);
+      
+      socket.join(room.id);
+      this.userSessions.set(socket.id, {
+        userId: user.id,
+        roomId: room.id,
+        socketId: socket.id,
+        user
+      });
+      
+      const changes = this.roomManager.getRoomChangesSince(room.id, lastSequence);
+      
+      socket.emit('session-resumed', {
+        roomId: room.id,
+        resumeToken: this.issueResumeToken(user.id, room.id, user),
+        ...changes,
+        locks: this.roomManager.getRoomLocks(room.id),
+        recording: this.sessionRecorder?.getActiveRecording(room.id) || null,
+        clipRecordings: this.getClipRecordings(room.id),
+        chat: this.chat.getHistory(room.id, user.id)
+      });
+      
+      this.broadcastToRoom(room.id, 'user-reconnected', {
+        user,
+        userId: user.id,
+        roomId: room.id,
+        sequence: changes.sequence
+      }, socket.id);
+      
+      this.updateMediaTopology(room.id);
+      
+      // Signals that arrived while the socket was gone, unless the client already polled for them
+      this.peerManager.getSignalingMessages(user.id).forEach(message => {
+        socket.emit('webrtc-signal', message);
+      });
+      
+      console.log(`🔁 User ${user.id} resumed session in room ${room.id} (${changes.full ? 'full' : 'delta'} resync)`);
+      
+    } catch (error) {
+      console.error('Error resuming session:', error);
+      socket.emit('resume-failed', { code: 'RESUME_FAILED', error: error.message });
+    }
+  }
+
+  issueResumeToken(userId, roomId, user) {
+    this.revokeResumeSession(userId, roomId);
+    
+    const token = randomBytes(24).toString('base64url');
+    this.resumeSessions.set(token, {
+      token,
+      userId,
+      roomId,
+      user,
+      disconnectedAt: null,
+      timer: null
+    });
+    
+    return token;
+  }
+
+  findResumeSession(userId, roomId) {
+    for (const resume of this.resumeSessions.values()) {
+      if (resume.userId === userId && resume.roomId === roomId) {
+        return resume;
+      }
+    }
+    return null;
+  }
+
+  revokeResumeSession(userId, roomId) {
+    const resume = this.findResumeSession(userId, roomId);
+    if (resume) {
+      clearTimeout(resume.timer);
+      this.resumeSessions.delete(resume.token);
+    }
+  }
+
+  // The grace period ran out (or a fresh join replaced the slot): drop the user for good
+  expireResumeSession(token) {
+    const resume = this.resumeSessions.get(token);
+    if (!resume) return;
+    
+    clearTimeout(resume.timer);
+    this.resumeSessions.delete(token);
+    
+    if (!resume.disconnectedAt) return;
+    
+    const sequence = this.removeUserSlot(resume.roomId, resume.userId);
+    
+    this.broadcastToRoom(resume.roomId, 'user-left', {
+      user: resume.user,
+      roomId: resume.roomId,
+      reason: 'timeout',
+      sequence
+    });
+    
+    this.updateMediaTopology(resume.roomId);
+    
+    console.log(`⌛ Resume window for user ${resume.userId} in room ${resume.roomId} expired`);
+  }
+
+  // Removes the user from the room, drops the room if it emptied, returns the room sequence
+  removeUserSlot(roomId, userId) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) return undefined;
+    
+    this.roomManager.removeUserFromRoom(roomId, userId);
+    
+    // With nobody left on this node, stop following the room on the backplane
+    if (this.cluster && this.cluster.removeLocalUser(roomId, userId) === 0) {
+      this.releaseClusterRoom(roomId);
+    }
+    
+    this.stopClipRecording(roomId, userId, 'left');
+    
+    if (room.users.length === 0) {
+      this.stopSessionRecording(roomId, null, 'room-empty');
+    }
+    
+    // Clean up empty room if not persistent
+    if (room.users.length === 0 && !room.isPersistent) {
+      this.roomManager.removeRoom(roomId);
+      console.log(`🗑️ Empty room ${roomId} removed`);
+    }
+    
+    return room.sequence;
+  }
+
+  // Connection Health
+  handleReportConnectionState(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session?.roomId || !this.isUserInRoom(data.peerId, session.roomId)) return;
+      
+      this.peerManager.recordConnectionState(session.roomId, session.userId, data.peerId, data);
+      this.rememberQualityLogOwner(session.roomId);
+      
+    } catch (error) {
+      console.error('Error handling connection state report:', error);
+    }
+  }
+
+  handleReportConnectionStats(socket, data) {
+    try {
+      const session = this.userSessions.get(socket.id);
+      if (!session?.roomId) return;
+      
+      // Reports about users outside the room are dropped, so nobody can pad another room's log
+      data.reports
+        .filter(report => this.isUserInRoom(report.peerId, session.roomId))
+        .forEach(report => {
+          this.peerManager.recordConnectionStats(session.roomId, session.userId, report.peerId, report);
+        });
+      
+      this.rememberQualityLogOwner(session.roomId);
+      
+    } catch (error) {
+      console.error('Error handling connection stats report:', error);
+    }
+  }
+
+  rememberQualityLogOwner(roomId) {
+    const room = this.roomManager.getRoom(roomId);
+    if (room) {
+      this.peerManager.setQualityLogOwner(roomId, room.createdBy);
+    }
+  }
+
+  // Heartbeat and Health Monitoring
+  handlePing(socket, data) {
+    try {
+      socket.emit('pong', {
+        timestamp: new Date().toISOString(),
+        serverTime: Date.now()
+      });
+    } catch (error) {
+      console.error('Error handling ping:', error);
+    }
+  }
+
+  // Served to admins by GET /api/admin/stats
+  getServerStats() {
+    return {
+      connectedUsers: this.userSessions.size,
+      activeRooms: this.roomManager.getActiveRooms().length,
+      totalMessages: this.getTotalMessageCount(),
+      poseStream: this.poseStream.getStats(),
+      peerConnections: this.peerManager.getConnectionStatistics(),
+      cluster: this.cluster ? this.cluster.getStats() : null,
+      rateLimits: this.rateLimiter.getStats(),
+      validation: this.schemas.getStats(),
+      serverUptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Utility Methods
+  getTotalMessageCount() {
+    // This would typically come from a database or message counter
+    return 0;
+  }
+
+  getRoomUsers(roomId) {
+    const room = this.roomManager.getRoom(roomId);
+    return room ? room.users : [];
+  }
+
+  isUserInRoom(userId, roomId) {
+    const room = this.roomManager.getRoom(roomId);
+    return room ? room.users.some(u => u.id === userId) : false;
+  }
+
+  // Sends to the room's sockets on this node and, when clustered, on every other node
+  broadcastToRoom(roomId, event, data, excludeSocketId = null) {
+    this.deliverToRoom(roomId, event, data, excludeSocketId);
+    this.cluster?.publishRoomEvent(roomId, event, data, excludeSocketId);
+  }
+
+  /**
+   * Encodes once for sockets that negotiated the binary wire format and falls
+   * back to JSON for everyone else, or when the payload has no binary form.
+   */
+  deliverToRoom(roomId, event, data, excludeSocketId = null) {
+    try {
+      // Everything this node's sockets see is what its recording of the room gets
+      this.sessionRecorder?.record(roomId, event, data);
+      
+      const socketIds = this.io.sockets.adapter.rooms.get(roomId);
+      if (!socketIds) return;
+      
+      let binary;
+      
+      for (const socketId of socketIds) {
+        if (socketId === excludeSocketId) continue;
+        
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (!socket) continue;
+        
+        if (this.wireFormats.get(socketId) === WIRE_FORMATS.BINARY) {
+          if (binary === undefined) {
+            const room = this.roomManager.getRoom(roomId);
+            binary = room ? encodeMessage(event, data, NetIdRegistry.fromRoom(room)) : null;
+          }
+          
+          if (binary) {
+            socket.emit(BINARY_EVENT, binary);
+            continue;
+          }
+        }
+        
+        socket.emit(event, data);
+      }
+    } catch (error) {
+      console.error('Error broadcasting to room:', error);
+    }
+  }
+
+  getUserSessionEntry(userId, roomId) {
+    for (const [socketId, session] of this.userSessions) {
+      if (session.userId === userId && session.roomId === roomId) {
+        return { socketId, session };
+      }
+    }
+    
+    return null;
+  }
+
+  getUserSocket(userId) {
+    const session = Array.from(this.userSessions.values())
+      .find(s => s.userId === userId);
+    
+    if (session) {
+      return this.io.sockets.sockets.get(session.socketId);
     }
     
     return null;
@@ -652,6 +2109,15 @@ export class WebSocketServer {
       socket.emit(event, data);
       return true;
     }
+    
+    // The user may be connected to another node
+    if (this.cluster && !this.cluster.isLocalUser(userId)) {
+      this.cluster.sendToUser(userId, event, data).catch(error => {
+        console.error(`Error forwarding ${event} to user ${userId}:`, error);
+      });
+      return true;
+    }
+    
     return false;
   }
 
@@ -666,6 +2132,255 @@ export class WebSocketServer {
     }
   }
 
+  // Cluster
+  attachCluster() {
+    this.cluster.snapshotProvider = (roomId) => this.roomManager.getRoomSnapshot(roomId);
+    
+    this.cluster.on('room-event', (envelope) => {
+      this.handleClusterRoomEvent(envelope);
+    });
+    
+    this.cluster.on('user-event', (userId, event, data) => {
+      this.getUserSocket(userId)?.emit(event, data);
+    });
+  }
+
+  async syncRoomFromCluster(roomId) {
+    try {
+      const snapshot = await this.cluster.requestRoomSnapshot(roomId);
+      return snapshot ? this.roomManager.hydrateRoom(snapshot) : null;
+    } catch (error) {
+      console.error(`Error syncing room ${roomId} from cluster:`, error);
+      return null;
+    }
+  }
+
+  claimClusterRoom(roomId) {
+    if (!this.cluster) return;
+    
+    this.cluster.trackRoom(roomId).catch(error => {
+      console.error(`Error claiming room ${roomId}:`, error);
+    });
+  }
+
+  releaseClusterRoom(roomId) {
+    this.cluster.untrackRoom(roomId).catch(error => {
+      console.error(`Error releasing room ${roomId}:`, error);
+    });
+    
+    // Without the room's backplane channel the mirror would go stale
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) return;
+    
+    room.users
+      .filter(user => user.nodeId)
+      .forEach(user => this.roomManager.removeUserFromRoom(roomId, user.id));
+    
+    for (const lock of this.roomManager.getRoomLocks(roomId)) {
+      if (lock.nodeId) {
+        this.roomManager.releaseObjectLock(roomId, lock.objectId, lock.userId);
+      }
+    }
+  }
+
+  handleClusterRoomEvent({ origin, roomId, event, data, excludeSocketId }) {
+    try {
+      const room = this.roomManager.getRoom(roomId);
+      if (!room) return;
+      
+      const payload = this.applyClusterRoomEvent(room, origin, event, data);
+      if (payload) {
+        this.deliverToRoom(roomId, event, payload, excludeSocketId);
+      }
+      
+    } catch (error) {
+      console.error(`Error applying cluster event ${event}:`, error);
+    }
+  }
+
+  /**
+   * Keeps our mirror of a room in step with changes made on another node.
+   * Returns the payload to hand to local sockets (net IDs rewritten to ours),
+   * or null when the event should not be delivered here.
+   */
+  applyClusterRoomEvent(room, origin, event, data) {
+    const roomId = room.id;
+    const isMirrored = (userId) => room.users.some(u => u.id === userId && u.nodeId === origin);
+    
+    switch (event) {
+      case 'user-joined':
+      case 'user-reconnected': {
+        // The user moved here from us; drop the slot we were holding for them
+        const held = this.findResumeSession(data.user.id, roomId);
+        if (held?.disconnectedAt) {
+          this.revokeResumeSession(data.user.id, roomId);
+          this.cluster.removeLocalUser(roomId, data.user.id);
+        }
+        
+        const user = this.roomManager.mirrorUser(roomId, { ...data.user, nodeId: origin });
+        return { ...data, user };
+      }
+      
+      case 'user-left': {
+        const userId = data.user?.id;
+        if (!isMirrored(userId)) return null;
+        
+        this.roomManager.removeUserFromRoom(roomId, userId);
+        return data;
+      }
+      
+      case 'user-disconnected':
+        if (!isMirrored(data.userId)) return null;
+        
+        if (data.reconnecting) {
+          this.roomManager.setUserConnected(roomId, data.userId, false);
+        } else {
+          this.roomManager.removeUserFromRoom(roomId, data.userId);
+        }
+        return data;
+      
+      case 'user-muted':
+        this.roomManager.setUserMuted(roomId, data.userId, data.muted);
+        return data;
+      
+      case 'user-role-updated':
+        this.roomManager.mirrorUserRole(roomId, data.userId, data.role);
+        return data;
+      
+      case 'user-kicked':
+      case 'user-banned': {
+        const banned = event === 'user-banned';
+        if (banned) {
+          this.roomManager.mirrorUserBan(roomId, data.userId);
+        }
+        
+        // Moderation of a user connected here is carried out here
+        if (this.getUserSessionEntry(data.userId, roomId)) {
+          this.removeUserForModeration(data.userId, roomId, {
+            reason: data.reason,
+            by: data.by,
+            banned
+          });
+        }
+        return data;
+      }
+      
+      case 'room-lock-updated':
+        this.roomManager.mirrorRoomLock(roomId, data.isLocked);
+        return data;
+      
+      case 'room-settings-updated':
+        room.settings = data.settings;
+        return data;
+      
+      case 'clip-recording-updated':
+        this.setClipRecording(roomId, data.userId, data.recording ? data.startedAt : null);
+        return data;
+      
+      case 'chat-message':
+      case 'chat-message-updated':
+        this.chat.applyRemoteMessage(room, data.message);
+        
+        // Direct messages reach this node's side of the conversation only
+        if (data.message.to) {
+          this.deliverToLocalUsers(roomId, this.chat.getRecipients(data.message), event, data);
+          return null;
+        }
+        return data;
+      
+      case 'media-topology': {
+        // Adopt the origin's view so we only announce again when something changes here
+        const { mode, forwarderId, subscriptions } = data;
+        this.peerManager.updateRoomTopology(roomId, { mode, forwarderId, subscriptions });
+        
+        room.users
+          .filter(user => subscriptions[user.id] && user.mediaSubscription !== subscriptions[user.id])
+          .forEach(user => this.roomManager.setUserMediaSubscription(roomId, user.id, subscriptions[user.id]));
+        return data;
+      }
+      
+      case 'object-spawned': {
+        const object = this.roomManager.mirrorObject(roomId, data.object);
+        return { ...data, object };
+      }
+      
+      case 'object-updated':
+        this.roomManager.mirrorObjectUpdate(roomId, data.objectId, data.changes, data);
+        return data;
+      
+      case 'object-removed':
+        this.roomManager.mirrorObjectRemoval(roomId, data.objectId);
+        return data;
+      
+      case 'object-locked':
+        this.roomManager.mirrorObjectLock(roomId, {
+          objectId: data.objectId,
+          userId: data.userId,
+          acquiredAt: Date.now(),
+          expiresAt: new Date(data.expiresAt).getTime(),
+          nodeId: origin
+        });
+        return data;
+      
+      case 'lock-released':
+        this.roomManager.releaseObjectLock(roomId, data.objectId, data.userId);
+        return data;
+      
+      default:
+        return data;
+    }
+  }
+
+  /**
+   * Drops mirrored users and locks that belong to nodes which stopped
+   * heartbeating, as if those users had disconnected.
+   */
+  async pruneLostNodes() {
+    const nodeIds = new Set();
+    for (const room of this.roomManager.rooms.values()) {
+      room.users.forEach(user => {
+        if (user.nodeId) nodeIds.add(user.nodeId);
+      });
+    }
+    
+    for (const nodeId of nodeIds) {
+      if (await this.cluster.isNodeAlive(nodeId)) continue;
+      
+      console.warn(`🕸️ Node ${nodeId} is gone, removing its users`);
+      
+      for (const room of this.roomManager.rooms.values()) {
+        for (const lock of this.roomManager.getRoomLocks(room.id)) {
+          if (lock.nodeId === nodeId) {
+            this.roomManager.releaseObjectLock(room.id, lock.objectId, lock.userId);
+            this.deliverToRoom(room.id, 'lock-released', {
+              objectId: lock.objectId,
+              userId: lock.userId,
+              reason: 'disconnect'
+            });
+          }
+        }
+        
+        room.users
+          .filter(user => user.nodeId === nodeId)
+          .forEach(user => {
+            this.roomManager.removeUserFromRoom(room.id, user.id);
+            this.setClipRecording(room.id, user.id, null);
+            this.deliverToRoom(room.id, 'user-disconnected', {
+              user,
+              userId: user.id,
+              reconnecting: false,
+              gracePeriod: 0,
+              sequence: room.sequence,
+              timestamp: new Date().toISOString()
+            });
+          });
+        
+        // Every surviving node notices, so each only tells its own sockets
+        this.updateMediaTopology(room.id, { local: true });
+      }
+    }
+  }
+
   // Cleanup and Maintenance
   cleanupInactiveUsers() {
     const now = Date.now();
@@ -685,8 +2400,31 @@ export class WebSocketServer {
   startMaintenance() {
     setInterval(() => {
       this.cleanupInactiveUsers();
+      this.rateLimiter.prune();
     }, 60000); // Run every minute
     
+    setInterval(() => {
+      this.expireObjectLocks();
+    }, 5000); // Locks lapse within 5s of their expiry
+    
+    if (this.cluster) {
+      setInterval(() => {
+        this.pruneLostNodes().catch(error => {
+          console.error('Error pruning lost cluster nodes:', error);
+        });
+      }, 15000);
+    }
+    
+    if (this.sessionRecorder) {
+      setInterval(() => {
+        this.sessionRecorder.prune().catch(error => {
+          console.error('Error pruning session recordings:', error);
+        });
+      }, 60 * 60 * 1000);
+    }
+    
+    this.poseStream.start();
+    
     console.log('🔧 Maintenance tasks started');
   }
 }
@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import { AuthManager } from '../server/auth.js';
+
+function createAuth(options = {}) {
+  return new AuthManager({ secret: 'test-secret', ...options });
+}
+
+// Replaces the signature with one of the same character count but more bytes
+function withMultiByteSignature(token) {
+  const [header, payload, signature] = token.split('.');
+  return `${header}.${payload}.é${signature.slice(1)}`;
+}
+
+describe('AuthManager', () => {
+  test('verifies the tokens it issues', () => {
+    const auth = createAuth();
+    const { token, user } = auth.issueToken({ name: '  Jane  ' });
+
+    const result = auth.verifyToken(token);
+
+    expect(result.valid).toBe(true);
+    expect(result.user).toEqual({ id: user.id, name: 'Jane' });
+  });
+
+  test('keeps the user ID when reissuing for an existing identity', () => {
+    const auth = createAuth();
+    const { user } = auth.issueToken({ name: 'Jane', userId: 'user_123' });
+
+    expect(user.id).toBe('user_123');
+  });
+
+  test('rejects missing and malformed tokens', () => {
+    const auth = createAuth();
+
+    expect(auth.verifyToken(undefined)).toEqual({ valid: false, reason: 'missing' });
+    expect(auth.verifyToken('not-a-token')).toEqual({ valid: false, reason: 'malformed' });
+    expect(auth.verifyToken('a.b.c')).toEqual({ valid: false, reason: 'malformed' });
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const { token } = createAuth({ secret: 'other-secret' }).issueToken({ name: 'Jane' });
+
+    expect(createAuth().verifyToken(token)).toEqual({ valid: false, reason: 'signature' });
+  });
+
+  test('rejects a signature with multi-byte characters instead of throwing', () => {
+    const auth = createAuth();
+    const { token } = auth.issueToken({ name: 'Jane' });
+    const forged = withMultiByteSignature(token);
+
+    expect(forged.length).toBe(token.length);
+    expect(auth.verifyToken(forged)).toEqual({ valid: false, reason: 'signature' });
+  });
+
+  test('rejects unsigned tokens', () => {
+    const auth = createAuth();
+    const { token } = auth.issueToken({ name: 'Jane' });
+    const [, payload] = token.split('.');
+    const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+
+    expect(auth.verifyToken(`${header}.${payload}.`)).toEqual({ valid: false, reason: 'malformed' });
+  });
+
+  test('rejects expired tokens', () => {
+    const auth = createAuth({ tokenTtl: -1000 });
+    const { token } = auth.issueToken({ name: 'Jane' });
+
+    expect(auth.verifyToken(token)).toEqual({ valid: false, reason: 'expired' });
+  });
+
+  test('rejects tokens from another issuer', () => {
+    const { token } = createAuth({ issuer: 'someone-else' }).issueToken({ name: 'Jane' });
+
+    expect(createAuth().verifyToken(token)).toEqual({ valid: false, reason: 'issuer' });
+  });
+
+  describe('httpMiddleware', () => {
+    function requestWith(token) {
+      return { get: (name) => (name === 'authorization' ? `Bearer ${token}` : undefined) };
+    }
+
+    function response() {
+      const res = { statusCode: 200, body: null };
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; return res; };
+      return res;
+    }
+
+    test('lets admins through to admin routes', () => {
+      const auth = createAuth({ adminUserIds: ['user_admin'] });
+      const { token } = auth.issueToken({ name: 'Admin', userId: 'user_admin' });
+      const req = requestWith(token);
+      const next = jest.fn();
+
+      auth.httpMiddleware({ admin: true })(req, response(), next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user.id).toBe('user_admin');
+    });
+
+    test('answers 403 to other users on admin routes', () => {
+      const auth = createAuth({ adminUserIds: ['user_admin'] });
+      const { token } = auth.issueToken({ name: 'Jane' });
+      const res = response();
+      const next = jest.fn();
+
+      auth.httpMiddleware({ admin: true })(requestWith(token), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('PERMISSION_DENIED');
+    });
+
+    test('still answers 401 without a valid token on admin routes', () => {
+      const auth = createAuth({ adminUserIds: ['user_admin'] });
+      const res = response();
+
+      auth.httpMiddleware({ admin: true })(requestWith('not-a-token'), res, jest.fn());
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('socketMiddleware', () => {
+    function handshake(token) {
+      return { handshake: { auth: { token } }, data: {} };
+    }
+
+    test('binds the verified user to the socket', () => {
+      const auth = createAuth();
+      const { token, user } = auth.issueToken({ name: 'Jane' });
+      const socket = handshake(token);
+      const next = jest.fn();
+
+      auth.socketMiddleware()(socket, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.data.user.id).toBe(user.id);
+    });
+
+    test('refuses a forged multi-byte signature with TOKEN_INVALID', () => {
+      const auth = createAuth();
+      const { token } = auth.issueToken({ name: 'Jane' });
+      const next = jest.fn();
+
+      auth.socketMiddleware()(handshake(withMultiByteSignature(token)), next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(next.mock.calls[0][0].data).toEqual({ code: 'TOKEN_INVALID' });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import net from 'net';
+import { RedisBackplane } from '../server/backplane.js';
+
+/**
+ * Just enough of a Redis server to drive the subscriber connection. Commands
+ * are recorded; replies go out only when the test sends them, so it decides
+ * how confirmations interleave with later commands.
+ */
+async function startRespServer() {
+  const clients = [];
+  const commands = [];
+
+  const server = net.createServer(socket => {
+    const client = { socket, buffer: '' };
+    clients.push(client);
+    // Otherwise Nagle holds back the second of two quick pushes
+    socket.setNoDelay(true);
+
+    socket.on('data', chunk => {
+      client.buffer += chunk.toString('utf8');
+      let command;
+      while ((command = takeCommand(client))) {
+        commands.push({ client, args: command });
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    commands,
+    // Waits until `count` commands have arrived, or gives up after two seconds
+    async received(count) {
+      const deadline = Date.now() + 2000;
+      while (commands.length < count && Date.now() < deadline) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return commands.slice(0, count);
+    },
+    push(client, ...items) {
+      client.socket.write(`*${items.length}\r\n${items.map(encodeItem).join('')}`);
+    },
+    refuse(client, message) {
+      client.socket.write(`-${message}\r\n`);
+    },
+    close() {
+      clients.forEach(client => client.socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function takeCommand(client) {
+  const lines = client.buffer.split('\r\n');
+  const count = parseInt(lines[0].slice(1));
+  if (!count || lines.length < 1 + count * 2 + 1) return null;
+
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    args.push(lines[2 + i * 2]);
+  }
+
+  client.buffer = lines.slice(1 + count * 2).join('\r\n');
+  return args;
+}
+
+function encodeItem(item) {
+  return typeof item === 'number' ? `:${item}\r\n` : `$${Buffer.byteLength(item)}\r\n${item}\r\n`;
+}
+
+// Gives pushes written by the stand-in time to cross the loopback connection
+function roundTrip() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+async function hasSettled(promise) {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+  await roundTrip();
+  return settled;
+}
+
+describe('RedisBackplane', () => {
+  let server;
+  let backplane;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = await startRespServer();
+    backplane = new RedisBackplane({ url: server.url, keyPrefix: 'test:' });
+    await backplane.init();
+  });
+
+  afterEach(async () => {
+    // close() would wait for a QUIT reply the stand-in never sends
+    [backplane.commands, backplane.subscriber].forEach(connection => {
+      connection.closing = true;
+      connection.socket?.destroy();
+    });
+    await server.close();
+    jest.restoreAllMocks();
+  });
+
+  // Subscribes to a channel and confirms it, returning the subscriber's server side
+  async function subscribeConfirmed(channel, handler = () => {}) {
+    const index = server.commands.length;
+    const subscribed = backplane.subscribe(channel, handler);
+    const commands = await server.received(index + 1);
+    const { client } = commands[index];
+    server.push(client, 'subscribe', `test:${channel}`, index + 1);
+    await subscribed;
+    return client;
+  }
+
+  test('delivers messages published on a subscribed channel', async () => {
+    const handler = jest.fn();
+    const client = await subscribeConfirmed('rooms', handler);
+
+    server.push(client, 'message', 'test:rooms', JSON.stringify({ roomId: 'room_1' }));
+    await roundTrip();
+
+    expect(handler).toHaveBeenCalledWith({ roomId: 'room_1' });
+  });
+
+  test('does not resolve a later subscribe with confirmations meant for a resubscribe', async () => {
+    await subscribeConfirmed('a');
+    const client = await subscribeConfirmed('b');
+
+    backplane.resubscribe();
+    const later = backplane.subscribe('c', () => {});
+    const commands = await server.received(4);
+    expect(commands.slice(2).map(command => command.args)).toEqual([
+      ['SUBSCRIBE', 'test:a', 'test:b'],
+      ['SUBSCRIBE', 'test:c']
+    ]);
+
+    server.push(client, 'subscribe', 'test:a', 2);
+    server.push(client, 'subscribe', 'test:b', 2);
+    expect(await hasSettled(later)).toBe(false);
+
+    server.push(client, 'subscribe', 'test:c', 3);
+    expect(await hasSettled(later)).toBe(true);
+  });
+
+  test('subscribes again when retried after a refused subscribe', async () => {
+    const refused = backplane.subscribe('rooms', () => {});
+    const [{ client }] = await server.received(1);
+    server.refuse(client, 'ERR not allowed');
+
+    await expect(refused).rejects.toThrow('ERR not allowed');
+
+    const retried = backplane.subscribe('rooms', () => {});
+    const commands = await server.received(2);
+    expect(commands[1].args).toEqual(['SUBSCRIBE', 'test:rooms']);
+
+    server.push(client, 'subscribe', 'test:rooms', 1);
+    expect(await hasSettled(retried)).toBe(true);
+  });
+
+  test('resolves an unsubscribe on its own confirmation', async () => {
+    const client = await subscribeConfirmed('rooms');
+
+    const unsubscribed = backplane.unsubscribe('rooms');
+    const commands = await server.received(2);
+    expect(commands[1].args).toEqual(['UNSUBSCRIBE', 'test:rooms']);
+    expect(await hasSettled(unsubscribed)).toBe(false);
+
+    server.push(client, 'unsubscribe', 'test:rooms', 0);
+    expect(await hasSettled(unsubscribed)).toBe(true);
+  });
+});
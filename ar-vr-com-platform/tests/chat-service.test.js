@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { RoomManager } from '../server/room-manager.js';
+import { ChatService } from '../server/chat-service.js';
+
+describe('ChatService', () => {
+  const alice = { id: 'user_alice', name: 'Alice' };
+  const bob = { id: 'user_bob', name: 'Bob' };
+  const carol = { id: 'user_carol', name: 'Carol' };
+
+  let roomManager;
+  let chat;
+  let roomId;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    roomManager = new RoomManager();
+    chat = new ChatService(roomManager);
+    roomId = roomManager.createRoom({ name: 'Chat Room', createdBy: alice.id }).id;
+    [alice, bob, carol].forEach(user => roomManager.addUserToRoom(roomId, user));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('direct messages', () => {
+    test('are visible to their two users only', () => {
+      const { message } = chat.sendMessage(roomId, alice, { text: 'psst', to: bob.id });
+
+      expect(chat.canView(message, alice.id)).toBe(true);
+      expect(chat.canView(message, bob.id)).toBe(true);
+      expect(chat.canView(message, carol.id)).toBe(false);
+      expect(chat.getRecipients(message)).toEqual([alice.id, bob.id]);
+    });
+
+    test('leave room messages visible to everyone', () => {
+      const { message } = chat.sendMessage(roomId, alice, { text: 'hello all' });
+
+      expect(chat.canView(message, carol.id)).toBe(true);
+      expect(chat.getRecipients(message)).toBeNull();
+    });
+
+    test('are left out of the history of everyone else', () => {
+      chat.sendMessage(roomId, alice, { text: 'hello all' });
+      chat.sendMessage(roomId, alice, { text: 'psst', to: bob.id });
+
+      expect(chat.getHistory(roomId, bob.id).messages.map(message => message.text)).toEqual(['hello all', 'psst']);
+      expect(chat.getHistory(roomId, carol.id).messages.map(message => message.text)).toEqual(['hello all']);
+    });
+
+    test('keep replies between the same two users and hide the thread from others', () => {
+      const { message: root } = chat.sendMessage(roomId, alice, { text: 'psst', to: bob.id });
+
+      const { message: reply } = chat.sendMessage(roomId, bob, { text: 'yes?', threadId: root.id });
+
+      expect(reply.to).toBe(alice.id);
+      expect(chat.sendMessage(roomId, carol, { text: 'me too', threadId: root.id }).code).toBe('MESSAGE_NOT_FOUND');
+      expect(chat.getHistory(roomId, carol.id, { threadId: root.id })).toEqual(expect.objectContaining({ messages: [], root: null }));
+    });
+
+    test('need a recipient in the room other than the sender', () => {
+      expect(chat.sendMessage(roomId, alice, { text: 'hi', to: 'user_absent' }).code).toBe('USER_NOT_FOUND');
+      expect(chat.sendMessage(roomId, alice, { text: 'hi', to: alice.id }).code).toBe('USER_NOT_FOUND');
+    });
+  });
+
+  describe('editing and deleting', () => {
+    let message;
+
+    beforeEach(() => {
+      ({ message } = chat.sendMessage(roomId, alice, { text: 'first draft' }));
+    });
+
+    test('lets the author edit a message', () => {
+      const result = chat.editMessage(roomId, alice.id, message.id, 'second draft');
+
+      expect(result.message).toEqual(expect.objectContaining({ text: 'second draft', editedAt: expect.any(String) }));
+    });
+
+    test('lets the author delete a message, leaving a tombstone', () => {
+      const result = chat.deleteMessage(roomId, alice.id, message.id);
+
+      expect(result.message).toEqual(expect.objectContaining({ id: message.id, text: '', deleted: true }));
+      expect(chat.getHistory(roomId, bob.id).messages).toEqual([expect.objectContaining({ deleted: true })]);
+      expect(chat.editMessage(roomId, alice.id, message.id, 'back').code).toBe('MESSAGE_NOT_FOUND');
+    });
+
+    test('refuses anyone but the author, the room owner included', () => {
+      const { message: bobsMessage } = chat.sendMessage(roomId, bob, { text: 'mine' });
+
+      expect(chat.editMessage(roomId, bob.id, message.id, 'hijacked')).toEqual(expect.objectContaining({ code: 'NOT_AUTHOR' }));
+      expect(chat.deleteMessage(roomId, bob.id, message.id)).toEqual(expect.objectContaining({ code: 'NOT_AUTHOR' }));
+      expect(chat.deleteMessage(roomId, alice.id, bobsMessage.id)).toEqual(expect.objectContaining({ code: 'NOT_AUTHOR' }));
+      expect(message).toEqual(expect.objectContaining({ text: 'first draft', deleted: false }));
+      expect(bobsMessage.deleted).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { RoomManager } from '../../server/room-manager.js';
+import { PeerConnectionManager } from '../../server/peer-connection.js';
+import { WebSocketServer } from '../../server/websocket-server.js';
+
+/**
+ * A WebSocketServer wired to stand-in sockets instead of socket.io, so
+ * handlers can be called directly and what each socket was sent inspected.
+ * Callers should use fake timers; the managers start maintenance intervals.
+ */
+export function createHarness(options = {}) {
+  const sockets = new Map();
+  const socketRooms = new Map();
+  const sent = [];
+
+  const io = { sockets: { sockets, adapter: { rooms: socketRooms } } };
+  const roomManager = options.roomManager || new RoomManager();
+  const ws = new WebSocketServer(io, roomManager, new PeerConnectionManager(), options);
+
+  function connect(socketId, user) {
+    const socket = {
+      id: socketId,
+      data: { user },
+      emit: (event, data) => sent.push({ socketId, event, data }),
+      join(roomId) {
+        if (!socketRooms.has(roomId)) socketRooms.set(roomId, new Set());
+        socketRooms.get(roomId).add(socketId);
+      },
+      leave(roomId) {
+        socketRooms.get(roomId)?.delete(socketId);
+      }
+    };
+
+    sockets.set(socketId, socket);
+    return socket;
+  }
+
+  function createRoom(socket, data = {}) {
+    ws.handleCreateRoom(socket, { name: 'Test Room', ...data });
+    return received(socket.id, 'room-created').at(-1).room.id;
+  }
+
+  // Payloads of `event` sent to one socket, oldest first
+  function received(socketId, event) {
+    return sent.filter(entry => entry.socketId === socketId && entry.event === event).map(entry => entry.data);
+  }
+
+  return { ws, roomManager, connect, createRoom, received, sent };
+}
+
+// Records which rooms are being recorded, in the shape of a SessionRecorder
+export function createRecorderStandIn() {
+  const active = new Map();
+
+  return {
+    active,
+    onStop: null,
+    isRecording: (roomId) => active.has(roomId),
+    getActiveRecording: (roomId) => active.get(roomId) || null,
+    record() {},
+    prune: async () => 0,
+    startRecording(room, snapshot, { startedBy = null, reason = 'manual' } = {}) {
+      const recording = { id: `rec_${room.id}`, roomId: room.id, startedBy, startReason: reason };
+      active.set(room.id, recording);
+      return recording;
+    },
+    stopRecording(roomId, reason) {
+      const recording = active.get(roomId);
+      active.delete(roomId);
+      return recording ? { ...recording, endReason: reason } : null;
+    }
+  };
+}
@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+import { IceServerProvider, DEFAULT_STUN_SERVERS } from '../server/ice-servers.js';
+
+describe('IceServerProvider', () => {
+  const turnUrls = ['turn:turn.example.com:3478?transport=udp', 'turns:turn.example.com:5349?transport=tcp'];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-15T10:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('offers the default STUN servers and no TURN when none is configured', () => {
+    const provider = new IceServerProvider();
+
+    expect(provider.getIceServers('user_123')).toEqual({
+      iceServers: DEFAULT_STUN_SERVERS.map(urls => ({ urls })),
+      ttl: null,
+      expiresAt: null
+    });
+  });
+
+  test('mints TURN credentials that a TURN server with the shared secret accepts', () => {
+    const provider = new IceServerProvider({ stunUrls: ['stun:stun.example.com'], turnUrls, turnSecret: 'turn-secret' });
+
+    // 12 hours after the fixed clock; the credential was checked with openssl dgst -sha1 -hmac
+    expect(provider.getIceServers('user_123')).toEqual({
+      iceServers: [
+        { urls: 'stun:stun.example.com' },
+        { urls: turnUrls, username: '1705356000:user_123', credential: 'FzOY/bUA8tEVJYh2EUbwyJ0LKcM=' }
+      ],
+      ttl: 12 * 60 * 60 * 1000,
+      expiresAt: '2024-01-15T22:00:00.000Z'
+    });
+    expect(provider.getStats()).toEqual(expect.objectContaining({ credentialsIssued: 1, turnAuth: 'shared-secret' }));
+  });
+
+  test('binds each credential to its user and expiry', () => {
+    const provider = new IceServerProvider({ turnUrls, turnSecret: 'turn-secret', credentialTtl: 60000 });
+
+    const first = provider.getIceServers('user_123').iceServers.at(-1);
+    const other = provider.getIceServers('user_456').iceServers.at(-1);
+    jest.advanceTimersByTime(1000);
+    const later = provider.getIceServers('user_123').iceServers.at(-1);
+
+    expect(first.username).toBe('1705312860:user_123');
+    expect(other.username).toBe('1705312860:user_456');
+    expect(later.username).toBe('1705312861:user_123');
+    expect(new Set([first.credential, other.credential, later.credential]).size).toBe(3);
+  });
+
+  test('hands out the static TURN user when no secret is configured', () => {
+    const provider = new IceServerProvider({ turnUrls, turnUsername: 'arvr', turnPassword: 'pass' });
+
+    expect(provider.getIceServers('user_123')).toEqual(expect.objectContaining({
+      iceServers: expect.arrayContaining([{ urls: turnUrls, username: 'arvr', credential: 'pass' }]),
+      ttl: null,
+      expiresAt: null
+    }));
+    expect(provider.getStats().turnAuth).toBe('static');
+  });
+
+  test('leaves TURN out, with a warning, when it has no way to authenticate', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const provider = new IceServerProvider({ turnUrls });
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(provider.hasTurn()).toBe(false);
+    expect(provider.getIceServers('user_123').iceServers).toEqual(DEFAULT_STUN_SERVERS.map(urls => ({ urls })));
+  });
+});
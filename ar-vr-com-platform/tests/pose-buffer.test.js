@@ -0,0 +1,66 @@
+import { PoseBuffer } from '../client/js/pose-buffer.js';
+
+// Where the avatar is drawn along x, for samples whose position is just x
+function renderedX(buffer, now) {
+  const { from, to, alpha } = buffer.sample(now);
+  return from.position + (to.position - from.position) * alpha;
+}
+
+describe('PoseBuffer', () => {
+  let buffer;
+
+  beforeEach(() => {
+    buffer = new PoseBuffer({ delay: 100, maxExtrapolation: 250, settleTime: 250 });
+  });
+
+  test('has nothing to draw before the first sample', () => {
+    expect(buffer.sample(1000)).toBeNull();
+  });
+
+  test('holds a single sample where it is', () => {
+    buffer.push({ time: 1000, position: 2 });
+
+    expect(renderedX(buffer, 5000)).toBe(2);
+  });
+
+  test('interpolates between the samples around the render time', () => {
+    buffer.push({ time: 1000, position: 0 });
+    buffer.push({ time: 1100, position: 1 });
+
+    expect(renderedX(buffer, 1000)).toBe(0);
+    expect(renderedX(buffer, 1150)).toBeCloseTo(0.5);
+    expect(renderedX(buffer, 1200)).toBeCloseTo(1);
+  });
+
+  test('drops samples it has moved past but keeps the one before the render time', () => {
+    [1000, 1100, 1200, 1300].forEach((time, index) => buffer.push({ time, position: index }));
+
+    expect(renderedX(buffer, 1350)).toBeCloseTo(2.5);
+    expect(buffer.samples.map(sample => sample.time)).toEqual([1200, 1300]);
+  });
+
+  test('keeps only the latest samples', () => {
+    const small = new PoseBuffer({ size: 3 });
+    [1, 2, 3, 4].forEach(time => small.push({ time, position: 0 }));
+
+    expect(small.samples.map(sample => sample.time)).toEqual([2, 3, 4]);
+  });
+
+  test('extrapolates along the last velocity when snapshots stop', () => {
+    buffer.push({ time: 1000, position: 0 });
+    buffer.push({ time: 1100, position: 1 });
+
+    // 100 ms past the last sample at 1 m per 100 ms
+    expect(renderedX(buffer, 1300)).toBeCloseTo(2);
+    expect(renderedX(buffer, 1450)).toBeCloseTo(3.5);
+  });
+
+  test('eases back onto the last sample once the extrapolation runs out', () => {
+    buffer.push({ time: 1000, position: 0 });
+    buffer.push({ time: 1100, position: 1 });
+
+    expect(renderedX(buffer, 1575)).toBeCloseTo(2.25);
+    expect(renderedX(buffer, 1700)).toBeCloseTo(1);
+    expect(renderedX(buffer, 10000)).toBeCloseTo(1);
+  });
+});
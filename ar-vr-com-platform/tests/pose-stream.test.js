@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import { PoseStream } from '../server/pose-stream.js';
+
+describe('PoseStream', () => {
+  let broadcast;
+  let stream;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    broadcast = jest.fn();
+    stream = new PoseStream(broadcast, { tickRate: 10 });
+  });
+
+  afterEach(() => {
+    stream.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const snapshots = () => broadcast.mock.calls.map(([, , data]) => data);
+
+  test('sends the latest pose of each user once per tick', () => {
+    stream.start();
+    stream.updatePose('room_1', 'user_a', [0, 0, 0], [0, 0, 0]);
+    stream.updatePose('room_1', 'user_a', [1, 0, 0], [0, 0, 0]);
+    stream.updatePose('room_1', 'user_b', [0, 1, 0], [0, 0.5, 0]);
+
+    jest.advanceTimersByTime(100);
+
+    expect(broadcast).toHaveBeenCalledTimes(1);
+    expect(broadcast).toHaveBeenCalledWith('room_1', 'pose-snapshot', expect.objectContaining({
+      roomId: 'room_1',
+      tick: 1,
+      poses: [
+        { u: 'user_a', p: [1, 0, 0], r: [0, 0, 0] },
+        { u: 'user_b', p: [0, 1, 0], r: [0, 0.5, 0] }
+      ]
+    }));
+  });
+
+  test('rounds poses to millimeters and milliradians', () => {
+    stream.updatePose('room_1', 'user_a', [1.23456, 0.0004, 2], [0.1239, 0, 0]);
+    stream.tick();
+
+    expect(snapshots()[0].poses).toEqual([{ u: 'user_a', p: [1.235, 0, 2], r: [0.124, 0, 0] }]);
+  });
+
+  test('sends only the parts of a pose that moved past the thresholds', () => {
+    stream.updatePose('room_1', 'user_a', [0, 0, 0], [0, 0, 0]);
+    stream.tick();
+    stream.updatePose('room_1', 'user_a', [0.5, 0, 0], [0, 0.005, 0]);
+    stream.tick();
+    stream.updatePose('room_1', 'user_a', [0.505, 0, 0], [0, 0.2, 0]);
+    stream.tick();
+
+    expect(snapshots().map(snapshot => snapshot.poses)).toEqual([
+      [{ u: 'user_a', p: [0, 0, 0], r: [0, 0, 0] }],
+      [{ u: 'user_a', p: [0.5, 0, 0] }],
+      [{ u: 'user_a', r: [0, 0.2, 0] }]
+    ]);
+  });
+
+  test('compares small moves with the last pose sent, so slow drift is still sent', () => {
+    stream.updatePose('room_1', 'user_a', [0, 0, 0], [0, 0, 0]);
+    stream.tick();
+    stream.updatePose('room_1', 'user_a', [0.006, 0, 0], [0, 0, 0]);
+    stream.tick();
+    stream.updatePose('room_1', 'user_a', [0.012, 0, 0], [0, 0, 0]);
+    stream.tick();
+
+    expect(snapshots().map(snapshot => snapshot.poses)).toEqual([
+      [{ u: 'user_a', p: [0, 0, 0], r: [0, 0, 0] }],
+      [{ u: 'user_a', p: [0.012, 0, 0] }]
+    ]);
+    expect(stream.getStats().updatesDropped).toBe(1);
+  });
+
+  test('sends nothing for rooms without new poses', () => {
+    stream.updatePose('room_1', 'user_a', [0, 0, 0], [0, 0, 0]);
+    stream.tick();
+    stream.tick();
+
+    expect(broadcast).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends a full pose again for a user who left and came back', () => {
+    stream.updatePose('room_1', 'user_a', [1, 0, 0], [0, 0, 0]);
+    stream.tick();
+    stream.removeUser('room_1', 'user_a');
+
+    expect(stream.getStats().activeRooms).toBe(0);
+
+    stream.updatePose('room_1', 'user_a', [1, 0, 0], [0, 0, 0]);
+    stream.tick();
+
+    expect(snapshots()[1].poses).toEqual([{ u: 'user_a', p: [1, 0, 0], r: [0, 0, 0] }]);
+  });
+});
@@ -0,0 +1,76 @@
+import express from 'express';
+import { request } from 'http';
+import { RateLimiter } from '../server/rate-limiter.js';
+
+// Serves one route that echoes its parsed body
+async function startServer(limiter, route) {
+  const app = express();
+  app.post('/echo', limiter.jsonParser(route), (req, res) => res.json({ body: req.body }));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return server;
+}
+
+// Sends the body in chunks without a Content-Length, as a streaming client would
+function postChunked(server, chunks) {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path: '/echo',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Transfer-Encoding': 'chunked' }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+
+    req.on('error', reject);
+    chunks.forEach(chunk => req.write(chunk));
+    req.end();
+  });
+}
+
+describe('RateLimiter', () => {
+  describe('jsonParser', () => {
+    let limiter;
+    let server;
+
+    beforeEach(async () => {
+      limiter = new RateLimiter();
+      server = await startServer(limiter, 'auth-token');
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('parses a chunked body within the route cap', async () => {
+      const response = await postChunked(server, ['{"name":', '"Jane"}']);
+
+      expect(response).toEqual({ status: 200, body: { body: { name: 'Jane' } } });
+    });
+
+    test('refuses a chunked body over the route cap with 413', async () => {
+      const name = 'x'.repeat(600);
+      const response = await postChunked(server, [`{"name":"${name}",`, `"extra":"${name}"}`]);
+
+      expect(response.status).toBe(413);
+      expect(response.body).toEqual({ error: 'Request body too large', code: 'PAYLOAD_TOO_LARGE', maxBodySize: 1024 });
+      expect(limiter.getStats().rejectedByRoute).toEqual({ 'auth-token': 1 });
+    });
+  });
+
+  test('refuses a declared Content-Length over the route cap before reading the body', () => {
+    const limiter = new RateLimiter();
+
+    expect(limiter.checkRequest('auth-token', '127.0.0.1', 2048)).toEqual({
+      allowed: false,
+      code: 'PAYLOAD_TOO_LARGE',
+      maxBodySize: 1024
+    });
+  });
+});
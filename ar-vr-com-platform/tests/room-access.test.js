@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+import { createInviteToken, verifyInviteToken } from '../server/room-access.js';
+import { RoomManager } from '../server/room-manager.js';
+
+const SECRET = 'invite-secret';
+
+function invite(overrides = {}) {
+  return createInviteToken({ roomId: 'room_1', issuedBy: 'user_owner', expiresIn: 60000, ...overrides }, SECRET).token;
+}
+
+describe('verifyInviteToken', () => {
+  test('accepts an invite for its own room', () => {
+    const result = verifyInviteToken(invite(), 'room_1', SECRET);
+
+    expect(result.valid).toBe(true);
+    expect(result.payload).toEqual(expect.objectContaining({ roomId: 'room_1', issuedBy: 'user_owner' }));
+  });
+
+  test('rejects an invite for another room', () => {
+    expect(verifyInviteToken(invite(), 'room_2', SECRET)).toEqual({ valid: false, reason: 'room' });
+  });
+
+  test('rejects an expired invite', () => {
+    expect(verifyInviteToken(invite({ expiresIn: -1000 }), 'room_1', SECRET)).toEqual({ valid: false, reason: 'expired' });
+  });
+
+  test('rejects a signature with multi-byte characters instead of throwing', () => {
+    const token = invite();
+    const [payload, signature] = token.split('.');
+    const forged = `${payload}.é${signature.slice(1)}`;
+
+    expect(forged.length).toBe(token.length);
+    expect(verifyInviteToken(forged, 'room_1', SECRET)).toEqual({ valid: false, reason: 'signature' });
+  });
+
+  test('rejects invites signed with another secret', () => {
+    expect(verifyInviteToken(invite(), 'room_1', 'other-secret')).toEqual({ valid: false, reason: 'signature' });
+  });
+});
+
+describe('RoomManager invites', () => {
+  let roomManager;
+  let room;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // Invite-only rooms are meant to have no password here
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    roomManager = new RoomManager({ inviteSecret: SECRET });
+    room = roomManager.createRoom({ name: 'Private', createdBy: 'user_owner', isPrivate: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('answers a malformed invite with INVITE_INVALID', () => {
+    const { token } = roomManager.createInvite(room.id, 'user_owner');
+    const [payload, signature] = token.split('.');
+
+    const result = roomManager.checkRoomAccess(room, { id: 'user_guest' }, { inviteToken: `${payload}.é${signature.slice(1)}` });
+
+    expect(result).toEqual(expect.objectContaining({ allowed: false, code: 'INVITE_INVALID' }));
+  });
+
+  test('lets everyone holding an invite in until it expires', () => {
+    const { token } = roomManager.createInvite(room.id, 'user_owner', 60000);
+
+    expect(roomManager.checkRoomAccess(room, { id: 'user_a' }, { inviteToken: token }).allowed).toBe(true);
+    expect(roomManager.checkRoomAccess(room, { id: 'user_b' }, { inviteToken: token }).allowed).toBe(true);
+
+    jest.advanceTimersByTime(60001);
+
+    expect(roomManager.checkRoomAccess(room, { id: 'user_c' }, { inviteToken: token }).code).toBe('INVITE_EXPIRED');
+  });
+});
@@ -0,0 +1,348 @@
+import { jest } from '@jest/globals';
+import { RoomManager } from '../server/room-manager.js';
+import { ChatService } from '../server/chat-service.js';
+
+// Records what RoomManager writes, in the shape of a RoomStorageAdapter
+function createStorage(storedRooms = []) {
+  return {
+    init: jest.fn(async () => {}),
+    loadRooms: jest.fn(async () => storedRooms),
+    saveRoom: jest.fn(async () => {}),
+    deleteRoom: jest.fn(async () => {}),
+    saveObject: jest.fn(async () => {}),
+    deleteObject: jest.fn(async () => {}),
+    saveChatMessage: jest.fn(async () => {}),
+    deleteChatMessages: jest.fn(async () => {}),
+    close: jest.fn(async () => {})
+  };
+}
+
+function storedRoom(overrides = {}) {
+  return {
+    id: 'room_stored',
+    name: 'Stored Room',
+    description: '',
+    isPersistent: true,
+    isPrivate: false,
+    maxUsers: 10,
+    objects: [],
+    settings: {},
+    roles: {},
+    bannedUsers: [],
+    mutedUsers: [],
+    stats: { totalUsersJoined: 0, totalObjectsCreated: 0 },
+    sequence: 0,
+    tombstones: [],
+    tombstoneFloor: 0,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    lastActivity: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('RoomManager', () => {
+  beforeEach(() => {
+    // The maintenance intervals started by the constructor must not keep Jest running
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('templates', () => {
+    test('adds template objects with the net ID, version and sequence of any other object', () => {
+      const roomManager = new RoomManager();
+      const room = roomManager.createRoom({ name: 'Studio', createdBy: 'user_1', template: 'creative' });
+
+      expect(room.objects.map(object => object.type)).toEqual(['easel', 'work_table']);
+      room.objects.forEach(object => {
+        expect(object.isTemplate).toBe(true);
+        expect(object.version).toBe(1);
+        expect(Number.isInteger(object.netId)).toBe(true);
+        expect(object.seq).toBeGreaterThan(0);
+      });
+      expect(new Set(room.objects.map(object => object.netId)).size).toBe(2);
+      expect(room.settings.textChat).toBe(true);
+    });
+
+    test('writes the room before its template objects', async () => {
+      const storage = createStorage();
+      const roomManager = new RoomManager({ storage });
+      const room = roomManager.createRoom({ name: 'Studio', createdBy: 'user_1', template: 'creative', isPersistent: true });
+      await roomManager.closeStorage();
+
+      const firstObjectSave = storage.saveObject.mock.invocationCallOrder[0];
+      expect(storage.saveRoom.mock.invocationCallOrder[0]).toBeLessThan(firstObjectSave);
+      expect(storage.saveObject).toHaveBeenCalledTimes(room.objects.length);
+    });
+  });
+
+  describe('addObjectToRoom', () => {
+    test('does not use up a net ID when the object is refused', () => {
+      const roomManager = new RoomManager();
+      const room = roomManager.createRoom({ name: 'Scratch', createdBy: 'user_1' });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const first = roomManager.addObjectToRoom(room.id, { id: 'obj_1', type: 'cube', createdBy: 'user_1' });
+      expect(() => roomManager.addObjectToRoom(room.id, { id: 'obj_1', type: 'cube', createdBy: 'user_1' }))
+        .toThrow('already exists');
+      const second = roomManager.addObjectToRoom(room.id, { id: 'obj_2', type: 'cube', createdBy: 'user_1' });
+
+      expect(second.netId).toBe(first.netId + 1);
+    });
+  });
+
+  describe('applyObjectUpdate', () => {
+    let roomManager;
+    let room;
+    let object;
+
+    beforeEach(() => {
+      roomManager = new RoomManager();
+      room = roomManager.createRoom({ name: 'Studio', createdBy: 'user_owner' });
+      object = roomManager.addObjectToRoom(room.id, {
+        id: 'obj_1',
+        type: 'cube',
+        createdBy: 'user_owner',
+        position: [0, 0, 0],
+        rotation: [0, 0, 0],
+        scale: [1, 1, 1],
+        properties: { color: 'red', size: 2 }
+      });
+    });
+
+    test('applies only the changed fields and bumps the version and sequence', () => {
+      const sequence = room.sequence;
+
+      const result = roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [1, 2, 3] }, { userId: 'user_guest', baseVersion: 1 });
+
+      expect(result).toEqual({ applied: true, object, changes: { position: [1, 2, 3] } });
+      expect(object).toEqual(expect.objectContaining({
+        position: [1, 2, 3],
+        rotation: [0, 0, 0],
+        scale: [1, 1, 1],
+        version: 2,
+        lastModifiedBy: 'user_guest'
+      }));
+      expect(object.seq).toBe(sequence + 1);
+    });
+
+    test('replaces the properties of objects other than notes as a whole', () => {
+      roomManager.applyObjectUpdate(room.id, 'obj_1', { properties: { color: 'blue' } }, { userId: 'user_guest', baseVersion: 1 });
+
+      expect(object.properties).toEqual({ color: 'blue' });
+    });
+
+    test('ignores server-owned fields in the changes', () => {
+      const result = roomManager.applyObjectUpdate(room.id, 'obj_1', {
+        id: 'obj_other',
+        createdBy: 'user_guest',
+        version: 99,
+        scale: [2, 2, 2]
+      }, { userId: 'user_guest', baseVersion: 1 });
+
+      expect(result.changes).toEqual({ scale: [2, 2, 2] });
+      expect(object).toEqual(expect.objectContaining({ id: 'obj_1', createdBy: 'user_owner', version: 2 }));
+    });
+
+    test('refuses changes made only of server-owned fields with NO_CHANGES', () => {
+      const result = roomManager.applyObjectUpdate(room.id, 'obj_1', { version: 5 }, { userId: 'user_guest', baseVersion: 1 });
+
+      expect(result).toEqual(expect.objectContaining({ applied: false, code: 'NO_CHANGES' }));
+      expect(object.version).toBe(1);
+    });
+
+    test('rejects an update based on an older version and hands back the current copy', () => {
+      roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [1, 0, 0] }, { userId: 'user_a', baseVersion: 1 });
+
+      const result = roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [0, 5, 0] }, { userId: 'user_b', baseVersion: 1 });
+
+      expect(result).toEqual(expect.objectContaining({ applied: false, code: 'STALE_VERSION', object }));
+      expect(object.position).toEqual([1, 0, 0]);
+      expect(object.version).toBe(2);
+    });
+
+    test('applies updates without a base version in arrival order', () => {
+      roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [1, 0, 0] }, { userId: 'user_a' });
+      const result = roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [0, 5, 0] }, { userId: 'user_b' });
+
+      expect(result.applied).toBe(true);
+      expect(object.position).toEqual([0, 5, 0]);
+      expect(object.version).toBe(3);
+    });
+
+    test('lets the owner overwrite a newer version under owner-wins, and nobody else', () => {
+      room.settings.objectConflictPolicy = 'owner-wins';
+      roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [1, 0, 0] }, { userId: 'user_a', baseVersion: 1 });
+
+      const stranger = roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [2, 0, 0] }, { userId: 'user_b', baseVersion: 1 });
+      const owner = roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [3, 0, 0] }, { userId: 'user_owner', baseVersion: 1 });
+
+      expect(stranger.code).toBe('STALE_VERSION');
+      expect(owner.applied).toBe(true);
+      expect(object.position).toEqual([3, 0, 0]);
+    });
+
+    test('rejects updates from other users while the object is locked', () => {
+      roomManager.acquireObjectLock(room.id, 'obj_1', 'user_a');
+
+      const other = roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [2, 0, 0] }, { userId: 'user_b', baseVersion: 1 });
+      const holder = roomManager.applyObjectUpdate(room.id, 'obj_1', { position: [1, 0, 0] }, { userId: 'user_a', baseVersion: 1 });
+
+      expect(other.code).toBe('OBJECT_LOCKED');
+      expect(holder.applied).toBe(true);
+    });
+
+    test('reports unknown objects', () => {
+      expect(roomManager.applyObjectUpdate(room.id, 'obj_missing', { position: [1, 0, 0] }, { userId: 'user_a' }))
+        .toEqual(expect.objectContaining({ applied: false, code: 'OBJECT_NOT_FOUND', object: null }));
+    });
+  });
+
+  describe('persistence', () => {
+    test('coalesces changes to a room into one save without its objects or chat', async () => {
+      const storage = createStorage();
+      const roomManager = new RoomManager({ storage });
+      const room = roomManager.createRoom({ name: 'Studio', createdBy: 'user_1', template: 'creative', isPersistent: true });
+      await roomManager.closeStorage();
+      storage.saveRoom.mockClear();
+
+      roomManager.banUser(room.id, 'user_2');
+      roomManager.banUser(room.id, 'user_3');
+      roomManager.setRoomLocked(room.id, true);
+      expect(storage.saveRoom).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(roomManager.config.roomSaveDelay);
+      await roomManager.closeStorage();
+
+      expect(storage.saveRoom).toHaveBeenCalledTimes(1);
+      const saved = storage.saveRoom.mock.calls[0][0];
+      expect(saved.bannedUsers).toEqual(['user_2', 'user_3']);
+      expect(saved.isLocked).toBe(true);
+      expect(saved).not.toHaveProperty('objects');
+      expect(saved).not.toHaveProperty('chatHistory');
+    });
+
+    test('saves a chat message as one row rather than rewriting the room', async () => {
+      const storage = createStorage();
+      const roomManager = new RoomManager({ storage });
+      const chat = new ChatService(roomManager);
+      const room = roomManager.createRoom({ name: 'Studio', createdBy: 'user_1', isPersistent: true });
+      await roomManager.closeStorage();
+      storage.saveRoom.mockClear();
+
+      const { message } = chat.sendMessage(room.id, { id: 'user_1', name: 'Jane' }, { text: 'hello' });
+      const { message: reply } = chat.sendMessage(room.id, { id: 'user_1', name: 'Jane' }, { text: 'more', threadId: message.id });
+      await roomManager.closeStorage();
+
+      expect(storage.saveRoom).not.toHaveBeenCalled();
+      expect(storage.saveChatMessage.mock.calls.map(([roomId, saved]) => [roomId, saved.id, saved.replyCount]))
+        .toEqual([[room.id, message.id, 0], [room.id, reply.id, 0], [room.id, message.id, 1]]);
+    });
+
+    test('deletes the messages that fall out of the chat history', async () => {
+      const storage = createStorage();
+      const roomManager = new RoomManager({ storage });
+      const chat = new ChatService(roomManager, { maxHistory: 2 });
+      const room = roomManager.createRoom({ name: 'Studio', createdBy: 'user_1', isPersistent: true });
+      const sender = { id: 'user_1', name: 'Jane' };
+
+      const { message: first } = chat.sendMessage(room.id, sender, { text: 'one' });
+      chat.sendMessage(room.id, sender, { text: 'two' });
+      chat.sendMessage(room.id, sender, { text: 'three' });
+      await roomManager.closeStorage();
+
+      expect(storage.deleteChatMessages).toHaveBeenCalledTimes(1);
+      expect(storage.deleteChatMessages).toHaveBeenCalledWith(room.id, [first.id]);
+    });
+
+    test('saves pending room changes when a room is unloaded', async () => {
+      const storage = createStorage([storedRoom()]);
+      const roomManager = new RoomManager({ storage });
+      await roomManager.loadPersistedRooms();
+
+      roomManager.banUser('room_stored', 'user_2');
+      roomManager.removeRoom('room_stored');
+      await roomManager.closeStorage();
+
+      expect(storage.saveRoom).toHaveBeenCalledTimes(1);
+      expect(storage.saveRoom.mock.calls[0][0].bannedUsers).toEqual(['user_2']);
+    });
+  });
+
+  describe('cluster mirroring', () => {
+    test('applies mirrored removals, bans, locks and roles without writing to storage', async () => {
+      const storage = createStorage([storedRoom({ objects: [{ id: 'obj_1', type: 'cube', position: [0, 0, 0] }] })]);
+      const roomManager = new RoomManager({ storage });
+      await roomManager.loadPersistedRooms();
+
+      expect(roomManager.mirrorObjectRemoval('room_stored', 'obj_1')).toBe(true);
+      roomManager.mirrorUserBan('room_stored', 'user_2');
+      expect(roomManager.mirrorRoomLock('room_stored', true)).toBe(true);
+      roomManager.mirrorUserRole('room_stored', 'user_3', 'moderator');
+      jest.advanceTimersByTime(roomManager.config.roomSaveDelay);
+      await roomManager.closeStorage();
+
+      const room = roomManager.getRoom('room_stored');
+      expect(room.objects).toEqual([]);
+      expect(room.bannedUsers).toEqual(['user_2']);
+      expect(room.isLocked).toBe(true);
+      expect(room.roles).toEqual({ user_3: 'moderator' });
+      expect(storage.deleteObject).not.toHaveBeenCalled();
+      expect(storage.saveRoom).not.toHaveBeenCalled();
+    });
+
+    test('does not delete stored objects missing from a stale snapshot', async () => {
+      const storage = createStorage([storedRoom({ objects: [{ id: 'obj_1', type: 'cube', position: [0, 0, 0] }] })]);
+      const roomManager = new RoomManager({ storage });
+      await roomManager.loadPersistedRooms();
+
+      const { room: remoteRoom } = roomManager.getRoomSnapshot('room_stored');
+      const room = roomManager.hydrateRoom({ room: { ...remoteRoom, objects: [] }, ownerNodeId: 'node_b' });
+      await roomManager.closeStorage();
+
+      expect(room.objects).toEqual([]);
+      expect(storage.deleteObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('inactive room cleanup', () => {
+    test('keeps restored persistent rooms however long they have been idle', async () => {
+      const storage = createStorage([storedRoom()]);
+      const roomManager = new RoomManager({ storage });
+      await roomManager.loadPersistedRooms();
+
+      roomManager.cleanupInactiveRooms();
+      await roomManager.closeStorage();
+
+      expect(roomManager.getRoom('room_stored')).toBeDefined();
+      expect(storage.deleteRoom).not.toHaveBeenCalled();
+    });
+
+    test('removes empty non-persistent rooms after the inactivity timeout', () => {
+      const roomManager = new RoomManager();
+      const room = roomManager.createRoom({ name: 'Scratch', createdBy: 'user_1' });
+      room.lastActivity = new Date(Date.now() - roomManager.config.roomInactivityTimeout - 1000).toISOString();
+
+      roomManager.cleanupInactiveRooms();
+
+      expect(roomManager.getRoom(room.id)).toBeUndefined();
+    });
+
+    test('deletes a persistent room from storage only when asked to', async () => {
+      const storage = createStorage([storedRoom(), storedRoom({ id: 'room_other' })]);
+      const roomManager = new RoomManager({ storage });
+      await roomManager.loadPersistedRooms();
+
+      roomManager.removeRoom('room_stored');
+      roomManager.removeRoom('room_other', { deleteStored: true });
+      await roomManager.closeStorage();
+
+      expect(storage.deleteRoom).toHaveBeenCalledTimes(1);
+      expect(storage.deleteRoom).toHaveBeenCalledWith('room_other');
+    });
+  });
+});
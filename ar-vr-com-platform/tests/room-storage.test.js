@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileRoomStorage, SqliteRoomStorage } from '../server/room-storage.js';
+
+const adapters = [
+  ['JsonFileRoomStorage', (directory) => new JsonFileRoomStorage({ filePath: path.join(directory, 'rooms.json'), flushDelay: 0 })],
+  ['SqliteRoomStorage', (directory) => new SqliteRoomStorage({ filePath: path.join(directory, 'rooms.db') })]
+];
+
+function message(id, createdAt, text = id) {
+  return { id, text, createdAt, from: 'user_1', to: null, threadId: null };
+}
+
+describe.each(adapters)('%s', (name, createStorage) => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'room-storage-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  // Writes through one instance, then reads back through a fresh one
+  async function reopen(storage) {
+    await storage.close();
+    const reopened = createStorage(directory);
+    await reopened.init();
+    return reopened;
+  }
+
+  test('keeps objects and chat when the room record is saved again', async () => {
+    let storage = createStorage(directory);
+    await storage.init();
+
+    await storage.saveRoom({ id: 'room_1', name: 'Studio', isLocked: false });
+    await storage.saveObject('room_1', { id: 'obj_1', type: 'cube' });
+    await storage.saveChatMessage('room_1', message('msg_1', '2024-01-15T10:00:00.000Z'));
+    await storage.saveRoom({ id: 'room_1', name: 'Studio', isLocked: true });
+
+    storage = await reopen(storage);
+    const [room] = await storage.loadRooms();
+    await storage.close();
+
+    expect(room.isLocked).toBe(true);
+    expect(room.objects).toEqual([{ id: 'obj_1', type: 'cube' }]);
+    expect(room.chatHistory.map(saved => saved.id)).toEqual(['msg_1']);
+  });
+
+  test('updates chat messages in place and deletes dropped ones', async () => {
+    let storage = createStorage(directory);
+    await storage.init();
+
+    await storage.saveRoom({ id: 'room_1', name: 'Studio' });
+    await storage.saveChatMessage('room_1', message('msg_1', '2024-01-15T10:00:00.000Z'));
+    await storage.saveChatMessage('room_1', message('msg_2', '2024-01-15T10:01:00.000Z'));
+    await storage.saveChatMessage('room_1', message('msg_3', '2024-01-15T10:02:00.000Z'));
+    await storage.saveChatMessage('room_1', message('msg_2', '2024-01-15T10:01:00.000Z', 'edited'));
+    await storage.deleteChatMessages('room_1', ['msg_1']);
+
+    storage = await reopen(storage);
+    const [room] = await storage.loadRooms();
+    await storage.close();
+
+    expect(room.chatHistory.map(saved => [saved.id, saved.text])).toEqual([['msg_2', 'edited'], ['msg_3', 'msg_3']]);
+  });
+
+  test('deleting a room takes its objects and chat with it', async () => {
+    let storage = createStorage(directory);
+    await storage.init();
+
+    await storage.saveRoom({ id: 'room_1', name: 'Studio' });
+    await storage.saveObject('room_1', { id: 'obj_1', type: 'cube' });
+    await storage.saveChatMessage('room_1', message('msg_1', '2024-01-15T10:00:00.000Z'));
+    await storage.deleteRoom('room_1');
+    await storage.saveRoom({ id: 'room_1', name: 'Studio again' });
+
+    storage = await reopen(storage);
+    const [room] = await storage.loadRooms();
+    await storage.close();
+
+    expect(room.name).toBe('Studio again');
+    expect(room.objects).toEqual([]);
+    expect(room.chatHistory).toEqual([]);
+  });
+});
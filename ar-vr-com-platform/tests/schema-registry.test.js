@@ -0,0 +1,225 @@
+import { jest } from '@jest/globals';
+import { SchemaRegistry } from '../server/schema-registry.js';
+import { createSchemaRegistry } from '../server/schemas.js';
+
+function registryWith(schema, options) {
+  return new SchemaRegistry(options).registerEvent('test-event', schema);
+}
+
+describe('SchemaRegistry', () => {
+  describe('validate', () => {
+    const profile = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 10 },
+        age: { type: 'integer', minimum: 0, maximum: 150 },
+        role: { type: 'string', enum: ['owner', 'guest'] },
+        handle: { type: 'string', pattern: /^[a-z]+$/, nullable: true },
+        position: { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 },
+        muted: { type: 'boolean' }
+      }
+    };
+
+    test('accepts a valid payload and drops unknown keys', () => {
+      const result = registryWith(profile).validate('test-event', {
+        name: 'Jane',
+        age: 30,
+        role: 'guest',
+        handle: null,
+        position: [0, 1.5, -2],
+        muted: false,
+        isAdmin: true
+      });
+
+      expect(result).toEqual({
+        valid: true,
+        value: { name: 'Jane', age: 30, role: 'guest', handle: null, position: [0, 1.5, -2], muted: false }
+      });
+    });
+
+    test.each([
+      [{}, 'name', 'is required'],
+      [{ name: '' }, 'name', 'must not be empty'],
+      [{ name: 'x'.repeat(11) }, 'name', 'must be at most 10 characters'],
+      [{ name: 7 }, 'name', 'must be a string'],
+      [{ name: 'Jane', age: 1.5 }, 'age', 'must be an integer'],
+      [{ name: 'Jane', age: -1 }, 'age', 'must be >= 0'],
+      [{ name: 'Jane', age: Infinity }, 'age', 'must be a finite number'],
+      [{ name: 'Jane', role: 'admin' }, 'role', 'must be one of "owner", "guest"'],
+      [{ name: 'Jane', handle: 'Jane!' }, 'handle', 'must match /^[a-z]+$/'],
+      [{ name: 'Jane', position: [0, 0] }, 'position', 'must have at least 3 items'],
+      [{ name: 'Jane', position: [0, 'up', 0] }, 'position[1]', 'must be a finite number'],
+      [{ name: 'Jane', muted: 'no' }, 'muted', 'must be a boolean']
+    ])('rejects %j at %s: %s', (payload, path, message) => {
+      expect(registryWith(profile).validate('test-event', payload)).toEqual({
+        valid: false,
+        errors: [{ path, message }]
+      });
+    });
+
+    test('rejects payloads that are not objects', () => {
+      const registry = registryWith(profile);
+
+      [null, 'Jane', [], new Uint8Array(2)].forEach(payload => {
+        expect(registry.validate('test-event', payload).errors).toEqual([{ path: '', message: 'must be an object' }]);
+      });
+    });
+
+    test('accepts a missing payload only when the schema is optional', () => {
+      const optional = registryWith({ type: 'object', properties: {}, optional: true });
+      const required = registryWith({ type: 'object', properties: {} });
+
+      expect(optional.validate('test-event', undefined)).toEqual({ valid: true, value: undefined });
+      expect(required.validate('test-event', undefined).valid).toBe(false);
+    });
+
+    test('rejects prototype keys, even deep inside free-form values', () => {
+      const registry = registryWith({
+        type: 'object',
+        properties: { settings: { type: 'object', additionalProperties: true } }
+      });
+
+      const result = registry.validate('test-event', JSON.parse('{"settings":{"nested":{"__proto__":{"isAdmin":true}}}}'));
+
+      expect(result).toEqual({ valid: false, errors: [{ path: 'settings.nested.__proto__', message: 'is not an allowed key' }] });
+    });
+
+    test('limits the depth and number of keys of free-form values', () => {
+      const registry = registryWith({
+        type: 'object',
+        properties: { settings: { type: 'object', additionalProperties: true, maxProperties: 2 } }
+      });
+      let deep = 'leaf';
+      for (let i = 0; i < 10; i++) deep = { deep };
+
+      expect(registry.validate('test-event', { settings: { a: 1, b: 2, c: 3 } }).errors)
+        .toEqual([{ path: 'settings', message: 'must have at most 2 properties' }]);
+      expect(registry.validate('test-event', { settings: deep }).errors[0].message).toBe('is nested too deeply');
+    });
+
+    test('caps binary payloads by size', () => {
+      const registry = registryWith({ type: 'binary', maxBytes: 4 });
+
+      expect(registry.validate('test-event', new Uint8Array(4)).valid).toBe(true);
+      expect(registry.validate('test-event', new Uint8Array(5)).errors).toEqual([{ path: '', message: 'must be at most 4 bytes' }]);
+      expect(registry.validate('test-event', 'data').errors).toEqual([{ path: '', message: 'must be binary' }]);
+    });
+
+    test('stops collecting errors at maxErrors', () => {
+      const registry = registryWith({ type: 'array', items: { type: 'number' } }, { maxErrors: 3 });
+
+      expect(registry.validate('test-event', ['a', 'b', 'c', 'd', 'e']).errors).toHaveLength(3);
+    });
+
+    test('refuses names without a schema and counts rejections per schema', () => {
+      const registry = registryWith(profile);
+
+      expect(registry.validate('other-event', {})).toEqual({
+        valid: false,
+        errors: [{ path: '', message: 'no schema registered for other-event' }]
+      });
+      registry.validate('test-event', { name: 'Jane' });
+      registry.validate('test-event', {});
+
+      expect(registry.getStats()).toEqual({
+        validated: 2,
+        rejected: 2,
+        rejectedBySchema: { 'other-event': 1, 'test-event': 1 },
+        registered: 1
+      });
+    });
+  });
+
+  describe('httpMiddleware', () => {
+    function response() {
+      const res = { statusCode: 200, body: null };
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; return res; };
+      return res;
+    }
+
+    test('replaces the body with the validated copy', () => {
+      const registry = new SchemaRegistry().registerRoute('POST /api/things', {
+        type: 'object',
+        properties: { name: { type: 'string' } }
+      });
+      const req = { body: { name: 'Chair', extra: true } };
+      const next = jest.fn();
+
+      registry.httpMiddleware('POST /api/things')(req, response(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.body).toEqual({ name: 'Chair' });
+    });
+
+    test('answers 400 with the errors', () => {
+      const registry = new SchemaRegistry().registerRoute('POST /api/things', {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string' } }
+      });
+      const res = response();
+      const next = jest.fn();
+
+      registry.httpMiddleware('POST /api/things')({ body: {} }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({
+        error: 'Invalid request body',
+        code: 'INVALID_REQUEST',
+        errors: [{ path: 'name', message: 'is required' }]
+      });
+    });
+  });
+});
+
+describe('platform schemas', () => {
+  const schemas = createSchemaRegistry();
+
+  test('accept a typical join-room', () => {
+    const result = schemas.validate('join-room', {
+      roomId: 'room_1',
+      user: { id: 'user_spoofed', name: 'Jane', avatar: { color: 'ff6b35' }, position: [0, 0, 0] },
+      inviteToken: 'abc.def'
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.value.user).toEqual({ name: 'Jane', avatar: { color: 'ff6b35' }, position: [0, 0, 0] });
+  });
+
+  test('accept an object update with transform and property changes', () => {
+    const result = schemas.validate('update-object', {
+      objectId: 'obj_1',
+      changes: { position: [1, 2, 3], properties: { color: 'red' } },
+      baseVersion: 4
+    });
+
+    expect(result.valid).toBe(true);
+  });
+
+  test.each([
+    ['spawn-object', { object: { type: 'cube; drop table' } }, 'object.type'],
+    ['spawn-object', { object: { type: 'cube', position: [0, 0] } }, 'object.position'],
+    ['update-object', { objectId: 'obj_1', changes: {}, baseVersion: -1 }, 'baseVersion'],
+    ['update-object', { objectId: '', changes: {} }, 'objectId'],
+    ['update-room-settings', { roomId: 'room_1', settings: { objectConflictPolicy: 'first-writer-wins' } }, 'settings.objectConflictPolicy'],
+    ['assign-role', { userId: 'user_2', role: 'admin' }, 'role'],
+    ['negotiate-wire-format', { formats: new Array(9).fill('json') }, 'formats']
+  ])('reject a bad %s payload at %s', (event, payload, path) => {
+    const result = schemas.validate(event, payload);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(error => error.path)).toContain(path);
+  });
+
+  test('reject rooms over the user cap on POST /api/rooms', () => {
+    expect(schemas.validate('POST /api/rooms', { name: 'Big', maxUsers: 51 }).errors)
+      .toEqual([{ path: 'maxUsers', message: 'must be <= 50' }]);
+  });
+
+  test('accept a missing body on POST /api/auth/token', () => {
+    expect(schemas.validate('POST /api/auth/token', undefined).valid).toBe(true);
+  });
+});
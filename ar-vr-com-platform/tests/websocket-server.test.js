@@ -0,0 +1,587 @@
+import { jest } from '@jest/globals';
+import { createHarness, createRecorderStandIn } from './helpers/websocket-harness.js';
+
+describe('WebSocketServer', () => {
+  let harness;
+  let owner;
+  let member;
+  let roomId;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    harness = createHarness({ sessionRecorder: createRecorderStandIn() });
+    owner = harness.connect('socket_owner', { id: 'user_owner', name: 'Owner' });
+    member = harness.connect('socket_member', { id: 'user_member', name: 'Member' });
+
+    roomId = harness.createRoom(owner);
+    await harness.ws.handleJoinRoom(owner, { roomId, user: {} });
+    await harness.ws.handleJoinRoom(member, { roomId, user: {} });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('roles and permissions', () => {
+    const spawn = (socket) => {
+      harness.ws.handleSpawnObject(socket, { object: { type: 'cube', position: [0, 0, 0] } });
+      return harness.received(socket.id, 'object-spawned').at(-1).object.id;
+    };
+
+    test('makes the creator the owner and everyone else a guest', () => {
+      const room = harness.roomManager.getRoom(roomId);
+
+      expect(room.users.find(user => user.id === 'user_owner')).toEqual(expect.objectContaining({
+        role: 'owner',
+        permissions: expect.objectContaining({ canAssignRoles: true, isAdmin: true })
+      }));
+      expect(room.users.find(user => user.id === 'user_member')).toEqual(expect.objectContaining({
+        role: 'guest',
+        permissions: expect.objectContaining({ canSpawnObjects: true, canKickUsers: false, canAssignRoles: false })
+      }));
+    });
+
+    test('lets the owner assign a role and refreshes the permissions of the user at once', () => {
+      harness.ws.handleAssignRole(owner, { userId: 'user_member', role: 'moderator' });
+
+      expect(harness.received('socket_member', 'user-role-updated')).toEqual([
+        expect.objectContaining({
+          userId: 'user_member',
+          role: 'moderator',
+          assignedBy: 'user_owner',
+          permissions: expect.objectContaining({ canKickUsers: true, canAssignRoles: false })
+        })
+      ]);
+      expect(harness.roomManager.hasPermission(roomId, 'user_member', 'canKickUsers')).toBe(true);
+    });
+
+    test('keeps an assigned role when the user rejoins', async () => {
+      harness.ws.handleAssignRole(owner, { userId: 'user_member', role: 'presenter' });
+      harness.ws.handleLeaveRoom(member);
+      await harness.ws.handleJoinRoom(member, { roomId, user: {} });
+
+      expect(harness.roomManager.hasPermission(roomId, 'user_member', 'canRecordSessions')).toBe(true);
+    });
+
+    test('needs canAssignRoles to assign a role, which moderators lack', () => {
+      harness.roomManager.setUserRole(roomId, 'user_member', 'moderator');
+
+      harness.ws.handleAssignRole(member, { userId: 'user_member', role: 'presenter' });
+
+      expect(harness.roomManager.getRoom(roomId).roles.user_member).toBe('moderator');
+      expect(harness.received('socket_member', 'permission-denied')).toEqual([
+        expect.objectContaining({ event: 'assign-role', permission: 'canAssignRoles', code: 'PERMISSION_DENIED' })
+      ]);
+    });
+
+    test('refuses to change the role of the owner or to assign an unknown role', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const intruder = harness.connect('socket_intruder', { id: 'user_intruder', name: 'Intruder' });
+
+      harness.ws.handleAssignRole(owner, { userId: 'user_owner', role: 'guest' });
+      harness.ws.handleAssignRole(owner, { userId: 'user_member', role: 'admin' });
+      harness.ws.handleAssignRole(owner, { userId: intruder.data.user.id, role: 'moderator' });
+
+      expect(harness.received('socket_owner', 'assign-role-error').map(error => error.code))
+        .toEqual(['ASSIGN_ROLE_FAILED', 'ASSIGN_ROLE_FAILED', 'USER_NOT_FOUND']);
+      expect(harness.roomManager.getRoom(roomId).users.find(user => user.id === 'user_owner').role).toBe('owner');
+      expect(harness.received('socket_member', 'user-role-updated')).toEqual([]);
+    });
+
+    test('lets a guest remove only the objects they created', () => {
+      const ownObjectId = spawn(member);
+      const otherObjectId = spawn(owner);
+
+      harness.ws.handleRemoveObject(member, { objectId: otherObjectId });
+      harness.ws.handleRemoveObject(member, { objectId: ownObjectId });
+
+      expect(harness.roomManager.getRoom(roomId).objects.map(object => object.id)).toEqual([otherObjectId]);
+      expect(harness.received('socket_member', 'permission-denied')).toEqual([
+        expect.objectContaining({ event: 'remove-object', permission: 'canDeleteObjects' })
+      ]);
+    });
+
+    test('refuses guests the moderator-only events', () => {
+      harness.ws.handleLockRoom(member, { locked: true });
+      harness.ws.handleMuteAll(member, {});
+
+      expect(harness.received('socket_member', 'permission-denied').map(denied => [denied.event, denied.permission]))
+        .toEqual([['lock-room', 'canModifyRoom'], ['mute-all', 'canMuteUsers']]);
+      expect(harness.roomManager.getRoom(roomId).isLocked).toBeFalsy();
+    });
+  });
+
+  describe('moderation', () => {
+    let guest;
+
+    beforeEach(async () => {
+      harness.roomManager.setUserRole(roomId, 'user_member', 'moderator');
+      guest = harness.connect('socket_guest', { id: 'user_guest', name: 'Guest' });
+      await harness.ws.handleJoinRoom(guest, { roomId, user: {} });
+    });
+
+    const userIds = () => harness.roomManager.getRoom(roomId).users.map(user => user.id);
+
+    test('kicks a lower-ranked user out of the room without banning them', async () => {
+      harness.ws.handleKickUser(member, { userId: 'user_guest', reason: 'spam' });
+
+      expect(harness.received('socket_guest', 'kicked')).toEqual([
+        { roomId, reason: 'spam', by: 'user_member', banned: false }
+      ]);
+      expect(harness.received('socket_owner', 'user-kicked')).toEqual([
+        expect.objectContaining({ userId: 'user_guest', by: 'user_member', reason: 'spam' })
+      ]);
+      expect(userIds()).not.toContain('user_guest');
+
+      await harness.ws.handleJoinRoom(guest, { roomId, user: {} });
+      expect(userIds()).toContain('user_guest');
+    });
+
+    test('refuses to moderate peers, superiors or oneself', () => {
+      harness.roomManager.setUserRole(roomId, 'user_guest', 'moderator');
+
+      harness.ws.handleKickUser(member, { userId: 'user_guest' });
+      harness.ws.handleKickUser(member, { userId: 'user_owner' });
+      harness.ws.handleMuteUser(member, { userId: 'user_member' });
+      harness.ws.handleBanUser(member, { userId: 'user_owner' });
+
+      expect(harness.received('socket_member', 'moderation-error').map(error => [error.event, error.code])).toEqual([
+        ['kick-user', 'CANNOT_MODERATE'],
+        ['kick-user', 'CANNOT_MODERATE'],
+        ['mute-user', 'CANNOT_MODERATE'],
+        ['ban-user', 'CANNOT_MODERATE']
+      ]);
+      expect(userIds()).toEqual(['user_owner', 'user_member', 'user_guest']);
+    });
+
+    test('bans a user from coming back, whether or not they are in the room', async () => {
+      harness.ws.handleBanUser(member, { userId: 'user_guest' });
+      harness.ws.handleBanUser(member, { userId: 'user_absent' });
+
+      expect(harness.received('socket_guest', 'kicked')).toEqual([expect.objectContaining({ banned: true })]);
+      expect(harness.roomManager.getRoom(roomId).bannedUsers).toEqual(['user_guest', 'user_absent']);
+
+      await harness.ws.handleJoinRoom(guest, { roomId, user: {} });
+      expect(harness.received('socket_guest', 'join-room-error')).toEqual([expect.objectContaining({ code: 'BANNED' })]);
+      expect(userIds()).not.toContain('user_guest');
+    });
+
+    test('mutes one user, and mute-all mutes only the users the moderator outranks', () => {
+      harness.ws.handleMuteUser(member, { userId: 'user_guest' });
+      harness.ws.handleMuteUser(member, { userId: 'user_guest', muted: false });
+
+      expect(harness.received('socket_guest', 'force-muted').map(update => update.muted)).toEqual([true, false]);
+
+      harness.ws.handleMuteAll(member);
+
+      expect(harness.roomManager.getRoom(roomId).mutedUsers).toEqual(['user_guest']);
+      expect(harness.received('socket_owner', 'force-muted')).toEqual([]);
+    });
+
+    test('keeps guests out of a locked room, but not users with a role', async () => {
+      harness.ws.handleLeaveRoom(guest);
+      harness.ws.handleLeaveRoom(member);
+      harness.ws.handleLockRoom(owner, {});
+
+      expect(harness.received('socket_owner', 'room-lock-updated')).toEqual([
+        expect.objectContaining({ isLocked: true, by: 'user_owner' })
+      ]);
+
+      await harness.ws.handleJoinRoom(guest, { roomId, user: {} });
+      await harness.ws.handleJoinRoom(member, { roomId, user: {} });
+
+      expect(harness.received('socket_guest', 'join-room-error')).toEqual([expect.objectContaining({ code: 'ROOM_LOCKED' })]);
+      expect(userIds()).toEqual(['user_owner', 'user_member']);
+    });
+
+    describe('from another node', () => {
+      const applyRemote = (event, data) =>
+        harness.ws.applyClusterRoomEvent(harness.roomManager.getRoom(roomId), 'node_b', event, data);
+
+      beforeEach(() => {
+        jest.spyOn(harness.roomManager, 'persistRoom');
+      });
+
+      test('removes a banned user connected here and remembers the ban without saving it', () => {
+        const payload = applyRemote('user-banned', { userId: 'user_guest', by: 'user_remote', reason: null });
+
+        expect(payload).toEqual(expect.objectContaining({ userId: 'user_guest' }));
+        expect(harness.received('socket_guest', 'kicked')).toEqual([
+          expect.objectContaining({ by: 'user_remote', banned: true })
+        ]);
+        expect(userIds()).not.toContain('user_guest');
+        expect(harness.roomManager.getRoom(roomId).bannedUsers).toEqual(['user_guest']);
+        expect(harness.roomManager.persistRoom).not.toHaveBeenCalled();
+      });
+
+      test('removes a kicked user connected here without banning them', () => {
+        applyRemote('user-kicked', { userId: 'user_guest', by: 'user_remote', reason: 'spam' });
+
+        expect(harness.received('socket_guest', 'kicked')).toEqual([expect.objectContaining({ banned: false })]);
+        expect(harness.roomManager.getRoom(roomId).bannedUsers || []).toEqual([]);
+      });
+
+      test('mirrors mutes and room locks without saving them', () => {
+        applyRemote('user-muted', { userId: 'user_guest', muted: true, by: 'user_remote' });
+        applyRemote('room-lock-updated', { roomId, isLocked: true, by: 'user_remote' });
+
+        const room = harness.roomManager.getRoom(roomId);
+        expect(room.mutedUsers).toEqual(['user_guest']);
+        expect(room.users.find(user => user.id === 'user_guest').isMuted).toBe(true);
+        expect(room.isLocked).toBe(true);
+        expect(harness.roomManager.persistRoom).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('session resume', () => {
+    let resumeToken;
+
+    beforeEach(() => {
+      resumeToken = harness.received('socket_member', 'room-joined').at(-1).resumeToken;
+      harness.ws.handleDisconnect(member);
+    });
+
+    const reconnect = (socketId, user = { id: 'user_member', name: 'Member' }) => harness.connect(socketId, user);
+    const memberInRoom = () => harness.roomManager.getRoom(roomId).users.find(user => user.id === 'user_member');
+
+    test('holds the slot of a dropped user for the grace period', () => {
+      expect(harness.received('socket_owner', 'user-disconnected')).toEqual([
+        expect.objectContaining({ userId: 'user_member', reconnecting: true, gracePeriod: 30000 })
+      ]);
+      expect(memberInRoom()).toBeDefined();
+    });
+
+    test('resumes the session once and hands out a new token for the next drop', () => {
+      const socket = reconnect('socket_member_2');
+
+      harness.ws.handleResumeSession(socket, { resumeToken, lastSequence: 0 });
+
+      const [resumed] = harness.received('socket_member_2', 'session-resumed');
+      expect(resumed).toEqual(expect.objectContaining({ roomId, resumeToken: expect.any(String) }));
+      expect(resumed.resumeToken).not.toBe(resumeToken);
+      expect(harness.received('socket_owner', 'user-reconnected')).toEqual([
+        expect.objectContaining({ userId: 'user_member' })
+      ]);
+
+      harness.ws.handleResumeSession(reconnect('socket_member_3'), { resumeToken });
+      expect(harness.received('socket_member_3', 'resume-failed')).toEqual([
+        expect.objectContaining({ code: 'RESUME_INVALID' })
+      ]);
+
+      harness.ws.handleDisconnect(socket);
+      harness.ws.handleResumeSession(reconnect('socket_member_4'), { resumeToken: resumed.resumeToken });
+      expect(harness.received('socket_member_4', 'session-resumed')).toHaveLength(1);
+    });
+
+    test('refuses a token presented by another user and keeps it for its owner', () => {
+      harness.ws.handleResumeSession(reconnect('socket_thief', { id: 'user_thief', name: 'Thief' }), { resumeToken });
+
+      expect(harness.received('socket_thief', 'resume-failed')).toEqual([
+        expect.objectContaining({ code: 'RESUME_INVALID' })
+      ]);
+
+      harness.ws.handleResumeSession(reconnect('socket_member_2'), { resumeToken });
+      expect(harness.received('socket_member_2', 'session-resumed')).toHaveLength(1);
+    });
+
+    test('drops the user and the token when the grace period runs out', () => {
+      jest.advanceTimersByTime(30000);
+
+      expect(memberInRoom()).toBeUndefined();
+      expect(harness.received('socket_owner', 'user-left')).toEqual([
+        expect.objectContaining({ roomId, reason: 'timeout' })
+      ]);
+
+      harness.ws.handleResumeSession(reconnect('socket_member_2'), { resumeToken });
+      expect(harness.received('socket_member_2', 'resume-failed')).toEqual([
+        expect.objectContaining({ code: 'RESUME_INVALID' })
+      ]);
+    });
+
+    test('gives up the held slot and its token when the user joins afresh', async () => {
+      await harness.ws.handleJoinRoom(reconnect('socket_member_2'), { roomId, user: {} });
+
+      expect(harness.roomManager.getRoom(roomId).users.filter(user => user.id === 'user_member')).toHaveLength(1);
+
+      harness.ws.handleResumeSession(reconnect('socket_member_3'), { resumeToken });
+      expect(harness.received('socket_member_3', 'resume-failed')).toEqual([
+        expect.objectContaining({ code: 'RESUME_INVALID' })
+      ]);
+    });
+
+    test('removes a dropped user at once when resume is turned off', async () => {
+      const noResume = createHarness({ resumeGracePeriod: 0 });
+      const host = noResume.connect('socket_host', { id: 'user_host', name: 'Host' });
+      const visitor = noResume.connect('socket_visitor', { id: 'user_visitor', name: 'Visitor' });
+      const otherRoomId = noResume.createRoom(host);
+      await noResume.ws.handleJoinRoom(host, { roomId: otherRoomId, user: {} });
+      await noResume.ws.handleJoinRoom(visitor, { roomId: otherRoomId, user: {} });
+
+      noResume.ws.handleDisconnect(visitor);
+
+      expect(noResume.roomManager.getRoom(otherRoomId).users.map(user => user.id)).toEqual(['user_host']);
+      expect(noResume.received('socket_host', 'user-disconnected')).toEqual([
+        expect.objectContaining({ reconnecting: false, gracePeriod: 0 })
+      ]);
+    });
+  });
+
+  describe('chat', () => {
+    let bystander;
+
+    beforeEach(async () => {
+      bystander = harness.connect('socket_bystander', { id: 'user_bystander', name: 'Bystander' });
+      await harness.ws.handleJoinRoom(bystander, { roomId, user: {} });
+    });
+
+    test('delivers a direct message, and changes to it, to its two users only', () => {
+      harness.ws.handleSendChatMessage(owner, { text: 'psst', to: 'user_member', clientId: 'c1' });
+      const [{ message }] = harness.received('socket_owner', 'chat-message');
+      harness.ws.handleEditChatMessage(owner, { messageId: message.id, text: 'psst!' });
+
+      expect(harness.received('socket_member', 'chat-message')).toEqual([{ message, clientId: 'c1' }]);
+      expect(harness.received('socket_member', 'chat-message-updated')).toHaveLength(1);
+      expect(harness.received('socket_bystander', 'chat-message')).toEqual([]);
+      expect(harness.received('socket_bystander', 'chat-message-updated')).toEqual([]);
+    });
+
+    test('answers an edit or delete by anyone but the author with NOT_AUTHOR', () => {
+      harness.ws.handleSendChatMessage(member, { text: 'hello' });
+      const [{ message }] = harness.received('socket_member', 'chat-message');
+
+      harness.ws.handleEditChatMessage(owner, { messageId: message.id, text: 'edited' });
+      harness.ws.handleDeleteChatMessage(bystander, { messageId: message.id });
+
+      expect(harness.received('socket_owner', 'chat-error')).toEqual([
+        expect.objectContaining({ code: 'NOT_AUTHOR', messageId: message.id })
+      ]);
+      expect(harness.received('socket_bystander', 'chat-error')).toEqual([
+        expect.objectContaining({ code: 'NOT_AUTHOR', messageId: message.id })
+      ]);
+      expect(harness.received('socket_member', 'chat-message-updated')).toEqual([]);
+    });
+  });
+
+  describe('webrtc-signal', () => {
+    let third;
+
+    beforeEach(async () => {
+      third = harness.connect('socket_third', { id: 'user_third', name: 'Third' });
+      await harness.ws.handleJoinRoom(third, { roomId, user: {} });
+      harness.ws.peerManager.config.maxConnectionsPerUser = 1;
+    });
+
+    const offer = (socket, target) =>
+      harness.ws.handleWebRTCSignal(socket, { type: 'offer', target, signal: { type: 'offer', sdp: 'v=0' } });
+
+    test('answers a signal past the connection limit with CONNECTION_LIMIT', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      offer(member, 'user_owner');
+      offer(member, 'user_third');
+
+      expect(harness.received('socket_owner', 'webrtc-signal')).toHaveLength(1);
+      expect(harness.received('socket_third', 'webrtc-signal')).toEqual([]);
+      expect(harness.received('socket_member', 'webrtc-signal-error')).toEqual([
+        expect.objectContaining({ type: 'offer', target: 'user_third', code: 'CONNECTION_LIMIT' })
+      ]);
+    });
+
+    test('keeps relaying signals over a connection that is already open', () => {
+      offer(member, 'user_owner');
+      offer(member, 'user_owner');
+
+      expect(harness.received('socket_owner', 'webrtc-signal')).toHaveLength(2);
+      expect(harness.received('socket_member', 'webrtc-signal-error')).toEqual([]);
+    });
+
+    test('switches an auto room to forwarding once a mesh would pass the connection limit', () => {
+      const room = harness.roomManager.getRoom(roomId);
+      room.settings.meshMaxUsers = 50;
+
+      expect(harness.ws.peerManager.planRoomTopology(room).mode).toBe('sfu');
+    });
+  });
+
+  describe('update-room-settings', () => {
+    test('lets a moderator change settings other than recordingSessions', () => {
+      harness.roomManager.setUserRole(roomId, 'user_member', 'moderator');
+
+      harness.ws.handleUpdateRoomSettings(member, { roomId, settings: { maxBitrate: 1000000 } });
+
+      expect(harness.roomManager.getRoom(roomId).settings.maxBitrate).toBe(1000000);
+      expect(harness.received('socket_member', 'room-settings-error')).toEqual([]);
+    });
+
+    test('needs canRecordSessions to turn recordingSessions on', () => {
+      harness.roomManager.setUserRole(roomId, 'user_member', 'moderator');
+
+      harness.ws.handleUpdateRoomSettings(member, { roomId, settings: { recordingSessions: true, maxBitrate: 1000000 } });
+
+      const room = harness.roomManager.getRoom(roomId);
+      expect(room.settings.recordingSessions).toBe(false);
+      expect(room.settings.maxBitrate).not.toBe(1000000);
+      expect(harness.ws.sessionRecorder.isRecording(roomId)).toBe(false);
+      expect(harness.received('socket_member', 'permission-denied')).toEqual([
+        expect.objectContaining({ event: 'update-room-settings', permission: 'canRecordSessions' })
+      ]);
+      expect(harness.received('socket_member', 'room-settings-error')).toHaveLength(1);
+    });
+
+    test('needs canRecordSessions to turn recordingSessions off', () => {
+      harness.ws.handleUpdateRoomSettings(owner, { roomId, settings: { recordingSessions: true } });
+      harness.roomManager.setUserRole(roomId, 'user_member', 'moderator');
+
+      harness.ws.handleUpdateRoomSettings(member, { roomId, settings: { recordingSessions: false } });
+
+      expect(harness.roomManager.getRoom(roomId).settings.recordingSessions).toBe(true);
+      expect(harness.ws.sessionRecorder.isRecording(roomId)).toBe(true);
+    });
+
+    test('starts the recording when the owner turns recordingSessions on', () => {
+      harness.ws.handleUpdateRoomSettings(owner, { roomId, settings: { recordingSessions: true } });
+
+      expect(harness.ws.sessionRecorder.isRecording(roomId)).toBe(true);
+      expect(harness.received('socket_member', 'recording-started')).toHaveLength(1);
+    });
+
+    test('does not treat resending the current recordingSessions value as a change', () => {
+      harness.roomManager.setUserRole(roomId, 'user_member', 'moderator');
+
+      harness.ws.handleUpdateRoomSettings(member, { roomId, settings: { recordingSessions: false, maxBitrate: 1000000 } });
+
+      expect(harness.roomManager.getRoom(roomId).settings.maxBitrate).toBe(1000000);
+    });
+  });
+
+  describe('incoming packets', () => {
+    test('hands the handler a validated copy without unknown keys', () => {
+      const packet = ['update-object', { objectId: 'obj_1', changes: { position: [1, 2, 3] }, baseVersion: 1, isAdmin: true }];
+      const next = jest.fn();
+
+      harness.ws.handleIncomingPacket(member, packet, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(packet[1]).toEqual({ objectId: 'obj_1', changes: { position: [1, 2, 3] }, baseVersion: 1 });
+    });
+
+    test('answers an invalid payload with validation-error and drops it', () => {
+      const next = jest.fn();
+
+      harness.ws.handleIncomingPacket(member, ['update-object', { objectId: 'obj_1', changes: { position: [1, 2] } }], next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(harness.received('socket_member', 'validation-error')).toEqual([
+        expect.objectContaining({
+          event: 'update-object',
+          code: 'INVALID_PAYLOAD',
+          errors: [{ path: 'changes.position', message: 'must have at least 3 items' }]
+        })
+      ]);
+    });
+
+    test('refuses events without a schema as UNKNOWN_EVENT', () => {
+      const next = jest.fn();
+
+      harness.ws.handleIncomingPacket(member, ['get-room-state', { roomId }], next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(harness.received('socket_member', 'validation-error')[0].code).toBe('UNKNOWN_EVENT');
+    });
+  });
+
+  describe('update-object', () => {
+    beforeEach(() => {
+      harness.roomManager.addObjectToRoom(roomId, { id: 'obj_1', type: 'cube', createdBy: 'user_owner', position: [0, 0, 0] });
+    });
+
+    test('broadcasts an applied change with the new version', () => {
+      harness.ws.handleUpdateObject(member, { objectId: 'obj_1', changes: { position: [1, 2, 3] }, baseVersion: 1 });
+
+      expect(harness.received('socket_owner', 'object-updated')).toEqual([
+        expect.objectContaining({ objectId: 'obj_1', changes: { position: [1, 2, 3] }, version: 2, updatedBy: 'user_member' })
+      ]);
+    });
+
+    test('answers a stale change with the authoritative copy and tells nobody else', () => {
+      harness.ws.handleUpdateObject(owner, { objectId: 'obj_1', changes: { position: [1, 0, 0] }, baseVersion: 1 });
+
+      harness.ws.handleUpdateObject(member, { objectId: 'obj_1', changes: { position: [0, 5, 0] }, baseVersion: 1 });
+
+      expect(harness.received('socket_member', 'object-update-rejected')).toEqual([
+        expect.objectContaining({
+          objectId: 'obj_1',
+          code: 'STALE_VERSION',
+          baseVersion: 1,
+          object: expect.objectContaining({ position: [1, 0, 0], version: 2 })
+        })
+      ]);
+      expect(harness.received('socket_owner', 'object-updated')).toHaveLength(1);
+    });
+  });
+
+  describe('create-invite', () => {
+    test('lets a moderator issue an invite', () => {
+      harness.roomManager.setUserRole(roomId, 'user_member', 'moderator');
+
+      harness.ws.handleCreateInvite(member, { roomId });
+
+      expect(harness.received('socket_member', 'invite-created')).toEqual([
+        expect.objectContaining({ roomId, token: expect.any(String) })
+      ]);
+    });
+
+    test.each(['presenter', 'guest'])('refuses an invite to a %s', (role) => {
+      harness.roomManager.setUserRole(roomId, 'user_member', role);
+
+      harness.ws.handleCreateInvite(member, { roomId });
+
+      expect(harness.received('socket_member', 'invite-created')).toEqual([]);
+      expect(harness.received('socket_member', 'permission-denied')).toEqual([
+        expect.objectContaining({ event: 'create-invite', permission: 'canInviteUsers' })
+      ]);
+    });
+  });
+
+  describe('update-clip-recording', () => {
+    beforeEach(() => {
+      harness.ws.handleUpdateRoomSettings(owner, { roomId, settings: { recordingSessions: true } });
+    });
+
+    test('needs canRecordSessions to start a clip', () => {
+      harness.ws.handleUpdateClipRecording(member, { recording: true });
+
+      expect(harness.ws.clipRecordings.get(roomId)?.has('user_member')).toBeFalsy();
+      expect(harness.received('socket_member', 'permission-denied')).toEqual([
+        expect.objectContaining({ event: 'update-clip-recording', permission: 'canRecordSessions' })
+      ]);
+      expect(harness.received('socket_owner', 'clip-recording-updated')).toEqual([]);
+    });
+
+    test('lets a role with canRecordSessions start a clip', () => {
+      harness.roomManager.setUserRole(roomId, 'user_member', 'presenter');
+
+      harness.ws.handleUpdateClipRecording(member, { recording: true });
+
+      expect(harness.ws.clipRecordings.get(roomId).has('user_member')).toBe(true);
+      expect(harness.received('socket_owner', 'clip-recording-updated')).toEqual([
+        expect.objectContaining({ userId: 'user_member', recording: true })
+      ]);
+    });
+
+    test('stops the clip of a user whose new role cannot record', () => {
+      harness.roomManager.setUserRole(roomId, 'user_member', 'presenter');
+      harness.ws.handleUpdateClipRecording(member, { recording: true });
+
+      harness.ws.handleAssignRole(owner, { userId: 'user_member', role: 'guest' });
+
+      expect(harness.ws.clipRecordings.get(roomId)?.has('user_member')).toBeFalsy();
+      expect(harness.received('socket_member', 'clip-recording-updated').at(-1)).toEqual(
+        expect.objectContaining({ userId: 'user_member', recording: false, reason: 'permission-revoked' })
+      );
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { jest } from '@jest/globals';
+import { NetIdRegistry, encodeMessage, decodeMessage } from '../client/js/wire-format.js';
+
+// Positions travel in millimeters and rotations as 14-bit quaternion components
+const POSITION_PRECISION = 3;
+const ROTATION_PRECISION = 3;
+
+function registry() {
+  return NetIdRegistry.fromRoom({
+    id: 'room_1',
+    users: [{ id: 'user_a', netId: 1 }, { id: 'user_b', netId: 2 }],
+    objects: [{ id: 'obj_1', netId: 7 }]
+  });
+}
+
+function expectVector(actual, expected, precision) {
+  expect(actual).toHaveLength(expected.length);
+  expected.forEach((value, index) => expect(actual[index]).toBeCloseTo(value, precision));
+}
+
+function roundTrip(event, data, ids = registry()) {
+  const encoded = encodeMessage(event, data, ids);
+  expect(encoded).toBeInstanceOf(Uint8Array);
+  return decodeMessage(encoded, ids);
+}
+
+describe('wire format', () => {
+  describe('round trips', () => {
+    test('update-position', () => {
+      const { event, data } = roundTrip('update-position', { position: [1.2341, -0.5, 12], rotation: [0.3, -1.2, 2.5] });
+
+      expect(event).toBe('update-position');
+      expectVector(data.position, [1.2341, -0.5, 12], POSITION_PRECISION);
+      expectVector(data.rotation, [0.3, -1.2, 2.5], ROTATION_PRECISION);
+    });
+
+    test('pose-snapshot, mapping net IDs back to user IDs', () => {
+      const { event, data } = roundTrip('pose-snapshot', {
+        tick: 42,
+        timestamp: 1705312800000,
+        poses: [{ u: 'user_a', p: [1, 2, 3] }, { u: 'user_b', r: [0, 1, 0] }]
+      });
+
+      expect(event).toBe('pose-snapshot');
+      expect(data).toEqual(expect.objectContaining({ roomId: 'room_1', tick: 42, timestamp: 1705312800000 }));
+      expect(data.poses.map(pose => pose.u)).toEqual(['user_a', 'user_b']);
+      expectVector(data.poses[0].p, [1, 2, 3], POSITION_PRECISION);
+      expect(data.poses[0].r).toBeUndefined();
+      expectVector(data.poses[1].r, [0, 1, 0], ROTATION_PRECISION);
+    });
+
+    test('pose-snapshot skips users the receiver does not know yet', () => {
+      const encoded = encodeMessage('pose-snapshot', {
+        tick: 1,
+        timestamp: 1705312800000,
+        poses: [{ u: 'user_a', p: [0, 0, 0] }, { u: 'user_b', p: [1, 1, 1] }]
+      }, registry());
+
+      const receiver = registry();
+      receiver.removeUser('user_b');
+
+      expect(decodeMessage(encoded, receiver).data.poses.map(pose => pose.u)).toEqual(['user_a']);
+    });
+
+    test('object-updated', () => {
+      const { event, data } = roundTrip('object-updated', {
+        objectId: 'obj_1',
+        updatedBy: 'user_b',
+        version: 300,
+        timestamp: '2024-01-15T10:30:00.000Z',
+        changes: { position: [0.5, 1, -1], scale: [2, 2, 2] }
+      });
+
+      expect(event).toBe('object-updated');
+      expect(data).toEqual(expect.objectContaining({
+        objectId: 'obj_1',
+        roomId: 'room_1',
+        updatedBy: 'user_b',
+        version: 300,
+        timestamp: '2024-01-15T10:30:00.000Z'
+      }));
+      expect(Object.keys(data.changes)).toEqual(['position', 'scale']);
+      expectVector(data.changes.position, [0.5, 1, -1], POSITION_PRECISION);
+      expectVector(data.changes.scale, [2, 2, 2], POSITION_PRECISION);
+    });
+
+    test('update-object', () => {
+      const { event, data } = roundTrip('update-object', {
+        objectId: 'obj_1',
+        baseVersion: 5,
+        changes: { rotation: [0, 1.5, 0] }
+      });
+
+      expect(event).toBe('update-object');
+      expect(data.objectId).toBe('obj_1');
+      expect(data.baseVersion).toBe(5);
+      expectVector(data.changes.rotation, [0, 1.5, 0], ROTATION_PRECISION);
+    });
+
+    test('spatial-audio-update', () => {
+      const { event, data } = roundTrip('spatial-audio-update', {
+        userId: 'user_a',
+        audioSettings: { position: [1, 0, -2], orientation: [0, 0, -1], volume: 0.75, spatialEnabled: false }
+      });
+
+      expect(event).toBe('spatial-audio-update');
+      expect(data.userId).toBe('user_a');
+      expectVector(data.audioSettings.position, [1, 0, -2], POSITION_PRECISION);
+      expectVector(data.audioSettings.orientation, [0, 0, -1], 4);
+      expect(data.audioSettings.volume).toBe(0.75);
+      expect(data.audioSettings.spatialEnabled).toBe(false);
+    });
+
+    test('large varints keep their exact value', () => {
+      const { data } = roundTrip('pose-snapshot', { tick: 2 ** 40 + 3, timestamp: 1705312800123, poses: [] });
+
+      expect(data.tick).toBe(2 ** 40 + 3);
+      expect(data.timestamp).toBe(1705312800123);
+    });
+  });
+
+  describe('JSON fallback', () => {
+    test('for events without a binary form', () => {
+      expect(encodeMessage('send-chat-message', { text: 'hello' }, registry())).toBeNull();
+    });
+
+    test('for object changes other than transforms', () => {
+      expect(encodeMessage('update-object', {
+        objectId: 'obj_1',
+        baseVersion: 1,
+        changes: { position: [0, 0, 0], properties: { color: 'red' } }
+      }, registry())).toBeNull();
+    });
+
+    test('for object updates without a base version', () => {
+      expect(encodeMessage('update-object', { objectId: 'obj_1', changes: { position: [0, 0, 0] } }, registry())).toBeNull();
+    });
+
+    test('for IDs that have no net ID', () => {
+      expect(encodeMessage('object-updated', {
+        objectId: 'obj_unknown',
+        updatedBy: 'user_a',
+        version: 1,
+        changes: { position: [0, 0, 0] }
+      }, registry())).toBeNull();
+      expect(encodeMessage('pose-snapshot', { tick: 1, timestamp: 1, poses: [{ u: 'user_unknown' }] }, registry())).toBeNull();
+    });
+
+    test('for audio settings that have no binary form', () => {
+      expect(encodeMessage('spatial-audio-update', { audioSettings: { rolloff: 2 } }, registry())).toBeNull();
+    });
+
+    test('when a payload cannot be encoded', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(encodeMessage('update-position', { position: null, rotation: [0, 0, 0] })).toBeNull();
+
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('malformed input', () => {
+    const messages = [
+      ['update-position', { position: [1, 2, 3], rotation: [0.1, 0.2, 0.3] }],
+      ['pose-snapshot', { tick: 9, timestamp: 1705312800000, poses: [{ u: 'user_a', p: [1, 2, 3], r: [0, 1, 0] }] }],
+      ['object-updated', { objectId: 'obj_1', updatedBy: 'user_a', version: 2, timestamp: '2024-01-15T10:30:00.000Z', changes: { rotation: [0, 1, 0] } }],
+      ['update-object', { objectId: 'obj_1', baseVersion: 2, changes: { position: [1, 1, 1] } }],
+      ['spatial-audio-update', { userId: 'user_a', audioSettings: { orientation: [0, 0, -1], volume: 1 } }]
+    ];
+
+    test.each(messages)('a truncated %s throws instead of decoding garbage', (event, data) => {
+      const ids = registry();
+      const encoded = encodeMessage(event, data, ids);
+
+      for (let length = 0; length < encoded.length; length++) {
+        expect(() => decodeMessage(encoded.slice(0, length), ids)).toThrow('Unexpected end of wire message');
+      }
+    });
+
+    test('an unknown message type throws', () => {
+      expect(() => decodeMessage(new Uint8Array([0xff, 0, 0]))).toThrow('Unknown wire message type: 255');
+    });
+
+    test('decodes from an offset into a larger buffer', () => {
+      const encoded = encodeMessage('update-position', { position: [1, 2, 3], rotation: [0, 0, 0] });
+      const buffer = new Uint8Array(encoded.length + 8);
+      buffer.set(encoded, 8);
+
+      const { data } = decodeMessage(buffer.subarray(8));
+
+      expectVector(data.position, [1, 2, 3], POSITION_PRECISION);
+    });
+  });
+});